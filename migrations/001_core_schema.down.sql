@@ -0,0 +1,15 @@
+DROP TABLE IF EXISTS Notifications;
+DROP TABLE IF EXISTS Payments;
+DROP TABLE IF EXISTS Vouchers;
+DROP TABLE IF EXISTS UserSubscriptions;
+DROP TABLE IF EXISTS SubscriptionPlans;
+DROP TABLE IF EXISTS UserActivityLog;
+DROP TABLE IF EXISTS Leaderboard;
+DROP TABLE IF EXISTS LessonProgress;
+DROP TABLE IF EXISTS Comments;
+DROP TABLE IF EXISTS Hand_Motions;
+DROP TABLE IF EXISTS AI_Models;
+DROP TABLE IF EXISTS Resources;
+DROP TABLE IF EXISTS Lessons;
+DROP TABLE IF EXISTS Courses;
+DROP TABLE IF EXISTS Users;
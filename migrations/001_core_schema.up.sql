@@ -0,0 +1,179 @@
+-- Bảng lõi của hệ thống (Users, khóa học, bài học, AI, thanh toán, tiến độ)
+
+CREATE TABLE Users (
+    user_id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    phone_number VARCHAR(20) NULL,
+    role ENUM('admin', 'employee', 'customer') NOT NULL DEFAULT 'customer',
+    picture VARCHAR(500) NULL,
+    date_of_birth DATE NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_users_email (email),
+    UNIQUE KEY uq_users_phone (phone_number)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Courses (
+    course_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_name VARCHAR(200) NOT NULL,
+    description TEXT NULL,
+    level VARCHAR(50) NOT NULL,
+    created_by INT NULL,
+    is_free TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_courses_name (course_name),
+    CONSTRAINT fk_courses_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Lessons (
+    lesson_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    lesson_name VARCHAR(200) NOT NULL,
+    description TEXT NULL,
+    video_url VARCHAR(500) NULL,
+    picture_url VARCHAR(500) NULL,
+    is_free TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_lessons_course (course_id),
+    CONSTRAINT fk_lessons_course FOREIGN KEY (course_id) REFERENCES Courses (course_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Resources (
+    resource_id INT AUTO_INCREMENT PRIMARY KEY,
+    lesson_id INT NOT NULL,
+    title VARCHAR(100) NOT NULL,
+    resource_type VARCHAR(10) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    description VARCHAR(300) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_resources_lesson (lesson_id),
+    CONSTRAINT fk_resources_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE AI_Models (
+    model_id INT AUTO_INCREMENT PRIMARY KEY,
+    model_name VARCHAR(100) NOT NULL,
+    version VARCHAR(50) NOT NULL,
+    description TEXT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ai_models_name_version (model_name, version)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Hand_Motions (
+    motion_id INT AUTO_INCREMENT PRIMARY KEY,
+    lesson_id INT NOT NULL,
+    model_id INT NOT NULL,
+    motion_data LONGTEXT NOT NULL,
+    description VARCHAR(200) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_hand_motions_lesson (lesson_id),
+    CONSTRAINT fk_hand_motions_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id),
+    CONSTRAINT fk_hand_motions_model FOREIGN KEY (model_id) REFERENCES AI_Models (model_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Comments (
+    comment_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    lesson_id INT NOT NULL,
+    comment VARCHAR(500) NOT NULL,
+    rate TINYINT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_comments_lesson (lesson_id),
+    CONSTRAINT fk_comments_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_comments_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE LessonProgress (
+    progress_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    lesson_id INT NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    last_watched DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lesson_progress_user_lesson (user_id, lesson_id),
+    CONSTRAINT fk_lesson_progress_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_lesson_progress_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Leaderboard (
+    user_id INT PRIMARY KEY,
+    total_points INT NOT NULL DEFAULT 0,
+    streak_days INT NOT NULL DEFAULT 0,
+    last_updated DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_leaderboard_user FOREIGN KEY (user_id) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE UserActivityLog (
+    activity_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    activity_date DATE NOT NULL,
+    UNIQUE KEY uq_activity_user_date (user_id, activity_date),
+    CONSTRAINT fk_activity_user FOREIGN KEY (user_id) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE SubscriptionPlans (
+    plan_id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    price INT NOT NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'VND',
+    duration_in_days INT NOT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE UserSubscriptions (
+    user_subscription_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    plan_id INT NOT NULL,
+    start_date DATETIME NOT NULL,
+    end_date DATETIME NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    KEY idx_user_subscriptions_user (user_id, status, end_date),
+    CONSTRAINT fk_user_subscriptions_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_user_subscriptions_plan FOREIGN KEY (plan_id) REFERENCES SubscriptionPlans (plan_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Vouchers (
+    voucher_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(20) NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    discount_value INT NOT NULL,
+    max_usage INT NOT NULL,
+    used_count INT NOT NULL DEFAULT 0,
+    start_date DATETIME NOT NULL,
+    end_date DATETIME NOT NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_vouchers_code (code),
+    CONSTRAINT fk_vouchers_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Payments (
+    payment_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    plan_id INT NULL,
+    voucher_id INT NULL,
+    original_amount INT NOT NULL,
+    discount_amount INT NOT NULL DEFAULT 0,
+    final_amount INT NOT NULL,
+    payment_method VARCHAR(20) NOT NULL,
+    description VARCHAR(255) NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    transaction_id VARCHAR(50) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_payments_transaction (transaction_id),
+    CONSTRAINT fk_payments_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_payments_plan FOREIGN KEY (plan_id) REFERENCES SubscriptionPlans (plan_id),
+    CONSTRAINT fk_payments_voucher FOREIGN KEY (voucher_id) REFERENCES Vouchers (voucher_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE Notifications (
+    notification_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NULL,
+    title VARCHAR(200) NOT NULL,
+    message TEXT NOT NULL,
+    type VARCHAR(50) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_notifications_user (user_id),
+    CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
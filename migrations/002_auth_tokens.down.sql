@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS StaffInvites;
+DROP TABLE IF EXISTS RefreshTokens;
+DROP TABLE IF EXISTS PasswordResetTokens;
+ALTER TABLE Users DROP COLUMN tokens_valid_after;
@@ -0,0 +1,51 @@
+-- Đặt lại mật khẩu bằng token, refresh token xoay vòng, thu hồi JWT và lời mời nhân sự
+
+ALTER TABLE Users ADD COLUMN tokens_valid_after DATETIME NULL;
+
+CREATE TABLE PasswordResetTokens (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_password_reset_token_hash (token_hash),
+    KEY idx_password_reset_user (user_id),
+    CONSTRAINT fk_password_reset_user FOREIGN KEY (user_id) REFERENCES Users (user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE RefreshTokens (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    device_id VARCHAR(100) NULL,
+    user_agent VARCHAR(255) NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    replaced_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_refresh_token_hash (token_hash),
+    KEY idx_refresh_tokens_family (family_id),
+    KEY idx_refresh_tokens_user_device (user_id, device_id),
+    CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES Users (user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE StaffInvites (
+    invite_id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    role ENUM('admin', 'employee') NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    invited_by INT NULL,
+    expires_at DATETIME NOT NULL,
+    accepted_at DATETIME NULL,
+    accepted_user_id INT NULL,
+    revoked_at DATETIME NULL,
+    last_sent_at DATETIME NULL,
+    send_count INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_staff_invites_code_hash (code_hash),
+    KEY idx_staff_invites_email (email),
+    CONSTRAINT fk_staff_invites_invited_by FOREIGN KEY (invited_by) REFERENCES Users (user_id) ON DELETE SET NULL,
+    CONSTRAINT fk_staff_invites_accepted_user FOREIGN KEY (accepted_user_id) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,13 @@
+-- Sự kiện webhook PayOS đã xử lý (chống xử lý trùng)
+
+CREATE TABLE PaymentWebhookEvents (
+    event_id INT AUTO_INCREMENT PRIMARY KEY,
+    event_key VARCHAR(191) NOT NULL,
+    order_code VARCHAR(50) NOT NULL,
+    code VARCHAR(10) NULL,
+    amount INT NULL,
+    payload JSON NOT NULL,
+    received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_payment_webhook_event_key (event_key),
+    KEY idx_payment_webhook_order (order_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
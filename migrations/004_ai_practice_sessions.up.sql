@@ -0,0 +1,24 @@
+-- Phiên luyện tập động tác tay có chấm điểm AI
+
+CREATE TABLE AIPracticeSessions (
+    session_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    lesson_id INT NOT NULL,
+    model_id INT NOT NULL,
+    motion_id INT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+    score DECIMAL(5, 2) NULL,
+    feedback JSON NULL,
+    frames LONGTEXT NULL,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    submitted_at DATETIME NULL,
+    review_comment TEXT NULL,
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    KEY idx_practice_sessions_user_lesson (user_id, lesson_id),
+    CONSTRAINT fk_practice_sessions_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_practice_sessions_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id),
+    CONSTRAINT fk_practice_sessions_model FOREIGN KEY (model_id) REFERENCES AI_Models (model_id),
+    CONSTRAINT fk_practice_sessions_motion FOREIGN KEY (motion_id) REFERENCES Hand_Motions (motion_id),
+    CONSTRAINT fk_practice_sessions_reviewer FOREIGN KEY (reviewed_by) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
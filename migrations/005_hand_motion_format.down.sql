@@ -0,0 +1,7 @@
+-- Không khôi phục được dữ liệu chỉ nằm trong motion_blob; các dòng đó bị để trống motion_data
+UPDATE Hand_Motions SET motion_data = '' WHERE motion_data IS NULL;
+
+ALTER TABLE Hand_Motions
+    DROP COLUMN motion_blob,
+    DROP COLUMN format_version,
+    MODIFY COLUMN motion_data LONGTEXT NOT NULL;
@@ -0,0 +1,7 @@
+-- Định dạng motion_data có phiên bản và bản ghi nhị phân nén (motion_blob)
+-- Dòng cũ giữ motion_data dạng text với format_version NULL (legacy)
+
+ALTER TABLE Hand_Motions
+    MODIFY COLUMN motion_data LONGTEXT NULL,
+    ADD COLUMN format_version INT NULL AFTER motion_data,
+    ADD COLUMN motion_blob LONGBLOB NULL AFTER format_version;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS AIModelCurrent;
+DROP TABLE IF EXISTS AIModelArtifacts;
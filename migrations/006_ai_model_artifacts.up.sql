@@ -0,0 +1,26 @@
+-- File của từng phiên bản mô hình AI và con trỏ phiên bản current theo model_name
+
+CREATE TABLE AIModelArtifacts (
+    artifact_id INT AUTO_INCREMENT PRIMARY KEY,
+    model_id INT NOT NULL,
+    file_name VARCHAR(128) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'other',
+    size_bytes BIGINT NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    storage_path VARCHAR(500) NOT NULL,
+    uploaded_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_model_artifacts_file (model_id, file_name),
+    CONSTRAINT fk_model_artifacts_model FOREIGN KEY (model_id) REFERENCES AI_Models (model_id),
+    CONSTRAINT fk_model_artifacts_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE AIModelCurrent (
+    model_name VARCHAR(100) PRIMARY KEY,
+    model_id INT NOT NULL,
+    updated_by INT NULL,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_model_current_model (model_id),
+    CONSTRAINT fk_model_current_model FOREIGN KEY (model_id) REFERENCES AI_Models (model_id),
+    CONSTRAINT fk_model_current_updated_by FOREIGN KEY (updated_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+ALTER TABLE Lessons
+    DROP FOREIGN KEY fk_lessons_section,
+    DROP KEY idx_lessons_course_section,
+    DROP COLUMN duration_seconds,
+    DROP COLUMN position,
+    DROP COLUMN section_id;
+
+DROP TABLE IF EXISTS CourseSections;
@@ -0,0 +1,27 @@
+-- Chương (section) trong khóa học, thứ tự bài học trong chương và thời lượng bài học
+
+CREATE TABLE CourseSections (
+    section_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    section_name VARCHAR(200) NOT NULL,
+    description TEXT NULL,
+    position INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_course_sections_course (course_id, position),
+    CONSTRAINT fk_course_sections_course FOREIGN KEY (course_id) REFERENCES Courses (course_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE Lessons
+    ADD COLUMN section_id INT NULL AFTER course_id,
+    ADD COLUMN position INT NOT NULL DEFAULT 0 AFTER section_id,
+    ADD COLUMN duration_seconds INT NULL AFTER picture_url,
+    ADD KEY idx_lessons_course_section (course_id, section_id, position),
+    ADD CONSTRAINT fk_lessons_section FOREIGN KEY (section_id) REFERENCES CourseSections (section_id);
+
+-- Bài học hiện có chưa thuộc chương nào: đánh số theo thứ tự tạo trong từng khóa học
+UPDATE Lessons l
+JOIN (
+    SELECT lesson_id, ROW_NUMBER() OVER (PARTITION BY course_id ORDER BY created_at, lesson_id) AS rn
+    FROM Lessons
+) ordered ON l.lesson_id = ordered.lesson_id
+SET l.position = ordered.rn;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS LessonUnlockOverrides;
+DROP TABLE IF EXISTS LessonPrerequisites;
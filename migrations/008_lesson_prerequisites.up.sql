@@ -0,0 +1,27 @@
+-- Điều kiện tiên quyết giữa các bài học và mở khóa thủ công cho từng học viên
+
+CREATE TABLE LessonPrerequisites (
+    lesson_id INT NOT NULL,
+    required_lesson_id INT NOT NULL,
+    min_score DECIMAL(5, 2) NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lesson_id, required_lesson_id),
+    KEY idx_lesson_prerequisites_required (required_lesson_id),
+    CONSTRAINT fk_lesson_prerequisites_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id) ON DELETE CASCADE,
+    CONSTRAINT fk_lesson_prerequisites_required FOREIGN KEY (required_lesson_id) REFERENCES Lessons (lesson_id),
+    CONSTRAINT fk_lesson_prerequisites_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE LessonUnlockOverrides (
+    user_id INT NOT NULL,
+    lesson_id INT NOT NULL,
+    reason VARCHAR(255) NULL,
+    granted_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, lesson_id),
+    KEY idx_lesson_unlock_overrides_lesson (lesson_id),
+    CONSTRAINT fk_lesson_unlock_overrides_user FOREIGN KEY (user_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_lesson_unlock_overrides_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id) ON DELETE CASCADE,
+    CONSTRAINT fk_lesson_unlock_overrides_granted_by FOREIGN KEY (granted_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
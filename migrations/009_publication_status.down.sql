@@ -0,0 +1,11 @@
+ALTER TABLE Lessons
+    DROP KEY idx_lessons_status_publish_at,
+    DROP COLUMN published_at,
+    DROP COLUMN publish_at,
+    DROP COLUMN status;
+
+ALTER TABLE Courses
+    DROP KEY idx_courses_status_publish_at,
+    DROP COLUMN published_at,
+    DROP COLUMN publish_at,
+    DROP COLUMN status;
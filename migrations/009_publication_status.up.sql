@@ -0,0 +1,17 @@
+-- Trạng thái xuất bản (nháp / hẹn giờ / đã xuất bản / lưu trữ) cho khóa học và bài học
+
+ALTER TABLE Courses
+    ADD COLUMN status ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'draft' AFTER is_free,
+    ADD COLUMN publish_at DATETIME NULL AFTER status,
+    ADD COLUMN published_at DATETIME NULL AFTER publish_at,
+    ADD KEY idx_courses_status_publish_at (status, publish_at);
+
+ALTER TABLE Lessons
+    ADD COLUMN status ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'draft' AFTER is_free,
+    ADD COLUMN publish_at DATETIME NULL AFTER status,
+    ADD COLUMN published_at DATETIME NULL AFTER publish_at,
+    ADD KEY idx_lessons_status_publish_at (status, publish_at);
+
+-- Nội dung đã có trước đây vốn hiển thị ngay cho khách hàng: coi như đã xuất bản
+UPDATE Courses SET status = 'published', published_at = created_at;
+UPDATE Lessons SET status = 'published', published_at = created_at;
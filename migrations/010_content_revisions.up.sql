@@ -0,0 +1,17 @@
+-- Lịch sử chỉnh sửa bất biến của khóa học, bài học và tài nguyên
+-- Không có khóa ngoại tới bảng nội dung để lịch sử còn lại cả khi nội dung đã bị xóa
+
+CREATE TABLE ContentRevisions (
+    revision_id INT AUTO_INCREMENT PRIMARY KEY,
+    entity_type ENUM('course', 'lesson', 'resource') NOT NULL,
+    entity_id INT NOT NULL,
+    revision_number INT NOT NULL,
+    action ENUM('baseline', 'create', 'update', 'restore') NOT NULL,
+    snapshot JSON NOT NULL,
+    changed_fields JSON NOT NULL,
+    restored_from INT NULL,
+    edited_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_content_revisions_number (entity_type, entity_id, revision_number),
+    CONSTRAINT fk_content_revisions_edited_by FOREIGN KEY (edited_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,20 @@
+-- Chỉ mục tìm kiếm: mỗi khóa học/bài học/tài nguyên/bình luận là một tài liệu
+-- search_text là tiêu đề + nội dung đã bỏ dấu tiếng Việt và viết thường (xem services/searchService.js).
+-- Sau khi chạy migration này, chạy `npm run search:reindex` để lập chỉ mục cho dữ liệu đã có.
+
+CREATE TABLE SearchDocuments (
+    doc_id INT AUTO_INCREMENT PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL,
+    entity_id INT NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    body TEXT NULL,
+    search_text TEXT NOT NULL,
+    course_id INT NULL,
+    lesson_id INT NULL,
+    level VARCHAR(50) NULL,
+    is_free TINYINT(1) NOT NULL DEFAULT 0,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_search_documents_entity (entity_type, entity_id),
+    KEY idx_search_documents_course (course_id),
+    KEY idx_search_documents_lesson (lesson_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
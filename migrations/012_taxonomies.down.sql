@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS ContentTags;
+DROP TABLE IF EXISTS Tags;
@@ -0,0 +1,26 @@
+-- Phân loại có quản lý: nhạc cụ, kỹ thuật, thể loại
+-- ContentTags gắn thẻ nhiều-nhiều cho khóa học, bài học và hand motion (không có khóa ngoại tới bảng nội dung;
+-- route xóa nội dung tự dọn thẻ). Xóa/gộp thẻ thì các dòng gắn thẻ cũ bị xóa theo (ON DELETE CASCADE).
+
+CREATE TABLE Tags (
+    tag_id INT AUTO_INCREMENT PRIMARY KEY,
+    taxonomy ENUM('instrument', 'technique', 'genre') NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) NOT NULL,
+    description VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_tags_taxonomy_slug (taxonomy, slug)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE ContentTags (
+    entity_type ENUM('course', 'lesson', 'hand_motion') NOT NULL,
+    entity_id INT NOT NULL,
+    tag_id INT NOT NULL,
+    tagged_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (entity_type, entity_id, tag_id),
+    KEY idx_content_tags_tag (tag_id, entity_type, entity_id),
+    CONSTRAINT fk_content_tags_tag FOREIGN KEY (tag_id) REFERENCES Tags (tag_id) ON DELETE CASCADE,
+    CONSTRAINT fk_content_tags_tagged_by FOREIGN KEY (tagged_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
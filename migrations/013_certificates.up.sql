@@ -0,0 +1,25 @@
+-- Chứng chỉ hoàn thành khóa học
+-- Mỗi học viên có tối đa một chứng chỉ cho mỗi khóa học (cấp lại trả về chứng chỉ cũ).
+-- Tên học viên, khóa học và giảng viên được lưu lại lúc cấp để chứng chỉ không đổi khi dữ liệu gốc đổi.
+
+CREATE TABLE Certificates (
+    certificate_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    course_id INT NOT NULL,
+    verification_code VARCHAR(32) NOT NULL,
+    student_name VARCHAR(100) NOT NULL,
+    course_name VARCHAR(200) NOT NULL,
+    instructor_name VARCHAR(100) NULL,
+    lesson_count INT NOT NULL,
+    completed_at DATETIME NOT NULL,
+    issued_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME NULL,
+    revoked_by INT NULL,
+    revoke_reason VARCHAR(255) NULL,
+    UNIQUE KEY uq_certificates_code (verification_code),
+    UNIQUE KEY uq_certificates_user_course (user_id, course_id),
+    KEY idx_certificates_course (course_id),
+    CONSTRAINT fk_certificates_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_certificates_course FOREIGN KEY (course_id) REFERENCES Courses (course_id),
+    CONSTRAINT fk_certificates_revoked_by FOREIGN KEY (revoked_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
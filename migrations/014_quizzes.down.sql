@@ -0,0 +1,7 @@
+ALTER TABLE LessonProgress
+    DROP COLUMN quiz_passed_at,
+    DROP COLUMN quiz_best_score;
+
+DROP TABLE IF EXISTS QuizAttempts;
+DROP TABLE IF EXISTS QuizQuestions;
+DROP TABLE IF EXISTS Quizzes;
@@ -0,0 +1,59 @@
+-- Bài kiểm tra (quiz) gắn với bài học: câu hỏi một/nhiều lựa chọn, sắp xếp thứ tự, nghe âm thanh và chọn đáp án
+-- Mỗi bài học có tối đa một quiz. Lượt làm bài được chấm trên server; điểm cao nhất ghi vào LessonProgress.
+
+CREATE TABLE Quizzes (
+    quiz_id INT AUTO_INCREMENT PRIMARY KEY,
+    lesson_id INT NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT NULL,
+    pass_score DECIMAL(5,2) NOT NULL DEFAULT 70.00,
+    max_attempts INT NULL,
+    required_for_completion TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_quizzes_lesson (lesson_id),
+    CONSTRAINT fk_quizzes_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id),
+    CONSTRAINT fk_quizzes_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- options: [{ "id": "a", "text": "Hò" }, ...]
+-- correct_answer: id đáp án (single_choice, audio_prompt), mảng id (multiple_choice) hoặc mảng id theo đúng thứ tự (ordering)
+CREATE TABLE QuizQuestions (
+    question_id INT AUTO_INCREMENT PRIMARY KEY,
+    quiz_id INT NOT NULL,
+    position INT NOT NULL,
+    question_type ENUM('single_choice', 'multiple_choice', 'ordering', 'audio_prompt') NOT NULL,
+    prompt TEXT NOT NULL,
+    audio_url VARCHAR(500) NULL,
+    options JSON NOT NULL,
+    correct_answer JSON NOT NULL,
+    points INT NOT NULL DEFAULT 1,
+    explanation TEXT NULL,
+    KEY idx_quiz_questions_quiz (quiz_id, position),
+    CONSTRAINT fk_quiz_questions_quiz FOREIGN KEY (quiz_id) REFERENCES Quizzes (quiz_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE QuizAttempts (
+    attempt_id INT AUTO_INCREMENT PRIMARY KEY,
+    quiz_id INT NOT NULL,
+    user_id INT NOT NULL,
+    attempt_number INT NOT NULL,
+    status ENUM('in_progress', 'submitted') NOT NULL DEFAULT 'in_progress',
+    answers JSON NULL,
+    earned_points INT NULL,
+    total_points INT NULL,
+    score DECIMAL(5,2) NULL,
+    passed TINYINT(1) NULL,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    submitted_at DATETIME NULL,
+    UNIQUE KEY uq_quiz_attempts_number (quiz_id, user_id, attempt_number),
+    KEY idx_quiz_attempts_user (user_id),
+    CONSTRAINT fk_quiz_attempts_quiz FOREIGN KEY (quiz_id) REFERENCES Quizzes (quiz_id) ON DELETE CASCADE,
+    CONSTRAINT fk_quiz_attempts_user FOREIGN KEY (user_id) REFERENCES Users (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Điểm quiz cao nhất của học viên trên bài học
+ALTER TABLE LessonProgress
+    ADD COLUMN quiz_best_score DECIMAL(5,2) NULL AFTER status,
+    ADD COLUMN quiz_passed_at DATETIME NULL AFTER quiz_best_score;
@@ -0,0 +1,6 @@
+ALTER TABLE LessonProgress
+    DROP COLUMN assignment_passed_at,
+    DROP COLUMN assignment_best_score;
+
+DROP TABLE IF EXISTS AssignmentSubmissions;
+DROP TABLE IF EXISTS Assignments;
@@ -0,0 +1,54 @@
+-- Bài tập thu âm/quay video gắn với bài học, giáo viên chấm theo rubric kèm nhận xét theo mốc thời gian
+-- File bài nộp lưu trên ổ đĩa (SUBMISSION_STORAGE_DIR), bảng chỉ giữ đường dẫn tương đối và checksum.
+
+-- rubric: [{ "key": "nhip", "label": "Giữ nhịp", "max_score": 10 }, ...]
+CREATE TABLE Assignments (
+    assignment_id INT AUTO_INCREMENT PRIMARY KEY,
+    lesson_id INT NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    instructions TEXT NULL,
+    submission_type ENUM('audio', 'video', 'any') NOT NULL DEFAULT 'any',
+    rubric JSON NOT NULL,
+    pass_score DECIMAL(5,2) NOT NULL DEFAULT 60.00,
+    required_for_completion TINYINT(1) NOT NULL DEFAULT 0,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_assignments_lesson (lesson_id),
+    CONSTRAINT fk_assignments_lesson FOREIGN KEY (lesson_id) REFERENCES Lessons (lesson_id),
+    CONSTRAINT fk_assignments_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- rubric_scores: { "nhip": 8, ... }; timestamped_feedback: [{ "at_seconds": 12.5, "comment": "..." }, ...]
+-- Nộp bài mới khi bài trước chưa chấm thì bài trước chuyển sang superseded
+CREATE TABLE AssignmentSubmissions (
+    submission_id INT AUTO_INCREMENT PRIMARY KEY,
+    assignment_id INT NOT NULL,
+    user_id INT NOT NULL,
+    attempt_number INT NOT NULL,
+    status ENUM('submitted', 'graded', 'superseded') NOT NULL DEFAULT 'submitted',
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    storage_path VARCHAR(500) NOT NULL,
+    note TEXT NULL,
+    rubric_scores JSON NULL,
+    score DECIMAL(5,2) NULL,
+    passed TINYINT(1) NULL,
+    feedback TEXT NULL,
+    timestamped_feedback JSON NULL,
+    graded_by INT NULL,
+    graded_at DATETIME NULL,
+    submitted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_assignment_submissions_attempt (assignment_id, user_id, attempt_number),
+    KEY idx_assignment_submissions_status (status, submitted_at),
+    KEY idx_assignment_submissions_user (user_id),
+    CONSTRAINT fk_assignment_submissions_assignment FOREIGN KEY (assignment_id) REFERENCES Assignments (assignment_id),
+    CONSTRAINT fk_assignment_submissions_user FOREIGN KEY (user_id) REFERENCES Users (user_id),
+    CONSTRAINT fk_assignment_submissions_graded_by FOREIGN KEY (graded_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Điểm bài tập cao nhất của học viên trên bài học
+ALTER TABLE LessonProgress
+    ADD COLUMN assignment_best_score DECIMAL(5,2) NULL AFTER quiz_passed_at,
+    ADD COLUMN assignment_passed_at DATETIME NULL AFTER assignment_best_score;
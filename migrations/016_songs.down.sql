@@ -0,0 +1,4 @@
+DELETE FROM SearchDocuments WHERE entity_type = 'song';
+DROP TABLE IF EXISTS SongFavorites;
+DROP TABLE IF EXISTS SongLinks;
+DROP TABLE IF EXISTS Songs;
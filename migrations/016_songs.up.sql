@@ -0,0 +1,44 @@
+-- Thư viện bài bản truyền thống: mỗi bài bản liên kết tới bài học, tài nguyên và hand motion mẫu dạy nó
+-- Thể loại dùng thẻ taxonomy 'genre' (Tags); SongLinks không có khóa ngoại tới bảng nội dung,
+-- route xóa nội dung tự dọn liên kết (giống ContentTags).
+
+CREATE TABLE Songs (
+    song_id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    region ENUM('bac', 'trung', 'nam') NULL,
+    origin VARCHAR(150) NULL,
+    genre_tag_id INT NULL,
+    mode ENUM('bac', 'nam', 'oan') NULL,
+    tuning VARCHAR(100) NULL,
+    difficulty TINYINT NOT NULL DEFAULT 1,
+    composer VARCHAR(150) NULL,
+    collector VARCHAR(150) NULL,
+    description TEXT NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_songs_filters (region, mode, difficulty),
+    KEY idx_songs_genre (genre_tag_id),
+    CONSTRAINT fk_songs_genre FOREIGN KEY (genre_tag_id) REFERENCES Tags (tag_id) ON DELETE SET NULL,
+    CONSTRAINT fk_songs_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE SongLinks (
+    song_id INT NOT NULL,
+    entity_type ENUM('lesson', 'resource', 'hand_motion') NOT NULL,
+    entity_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (song_id, entity_type, entity_id),
+    KEY idx_song_links_entity (entity_type, entity_id),
+    CONSTRAINT fk_song_links_song FOREIGN KEY (song_id) REFERENCES Songs (song_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE SongFavorites (
+    user_id INT NOT NULL,
+    song_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, song_id),
+    KEY idx_song_favorites_song (song_id),
+    CONSTRAINT fk_song_favorites_user FOREIGN KEY (user_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_song_favorites_song FOREIGN KEY (song_id) REFERENCES Songs (song_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
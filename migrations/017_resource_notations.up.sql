@@ -0,0 +1,17 @@
+-- Bản nhạc dạng văn bản gắn với tài nguyên (sheet nhạc): lưu một lần theo hệ ký âm gốc,
+-- API chuyển sang Hò Xự Xang / ký âm số / khuông nhạc / ABC / MusicXML khi đọc (xem services/notationService.js).
+
+CREATE TABLE ResourceNotations (
+    resource_id INT PRIMARY KEY,
+    notation_system ENUM('ho_xu_xang', 'numbered', 'staff') NOT NULL,
+    source MEDIUMTEXT NOT NULL,
+    tonic VARCHAR(4) NOT NULL DEFAULT 'C4',
+    mode ENUM('bac', 'nam', 'oan') NOT NULL DEFAULT 'bac',
+    meter VARCHAR(5) NOT NULL DEFAULT '4/4',
+    tempo SMALLINT NULL,
+    updated_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_resource_notations_resource FOREIGN KEY (resource_id) REFERENCES Resources (resource_id) ON DELETE CASCADE,
+    CONSTRAINT fk_resource_notations_updated_by FOREIGN KEY (updated_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,19 @@
+-- Hồ sơ lên dây đàn tranh: tần số chuẩn của từng dây (điệu Bắc/Nam/Oán sinh tự động hoặc tự chọn),
+-- dùng cho máy lên dây và chấm độ chuẩn cao độ (xem services/tuningService.js, services/pitchAnalysis.js).
+
+CREATE TABLE TuningProfiles (
+    profile_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    string_count TINYINT NOT NULL,
+    mode ENUM('bac', 'nam', 'oan', 'custom') NOT NULL DEFAULT 'bac',
+    base_note VARCHAR(4) NULL,
+    reference_hz DECIMAL(5,2) NOT NULL DEFAULT 440.00,
+    strings JSON NOT NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_tuning_profiles_name (name),
+    KEY idx_tuning_profiles_string_count (string_count, mode),
+    CONSTRAINT fk_tuning_profiles_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
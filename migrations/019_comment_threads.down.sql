@@ -0,0 +1,20 @@
+-- Câu trả lời không có rate nên bị xóa trước khi khôi phục cột rate NOT NULL
+DELETE FROM SearchDocuments
+WHERE entity_type = 'comment' AND entity_id IN (SELECT comment_id FROM Comments WHERE parent_comment_id IS NOT NULL);
+DELETE FROM Comments WHERE parent_comment_id IS NOT NULL;
+
+ALTER TABLE Comments
+    DROP FOREIGN KEY fk_comments_parent,
+    DROP FOREIGN KEY fk_comments_root,
+    DROP FOREIGN KEY fk_comments_resolved_by,
+    DROP KEY idx_comments_lesson_threads,
+    DROP KEY idx_comments_root,
+    DROP COLUMN parent_comment_id,
+    DROP COLUMN root_comment_id,
+    DROP COLUMN depth,
+    DROP COLUMN is_instructor_answer,
+    DROP COLUMN is_resolved,
+    DROP COLUMN resolved_by,
+    DROP COLUMN resolved_at,
+    DROP COLUMN updated_at,
+    MODIFY rate TINYINT NOT NULL;
@@ -0,0 +1,19 @@
+-- Bình luận dạng luồng: trả lời lồng nhau (parent_comment_id), câu trả lời của giảng viên và đánh dấu đã giải quyết.
+-- root_comment_id/depth lưu sẵn để đếm và phân trang câu trả lời của một luồng không cần truy vấn đệ quy.
+-- Chỉ bình luận gốc có rate; câu trả lời để NULL.
+
+ALTER TABLE Comments
+    MODIFY rate TINYINT NULL,
+    ADD COLUMN parent_comment_id INT NULL AFTER lesson_id,
+    ADD COLUMN root_comment_id INT NULL AFTER parent_comment_id,
+    ADD COLUMN depth TINYINT NOT NULL DEFAULT 0 AFTER root_comment_id,
+    ADD COLUMN is_instructor_answer TINYINT(1) NOT NULL DEFAULT 0 AFTER rate,
+    ADD COLUMN is_resolved TINYINT(1) NOT NULL DEFAULT 0 AFTER is_instructor_answer,
+    ADD COLUMN resolved_by INT NULL AFTER is_resolved,
+    ADD COLUMN resolved_at DATETIME NULL AFTER resolved_by,
+    ADD COLUMN updated_at DATETIME NULL AFTER created_at,
+    ADD KEY idx_comments_lesson_threads (lesson_id, parent_comment_id, created_at),
+    ADD KEY idx_comments_root (root_comment_id, created_at),
+    ADD CONSTRAINT fk_comments_parent FOREIGN KEY (parent_comment_id) REFERENCES Comments (comment_id) ON DELETE CASCADE,
+    ADD CONSTRAINT fk_comments_root FOREIGN KEY (root_comment_id) REFERENCES Comments (comment_id) ON DELETE CASCADE,
+    ADD CONSTRAINT fk_comments_resolved_by FOREIGN KEY (resolved_by) REFERENCES Users (user_id) ON DELETE SET NULL;
@@ -2,6 +2,61 @@ const express = require("express");
 const router = express.Router();
 const { pool } = require("../db"); // Import pool từ db.js mới
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const {
+    maxArtifactBytes,
+    validateFileName,
+    sha256,
+    saveArtifact,
+    resolveStoragePath,
+    removeArtifact,
+    removeModelDirectory,
+} = require("../services/modelArtifactStorage");
+
+const ARTIFACT_KINDS = ["model", "weights", "labels", "config", "other"];
+
+// File mô hình gửi lên dưới dạng body nhị phân (Content-Type: application/octet-stream)
+const rawUpload = express.raw({ type: "application/octet-stream", limit: maxArtifactBytes() });
+const uploadArtifact = (req, res, next) => rawUpload(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+        return res.status(413).json({ message: `File vượt quá giới hạn ${Math.round(maxArtifactBytes() / 1024 / 1024)} MB` });
+    }
+    next(err);
+});
+
+// Lấy mô hình kèm cờ is_current (phiên bản đang được client sử dụng)
+const findModel = async (db, modelId) => {
+    const [rows] = await db.query(
+        `SELECT m.*, EXISTS(SELECT 1 FROM AIModelCurrent cur WHERE cur.model_id = m.model_id) AS is_current
+         FROM AI_Models m
+         WHERE m.model_id = ?`,
+        [modelId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Manifest của một phiên bản: danh sách file kèm kích thước, SHA-256 và đường dẫn tải
+ */
+const buildManifest = async (model) => {
+    const [files] = await pool.query(
+        `SELECT file_name, kind, size_bytes, sha256, created_at
+         FROM AIModelArtifacts WHERE model_id = ? ORDER BY file_name`,
+        [model.model_id]
+    );
+    return {
+        model_id: model.model_id,
+        model_name: model.model_name,
+        version: model.version,
+        is_current: Boolean(Number(model.is_current)),
+        total_bytes: files.reduce((sum, f) => sum + Number(f.size_bytes), 0),
+        // Thay đổi khi bất kỳ file nào thay đổi → client biết khi nào cần tải lại
+        manifest_sha256: sha256(files.map((f) => `${f.file_name}:${f.sha256}`).join("\n")),
+        files: files.map((f) => ({
+            ...f,
+            url: `/api/ai-models/${model.model_id}/artifacts/${encodeURIComponent(f.file_name)}`,
+        })),
+    };
+};
 
 // GET /api/ai-models/ping (Kiểm tra API)
 router.get("/ping", (req, res) => {
@@ -12,7 +67,13 @@ router.get("/ping", (req, res) => {
 // Thường thì mọi người dùng đã login có thể xem danh sách này
 router.get("/", verifyToken, async (req, res) => {
     try {
-        const sqlQuery = "SELECT * FROM AI_Models ORDER BY created_at DESC";
+        const sqlQuery = `
+            SELECT m.*,
+                   EXISTS(SELECT 1 FROM AIModelCurrent cur WHERE cur.model_id = m.model_id) AS is_current,
+                   (SELECT COUNT(*) FROM AIModelArtifacts a WHERE a.model_id = m.model_id) AS artifact_count
+            FROM AI_Models m
+            ORDER BY m.created_at DESC
+        `;
         const [rows] = await pool.query(sqlQuery);
         res.json(rows);
     } catch (err) {
@@ -21,17 +82,35 @@ router.get("/", verifyToken, async (req, res) => {
     }
 });
 
+// GET /api/ai-models/current/:model_name (Manifest phiên bản đang dùng của một mô hình - client tải theo đây)
+router.get("/current/:model_name", verifyToken, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT m.*, 1 AS is_current
+             FROM AIModelCurrent cur
+             JOIN AI_Models m ON cur.model_id = m.model_id
+             WHERE cur.model_name = ?`,
+            [req.params.model_name]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: "Mô hình chưa có phiên bản current." });
+        }
+        res.json(await buildManifest(rows[0]));
+    } catch (err) {
+        console.error("❌ Lỗi GET /ai-models/current/:model_name:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
 // GET /api/ai-models/:id (Lấy mô hình theo ID)
 router.get("/:id", verifyToken, async (req, res) => {
     try {
-        const modelId = req.params.id;
-        const sqlQuery = "SELECT * FROM AI_Models WHERE model_id = ?";
-        const [rows] = await pool.query(sqlQuery, [modelId]);
+        const model = await findModel(pool, req.params.id);
 
-        if (rows.length === 0) {
+        if (!model) {
             return res.status(404).json({ message: "Không tìm thấy mô hình AI" });
         }
-        res.json(rows[0]);
+        res.json(model);
     } catch (err) {
         console.error("❌ Lỗi GET /ai-models/:id:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
@@ -83,6 +162,12 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
     }
 
     try {
+        // Con trỏ current gắn với model_name, nên không cho đổi tên phiên bản đang là current
+        const model = await findModel(pool, modelId);
+        if (model && Number(model.is_current) && model.model_name !== model_name) {
+            return res.status(409).json({ message: "Không thể đổi tên phiên bản đang là current. Hãy chuyển current sang phiên bản khác trước." });
+        }
+
         const sqlUpdate = `
             UPDATE AI_Models
             SET model_name = ?,
@@ -109,8 +194,146 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
     }
 });
 
+// GET /api/ai-models/:id/manifest (Manifest của một phiên bản)
+router.get("/:id/manifest", verifyToken, async (req, res) => {
+    try {
+        const model = await findModel(pool, req.params.id);
+        if (!model) return res.status(404).json({ message: "Không tìm thấy mô hình AI" });
+
+        res.json(await buildManifest(model));
+    } catch (err) {
+        console.error("❌ Lỗi GET /ai-models/:id/manifest:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/ai-models/:id/artifacts?file_name=&kind= (Tải file mô hình lên - Admin/Employee)
+// Body là nội dung file (application/octet-stream); header X-Checksum-Sha256 (tùy chọn) để kiểm tra toàn vẹn
+router.post("/:id/artifacts", verifyToken, authorizeRoles("admin", "employee"), uploadArtifact, async (req, res) => {
+    const fileName = req.query.file_name;
+    const kind = req.query.kind || "other";
+
+    const fileNameError = validateFileName(fileName);
+    if (fileNameError) return res.status(400).json({ message: fileNameError });
+    if (!ARTIFACT_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `kind không hợp lệ. Chỉ chấp nhận: ${ARTIFACT_KINDS.join(", ")}` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: "Thiếu nội dung file. Gửi file trong body với Content-Type: application/octet-stream" });
+    }
+
+    const checksum = sha256(req.body);
+    const expected = req.get("x-checksum-sha256");
+    if (expected && expected.toLowerCase() !== checksum) {
+        return res.status(400).json({ message: "Checksum không khớp, file có thể bị lỗi khi tải lên.", expected, actual: checksum });
+    }
+
+    try {
+        const model = await findModel(pool, req.params.id);
+        if (!model) return res.status(404).json({ message: "Không tìm thấy mô hình AI" });
+        // Phiên bản current là bất biến để client đã tải không bị lệch checksum
+        if (Number(model.is_current)) {
+            return res.status(409).json({ message: "Phiên bản đang là current, không thể thay đổi file. Hãy tạo phiên bản mới." });
+        }
+
+        const saved = await saveArtifact(model.model_id, fileName, req.body);
+        await pool.query(
+            `INSERT INTO AIModelArtifacts (model_id, file_name, kind, size_bytes, sha256, storage_path, uploaded_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE kind = VALUES(kind), size_bytes = VALUES(size_bytes), sha256 = VALUES(sha256),
+                                     storage_path = VALUES(storage_path), uploaded_by = VALUES(uploaded_by), created_at = NOW()`,
+            [model.model_id, fileName, kind, saved.size_bytes, saved.sha256, saved.storage_path, req.user.id]
+        );
+
+        res.status(201).json({
+            message: "✅ Tải file mô hình thành công",
+            artifact: { file_name: fileName, kind, size_bytes: saved.size_bytes, sha256: saved.sha256 },
+        });
+    } catch (err) {
+        console.error("❌ Lỗi POST /ai-models/:id/artifacts:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/ai-models/:id/artifacts/:file_name (Tải file mô hình về)
+router.get("/:id/artifacts/:file_name", verifyToken, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            "SELECT file_name, sha256, storage_path FROM AIModelArtifacts WHERE model_id = ? AND file_name = ?",
+            [req.params.id, req.params.file_name]
+        );
+        if (rows.length === 0) return res.status(404).json({ message: "Không tìm thấy file mô hình." });
+
+        const artifact = rows[0];
+        res.set({ ETag: `"${artifact.sha256}"`, "X-Checksum-Sha256": artifact.sha256 });
+        if (req.fresh) return res.status(304).end();
+
+        res.attachment(artifact.file_name);
+        res.sendFile(resolveStoragePath(artifact.storage_path), (err) => {
+            if (err && !res.headersSent) {
+                console.error("❌ Lỗi đọc file mô hình:", err.message);
+                res.status(404).json({ message: "File mô hình không còn trên máy chủ." });
+            }
+        });
+    } catch (err) {
+        console.error("❌ Lỗi GET /ai-models/:id/artifacts/:file_name:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/ai-models/:id/artifacts/:file_name (Xóa một file của phiên bản - Admin/Employee)
+router.delete("/:id/artifacts/:file_name", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    try {
+        const model = await findModel(pool, req.params.id);
+        if (!model) return res.status(404).json({ message: "Không tìm thấy mô hình AI" });
+        if (Number(model.is_current)) {
+            return res.status(409).json({ message: "Phiên bản đang là current, không thể xóa file." });
+        }
+
+        const [rows] = await pool.query(
+            "SELECT artifact_id, storage_path FROM AIModelArtifacts WHERE model_id = ? AND file_name = ?",
+            [model.model_id, req.params.file_name]
+        );
+        if (rows.length === 0) return res.status(404).json({ message: "Không tìm thấy file mô hình." });
+
+        await pool.query("DELETE FROM AIModelArtifacts WHERE artifact_id = ?", [rows[0].artifact_id]);
+        await removeArtifact(rows[0].storage_path);
+
+        res.json({ message: "✅ Đã xóa file mô hình." });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /ai-models/:id/artifacts/:file_name:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/ai-models/:id/set-current (Chọn phiên bản client sẽ tải cho model_name này - Admin only)
+router.put("/:id/set-current", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    try {
+        const model = await findModel(pool, req.params.id);
+        if (!model) return res.status(404).json({ message: "Không tìm thấy mô hình AI" });
+
+        const [countRows] = await pool.query("SELECT COUNT(*) AS count FROM AIModelArtifacts WHERE model_id = ?", [model.model_id]);
+        if (countRows[0].count === 0) {
+            return res.status(400).json({ message: "Phiên bản chưa có file nào, không thể đặt làm current." });
+        }
+
+        await pool.query(
+            `INSERT INTO AIModelCurrent (model_name, model_id, updated_by, updated_at)
+             VALUES (?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE model_id = VALUES(model_id), updated_by = VALUES(updated_by), updated_at = NOW()`,
+            [model.model_name, model.model_id, req.user.id]
+        );
+
+        res.json({ message: `✅ ${model.model_name} đang dùng phiên bản ${model.version}`, model_id: model.model_id });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /ai-models/:id/set-current:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
 // DELETE /api/ai-models/:id (Xóa mô hình - Admin/Employee)
 router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    let connection;
     try {
         const modelId = req.params.id;
 
@@ -120,12 +343,26 @@ router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (r
             return res.status(400).json({ message: "Không thể xóa mô hình này.", reason: "Mô hình đang được sử dụng trong các bài tập Hand Motions." });
         }
 
-        // Tiến hành xóa
-        const [result] = await pool.query("DELETE FROM AI_Models WHERE model_id = ?", [modelId]);
-
-        if (result.affectedRows === 0) {
+        const model = await findModel(pool, modelId);
+        if (!model) {
             return res.status(404).json({ message: "Không tìm thấy mô hình AI." });
         }
+        if (Number(model.is_current)) {
+            return res.status(400).json({ message: "Không thể xóa mô hình này.", reason: "Đây là phiên bản current mà client đang tải." });
+        }
+
+        // Tiến hành xóa (file trên đĩa chỉ bị xóa sau khi DB đã commit)
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        try {
+            await connection.query("DELETE FROM AIModelArtifacts WHERE model_id = ?", [modelId]);
+            await connection.query("DELETE FROM AI_Models WHERE model_id = ?", [modelId]);
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+        await removeModelDirectory(modelId);
 
         res.json({ message: "✅ Xóa mô hình AI thành công." });
     } catch (err) {
@@ -134,6 +371,8 @@ router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (r
              return res.status(400).json({ message: "Không thể xóa mô hình do ràng buộc dữ liệu.", reason: "Lỗi khóa ngoại (có thể từ bảng Hand_Motions)." });
         }
         res.status(500).json({ message: "Lỗi máy chủ" });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
@@ -0,0 +1,333 @@
+const express = require("express");
+const router = express.Router();
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { visibleCondition } = require("../services/publishingService");
+const {
+    parseAssignmentSettings, acceptsMediaType, createSubmission, gradeSubmission,
+} = require("../services/assignmentService");
+const {
+    MEDIA_TYPES, maxSubmissionBytes, normalizeMediaType, saveSubmission, resolveSubmissionPath, removeSubmissionFile,
+} = require("../services/submissionStorage");
+const { parseId, fromJson } = require("../services/queryHelpers");
+
+const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+const assignmentAccess = requireLessonAccess(lessonIdFrom("Assignments", "assignment_id"));
+
+// File bài nộp gửi lên dưới dạng body nhị phân (Content-Type: audio/... hoặc video/...)
+const rawUpload = express.raw({ type: ["audio/*", "video/*"], limit: maxSubmissionBytes() });
+const uploadSubmission = (req, res, next) => rawUpload(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+        return res.status(413).json({ message: `File vượt quá giới hạn ${Math.round(maxSubmissionBytes() / 1024 / 1024)} MB` });
+    }
+    next(err);
+});
+
+const ASSIGNMENT_COLUMNS = `a.assignment_id, a.lesson_id, a.title, a.instructions, a.submission_type, a.rubric,
+    a.pass_score, a.required_for_completion, a.created_at, a.updated_at`;
+
+const SUBMISSION_COLUMNS = `s.submission_id, s.assignment_id, s.user_id, s.attempt_number, s.status, s.mime_type,
+    s.size_bytes, s.sha256, s.note, s.rubric_scores, s.score, s.passed, s.feedback, s.timestamped_feedback,
+    s.graded_by, s.graded_at, s.submitted_at`;
+
+const assignmentRow = (row) => ({ ...row, rubric: fromJson(row.rubric) });
+const submissionRow = (row) => ({
+    ...row,
+    rubric_scores: fromJson(row.rubric_scores),
+    timestamped_feedback: fromJson(row.timestamped_feedback),
+    file_url: `/api/assignments/submissions/${row.submission_id}/file`,
+});
+
+/**
+ * Đọc bài nộp mà user được xem (chủ bài nộp hoặc nhân sự)
+ * @returns {Promise<{ status: number, body: object } | { submission: object }>}
+ */
+const loadOwnSubmission = async (user, submissionId, columns = SUBMISSION_COLUMNS) => {
+    const submission = await db.queryOne(
+        `SELECT ${columns} FROM AssignmentSubmissions s WHERE s.submission_id = ?`,
+        [submissionId]
+    );
+    if (!submission || (!isStaff(user) && submission.user_id !== user.id)) {
+        return { status: 404, body: { message: "Không tìm thấy bài nộp" } };
+    }
+    return { submission };
+};
+
+// GET /api/assignments?lesson_id= (Danh sách bài tập; khách hàng chỉ thấy bài tập của bài học đã xuất bản)
+router.get("/", verifyToken, async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        if (!isStaff(req.user)) conditions.push(visibleCondition("l"), visibleCondition("c"));
+        if (req.query.lesson_id) { conditions.push("a.lesson_id = ?"); params.push(req.query.lesson_id); }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+        const rows = await db.query(
+            `SELECT ${ASSIGNMENT_COLUMNS}
+             FROM Assignments a
+             JOIN Lessons l ON a.lesson_id = l.lesson_id
+             JOIN Courses c ON l.course_id = c.course_id
+             ${where}
+             ORDER BY l.course_id, a.lesson_id, a.assignment_id`,
+            params
+        );
+        res.json(rows.map(assignmentRow));
+    } catch (err) {
+        console.error("❌ Lỗi GET /assignments:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/assignments/submissions?status=submitted&assignment_id= (Hàng chờ chấm bài - Admin/Employee)
+router.get("/submissions", ...staffOnly, async (req, res) => {
+    const status = req.query.status || "submitted";
+    if (!["submitted", "graded", "superseded"].includes(status)) {
+        return res.status(400).json({ message: "status phải là submitted, graded hoặc superseded" });
+    }
+
+    try {
+        const conditions = ["s.status = ?"];
+        const params = [status];
+        if (req.query.assignment_id) { conditions.push("s.assignment_id = ?"); params.push(req.query.assignment_id); }
+
+        const rows = await db.query(
+            `SELECT ${SUBMISSION_COLUMNS}, a.title AS assignment_title, a.lesson_id, u.email, u.full_name
+             FROM AssignmentSubmissions s
+             JOIN Assignments a ON s.assignment_id = a.assignment_id
+             JOIN Users u ON s.user_id = u.user_id
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY s.submitted_at`,
+            params
+        );
+        res.json(rows.map(submissionRow));
+    } catch (err) {
+        console.error("❌ Lỗi GET /assignments/submissions:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/assignments/submissions/:submissionId (Chi tiết bài nộp kèm điểm, nhận xét - chủ bài nộp hoặc Admin/Employee)
+router.get("/submissions/:submissionId", verifyToken, async (req, res) => {
+    const submissionId = parseId(req.params.submissionId);
+    if (!submissionId) return res.status(400).json({ message: "ID bài nộp không hợp lệ" });
+
+    try {
+        const result = await loadOwnSubmission(req.user, submissionId);
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json(submissionRow(result.submission));
+    } catch (err) {
+        console.error("❌ Lỗi GET /assignments/submissions/:submissionId:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/assignments/submissions/:submissionId/file (Nghe/xem file bài nộp - chủ bài nộp hoặc Admin/Employee)
+router.get("/submissions/:submissionId/file", verifyToken, async (req, res) => {
+    const submissionId = parseId(req.params.submissionId);
+    if (!submissionId) return res.status(400).json({ message: "ID bài nộp không hợp lệ" });
+
+    try {
+        const result = await loadOwnSubmission(req.user, submissionId, "s.user_id, s.mime_type, s.storage_path");
+        if (result.status) return res.status(result.status).json(result.body);
+        const { submission } = result;
+
+        res.type(submission.mime_type);
+        res.sendFile(resolveSubmissionPath(submission.storage_path), (err) => {
+            if (err && !res.headersSent) {
+                console.error("❌ Lỗi gửi file bài nộp:", err.message);
+                res.status(404).json({ message: "File bài nộp không còn trên máy chủ" });
+            }
+        });
+    } catch (err) {
+        console.error("❌ Lỗi GET /assignments/submissions/:submissionId/file:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/assignments/submissions/:submissionId/grade (Chấm hoặc chấm lại bài nộp - Admin/Employee)
+// Body: { rubric_scores: { key: điểm }, feedback, timestamped_feedback: [{ at_seconds, comment }] }
+router.put("/submissions/:submissionId/grade", ...staffOnly, async (req, res) => {
+    const submissionId = parseId(req.params.submissionId);
+    if (!submissionId) return res.status(400).json({ message: "ID bài nộp không hợp lệ" });
+
+    try {
+        const result = await withTransaction((tx) => gradeSubmission(tx, submissionId, req.user.id, req.body));
+        if (result.status) return res.status(result.status).json(result.body);
+
+        const graded = await db.queryOne(
+            `SELECT ${SUBMISSION_COLUMNS} FROM AssignmentSubmissions s WHERE s.submission_id = ?`,
+            [submissionId]
+        );
+        res.json({ message: "✅ Đã chấm bài nộp", submission: submissionRow(graded) });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /assignments/submissions/:submissionId/grade:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/assignments/:id (Chi tiết bài tập)
+router.get("/:id", verifyToken, assignmentAccess, async (req, res) => {
+    try {
+        const assignment = await db.queryOne(
+            `SELECT ${ASSIGNMENT_COLUMNS} FROM Assignments a WHERE a.assignment_id = ?`,
+            [req.params.id]
+        );
+        if (!assignment) return res.status(404).json({ message: "Không tìm thấy bài tập" });
+        res.json(assignmentRow(assignment));
+    } catch (err) {
+        console.error("❌ Lỗi GET /assignments/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/assignments (Tạo bài tập cho bài học - Admin/Employee)
+// Body: { lesson_id, title, instructions, submission_type, rubric: [{ key, label, max_score }], pass_score, required_for_completion }
+router.post("/", ...staffOnly, async (req, res) => {
+    const lessonId = parseId(req.body.lesson_id);
+    if (!lessonId) return res.status(400).json({ message: "lesson_id không hợp lệ" });
+    const settings = parseAssignmentSettings(req.body);
+    if (settings.error) return res.status(400).json({ message: settings.error });
+
+    try {
+        if (!(await db.exists("Lessons", "lesson_id", lessonId))) {
+            return res.status(404).json({ message: "Không tìm thấy bài học" });
+        }
+
+        const { values } = settings;
+        const result = await db.execute(
+            `INSERT INTO Assignments
+                (lesson_id, title, instructions, submission_type, rubric, pass_score, required_for_completion, created_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+                lessonId, values.title, values.instructions ?? null, values.submission_type ?? "any", values.rubric,
+                values.pass_score ?? 60, values.required_for_completion ?? 0, req.user.id,
+            ]
+        );
+        res.status(201).json({ message: "✅ Tạo bài tập thành công", assignment_id: result.insertId });
+    } catch (err) {
+        console.error("❌ Lỗi POST /assignments:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/assignments/:id (Sửa bài tập - Admin/Employee)
+// Không đổi được rubric khi đã có bài nộp được chấm, để điểm cũ vẫn khớp với tiêu chí
+router.put("/:id", ...staffOnly, async (req, res) => {
+    const settings = parseAssignmentSettings(req.body, { partial: true });
+    if (settings.error) return res.status(400).json({ message: settings.error });
+    const fields = Object.keys(settings.values);
+    if (fields.length === 0) {
+        return res.status(400).json({ message: "Không có thông tin nào để cập nhật" });
+    }
+
+    try {
+        if (settings.values.rubric !== undefined) {
+            const graded = await db.queryOne(
+                "SELECT 1 AS found FROM AssignmentSubmissions WHERE assignment_id = ? AND status = 'graded' LIMIT 1",
+                [req.params.id]
+            );
+            if (graded) {
+                return res.status(409).json({ message: "Bài tập đã có bài nộp được chấm, không thể đổi rubric" });
+            }
+        }
+
+        const result = await db.execute(
+            `UPDATE Assignments SET ${fields.map((field) => `${field} = ?`).join(", ")} WHERE assignment_id = ?`,
+            [...fields.map((field) => settings.values[field]), req.params.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy bài tập" });
+        res.json({ message: "✅ Cập nhật bài tập thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /assignments/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/assignments/:id (Xóa bài tập chưa có bài nộp - Admin/Employee)
+router.delete("/:id", ...staffOnly, async (req, res) => {
+    try {
+        if (await db.exists("AssignmentSubmissions", "assignment_id", req.params.id)) {
+            return res.status(400).json({
+                message: "Không thể xóa bài tập này.",
+                reason: "Đã có học viên nộp bài; hãy đặt required_for_completion = false nếu không dùng nữa.",
+            });
+        }
+        const result = await db.execute("DELETE FROM Assignments WHERE assignment_id = ?", [req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy bài tập" });
+        res.json({ message: "✅ Xóa bài tập thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /assignments/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/assignments/:id/submissions?note= (Nộp bài thu âm/quay video - Customer)
+// Body là file nhị phân, Content-Type: audio/... hoặc video/...; nộp lại khi bài trước chưa chấm sẽ thay bài trước
+router.post("/:id/submissions", verifyToken, authorizeRoles("customer"), assignmentAccess, uploadSubmission, async (req, res) => {
+    const mimeType = normalizeMediaType(req.get("Content-Type"));
+    if (!mimeType) {
+        return res.status(415).json({ message: "Định dạng file không được hỗ trợ", accepted_types: Object.keys(MEDIA_TYPES) });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: "File bài nộp trống" });
+    }
+    const note = typeof req.query.note === "string" ? req.query.note.trim().slice(0, 1000) : "";
+
+    let saved = null;
+    try {
+        const assignment = await db.queryOne(
+            "SELECT assignment_id, submission_type FROM Assignments WHERE assignment_id = ?",
+            [req.params.id]
+        );
+        if (!assignment) return res.status(404).json({ message: "Không tìm thấy bài tập" });
+        if (!acceptsMediaType(assignment, mimeType)) {
+            return res.status(415).json({ message: `Bài tập này chỉ nhận file ${assignment.submission_type}` });
+        }
+
+        saved = await saveSubmission(assignment.assignment_id, req.user.id, mimeType, req.body);
+        const submissionId = await withTransaction((tx) =>
+            createSubmission(tx, assignment.assignment_id, req.user.id, mimeType, saved, note)
+        );
+
+        const submission = await db.queryOne(
+            `SELECT ${SUBMISSION_COLUMNS} FROM AssignmentSubmissions s WHERE s.submission_id = ?`,
+            [submissionId]
+        );
+        res.status(201).json({ message: "✅ Đã nộp bài, giáo viên sẽ chấm sớm", submission: submissionRow(submission) });
+    } catch (err) {
+        console.error("❌ Lỗi POST /assignments/:id/submissions:", err.message);
+        if (saved) await removeSubmissionFile(saved.storage_path).catch(() => {});
+        if (err.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ message: "Bài nộp đang được ghi nhận, vui lòng thử lại" });
+        }
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/assignments/:id/submissions (Lịch sử nộp bài: của mình; nhân sự xem tất cả hoặc lọc ?user_id=)
+router.get("/:id/submissions", verifyToken, async (req, res) => {
+    try {
+        const conditions = ["s.assignment_id = ?"];
+        const params = [req.params.id];
+        if (!isStaff(req.user)) {
+            conditions.push("s.user_id = ?"); params.push(req.user.id);
+        } else if (req.query.user_id) {
+            conditions.push("s.user_id = ?"); params.push(req.query.user_id);
+        }
+
+        const rows = await db.query(
+            `SELECT ${SUBMISSION_COLUMNS}
+             FROM AssignmentSubmissions s
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY s.user_id, s.attempt_number`,
+            params
+        );
+        res.json(rows.map(submissionRow));
+    } catch (err) {
+        console.error("❌ Lỗi GET /assignments/:id/submissions:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { pool } = require("../db");
+const crypto = require("crypto");
 const { OAuth2Client } = require("google-auth-library");
+const { sendMail } = require("../services/mailer");
+const { validatePassword } = require("../security/passwordPolicy");
+const { verifyToken } = require("../security/verifyToken");
+const { hashToken, issueTokens, rotateRefreshToken, revokeRefreshToken, revokeUserSessions } = require("../services/tokenService");
 
 require("dotenv").config();
 
 
-const generateToken = (user) => {
-    return jwt.sign(
-        { id: user.user_id, name: user.full_name, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || "1d" }
-    );
-};
+// Thông tin thiết bị để gắn refresh token theo từng máy
+const getDevice = (req) => ({
+    deviceId: req.body.device_id || req.headers["x-device-id"] || null,
+    userAgent: req.headers["user-agent"] || null,
+});
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
@@ -61,42 +63,6 @@ router.post("/register/customer", async (req, res) => {
 });
 
 
-router.post("/register/user", async (req, res) => {
-    const { password, email, full_name, phone_number, role, picture, date_of_birth } = req.body;
-
-    if (!password || !email || !full_name || !phone_number || !role) {
-        return res.status(400).json({ message: "Thiếu trường bắt buộc: password, email, full_name, phone_number, role" });
-    }
-
-    try {
-        const [emailRows] = await pool.query("SELECT user_id FROM Users WHERE email = ?", [email]);
-        if (emailRows.length > 0) return res.status(400).json({ message: "Email đã tồn tại" });
-
-        if (phone_number) {
-            const [phoneRows] = await pool.query("SELECT user_id FROM Users WHERE phone_number = ?", [phone_number]);
-            if (phoneRows.length > 0) return res.status(400).json({ message: "Số điện thoại đã tồn tại" });
-        }
-
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        const sqlQuery = `
-            INSERT INTO Users (email, password, full_name, phone_number, role, picture, date_of_birth, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
-        `;
-        await pool.query(sqlQuery, [
-            email, hashedPassword, full_name, phone_number || null, role, picture || null, date_of_birth || null
-        ]);
-
-        res.status(201).json({ message: "✅ Đăng ký người dùng thành công" });
-
-    } catch (err) {
-        console.error("❌ Lỗi đăng ký user:", err.message);
-        res.status(500).json({ message: "Lỗi máy chủ" });
-    }
-});
-
-
-
 router.post("/login", async (req, res) => {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ message: "Thiếu email hoặc mật khẩu" });
@@ -110,11 +76,12 @@ router.post("/login", async (req, res) => {
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) return res.status(401).json({ message: "Sai mật khẩu" });
 
-        const token = generateToken(user);
+        const { token, refreshToken } = await issueTokens(user, getDevice(req));
 
         res.json({
             message: "✅ Đăng nhập thành công",
             token,
+            refreshToken,
             user: { id: user.user_id, full_name: user.full_name, email: user.email, role: user.role },
         });
     } catch (err) {
@@ -157,11 +124,12 @@ router.post("/google-login", async (req, res) => {
             isNewUser = true;
         }
 
-        const appToken = generateToken(user);
+        const { token: appToken, refreshToken } = await issueTokens(user, getDevice(req));
 
         res.json({
             message: loginMessage,
             token: appToken,
+            refreshToken,
             isNewUser: isNewUser,
             user: { id: user.user_id, full_name: user.full_name, email: user.email, role: user.role },
         });
@@ -178,25 +146,135 @@ router.post("/google-login", async (req, res) => {
 
 
 
+// POST /api/auth/refresh (Đổi refresh token lấy access token mới)
+router.post("/refresh", async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "Thiếu refresh token" });
+
+    try {
+        const result = await rotateRefreshToken(refreshToken, getDevice(req));
+        if (result.error) return res.status(401).json({ message: result.error });
+
+        res.json({ token: result.token, refreshToken: result.refreshToken });
+    } catch (err) {
+        console.error("❌ Lỗi refresh token:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/auth/logout (Đăng xuất thiết bị hiện tại)
+router.post("/logout", async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "Thiếu refresh token" });
+
+    try {
+        await revokeRefreshToken(refreshToken);
+        // Không báo token có tồn tại hay không
+        res.json({ message: "✅ Đăng xuất thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi logout:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/auth/logout-all (Đăng xuất khỏi mọi thiết bị)
+router.post("/logout-all", verifyToken, async (req, res) => {
+    try {
+        await revokeUserSessions(pool, req.user.id);
+        res.json({ message: "✅ Đã đăng xuất khỏi tất cả thiết bị" });
+    } catch (err) {
+        console.error("❌ Lỗi logout-all:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+
+// POST /api/auth/forgot-password (Bước 1: gửi mã đặt lại mật khẩu qua email)
+router.post("/forgot-password", async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Thiếu email." });
+
+    // Luôn trả cùng một thông báo để không lộ email nào đã đăng ký
+    const genericResponse = { message: "✅ Nếu email tồn tại, hướng dẫn đặt lại mật khẩu đã được gửi." };
+
+    try {
+        const [rows] = await pool.query("SELECT user_id, full_name, email FROM Users WHERE email = ?", [email]);
+        if (rows.length === 0) return res.json(genericResponse);
+
+        const user = rows[0];
+        const rawToken = crypto.randomBytes(32).toString("hex");
+        const ttlMinutes = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 30;
+
+        // Hủy các mã cũ chưa dùng, chỉ giữ mã mới nhất
+        await pool.query(
+            "UPDATE PasswordResetTokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+            [user.user_id]
+        );
+        await pool.query(
+            `INSERT INTO PasswordResetTokens (user_id, token_hash, expires_at, created_at)
+             VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+            [user.user_id, hashToken(rawToken), ttlMinutes]
+        );
+
+        const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${rawToken}`;
+        await sendMail({
+            to: user.email,
+            subject: "Mộc Cầm - Đặt lại mật khẩu",
+            text: `Xin chào ${user.full_name},\n\nNhấn vào liên kết sau để đặt lại mật khẩu (hiệu lực ${ttlMinutes} phút):\n${resetLink}\n\nNếu bạn không yêu cầu, hãy bỏ qua email này.`,
+        });
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error("❌ Lỗi forgot-password:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/auth/reset-password (Bước 2: dùng mã để đặt mật khẩu mới)
 router.post("/reset-password", async (req, res) => {
-    const { email, newPassword } = req.body;
-    if (!email || !newPassword) return res.status(400).json({ message: "Thiếu email hoặc mật khẩu mới." });
-    if (newPassword.length < 6) return res.status(400).json({ message: "Mật khẩu mới phải dài ít nhất 6 ký tự." });
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) return res.status(400).json({ message: "Thiếu mã đặt lại hoặc mật khẩu mới." });
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
 
+    let connection;
     try {
-        const [rows] = await pool.query("SELECT user_id FROM Users WHERE email = ?", [email]);
-        if (rows.length === 0) return res.status(404).json({ message: "Email không tồn tại." });
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [tokenRows] = await connection.query(
+                `SELECT token_id, user_id FROM PasswordResetTokens
+                 WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+                 FOR UPDATE`,
+                [hashToken(token)]
+            );
+            if (tokenRows.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: "Mã đặt lại không hợp lệ hoặc đã hết hạn." });
+            }
 
-        const userId = rows[0].user_id;
-        const hashedNewPassword = await bcrypt.hash(newPassword, 10);
+            const { token_id, user_id } = tokenRows[0];
+            const hashedNewPassword = await bcrypt.hash(newPassword, 10);
 
-        await pool.query("UPDATE Users SET password = ? WHERE user_id = ?", [hashedNewPassword, userId]);
+            // Đổi mật khẩu + vô hiệu hóa toàn bộ JWT/refresh token đã cấp trước thời điểm này
+            await connection.query("UPDATE Users SET password = ? WHERE user_id = ?", [hashedNewPassword, user_id]);
+            await revokeUserSessions(connection, user_id);
+            await connection.query("UPDATE PasswordResetTokens SET used_at = NOW() WHERE token_id = ?", [token_id]);
 
-        res.json({ message: "✅ Cập nhật mật khẩu thành công." });
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
 
+        res.json({ message: "✅ Cập nhật mật khẩu thành công. Vui lòng đăng nhập lại." });
     } catch (err) {
         console.error("❌ Lỗi reset mật khẩu:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
@@ -0,0 +1,167 @@
+const express = require("express");
+const router = express.Router();
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const {
+    CERTIFICATE_COLUMNS, issueCertificate, revokeCertificate, publicCertificateView, renderCertificatePdf,
+} = require("../services/certificateService");
+const { parseId } = require("../services/queryHelpers");
+
+// Trang xác minh phía frontend, in lên PDF (bỏ qua nếu chưa cấu hình FRONTEND_URL)
+const verifyUrlOf = (code) => (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/certificates/verify/${code}` : null);
+
+/**
+ * Đọc chứng chỉ mà user được xem (chủ sở hữu hoặc nhân sự)
+ * @returns {Promise<{ status: number, body: object } | { certificate: object }>}
+ */
+const loadOwnCertificate = async (user, certificateId) => {
+    const certificate = await db.queryOne(
+        `SELECT ${CERTIFICATE_COLUMNS} FROM Certificates cert WHERE cert.certificate_id = ?`,
+        [certificateId]
+    );
+    if (!certificate || (!isStaff(user) && certificate.user_id !== user.id)) {
+        return { status: 404, body: { message: "Không tìm thấy chứng chỉ" } };
+    }
+    return { certificate };
+};
+
+// GET /api/certificates/verify/:code (Xác minh chứng chỉ - công khai, không cần đăng nhập)
+router.get("/verify/:code", async (req, res) => {
+    const code = String(req.params.code).trim().toUpperCase();
+    if (!/^MC-[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/.test(code)) {
+        return res.status(400).json({ message: "Mã xác minh không đúng định dạng (MC-XXXX-XXXX-XXXX)" });
+    }
+
+    try {
+        const certificate = await db.queryOne(
+            `SELECT ${CERTIFICATE_COLUMNS} FROM Certificates cert WHERE cert.verification_code = ?`,
+            [code]
+        );
+        if (!certificate) {
+            return res.status(404).json({ message: "Không tìm thấy chứng chỉ với mã này", status: "not_found" });
+        }
+        res.json(publicCertificateView(certificate));
+    } catch (err) {
+        console.error("❌ Lỗi GET /certificates/verify/:code:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/certificates/me (Chứng chỉ của tôi)
+router.get("/me", verifyToken, async (req, res) => {
+    try {
+        const rows = await db.query(
+            `SELECT ${CERTIFICATE_COLUMNS} FROM Certificates cert WHERE cert.user_id = ? ORDER BY cert.issued_at DESC`,
+            [req.user.id]
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /certificates/me:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/certificates/claim (Nhận chứng chỉ cho khóa học đã hoàn thành - Customer)
+// Chứng chỉ thường được cấp tự động khi hoàn thành bài cuối; endpoint này dùng để nhận lại/nhận bù, gọi nhiều lần vẫn an toàn
+router.post("/claim", verifyToken, authorizeRoles("customer"), async (req, res) => {
+    const courseId = parseId(req.body.course_id);
+    if (!courseId) return res.status(400).json({ message: "course_id không hợp lệ" });
+
+    try {
+        const result = await withTransaction((tx) => issueCertificate(tx, req.user.id, courseId));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.status(result.issued ? 201 : 200).json({
+            message: result.issued ? "🎓 Đã cấp chứng chỉ" : "Bạn đã có chứng chỉ cho khóa học này",
+            certificate: result.certificate,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi POST /certificates/claim:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/certificates (Danh sách chứng chỉ - Admin/Employee), lọc theo ?course_id=&user_id=&status=valid|revoked
+router.get("/", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const { course_id, user_id, status } = req.query;
+    if (status !== undefined && !["valid", "revoked"].includes(status)) {
+        return res.status(400).json({ message: "status phải là valid hoặc revoked" });
+    }
+
+    try {
+        const conditions = [];
+        const params = [];
+        if (course_id) { conditions.push("cert.course_id = ?"); params.push(course_id); }
+        if (user_id) { conditions.push("cert.user_id = ?"); params.push(user_id); }
+        if (status) conditions.push(status === "revoked" ? "cert.revoked_at IS NOT NULL" : "cert.revoked_at IS NULL");
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+        const rows = await db.query(
+            `SELECT ${CERTIFICATE_COLUMNS}, u.email
+             FROM Certificates cert
+             JOIN Users u ON cert.user_id = u.user_id
+             ${where}
+             ORDER BY cert.issued_at DESC`,
+            params
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /certificates:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/certificates/:id (Chi tiết chứng chỉ - chủ sở hữu hoặc Admin/Employee)
+router.get("/:id", verifyToken, async (req, res) => {
+    const certificateId = parseId(req.params.id);
+    if (!certificateId) return res.status(400).json({ message: "ID chứng chỉ không hợp lệ" });
+
+    try {
+        const result = await loadOwnCertificate(req.user, certificateId);
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ ...result.certificate, verify_url: verifyUrlOf(result.certificate.verification_code) });
+    } catch (err) {
+        console.error("❌ Lỗi GET /certificates/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/certificates/:id/pdf (Tải chứng chỉ PDF - chủ sở hữu hoặc Admin/Employee)
+router.get("/:id/pdf", verifyToken, async (req, res) => {
+    const certificateId = parseId(req.params.id);
+    if (!certificateId) return res.status(400).json({ message: "ID chứng chỉ không hợp lệ" });
+
+    try {
+        const result = await loadOwnCertificate(req.user, certificateId);
+        if (result.status) return res.status(result.status).json(result.body);
+        const { certificate } = result;
+        if (certificate.revoked_at) {
+            return res.status(410).json({ message: "Chứng chỉ đã bị thu hồi", revoked_at: certificate.revoked_at });
+        }
+
+        const pdf = await renderCertificatePdf(certificate, verifyUrlOf(certificate.verification_code));
+        res.set("Content-Disposition", `attachment; filename="chung-chi-${certificate.verification_code}.pdf"`);
+        res.type("application/pdf").send(pdf);
+    } catch (err) {
+        console.error("❌ Lỗi GET /certificates/:id/pdf:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/certificates/:id/revoke (Thu hồi chứng chỉ - Admin) - Body: { reason }
+router.post("/:id/revoke", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const certificateId = parseId(req.params.id);
+    if (!certificateId) return res.status(400).json({ message: "ID chứng chỉ không hợp lệ" });
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (reason.length > 255) return res.status(400).json({ message: "reason tối đa 255 ký tự" });
+
+    try {
+        const result = await withTransaction((tx) => revokeCertificate(tx, certificateId, req.user.id, reason));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Đã thu hồi chứng chỉ", certificate: result.certificate });
+    } catch (err) {
+        console.error("❌ Lỗi POST /certificates/:id/revoke:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
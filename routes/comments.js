@@ -1,7 +1,16 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
+const { db, withTransaction } = require("../services/dataAccess");
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { syncSearchDocument, removeSearchDocument } = require("../services/searchService");
+const {
+  DEFAULT_THREAD_LIMIT, DEFAULT_REPLY_LIMIT, parsePagination, checkCommentText,
+  listLessonThreads, listThreadReplies, createReply, setThreadResolved, commentWithDescendants,
+} = require("../services/commentThreadService");
+
+// Luồng bình luận thuộc bài học: xem/trả lời/đánh dấu giải quyết cần cùng quyền truy cập như chính bài học
+const commentAccess = requireLessonAccess(lessonIdFrom("Comments", "comment_id"));
 
 /**
  * @swagger
@@ -20,7 +29,7 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *         comment_id:
  *           type: integer
  *           example: 101
- *         customer_id:
+ *         user_id:
  *           type: integer
  *           example: 12
  *         lesson_id:
@@ -29,9 +38,33 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *         comment:
  *           type: string
  *           example: "Bài học rất hay và dễ hiểu!"
+ *         parent_comment_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Bình luận được trả lời (null với bình luận gốc)
+ *           example: null
+ *         root_comment_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Bình luận gốc của luồng (null với bình luận gốc)
+ *           example: null
+ *         depth:
+ *           type: integer
+ *           description: Độ sâu trong luồng (bình luận gốc = 0)
+ *           example: 0
  *         rate:
  *           type: integer
+ *           nullable: true
+ *           description: Chỉ bình luận gốc có đánh giá
  *           example: 5
+ *         is_instructor_answer:
+ *           type: integer
+ *           description: 1 nếu là câu trả lời của giảng viên (admin/employee)
+ *           example: 0
+ *         is_resolved:
+ *           type: integer
+ *           description: 1 nếu câu hỏi đã được giải quyết
+ *           example: 0
  *         created_at:
  *           type: string
  *           format: date-time
@@ -46,14 +79,10 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *     CreateCommentRequest:
  *       type: object
  *       required:
- *         - customer_id
  *         - lesson_id
  *         - comment
  *         - rate
  *       properties:
- *         customer_id:
- *           type: integer
- *           example: 12
  *         lesson_id:
  *           type: integer
  *           example: 7
@@ -79,6 +108,31 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *           type: integer
  *           example: 4
  *
+ *     CommentThread:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Comment'
+ *         - type: object
+ *           properties:
+ *             reply_count:
+ *               type: integer
+ *               example: 3
+ *             has_instructor_answer:
+ *               type: boolean
+ *               example: true
+ *             last_reply_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *
+ *     CreateReplyRequest:
+ *       type: object
+ *       required:
+ *         - comment
+ *       properties:
+ *         comment:
+ *           type: string
+ *           example: "Bạn thử nhấn sâu hơn ở dây Xang nhé."
+ *
  *     SuccessResponse:
  *       type: object
  *       properties:
@@ -131,15 +185,14 @@ router.get("/ping", (req, res) => {
  */
 router.get("/", async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query(`
-      SELECT c.*, cu.full_name AS customer_name, l.lesson_name
+    const rows = await db.query(`
+      SELECT c.*, u.full_name AS customer_name, l.lesson_name
       FROM Comments c
-      JOIN Customers cu ON c.customer_id = cu.customer_id
+      JOIN Users u ON c.user_id = u.user_id
       JOIN Lessons l ON c.lesson_id = l.lesson_id
       ORDER BY c.created_at DESC
     `);
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /comments:", err.message);
     res.status(500).send("Server error");
@@ -178,22 +231,19 @@ router.get("/", async (req, res) => {
  */
 router.get("/:id", async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("comment_id", sql.Int, req.params.id)
-      .query(`
-        SELECT c.*, cu.full_name AS customer_name, l.lesson_name
-        FROM Comments c
-        JOIN Customers cu ON c.customer_id = cu.customer_id
-        JOIN Lessons l ON c.lesson_id = l.lesson_id
-        WHERE c.comment_id = @comment_id
-      `);
-
-    if (result.recordset.length === 0) {
+    const comment = await db.queryOne(`
+      SELECT c.*, u.full_name AS customer_name, l.lesson_name
+      FROM Comments c
+      JOIN Users u ON c.user_id = u.user_id
+      JOIN Lessons l ON c.lesson_id = l.lesson_id
+      WHERE c.comment_id = ?
+    `, [req.params.id]);
+
+    if (!comment) {
       return res.status(404).json({ message: "Comment not found" });
     }
 
-    res.json(result.recordset[0]);
+    res.json(comment);
   } catch (err) {
     console.error("❌ Error in GET /comments/:id:", err.message);
     res.status(500).send("Server error");
@@ -204,7 +254,7 @@ router.get("/:id", async (req, res) => {
  * @swagger
  * /api/comments/lesson/{lesson_id}:
  *   get:
- *     summary: Lấy tất cả bình luận của một bài học cụ thể
+ *     summary: Lấy các luồng bình luận của một bài học (bình luận gốc kèm số câu trả lời)
  *     tags: [Comments]
  *     parameters:
  *       - in: path
@@ -213,43 +263,66 @@ router.get("/:id", async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID bài học cần xem bình luận
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *       - in: query
+ *         name: resolved
+ *         schema:
+ *           type: boolean
+ *         description: Lọc câu hỏi đã/chưa giải quyết
  *     responses:
  *       200:
- *         description: Danh sách bình luận của bài học
+ *         description: Các luồng bình luận của bài học, mới nhất trước
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Comment'
- *       404:
- *         description: Không có bình luận cho bài học này
+ *               type: object
+ *               properties:
+ *                 lesson_id:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 max_depth:
+ *                   type: integer
+ *                 threads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentThread'
+ *       400:
+ *         description: Giá trị resolved không hợp lệ
  *       500:
  *         description: Lỗi máy chủ
  */
 
 /**
  * 📌 GET /api/comments/lesson/:lesson_id
- * Lấy tất cả bình luận của một bài học
+ * Lấy các luồng bình luận của một bài học (câu trả lời xem qua /api/comments/:id/replies)
  */
 router.get("/lesson/:lesson_id", async (req, res) => {
-  try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("lesson_id", sql.Int, req.params.lesson_id)
-      .query(`
-        SELECT c.*, cu.full_name AS customer_name
-        FROM Comments c
-        JOIN Customers cu ON c.customer_id = cu.customer_id
-        WHERE c.lesson_id = @lesson_id
-        ORDER BY c.created_at DESC
-      `);
-
-    if (result.recordset.length === 0) {
-      return res.status(404).json({ message: "No comments found for this lesson" });
+  let resolved;
+  if (req.query.resolved !== undefined) {
+    if (!["true", "false"].includes(req.query.resolved)) {
+      return res.status(400).json({ message: "resolved must be true or false" });
     }
+    resolved = req.query.resolved === "true";
+  }
 
-    res.json(result.recordset);
+  try {
+    const { page, limit } = parsePagination(req.query, DEFAULT_THREAD_LIMIT);
+    res.json(await listLessonThreads(db, req.params.lesson_id, { page, limit, resolved }));
   } catch (err) {
     console.error("❌ Error in GET /comments/lesson/:lesson_id:", err.message);
     res.status(500).send("Server error");
@@ -286,12 +359,12 @@ router.get("/lesson/:lesson_id", async (req, res) => {
 /**
  * 📌 POST /api/comments
  * Thêm bình luận mới
- * Required: customer_id, lesson_id, comment, rate
+ * Required: lesson_id, comment, rate (người bình luận lấy từ token)
  */
 router.post("/create", verifyToken, authorizeRoles("customer"), async (req, res) => {
-  const { customer_id, lesson_id, comment, rate } = req.body;
+  const { lesson_id, comment, rate } = req.body;
 
-  if (!customer_id || !lesson_id || !comment || rate === undefined) {
+  if (!lesson_id || !comment || rate === undefined) {
     return res.status(400).json({ message: "Missing required fields" });
   }
 
@@ -300,36 +373,18 @@ router.post("/create", verifyToken, authorizeRoles("customer"), async (req, res)
   }
 
   try {
-    const pool = await poolPromise;
-
-    // 🔍 Kiểm tra customer_id
-    const checkCustomer = await pool.request()
-      .input("customer_id", sql.Int, customer_id)
-      .query("SELECT COUNT(*) AS count FROM Customers WHERE customer_id = @customer_id");
-
-    if (checkCustomer.recordset[0].count === 0) {
-      return res.status(400).json({ message: "Invalid customer_id: customer not found" });
-    }
-
     // 🔍 Kiểm tra lesson_id
-    const checkLesson = await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .query("SELECT COUNT(*) AS count FROM Lessons WHERE lesson_id = @lesson_id");
-
-    if (checkLesson.recordset[0].count === 0) {
+    if (!(await db.exists("Lessons", "lesson_id", lesson_id))) {
       return res.status(400).json({ message: "Invalid lesson_id: lesson not found" });
     }
 
-    // ✅ Thêm bình luận
-    await pool.request()
-      .input("customer_id", sql.Int, customer_id)
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("comment", sql.NVarChar(500), comment)
-      .input("rate", sql.Int, rate)
-      .query(`
-        INSERT INTO Comments (customer_id, lesson_id, comment, rate, created_at)
-        VALUES (@customer_id, @lesson_id, @comment, @rate, GETDATE())
-      `);
+    // ✅ Thêm bình luận (người bình luận lấy từ token)
+    const result = await db.execute(
+      `INSERT INTO Comments (user_id, lesson_id, comment, rate, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [req.user.id, lesson_id, comment, rate]
+    );
+    await syncSearchDocument(db, "comment", result.insertId);
 
     res.status(201).json({ message: "✅ Comment added successfully" });
   } catch (err) {
@@ -338,11 +393,214 @@ router.post("/create", verifyToken, authorizeRoles("customer"), async (req, res)
   }
 });
 
+/**
+ * @swagger
+ * /api/comments/{id}/replies:
+ *   get:
+ *     summary: Lấy câu trả lời trong luồng của một bình luận (phân trang, cũ nhất trước)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID bình luận gốc (hoặc bất kỳ câu trả lời nào trong luồng)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Câu trả lời của luồng, mỗi dòng có parent_comment_id và depth để dựng cây
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 root_comment_id:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 replies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *       401:
+ *         description: Chưa đăng nhập
+ *       402:
+ *         description: Bài học yêu cầu gói đăng ký
+ *       403:
+ *         description: Chưa đạt điều kiện tiên quyết của bài học
+ *       404:
+ *         description: Không tìm thấy bình luận
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+
+/**
+ * 📌 GET /api/comments/:id/replies
+ * Lấy câu trả lời trong luồng
+ */
+router.get("/:id/replies", verifyToken, commentAccess, async (req, res) => {
+  try {
+    const { page, limit } = parsePagination(req.query, DEFAULT_REPLY_LIMIT);
+    const result = await listThreadReplies(db, req.params.id, { page, limit });
+    if (result.status) return res.status(result.status).json(result.body);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error in GET /comments/:id/replies:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * @swagger
+ * /api/comments/{id}/replies:
+ *   post:
+ *     summary: Trả lời một bình luận (câu trả lời của admin/employee được đánh dấu là của giảng viên)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID bình luận được trả lời
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateReplyRequest'
+ *     responses:
+ *       201:
+ *         description: Trả lời thành công
+ *       400:
+ *         description: Thiếu nội dung hoặc vượt quá độ sâu tối đa của luồng (COMMENT_MAX_DEPTH)
+ *       401:
+ *         description: Chưa đăng nhập
+ *       402:
+ *         description: Bài học yêu cầu gói đăng ký
+ *       403:
+ *         description: Vai trò không được phép hoặc chưa đạt điều kiện tiên quyết của bài học
+ *       404:
+ *         description: Không tìm thấy bình luận
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+
+/**
+ * 📌 POST /api/comments/:id/replies
+ * Trả lời bình luận; chủ luồng được thông báo khi giảng viên trả lời
+ */
+router.post("/:id/replies", verifyToken, authorizeRoles("admin", "employee", "customer"), commentAccess, async (req, res) => {
+  const error = checkCommentText(req.body.comment);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const result = await withTransaction((tx) => createReply(tx, req.params.id, req.user, req.body.comment));
+    if (result.status) return res.status(result.status).json(result.body);
+    await syncSearchDocument(db, "comment", result.reply_id);
+
+    res.status(201).json({
+      message: "✅ Reply added successfully",
+      comment_id: result.reply_id,
+      is_instructor_answer: result.is_instructor_answer,
+    });
+  } catch (err) {
+    console.error("❌ Error in POST /comments/:id/replies:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * @swagger
+ * /api/comments/{id}/resolve:
+ *   put:
+ *     summary: Đánh dấu câu hỏi đã giải quyết hoặc mở lại (chủ luồng hoặc admin/employee)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID bình luận gốc của luồng
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolved:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Cập nhật trạng thái thành công
+ *       400:
+ *         description: Không phải bình luận gốc hoặc resolved không hợp lệ
+ *       401:
+ *         description: Chưa đăng nhập
+ *       402:
+ *         description: Bài học yêu cầu gói đăng ký
+ *       403:
+ *         description: Không phải chủ luồng hoặc giảng viên, hoặc chưa đạt điều kiện tiên quyết của bài học
+ *       404:
+ *         description: Không tìm thấy bình luận
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+
+/**
+ * 📌 PUT /api/comments/:id/resolve
+ * Đánh dấu luồng đã giải quyết (resolved: false để mở lại)
+ */
+router.put("/:id/resolve", verifyToken, authorizeRoles("admin", "employee", "customer"), commentAccess, async (req, res) => {
+  const resolved = req.body?.resolved === undefined ? true : req.body.resolved;
+  if (typeof resolved !== "boolean") {
+    return res.status(400).json({ message: "resolved must be true or false" });
+  }
+
+  try {
+    const result = await setThreadResolved(db, req.params.id, req.user, resolved);
+    if (result.status) return res.status(result.status).json(result.body);
+
+    res.json({
+      message: resolved ? "✅ Thread marked as resolved" : "✅ Thread reopened",
+      is_resolved: result.is_resolved,
+    });
+  } catch (err) {
+    console.error("❌ Error in PUT /comments/:id/resolve:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+
 /**
  * @swagger
  * /api/comments/{id}:
  *   put:
- *     summary: Cập nhật bình luận (chỉ dành cho customer)
+ *     summary: Cập nhật bình luận của chính mình (câu trả lời trong luồng không có rate)
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -372,36 +630,44 @@ router.post("/create", verifyToken, authorizeRoles("customer"), async (req, res)
 
 /**
  * 📌 PUT /api/comments/:id
- * Cập nhật bình luận
+ * Cập nhật bình luận (giảng viên sửa được câu trả lời của mình)
  */
-router.put("/:id", verifyToken, authorizeRoles("customer"), async (req, res) => {
+router.put("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
   const { comment, rate } = req.body;
 
-  if (!comment || rate === undefined) {
-    return res.status(400).json({ message: "Missing required fields" });
-  }
-
-  if (rate < 1 || rate > 5) {
-    return res.status(400).json({ message: "Rate must be between 1 and 5" });
+  const error = checkCommentText(comment);
+  if (error) {
+    return res.status(400).json({ message: error });
   }
 
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("comment_id", sql.Int, req.params.id)
-      .input("comment", sql.NVarChar(500), comment)
-      .input("rate", sql.Int, rate)
-      .query(`
-        UPDATE Comments
-        SET comment = @comment,
-            rate = @rate
-        WHERE comment_id = @comment_id
-      `);
-
-    if (result.rowsAffected[0] === 0) {
+    const existing = await db.queryOne(
+      "SELECT parent_comment_id FROM Comments WHERE comment_id = ? AND user_id = ?",
+      [req.params.id, req.user.id]
+    );
+    if (!existing) {
       return res.status(404).json({ message: "Comment not found" });
     }
 
+    // Chỉ bình luận gốc có rate
+    const isReply = existing.parent_comment_id !== null;
+    if (!isReply && rate === undefined) {
+      return res.status(400).json({ message: "Missing required fields" });
+    }
+    if (!isReply && (rate < 1 || rate > 5)) {
+      return res.status(400).json({ message: "Rate must be between 1 and 5" });
+    }
+
+    await db.execute(
+      `UPDATE Comments
+       SET comment = ?,
+           rate = ?,
+           updated_at = NOW()
+       WHERE comment_id = ?`,
+      [comment.trim(), isReply ? null : rate, req.params.id]
+    );
+    await syncSearchDocument(db, "comment", req.params.id);
+
     res.json({ message: "✅ Comment updated successfully" });
   } catch (err) {
     console.error("❌ Error in PUT /comments/:id:", err.message);
@@ -413,7 +679,7 @@ router.put("/:id", verifyToken, authorizeRoles("customer"), async (req, res) =>
  * @swagger
  * /api/comments/{id}:
  *   delete:
- *     summary: Xóa bình luận (chỉ admin hoặc customer)
+ *     summary: Xóa bình luận cùng các câu trả lời bên dưới (admin xóa mọi bình luận, người khác chỉ xóa của mình)
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -437,18 +703,24 @@ router.put("/:id", verifyToken, authorizeRoles("customer"), async (req, res) =>
  * 📌 DELETE /api/comments/:id
  * Xóa bình luận
  */
-router.delete("/:id", verifyToken, authorizeRoles("admin", "customer"), async (req, res) => {
+router.delete("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("comment_id", sql.Int, req.params.id)
-      .query("DELETE FROM Comments WHERE comment_id = @comment_id");
+    // Câu trả lời bên dưới bị xóa dây chuyền (khóa ngoại) nên lấy danh sách trước để gỡ khỏi chỉ mục tìm kiếm
+    const removedIds = await commentWithDescendants(db, req.params.id);
 
-    if (result.rowsAffected[0] === 0) {
+    // Customer/employee chỉ xóa được bình luận của chính mình
+    const result = req.user.role === "admin"
+      ? await db.execute("DELETE FROM Comments WHERE comment_id = ?", [req.params.id])
+      : await db.execute("DELETE FROM Comments WHERE comment_id = ? AND user_id = ?", [req.params.id, req.user.id]);
+
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Comment not found" });
     }
+    for (const id of removedIds) {
+      await removeSearchDocument(db, "comment", id);
+    }
 
-    res.json({ message: "✅ Comment deleted successfully" });
+    res.json({ message: "✅ Comment deleted successfully", deleted_replies: removedIds.length - 1 });
   } catch (err) {
     console.error("❌ Error in DELETE /comments/:id:", err.message);
     res.status(500).send(err.message);
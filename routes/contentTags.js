@@ -0,0 +1,50 @@
+const express = require("express");
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { TAGGABLE_ENTITIES, parseTagIds, getEntityTags, setEntityTags } = require("../services/taxonomyService");
+
+/**
+ * Router gắn thẻ cho một loại nội dung, gắn dưới `/:id/tags` của router nội dung:
+ *   router.use("/:id/tags", contentTagRouter("lesson"));
+ * @param {"course"|"lesson"|"hand_motion"} entityType
+ */
+const contentTagRouter = (entityType) => {
+    const router = express.Router({ mergeParams: true });
+    const { table, idColumn, label } = TAGGABLE_ENTITIES[entityType];
+    const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+
+    // GET .../:id/tags (Thẻ đang gắn)
+    router.get("/", ...staffOnly, async (req, res) => {
+        try {
+            if (!(await db.exists(table, idColumn, req.params.id))) {
+                return res.status(404).json({ message: `Không tìm thấy ${label}` });
+            }
+            const byEntity = await getEntityTags(db, entityType, [Number(req.params.id)]);
+            res.json(byEntity.get(Number(req.params.id)) || []);
+        } catch (err) {
+            console.error(`❌ Lỗi GET /${entityType}/:id/tags:`, err.message);
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    });
+
+    // PUT .../:id/tags (Thay toàn bộ thẻ) - Body: { tag_ids: [1, 4] }; mảng rỗng = gỡ hết thẻ
+    router.put("/", ...staffOnly, async (req, res) => {
+        const tagIds = parseTagIds(req.body.tag_ids);
+        if (!tagIds) {
+            return res.status(400).json({ message: "tag_ids phải là mảng id thẻ (số nguyên dương)" });
+        }
+
+        try {
+            const result = await withTransaction((tx) => setEntityTags(tx, entityType, req.params.id, tagIds, req.user.id));
+            if (result.status) return res.status(result.status).json(result.body);
+            res.json({ message: `✅ Đã cập nhật thẻ cho ${label}`, tags: result.tags });
+        } catch (err) {
+            console.error(`❌ Lỗi PUT /${entityType}/:id/tags:`, err.message);
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { contentTagRouter };
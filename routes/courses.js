@@ -1,7 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../db"); // Import pool từ db.js mới
-const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const { markLocked } = require("../services/entitlementService");
+const { db, withTransaction } = require("../services/dataAccess");
+const { parseSectionId, reorderLessons, reorderSections, buildCurriculum } = require("../services/curriculumService");
+const {
+    PUBLICATION_STATUSES, visibleCondition, parsePublication, publicationSetClauses,
+} = require("../services/publishingService");
+const { loadEntity, recordRevision } = require("../services/revisionService");
+const { revisionRouter } = require("./revisions");
+const { syncSearchDocument, syncSearchTree, removeSearchTree } = require("../services/searchService");
+const { tagFilter, attachTags, removeEntityTags } = require("../services/taxonomyService");
+const { contentTagRouter } = require("./contentTags");
 
 // GET /api/courses/ping (Kiểm tra API)
 router.get("/ping", (req, res) => {
@@ -9,13 +20,32 @@ router.get("/ping", (req, res) => {
 });
 
 // GET /api/courses (Lấy danh sách khóa học)
-// Thêm verifyToken - có lẽ mọi người dùng đã login nên xem được khóa học
+// Khách hàng chỉ thấy khóa học đã xuất bản; nhân sự thấy tất cả và lọc được theo ?status=
+// Lọc theo thẻ: ?tag=instrument:dan-tranh,nhan (phải có đủ mọi thẻ)
 router.get("/", verifyToken, async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !PUBLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status phải là một trong: ${PUBLICATION_STATUSES.join(", ")}` });
+    }
+    const tags = tagFilter(req.query.tag, [{ type: "course", idExpr: "c.course_id" }]);
+    if (tags.error) {
+        return res.status(400).json({ message: tags.error });
+    }
+
     try {
-        // Có thể thêm điều kiện WHERE is_active = 1 nếu bạn thêm cột đó
-        const sqlQuery = "SELECT * FROM Courses ORDER BY created_at DESC";
-        const [rows] = await pool.query(sqlQuery);
-        res.json(rows);
+        const conditions = [...tags.conditions];
+        const params = [...tags.params];
+        if (!isStaff(req.user)) {
+            conditions.push(visibleCondition("c"));
+        } else if (status) {
+            conditions.push("c.status = ?");
+            params.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+        const sqlQuery = `SELECT c.* FROM Courses c ${where} ORDER BY c.created_at DESC`;
+        const [rows] = await pool.query(sqlQuery, params);
+        res.json(await attachTags(db, "course", await markLocked(req.user, rows), "course_id"));
     } catch (err) {
         console.error("❌ Lỗi GET /courses:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
@@ -27,14 +57,16 @@ router.get("/", verifyToken, async (req, res) => {
 router.get("/:id", verifyToken, async (req, res) => {
     try {
         const courseId = req.params.id;
-        const sqlQuery = "SELECT * FROM Courses WHERE course_id = ?";
+        // Khóa học chưa xuất bản coi như không tồn tại với khách hàng
+        const visibility = isStaff(req.user) ? "" : ` AND ${visibleCondition("c")}`;
+        const sqlQuery = `SELECT c.* FROM Courses c WHERE c.course_id = ?${visibility}`;
         const [rows] = await pool.query(sqlQuery, [courseId]);
 
         if (rows.length === 0) {
             return res.status(404).json({ message: "Không tìm thấy khóa học" });
         }
-        // Có thể thêm kiểm tra is_active cho customer nếu cần
-        res.json(rows[0]);
+        const [course] = await attachTags(db, "course", rows, "course_id");
+        res.json(course);
     } catch (err) {
         console.error("❌ Lỗi GET /courses/:id:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
@@ -50,22 +82,34 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
         return res.status(400).json({ message: "Thiếu trường bắt buộc: course_name, level" });
     }
 
+    // Khóa học mới mặc định là bản nháp, chưa hiển thị cho khách hàng
+    const publication = parsePublication(req.body, "draft");
+    if (publication.error) {
+        return res.status(400).json({ message: publication.error });
+    }
+
     try {
         // Xử lý is_free: nếu không gửi hoặc false thì là 0, true/1 là 1
         const isFreeBit = (is_free === true || is_free === 1) ? 1 : 0;
 
         const sqlInsert = `
-            INSERT INTO Courses (course_name, description, level, created_by, is_free, created_at)
-            VALUES (?, ?, ?, ?, ?, NOW())
+            INSERT INTO Courses (course_name, description, level, created_by, is_free, status, publish_at, published_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
         `;
-        const [result] = await pool.query(sqlInsert, [
-            course_name, description || null, level, created_by, isFreeBit
-        ]);
+        const course = await withTransaction(async (tx) => {
+            const result = await tx.execute(sqlInsert, [
+                course_name, description || null, level, created_by, isFreeBit,
+                publication.status, publication.publish_at, publication.status === "published" ? new Date() : null
+            ]);
 
-        // Lấy lại khóa học vừa tạo để trả về (tùy chọn)
-        const [newCourseRows] = await pool.query("SELECT * FROM Courses WHERE course_id = ?", [result.insertId]);
+            // Lấy lại khóa học vừa tạo để trả về và ghi phiên bản đầu tiên
+            const created = await loadEntity(tx, "course", result.insertId);
+            await recordRevision(tx, "course", result.insertId, { after: created, editorId: created_by });
+            await syncSearchDocument(tx, "course", result.insertId);
+            return created;
+        });
 
-        res.status(201).json({ message: "✅ Thêm khóa học thành công", course: newCourseRows[0] });
+        res.status(201).json({ message: "✅ Thêm khóa học thành công", course });
     } catch (err) {
         console.error("❌ Lỗi POST /courses/create:", err.message);
         // Bắt lỗi trùng tên khóa học nếu có UNIQUE constraint
@@ -104,14 +148,23 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
 
         params.push(courseId); // Thêm course_id vào cuối cho WHERE
 
-        const sqlUpdate = `UPDATE Courses SET ${setClauses.join(", ")} WHERE course_id = ?`;
-        const [result] = await pool.query(sqlUpdate, params);
+        // Cập nhật và ghi lại phiên bản (người sửa, các trường đã đổi) trong cùng transaction
+        const revisionNumber = await withTransaction(async (tx) => {
+            const before = await loadEntity(tx, "course", courseId, { forUpdate: true });
+            if (!before) return undefined;
 
-        if (result.affectedRows === 0) {
+            await tx.execute(`UPDATE Courses SET ${setClauses.join(", ")} WHERE course_id = ?`, params);
+            const after = await loadEntity(tx, "course", courseId);
+            // Bài học/tài nguyên kế thừa level và is_free của khóa học trong chỉ mục tìm kiếm
+            await syncSearchTree(tx, "course", courseId);
+            return recordRevision(tx, "course", courseId, { before, after, editorId: req.user.id });
+        });
+
+        if (revisionNumber === undefined) {
             return res.status(404).json({ message: "Không tìm thấy khóa học." });
         }
 
-        res.json({ message: "✅ Cập nhật khóa học thành công." });
+        res.json({ message: "✅ Cập nhật khóa học thành công.", revision_number: revisionNumber });
     } catch (err) {
         console.error("❌ Lỗi PUT /courses/:id:", err.message);
          // Bắt lỗi trùng tên khóa học nếu có UNIQUE constraint
@@ -133,8 +186,13 @@ router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (r
             return res.status(400).json({ message: "Không thể xóa khóa học này.", reason: "Khóa học đang chứa các bài học. Vui lòng xóa hoặc di chuyển các bài học trước." });
         }
 
-        // Tiến hành xóa
-        const [result] = await pool.query("DELETE FROM Courses WHERE course_id = ?", [courseId]);
+        // Tiến hành xóa (kèm các chương rỗng của khóa học)
+        const result = await withTransaction(async (tx) => {
+            await tx.execute("DELETE FROM CourseSections WHERE course_id = ?", [courseId]);
+            await removeSearchTree(tx, "course", courseId);
+            await removeEntityTags(tx, "course", courseId);
+            return tx.execute("DELETE FROM Courses WHERE course_id = ?", [courseId]);
+        });
 
         if (result.affectedRows === 0) {
             return res.status(404).json({ message: "Không tìm thấy khóa học." });
@@ -150,4 +208,221 @@ router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (r
     }
 });
 
+// GET /api/courses/:id/curriculum (Cây chương → bài học của khóa học, chỉ gồm nội dung đã xuất bản)
+// Bài học trả phí vẫn hiển thị nhưng được đánh dấu locked
+router.get("/:id/curriculum", verifyToken, async (req, res) => {
+    try {
+        const curriculum = await buildCurriculum(db, req.user, req.params.id);
+        if (!curriculum) {
+            return res.status(404).json({ message: "Không tìm thấy khóa học" });
+        }
+        res.json(curriculum);
+    } catch (err) {
+        console.error("❌ Lỗi GET /courses/:id/curriculum:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/courses/:id/preview (Xem trước toàn bộ khóa học kể cả nháp/hẹn giờ/lưu trữ - Admin/Employee)
+router.get("/:id/preview", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    try {
+        const curriculum = await buildCurriculum(db, req.user, req.params.id, { includeUnpublished: true });
+        if (!curriculum) {
+            return res.status(404).json({ message: "Không tìm thấy khóa học" });
+        }
+        res.json(curriculum);
+    } catch (err) {
+        console.error("❌ Lỗi GET /courses/:id/preview:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/courses/:id/publication (Đổi trạng thái xuất bản - Admin/Employee)
+// Body: { status: "draft" | "scheduled" | "published" | "archived", publish_at? } — publish_at bắt buộc khi scheduled
+router.put("/:id/publication", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const publication = parsePublication(req.body);
+    if (!publication) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: status" });
+    }
+    if (publication.error) {
+        return res.status(400).json({ message: publication.error });
+    }
+
+    try {
+        const { clauses, params } = publicationSetClauses(publication);
+        const result = await db.execute(
+            `UPDATE Courses SET ${clauses.join(", ")} WHERE course_id = ?`,
+            [...params, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: "Không tìm thấy khóa học." });
+        }
+
+        const course = await db.queryOne(
+            "SELECT course_id, status, publish_at, published_at FROM Courses WHERE course_id = ?",
+            [req.params.id]
+        );
+        res.json({ message: "✅ Cập nhật trạng thái xuất bản thành công", course });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /courses/:id/publication:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// /api/courses/:id/revisions (Lịch sử chỉnh sửa, so sánh và khôi phục - Admin/Employee)
+router.use("/:id/revisions", revisionRouter("course"));
+
+// GET/PUT /api/courses/:id/tags (Gắn thẻ nhạc cụ, kỹ thuật, thể loại)
+router.use("/:id/tags", contentTagRouter("course"));
+
+// POST /api/courses/:id/sections (Thêm chương vào cuối khóa học - Admin/Employee)
+router.post("/:id/sections", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const courseId = req.params.id;
+    const { section_name, description } = req.body;
+
+    if (!section_name) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: section_name" });
+    }
+
+    try {
+        const section = await withTransaction(async (tx) => {
+            const course = await tx.queryOne("SELECT course_id FROM Courses WHERE course_id = ? FOR UPDATE", [courseId]);
+            if (!course) return null;
+
+            const { next } = await tx.queryOne(
+                "SELECT COALESCE(MAX(position), 0) + 1 AS next FROM CourseSections WHERE course_id = ?",
+                [courseId]
+            );
+            const result = await tx.execute(
+                "INSERT INTO CourseSections (course_id, section_name, description, position, created_at) VALUES (?, ?, ?, ?, NOW())",
+                [courseId, section_name, description || null, next]
+            );
+            return tx.queryOne("SELECT * FROM CourseSections WHERE section_id = ?", [result.insertId]);
+        });
+
+        if (!section) {
+            return res.status(404).json({ message: "Không tìm thấy khóa học" });
+        }
+        res.status(201).json({ message: "✅ Thêm chương thành công", section });
+    } catch (err) {
+        console.error("❌ Lỗi POST /courses/:id/sections:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/courses/:id/sections/reorder (Sắp xếp lại thứ tự chương - Admin/Employee)
+// Body: { section_ids: [3, 1, 2] } gồm đúng và đủ các chương của khóa học
+router.put("/:id/sections/reorder", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const { section_ids } = req.body;
+    if (!Array.isArray(section_ids)) {
+        return res.status(400).json({ message: "section_ids phải là mảng" });
+    }
+
+    try {
+        const result = await withTransaction((tx) => reorderSections(tx, req.params.id, section_ids));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Cập nhật thứ tự chương thành công", section_ids: result.section_ids });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /courses/:id/sections/reorder:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/courses/:id/sections/:sectionId (Đổi tên/mô tả chương - Admin/Employee)
+router.put("/:id/sections/:sectionId", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const { section_name, description } = req.body;
+
+    const setClauses = [];
+    const params = [];
+    if (section_name !== undefined) {
+        if (!section_name) return res.status(400).json({ message: "section_name không được để trống" });
+        setClauses.push("section_name = ?"); params.push(section_name);
+    }
+    if (description !== undefined) { setClauses.push("description = ?"); params.push(description || null); }
+
+    if (setClauses.length === 0) {
+        return res.status(400).json({ message: "Không có trường hợp lệ để cập nhật." });
+    }
+
+    try {
+        const result = await db.execute(
+            `UPDATE CourseSections SET ${setClauses.join(", ")} WHERE section_id = ? AND course_id = ?`,
+            [...params, req.params.sectionId, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: "Không tìm thấy chương trong khóa học này" });
+        }
+        res.json({ message: "✅ Cập nhật chương thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /courses/:id/sections/:sectionId:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/courses/:id/sections/:sectionId (Xóa chương rỗng - Admin/Employee)
+router.delete("/:id/sections/:sectionId", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const { id: courseId, sectionId } = req.params;
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            const section = await tx.queryOne(
+                "SELECT section_id FROM CourseSections WHERE section_id = ? AND course_id = ? FOR UPDATE",
+                [sectionId, courseId]
+            );
+            if (!section) return { status: 404, body: { message: "Không tìm thấy chương trong khóa học này" } };
+
+            if (await tx.exists("Lessons", "section_id", sectionId)) {
+                return {
+                    status: 400,
+                    body: { message: "Không thể xóa chương này.", reason: "Chương đang chứa bài học. Vui lòng chuyển các bài học sang chương khác trước." },
+                };
+            }
+
+            await tx.execute("DELETE FROM CourseSections WHERE section_id = ?", [sectionId]);
+            // Đánh số lại các chương còn lại
+            const rest = await tx.query(
+                "SELECT section_id FROM CourseSections WHERE course_id = ? ORDER BY position FOR UPDATE",
+                [courseId]
+            );
+            for (let i = 0; i < rest.length; i++) {
+                await tx.execute("UPDATE CourseSections SET position = ? WHERE section_id = ?", [i + 1, rest[i].section_id]);
+            }
+            return null;
+        });
+
+        if (result) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Xóa chương thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /courses/:id/sections/:sectionId:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/courses/:id/lessons/reorder (Sắp xếp lại bài học trong một chương - Admin/Employee)
+// Body: { section_id: 5 | null, lesson_ids: [12, 10, 11] }; section_id null = các bài chưa xếp chương
+router.put("/:id/lessons/reorder", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const { lesson_ids } = req.body;
+    const sectionId = parseSectionId(req.body.section_id);
+
+    if (sectionId === undefined) {
+        return res.status(400).json({ message: "section_id không hợp lệ" });
+    }
+    if (!Array.isArray(lesson_ids)) {
+        return res.status(400).json({ message: "lesson_ids phải là mảng" });
+    }
+
+    try {
+        if (!(await db.exists("Courses", "course_id", req.params.id))) {
+            return res.status(404).json({ message: "Không tìm thấy khóa học" });
+        }
+
+        const result = await withTransaction((tx) => reorderLessons(tx, req.params.id, sectionId, lesson_ids));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Cập nhật thứ tự bài học thành công", section_id: sectionId, lesson_ids: result.lesson_ids });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /courses/:id/lessons/reorder:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
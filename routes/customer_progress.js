@@ -1,6 +1,14 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
+const { db } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+
+// Bảng CustomerProgress cũ đã được gộp vào LessonProgress (khách hàng = Users.user_id),
+// API này giữ nguyên tên trường customer_id để client cũ không phải đổi.
+// Chỉ dành cho Admin/Employee: ghi trực tiếp không qua kiểm tra quyền truy cập, điều kiện tiên quyết
+// hay quiz/bài tập bắt buộc; học viên cập nhật tiến độ qua /api/lesson-progress
+const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+const PROGRESS_SELECT = "SELECT progress_id, user_id AS customer_id, lesson_id, status, last_watched FROM LessonProgress";
 
 /**
  * @swagger
@@ -89,6 +97,8 @@ router.get("/ping", (req, res) => {
  *   get:
  *     summary: Lấy danh sách toàn bộ tiến độ học tập
  *     tags: [CustomerProgress]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Danh sách tiến độ học tập
@@ -98,6 +108,10 @@ router.get("/ping", (req, res) => {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/CustomerProgress'
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Chỉ dành cho Admin/Employee
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -105,11 +119,10 @@ router.get("/ping", (req, res) => {
  * 📌 GET /api/customer-progress
  * Lấy tất cả tiến độ học của khách hàng
  */
-router.get("/", async (req, res) => {
+router.get("/", ...staffOnly, async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query("SELECT * FROM CustomerProgress");
-    res.json(result.recordset);
+    const rows = await db.query(PROGRESS_SELECT);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /customer-progress:", err.message);
     res.status(500).send("Server error");
@@ -122,6 +135,8 @@ router.get("/", async (req, res) => {
  *   get:
  *     summary: Lấy tiến độ học theo ID
  *     tags: [CustomerProgress]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -138,6 +153,10 @@ router.get("/", async (req, res) => {
  *               $ref: '#/components/schemas/CustomerProgress'
  *       404:
  *         description: Không tìm thấy tiến độ học
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Chỉ dành cho Admin/Employee
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -145,18 +164,15 @@ router.get("/", async (req, res) => {
  * 📌 GET /api/customer-progress/:id
  * Lấy tiến độ học theo ID
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", ...staffOnly, async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .query("SELECT * FROM CustomerProgress WHERE progress_id = @progress_id");
+    const progress = await db.queryOne(`${PROGRESS_SELECT} WHERE progress_id = ?`, [req.params.id]);
 
-    if (result.recordset.length === 0) {
+    if (!progress) {
       return res.status(404).json({ message: "Progress not found" });
     }
 
-    res.json(result.recordset[0]);
+    res.json(progress);
   } catch (err) {
     console.error("❌ Error in GET /customer-progress/:id:", err.message);
     res.status(500).send("Server error");
@@ -169,6 +185,8 @@ router.get("/:id", async (req, res) => {
  *   get:
  *     summary: Lấy tiến độ học theo ID
  *     tags: [CustomerProgress]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -185,6 +203,10 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/CustomerProgress'
  *       404:
  *         description: Không tìm thấy tiến độ học
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Chỉ dành cho Admin/Employee
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -192,23 +214,20 @@ router.get("/:id", async (req, res) => {
  * 📌 GET /api/customer-progress/customer/:customer_id
  * Lấy tiến độ học của một khách hàng cụ thể
  */
-router.get("/customer/:customer_id", async (req, res) => {
+router.get("/customer/:customer_id", ...staffOnly, async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("customer_id", sql.Int, req.params.customer_id)
-      .query(`
-        SELECT cp.*, l.lesson_name
-        FROM CustomerProgress cp
-        JOIN Lessons l ON cp.lesson_id = l.lesson_id
-        WHERE cp.customer_id = @customer_id
-      `);
-
-    if (result.recordset.length === 0) {
+    const rows = await db.query(`
+      SELECT lp.progress_id, lp.user_id AS customer_id, lp.lesson_id, lp.status, lp.last_watched, l.lesson_name
+      FROM LessonProgress lp
+      JOIN Lessons l ON lp.lesson_id = l.lesson_id
+      WHERE lp.user_id = ?
+    `, [req.params.customer_id]);
+
+    if (rows.length === 0) {
       return res.status(404).json({ message: "No progress found for this customer" });
     }
 
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /customer-progress/customer/:id:", err.message);
     res.status(500).send("Server error");
@@ -221,6 +240,8 @@ router.get("/customer/:customer_id", async (req, res) => {
  *   post:
  *     summary: Thêm tiến độ học mới
  *     tags: [CustomerProgress]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -236,6 +257,12 @@ router.get("/customer/:customer_id", async (req, res) => {
  *               $ref: '#/components/schemas/SuccessResponse'
  *       400:
  *         description: Dữ liệu không hợp lệ hoặc khách hàng/bài học không tồn tại
+ *       409:
+ *         description: Khách hàng đã có tiến độ cho bài học này (sửa qua PUT)
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Chỉ dành cho Admin/Employee
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -245,7 +272,7 @@ router.get("/customer/:customer_id", async (req, res) => {
  * Thêm tiến độ học mới
  * Required: customer_id, lesson_id, status
  */
-router.post("/", async (req, res) => {
+router.post("/", ...staffOnly, async (req, res) => {
   const { customer_id, lesson_id, status, last_watched } = req.body;
 
   if (!customer_id || !lesson_id || !status) {
@@ -253,41 +280,31 @@ router.post("/", async (req, res) => {
   }
 
   try {
-    const pool = await poolPromise;
-
-    // 🔍 Kiểm tra customer_id tồn tại
-    const checkCustomer = await pool.request()
-      .input("customer_id", sql.Int, customer_id)
-      .query("SELECT COUNT(*) AS count FROM Customers WHERE customer_id = @customer_id");
-
-    if (checkCustomer.recordset[0].count === 0) {
+    // 🔍 Kiểm tra customer_id tồn tại (khách hàng là Users có role customer)
+    const customer = await db.queryOne("SELECT user_id FROM Users WHERE user_id = ? AND role = 'customer'", [customer_id]);
+    if (!customer) {
       return res.status(400).json({ message: "Invalid customer_id: customer not found" });
     }
 
     // 🔍 Kiểm tra lesson_id tồn tại
-    const checkLesson = await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .query("SELECT COUNT(*) AS count FROM Lessons WHERE lesson_id = @lesson_id");
-
-    if (checkLesson.recordset[0].count === 0) {
+    if (!(await db.exists("Lessons", "lesson_id", lesson_id))) {
       return res.status(400).json({ message: "Invalid lesson_id: lesson not found" });
     }
 
     // ✅ Thêm tiến độ mới
-    await pool.request()
-      .input("customer_id", sql.Int, customer_id)
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("status", sql.NVarChar(30), status)
-      .input("last_watched", sql.DateTime, last_watched || new Date())
-      .query(`
-        INSERT INTO CustomerProgress (customer_id, lesson_id, status, last_watched)
-        VALUES (@customer_id, @lesson_id, @status, @last_watched)
-      `);
+    await db.execute(
+      `INSERT INTO LessonProgress (user_id, lesson_id, status, last_watched)
+       VALUES (?, ?, ?, ?)`,
+      [customer_id, lesson_id, status, last_watched ? new Date(last_watched) : new Date()]
+    );
 
     res.status(201).json({ message: "✅ Customer progress added successfully" });
   } catch (err) {
     console.error("❌ Error in POST /customer-progress:", err.message);
-    res.status(500).send(err.message);
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "Progress for this customer and lesson already exists" });
+    }
+    res.status(500).send("Server error");
   }
 });
 
@@ -297,6 +314,8 @@ router.post("/", async (req, res) => {
  *   put:
  *     summary: Cập nhật tiến độ học
  *     tags: [CustomerProgress]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -315,6 +334,12 @@ router.post("/", async (req, res) => {
  *         description: Cập nhật tiến độ thành công
  *       404:
  *         description: Không tìm thấy tiến độ học
+ *       409:
+ *         description: Khách hàng đã có tiến độ khác cho bài học này
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Chỉ dành cho Admin/Employee
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -323,7 +348,7 @@ router.post("/", async (req, res) => {
  * 📌 PUT /api/customer-progress/:id
  * Cập nhật tiến độ học
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", ...staffOnly, async (req, res) => {
   const { customer_id, lesson_id, status, last_watched } = req.body;
 
   if (!customer_id || !lesson_id || !status) {
@@ -331,31 +356,27 @@ router.put("/:id", async (req, res) => {
   }
 
   try {
-    const pool = await poolPromise;
-
-    const result = await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .input("customer_id", sql.Int, customer_id)
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("status", sql.NVarChar(30), status)
-      .input("last_watched", sql.DateTime, last_watched || new Date())
-      .query(`
-        UPDATE CustomerProgress
-        SET customer_id = @customer_id,
-            lesson_id = @lesson_id,
-            status = @status,
-            last_watched = @last_watched
-        WHERE progress_id = @progress_id
-      `);
-
-    if (result.rowsAffected[0] === 0) {
+    const result = await db.execute(
+      `UPDATE LessonProgress
+       SET user_id = ?,
+           lesson_id = ?,
+           status = ?,
+           last_watched = ?
+       WHERE progress_id = ?`,
+      [customer_id, lesson_id, status, last_watched ? new Date(last_watched) : new Date(), req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Progress not found" });
     }
 
     res.json({ message: "✅ Customer progress updated successfully" });
   } catch (err) {
     console.error("❌ Error in PUT /customer-progress/:id:", err.message);
-    res.status(500).send(err.message);
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "Progress for this customer and lesson already exists" });
+    }
+    res.status(500).send("Server error");
   }
 });
 
@@ -365,6 +386,8 @@ router.put("/:id", async (req, res) => {
  *   delete:
  *     summary: Xóa tiến độ học
  *     tags: [CustomerProgress]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -377,6 +400,10 @@ router.put("/:id", async (req, res) => {
  *         description: Xóa tiến độ học thành công
  *       404:
  *         description: Không tìm thấy tiến độ học
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Chỉ dành cho Admin/Employee
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -385,21 +412,18 @@ router.put("/:id", async (req, res) => {
  * 📌 DELETE /api/customer-progress/:id
  * Xóa tiến độ học
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", ...staffOnly, async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .query("DELETE FROM CustomerProgress WHERE progress_id = @progress_id");
+    const result = await db.execute("DELETE FROM LessonProgress WHERE progress_id = ?", [req.params.id]);
 
-    if (result.rowsAffected[0] === 0) {
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Progress not found" });
     }
 
     res.json({ message: "✅ Customer progress deleted successfully" });
   } catch (err) {
     console.error("❌ Error in DELETE /customer-progress/:id:", err.message);
-    res.status(500).send(err.message);
+    res.status(500).send("Server error");
   }
 });
 
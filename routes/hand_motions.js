@@ -1,7 +1,59 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
-const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { markLocked } = require("../services/entitlementService");
+const { visibleCondition } = require("../services/publishingService");
+const { MOTION_FORMAT_VERSION, MOTION_JSON_SCHEMA, validateMotionData, describeMotion } = require("../services/motionFormat");
+const { MOTION_BINARY_TYPE, encodeMotion, decodeMotion, motionStats, readStoredMotion } = require("../services/motionCodec");
+const { tagFilter, attachTags, removeEntityTags } = require("../services/taxonomyService");
+const { removeSongLinks } = require("../services/songService");
+const { contentTagRouter } = require("./contentTags");
+
+// Bản ghi nhị phân gửi lên với Content-Type riêng; các trường còn lại nằm trên query string
+const rawMotion = express.raw({ type: MOTION_BINARY_TYPE, limit: process.env.MOTION_UPLOAD_LIMIT || "5mb" });
+
+// Bản ghi tạo trước khi có định dạng v1 (format_version NULL) được đánh dấu legacy
+const flagLegacy = (row) => ({ ...row, is_legacy: row.format_version !== MOTION_FORMAT_VERSION });
+
+// Trả 400 kèm đường dẫn chính xác của frame/landmark sai; ngược lại trả về dạng chuẩn
+const parseMotionData = (motion_data, res) => {
+  const result = validateMotionData(motion_data);
+  if (!result.valid) {
+    res.status(400).json({ message: "Invalid motion_data", errors: result.errors, error_count: result.error_count });
+    return null;
+  }
+  return result.canonical;
+};
+
+/**
+ * Đọc dữ liệu tạo/cập nhật từ JSON body hoặc từ body nhị phân (MOTION_BINARY_TYPE)
+ * @returns {{ fields: object, canonical: object } | null} null nếu đã trả lỗi 400
+ */
+const readMotionRequest = (req, res) => {
+  const binary = Buffer.isBuffer(req.body);
+  const fields = binary ? req.query : req.body || {};
+  const { lesson_id, model_id } = fields;
+
+  if (!lesson_id || !model_id || (binary ? req.body.length === 0 : !fields.motion_data)) {
+    res.status(400).json({ message: "Missing required fields: lesson_id, model_id, motion_data" });
+    return null;
+  }
+
+  let motionData = fields.motion_data;
+  if (binary) {
+    try {
+      motionData = decodeMotion(req.body);
+    } catch (err) {
+      res.status(400).json({ message: "Invalid motion_data", errors: [{ path: "$", message: err.message }], error_count: 1 });
+      return null;
+    }
+  }
+
+  const canonical = parseMotionData(motionData, res);
+  return canonical ? { fields, canonical } : null;
+};
 
 
 /**
@@ -29,8 +81,31 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *           example: 2
  *         motion_data:
  *           type: string
- *           description: Dữ liệu JSON hoặc chuỗi chứa toạ độ chuyển động tay
- *           example: '{"x":120,"y":250,"timestamp":1697032200}'
+ *           description: Bản ghi chuyển động định dạng v1 (JSON, dạng chuẩn). Xem GET /api/hand-motions/schema
+ *           example: '{"version":1,"fps":30,"frames":[{"t":0,"hands":[{"handedness":"Right","landmarks":[[0.51,0.82,0],[0.46,0.77,-0.02],"... 21 điểm"]}]}]}'
+ *         format_version:
+ *           type: integer
+ *           nullable: true
+ *           description: Phiên bản định dạng motion_data (NULL với dữ liệu cũ)
+ *           example: 1
+ *         is_legacy:
+ *           type: boolean
+ *           description: true nếu motion_data là dữ liệu tự do cũ, chưa theo định dạng v1
+ *           example: false
+ *         stats:
+ *           type: object
+ *           nullable: true
+ *           description: Dung lượng JSON tương đương, dung lượng đã mã hóa và tỉ lệ nén (null nếu legacy)
+ *           properties:
+ *             json_bytes:
+ *               type: integer
+ *               example: 537971
+ *             encoded_bytes:
+ *               type: integer
+ *               example: 31717
+ *             compression_ratio:
+ *               type: number
+ *               example: 16.96
  *         description:
  *           type: string
  *           example: "Mô phỏng động tác nhấn dây trong đàn tranh"
@@ -38,6 +113,29 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *           type: string
  *           format: date-time
  *           example: "2025-10-10T10:00:00Z"
+ *         locked:
+ *           type: boolean
+ *           description: true nếu bài học chứa nội dung này yêu cầu gói đăng ký mà user chưa có
+ *           example: false
+ *         tags:
+ *           type: array
+ *           description: Thẻ nhạc cụ/kỹ thuật/thể loại gắn trực tiếp trên hand motion
+ *           items:
+ *             type: object
+ *             properties:
+ *               tag_id:
+ *                 type: integer
+ *                 example: 4
+ *               taxonomy:
+ *                 type: string
+ *                 enum: [instrument, technique, genre]
+ *                 example: technique
+ *               name:
+ *                 type: string
+ *                 example: "Nhấn"
+ *               slug:
+ *                 type: string
+ *                 example: "nhan"
  *
  *     CreateHandMotionRequest:
  *       type: object
@@ -53,12 +151,72 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *           type: integer
  *           example: 2
  *         motion_data:
- *           type: string
- *           example: '{"motion":"up-down","accuracy":98.7}'
+ *           $ref: '#/components/schemas/MotionRecording'
  *         description:
  *           type: string
  *           example: "Mô hình AI ghi nhận động tác đúng chuẩn"
  *
+ *     MotionRecording:
+ *       type: object
+ *       description: Bản ghi chuyển động tay định dạng v1 (object hoặc chuỗi JSON)
+ *       required:
+ *         - version
+ *         - frames
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 1
+ *         fps:
+ *           type: number
+ *           example: 30
+ *         frames:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               t:
+ *                 type: number
+ *                 description: Mili-giây từ đầu bản ghi, tăng dần
+ *                 example: 0
+ *               hands:
+ *                 type: array
+ *                 maxItems: 2
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     handedness:
+ *                       type: string
+ *                       enum: [Left, Right]
+ *                     landmarks:
+ *                       type: array
+ *                       description: Đúng 21 điểm [x, y, z] theo MediaPipe Hands
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                       example: [[0.51, 0.82, 0], [0.46, 0.77, -0.02]]
+ *
+ *     MotionValidationError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: "Invalid motion_data"
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: "$.frames[3].hands[0].landmarks[7].x"
+ *               message:
+ *                 type: string
+ *                 example: "Toạ độ phải là số hữu hạn"
+ *         error_count:
+ *           type: integer
+ *           example: 1
+ *
  *     UpdateHandMotionRequest:
  *       type: object
  *       required:
@@ -73,8 +231,7 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *           type: integer
  *           example: 2
  *         motion_data:
- *           type: string
- *           example: '{"motion":"down-up","accuracy":96.5}'
+ *           $ref: '#/components/schemas/MotionRecording'
  *         description:
  *           type: string
  *           example: "Cập nhật mô phỏng động tác mới"
@@ -103,17 +260,27 @@ router.get("/ping", (req, res) => {
  * @swagger
  * /api/hand-motions:
  *   get:
- *     summary: Lấy danh sách tất cả hand motions
+ *     summary: Lấy danh sách tất cả hand motions (không kèm dữ liệu chuyển động, lấy qua GET /api/hand-motions/{id})
  *     tags: [Hand Motions]
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Lọc theo thẻ, cách nhau bởi dấu phẩy (id, slug hoặc taxonomy:slug), phải có đủ mọi thẻ.
+ *           Hand motion kế thừa thẻ của bài học và khóa học chứa nó. Ví dụ `instrument:dan-tranh,nhan`
  *     responses:
  *       200:
- *         description: Danh sách các hand motion
+ *         description: Danh sách các hand motion kèm encoded_bytes (dung lượng bản ghi nhị phân, null nếu chưa mã hóa)
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/HandMotion'
+ *       400:
+ *         description: Tham số tag không hợp lệ
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -122,23 +289,63 @@ router.get("/ping", (req, res) => {
  * 📌 GET /api/hand-motions
  * Lấy danh sách tất cả hand motions
  */
-router.get("/", async (req, res) => {
+router.get("/", verifyToken, async (req, res) => {
+  const tags = tagFilter(req.query.tag, [
+    { type: "hand_motion", idExpr: "hm.motion_id" },
+    { type: "lesson", idExpr: "hm.lesson_id" },
+    { type: "course", idExpr: "l.course_id" },
+  ]);
+  if (tags.error) {
+    return res.status(400).json({ message: tags.error });
+  }
+
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query("SELECT * FROM Hand_Motions");
-    res.json(result.recordset);
+    const conditions = [...tags.conditions];
+    if (!isStaff(req.user)) conditions.push(visibleCondition("l"), visibleCondition("c"));
+    const rows = await db.query(`
+      SELECT hm.motion_id, hm.lesson_id, hm.model_id, hm.format_version, hm.description, hm.created_at,
+             LENGTH(hm.motion_blob) AS encoded_bytes, l.is_free, c.is_free AS course_is_free
+      FROM Hand_Motions hm
+      JOIN Lessons l ON hm.lesson_id = l.lesson_id
+      JOIN Courses c ON l.course_id = c.course_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+    `, tags.params);
+    // Dữ liệu của bài học trả phí được đánh dấu locked thay vì ẩn
+    const motions = await markLocked(req.user, rows.map(flagLegacy));
+    res.json(await attachTags(db, "hand_motion", motions, "motion_id"));
   } catch (err) {
     console.error("❌ Error in GET /hand-motions:", err.message);
     res.status(500).send("Server error");
   }
 });
 
+/**
+ * @swagger
+ * /api/hand-motions/schema:
+ *   get:
+ *     summary: JSON Schema của định dạng motion_data (phiên bản hiện tại)
+ *     tags: [Hand Motions]
+ *     responses:
+ *       200:
+ *         description: JSON Schema (draft-07)
+ */
+
+/**
+ * 📌 GET /api/hand-motions/schema
+ * Trả về JSON Schema để client kiểm tra bản ghi trước khi gửi
+ */
+router.get("/schema", (req, res) => {
+  res.json(MOTION_JSON_SCHEMA);
+});
+
 /**
  * @swagger
  * /api/hand-motions/{id}:
  *   get:
  *     summary: Lấy hand motion theo ID
  *     tags: [Hand Motions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -146,15 +353,40 @@ router.get("/", async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID của hand motion
+ *       - in: header
+ *         name: Accept
+ *         schema:
+ *           type: string
+ *           enum: [application/json, application/vnd.moccam.motion+gzip]
+ *         description: Chọn application/vnd.moccam.motion+gzip để nhận bản ghi nhị phân (thống kê nằm trong header X-Motion-*)
  *     responses:
  *       200:
  *         description: Thông tin chi tiết hand motion
  *         content:
+ *           application/vnd.moccam.motion+gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/HandMotion'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/HandMotion'
+ *                 - type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Số frame, thời lượng (ms) và các bàn tay có trong bản ghi (null nếu legacy)
+ *       401:
+ *         description: Chưa đăng nhập
+ *       402:
+ *         description: Nội dung trả phí, cần gói đăng ký còn hiệu lực (kèm unlocking_plans)
+ *       403:
+ *         description: Vai trò không được phép xem nội dung
  *       404:
  *         description: Không tìm thấy hand motion
+ *       406:
+ *         description: Dữ liệu legacy không thể trả về dạng nhị phân
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -163,18 +395,44 @@ router.get("/", async (req, res) => {
  * 📌 GET /api/hand-motions/:id
  * Lấy hand motion theo ID
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", verifyToken, requireLessonAccess(lessonIdFrom("Hand_Motions", "motion_id")), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("motion_id", sql.Int, req.params.id)
-      .query("SELECT * FROM Hand_Motions WHERE motion_id = @motion_id");
+    const row = await db.queryOne("SELECT * FROM Hand_Motions WHERE motion_id = ?", [req.params.id]);
 
-    if (result.recordset.length === 0) {
+    if (!row) {
       return res.status(404).json({ message: "Hand motion not found" });
     }
 
-    res.json(result.recordset[0]);
+    const format = req.accepts(["application/json", MOTION_BINARY_TYPE]);
+    if (!format) {
+      return res.status(406).json({ message: `Supported types: application/json, ${MOTION_BINARY_TYPE}` });
+    }
+    res.vary("Accept");
+
+    const { motion_blob, ...motion } = row;
+    const recording = readStoredMotion(row);
+    // Dòng JSON v1 cũ chưa mã hóa (npm run motions:encode) được mã hóa tạm khi đọc, không ghi lại
+    const encoded = motion_blob || (recording && encodeMotion(recording));
+
+    if (format === MOTION_BINARY_TYPE) {
+      if (!recording) {
+        return res.status(406).json({ message: "Legacy motion_data cannot be served in binary form", is_legacy: true });
+      }
+      const stats = motionStats(recording, encoded);
+      res.set({ "X-Motion-Json-Bytes": stats.json_bytes, "X-Motion-Compression-Ratio": stats.compression_ratio });
+      return res.type(MOTION_BINARY_TYPE).send(encoded);
+    }
+
+    const [{ tags }] = await attachTags(db, "hand_motion", [motion], "motion_id");
+    res.json({
+      ...motion,
+      tags,
+      motion_data: recording ? JSON.stringify(recording) : motion.motion_data,
+      format_version: recording ? MOTION_FORMAT_VERSION : motion.format_version,
+      is_legacy: !recording,
+      summary: recording ? describeMotion(recording) : null,
+      stats: recording ? motionStats(recording, encoded) : null,
+    });
   } catch (err) {
     console.error("❌ Error in GET /hand-motions/:id:", err.message);
     res.status(500).send("Server error");
@@ -189,17 +447,41 @@ router.get("/:id", async (req, res) => {
  *     tags: [Hand Motions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lesson_id
+ *         schema:
+ *           type: integer
+ *         description: Chỉ dùng khi gửi body nhị phân
+ *       - in: query
+ *         name: model_id
+ *         schema:
+ *           type: integer
+ *         description: Chỉ dùng khi gửi body nhị phân
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *         description: Chỉ dùng khi gửi body nhị phân
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/CreateHandMotionRequest'
+ *         application/vnd.moccam.motion+gzip:
+ *           schema:
+ *             type: string
+ *             format: binary
  *     responses:
  *       201:
  *         description: Tạo hand motion thành công
  *       400:
- *         description: Thiếu hoặc sai dữ liệu đầu vào
+ *         description: Thiếu hoặc sai dữ liệu đầu vào (motion_data sai định dạng trả về danh sách lỗi theo đường dẫn)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MotionValidationError'
  *       500:
  *         description: Lỗi máy chủ
  */
@@ -209,46 +491,36 @@ router.get("/:id", async (req, res) => {
  * Thêm hand motion mới
  * Required: lesson_id, model_id, motion_data
  */
-router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
-  const { lesson_id, model_id, motion_data, description } = req.body;
-
-  if (!lesson_id || !model_id || !motion_data) {
-    return res.status(400).json({ message: "Missing required fields: lesson_id, model_id, motion_data" });
-  }
+router.post("/create", verifyToken, authorizeRoles("admin", "employee"), rawMotion, async (req, res) => {
+  const parsed = readMotionRequest(req, res);
+  if (!parsed) return;
+  const { canonical } = parsed;
+  const { lesson_id, model_id, description } = parsed.fields;
+  const encoded = encodeMotion(canonical);
 
   try {
-    const pool = await poolPromise;
-
     // 🔍 Kiểm tra lesson_id tồn tại
-    const checkLesson = await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .query("SELECT COUNT(*) AS count FROM Lessons WHERE lesson_id = @lesson_id");
-
-    if (checkLesson.recordset[0].count === 0) {
+    if (!(await db.exists("Lessons", "lesson_id", lesson_id))) {
       return res.status(400).json({ message: "Invalid lesson_id: lesson not found" });
     }
 
     // 🔍 Kiểm tra model_id tồn tại
-    const checkModel = await pool.request()
-      .input("model_id", sql.Int, model_id)
-      .query("SELECT COUNT(*) AS count FROM AI_Models WHERE model_id = @model_id");
-
-    if (checkModel.recordset[0].count === 0) {
+    if (!(await db.exists("AI_Models", "model_id", model_id))) {
       return res.status(400).json({ message: "Invalid model_id: model not found" });
     }
 
     // ✅ Thêm mới hand motion
-    await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("model_id", sql.Int, model_id)
-      .input("motion_data", sql.NVarChar(sql.MAX), motion_data)
-      .input("description", sql.NVarChar(200), description || null)
-      .query(`
-        INSERT INTO Hand_Motions (lesson_id, model_id, motion_data, description, created_at)
-        VALUES (@lesson_id, @model_id, @motion_data, @description, GETDATE())
-      `);
-
-    res.status(201).json({ message: "✅ Hand motion added successfully" });
+    await db.execute(
+      `INSERT INTO Hand_Motions (lesson_id, model_id, motion_blob, format_version, description, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [lesson_id, model_id, encoded, MOTION_FORMAT_VERSION, description || null]
+    );
+
+    res.status(201).json({
+      message: "✅ Hand motion added successfully",
+      summary: describeMotion(canonical),
+      stats: motionStats(canonical, encoded),
+    });
   } catch (err) {
     console.error("❌ Error in POST /hand-motions:", err.message);
     res.status(500).send(err.message);
@@ -270,17 +542,40 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
  *         schema:
  *           type: integer
  *         description: ID của hand motion cần cập nhật
+ *       - in: query
+ *         name: lesson_id
+ *         schema:
+ *           type: integer
+ *         description: Chỉ dùng khi gửi body nhị phân
+ *       - in: query
+ *         name: model_id
+ *         schema:
+ *           type: integer
+ *         description: Chỉ dùng khi gửi body nhị phân
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *         description: Chỉ dùng khi gửi body nhị phân
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/UpdateHandMotionRequest'
+ *         application/vnd.moccam.motion+gzip:
+ *           schema:
+ *             type: string
+ *             format: binary
  *     responses:
  *       200:
  *         description: Cập nhật thành công
  *       400:
- *         description: Dữ liệu không hợp lệ
+ *         description: Dữ liệu không hợp lệ (motion_data sai định dạng trả về danh sách lỗi theo đường dẫn)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MotionValidationError'
  *       404:
  *         description: Không tìm thấy hand motion
  *       500:
@@ -291,58 +586,88 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
  * 📌 PUT /api/hand-motions/:id
  * Cập nhật hand motion
  */
-router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
-  const { lesson_id, model_id, motion_data, description } = req.body;
-
-  if (!lesson_id || !model_id || !motion_data) {
-    return res.status(400).json({ message: "Missing required fields: lesson_id, model_id, motion_data" });
-  }
+router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), rawMotion, async (req, res) => {
+  const parsed = readMotionRequest(req, res);
+  if (!parsed) return;
+  const { canonical } = parsed;
+  const { lesson_id, model_id, description } = parsed.fields;
+  const encoded = encodeMotion(canonical);
 
   try {
-    const pool = await poolPromise;
-
     // 🔍 Kiểm tra lesson_id
-    const checkLesson = await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .query("SELECT COUNT(*) AS count FROM Lessons WHERE lesson_id = @lesson_id");
-    if (checkLesson.recordset[0].count === 0) {
+    if (!(await db.exists("Lessons", "lesson_id", lesson_id))) {
       return res.status(400).json({ message: "Invalid lesson_id: lesson not found" });
     }
 
     // 🔍 Kiểm tra model_id
-    const checkModel = await pool.request()
-      .input("model_id", sql.Int, model_id)
-      .query("SELECT COUNT(*) AS count FROM AI_Models WHERE model_id = @model_id");
-    if (checkModel.recordset[0].count === 0) {
+    if (!(await db.exists("AI_Models", "model_id", model_id))) {
       return res.status(400).json({ message: "Invalid model_id: model not found" });
     }
 
-    const result = await pool.request()
-      .input("motion_id", sql.Int, req.params.id)
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("model_id", sql.Int, model_id)
-      .input("motion_data", sql.NVarChar(sql.MAX), motion_data)
-      .input("description", sql.NVarChar(200), description || null)
-      .query(`
-        UPDATE Hand_Motions
-        SET lesson_id = @lesson_id,
-            model_id = @model_id,
-            motion_data = @motion_data,
-            description = @description
-        WHERE motion_id = @motion_id
-      `);
-
-    if (result.rowsAffected[0] === 0) {
+    const result = await db.execute(
+      `UPDATE Hand_Motions
+       SET lesson_id = ?,
+           model_id = ?,
+           motion_data = NULL,
+           motion_blob = ?,
+           format_version = ?,
+           description = ?
+       WHERE motion_id = ?`,
+      [lesson_id, model_id, encoded, MOTION_FORMAT_VERSION, description || null, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Hand motion not found" });
     }
 
-    res.json({ message: "✅ Hand motion updated successfully" });
+    res.json({
+      message: "✅ Hand motion updated successfully",
+      summary: describeMotion(canonical),
+      stats: motionStats(canonical, encoded),
+    });
   } catch (err) {
     console.error("❌ Error in PUT /hand-motions/:id:", err.message);
     res.status(500).send(err.message);
   }
 });
 
+/**
+ * @swagger
+ * /api/hand-motions/{id}/tags:
+ *   put:
+ *     summary: Thay toàn bộ thẻ của hand motion (chỉ admin hoặc employee)
+ *     description: "`GET /api/hand-motions/{id}/tags` trả về các thẻ đang gắn. Danh sách thẻ lấy qua GET /api/tags"
+ *     tags: [Hand Motions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tag_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 4]
+ *     responses:
+ *       200:
+ *         description: Cập nhật thẻ thành công
+ *       400:
+ *         description: tag_ids không hợp lệ hoặc có thẻ không tồn tại
+ *       404:
+ *         description: Không tìm thấy hand motion
+ */
+router.use("/:id/tags", contentTagRouter("hand_motion"));
+
 /**
  * @swagger
  * /api/hand-motions/{id}:
@@ -373,12 +698,13 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
  */
 router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("motion_id", sql.Int, req.params.id)
-      .query("DELETE FROM Hand_Motions WHERE motion_id = @motion_id");
+    const result = await withTransaction(async (tx) => {
+      await removeEntityTags(tx, "hand_motion", req.params.id);
+      await removeSongLinks(tx, "hand_motion", req.params.id);
+      return tx.execute("DELETE FROM Hand_Motions WHERE motion_id = ?", [req.params.id]);
+    });
 
-    if (result.rowsAffected[0] === 0) {
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Hand motion not found" });
     }
 
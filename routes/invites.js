@@ -0,0 +1,213 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { pool } = require("../db");
+const { verifyToken, authorizeRoles, STAFF_ROLES } = require("../security/verifyToken");
+const { validatePassword } = require("../security/passwordPolicy");
+const { hashToken } = require("../services/tokenService");
+const { sendMail } = require("../services/mailer");
+
+const inviteTtlHours = () => parseInt(process.env.INVITE_TTL_HOURS, 10) || 72;
+
+// Trạng thái lời mời được suy ra từ các mốc thời gian
+const INVITE_STATUS_SQL = `
+    CASE
+        WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+        WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+        WHEN i.expires_at <= NOW() THEN 'expired'
+        ELSE 'pending'
+    END
+`;
+
+/**
+ * Tạo mã mời mới, lưu hash + hạn dùng, rồi gửi email cho người được mời
+ */
+const sendInviteCode = async (db, invite) => {
+    const code = crypto.randomBytes(24).toString("hex");
+    await db.query(
+        `UPDATE StaffInvites
+         SET code_hash = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR), last_sent_at = NOW(), send_count = send_count + 1
+         WHERE invite_id = ?`,
+        [hashToken(code), inviteTtlHours(), invite.invite_id]
+    );
+
+    await sendMail({
+        to: invite.email,
+        subject: "Mộc Cầm - Lời mời tham gia đội ngũ",
+        text: `Bạn được mời tham gia Mộc Cầm với vai trò "${invite.role}".\n\nHoàn tất đăng ký tại (hiệu lực ${inviteTtlHours()} giờ):\n${process.env.FRONTEND_URL}/accept-invite?code=${code}`,
+    });
+};
+
+// GET /api/invites (Danh sách lời mời - Admin only, mặc định chỉ lấy 'pending')
+router.get("/", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    try {
+        const status = req.query.status || "pending";
+        let sqlQuery = `
+            SELECT i.invite_id, i.email, i.role, i.expires_at, i.last_sent_at, i.send_count, i.created_at,
+                   i.accepted_at, i.revoked_at, u.full_name AS invited_by_name,
+                   ${INVITE_STATUS_SQL} AS status
+            FROM StaffInvites i
+            LEFT JOIN Users u ON i.invited_by = u.user_id
+        `;
+        const params = [];
+
+        if (status !== "all") {
+            sqlQuery += ` HAVING status = ?`;
+            params.push(status);
+        }
+
+        sqlQuery += " ORDER BY i.created_at DESC";
+        const [rows] = await pool.query(sqlQuery, params);
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /invites:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/invites/create (Mời nhân viên/quản trị viên - Admin only)
+router.post("/create", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: email, role" });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Vai trò không hợp lệ. Chỉ chấp nhận: ${STAFF_ROLES.join(", ")}` });
+    }
+
+    try {
+        const [userRows] = await pool.query("SELECT user_id FROM Users WHERE email = ?", [email]);
+        if (userRows.length > 0) return res.status(400).json({ message: "Email đã tồn tại" });
+
+        const [pendingRows] = await pool.query(
+            "SELECT invite_id FROM StaffInvites WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()",
+            [email]
+        );
+        if (pendingRows.length > 0) {
+            return res.status(400).json({ message: "Email này đã có lời mời đang chờ. Hãy dùng chức năng gửi lại.", invite_id: pendingRows[0].invite_id });
+        }
+
+        // code_hash tạm thời, sẽ được thay bằng mã thật trong sendInviteCode
+        const [result] = await pool.query(
+            `INSERT INTO StaffInvites (email, role, code_hash, invited_by, expires_at, send_count, created_at)
+             VALUES (?, ?, ?, ?, NOW(), 0, NOW())`,
+            [email, role, hashToken(crypto.randomBytes(24).toString("hex")), req.user.id]
+        );
+        await sendInviteCode(pool, { invite_id: result.insertId, email, role });
+
+        res.status(201).json({ message: "✅ Đã gửi lời mời", invite_id: result.insertId });
+    } catch (err) {
+        console.error("❌ Lỗi POST /invites/create:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/invites/:id/resend (Gửi lại lời mời với mã mới - Admin only)
+router.post("/:id/resend", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    try {
+        const [rows] = await pool.query("SELECT * FROM StaffInvites WHERE invite_id = ?", [req.params.id]);
+        if (rows.length === 0) return res.status(404).json({ message: "Không tìm thấy lời mời." });
+
+        const invite = rows[0];
+        if (invite.accepted_at) return res.status(400).json({ message: "Lời mời đã được chấp nhận." });
+        if (invite.revoked_at) return res.status(400).json({ message: "Lời mời đã bị thu hồi." });
+
+        // Mã cũ mất hiệu lực vì code_hash bị thay thế
+        await sendInviteCode(pool, invite);
+
+        res.json({ message: "✅ Đã gửi lại lời mời" });
+    } catch (err) {
+        console.error("❌ Lỗi POST /invites/:id/resend:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/invites/:id/revoke (Thu hồi lời mời - Admin only)
+router.put("/:id/revoke", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            "UPDATE StaffInvites SET revoked_at = NOW() WHERE invite_id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ message: "Không tìm thấy lời mời đang chờ để thu hồi." });
+        }
+
+        res.json({ message: "✅ Đã thu hồi lời mời" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /invites/:id/revoke:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/invites/accept (Người được mời hoàn tất đăng ký - không cần đăng nhập)
+router.post("/accept", async (req, res) => {
+    const { code, password, full_name, phone_number, picture, date_of_birth } = req.body;
+
+    if (!code || !password || !full_name || !phone_number) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: code, password, full_name, phone_number" });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [inviteRows] = await connection.query(
+                `SELECT invite_id, email, role FROM StaffInvites
+                 WHERE code_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+                 FOR UPDATE`,
+                [hashToken(code)]
+            );
+            if (inviteRows.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: "Mã mời không hợp lệ hoặc đã hết hạn." });
+            }
+            const invite = inviteRows[0];
+
+            const [emailRows] = await connection.query("SELECT user_id FROM Users WHERE email = ?", [invite.email]);
+            if (emailRows.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: "Email đã tồn tại" });
+            }
+            const [phoneRows] = await connection.query("SELECT user_id FROM Users WHERE phone_number = ?", [phone_number]);
+            if (phoneRows.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: "Số điện thoại đã tồn tại" });
+            }
+
+            const hashedPassword = await bcrypt.hash(password, 10);
+            const [userResult] = await connection.query(
+                `INSERT INTO Users (email, password, full_name, phone_number, role, picture, date_of_birth, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+                [invite.email, hashedPassword, full_name, phone_number, invite.role, picture || null, date_of_birth || null]
+            );
+
+            await connection.query(
+                "UPDATE StaffInvites SET accepted_at = NOW(), accepted_user_id = ? WHERE invite_id = ?",
+                [userResult.insertId, invite.invite_id]
+            );
+
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+
+        res.status(201).json({ message: "✅ Đăng ký tài khoản nhân sự thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi POST /invites/accept:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
+const { db, withTransaction } = require("../services/dataAccess");
+const { upsertLessonProgress, recordLessonCompletion } = require("../services/progressService");
+const { issueCertificateForLesson } = require("../services/certificateService");
+const { checkQuizRequirement } = require("../services/quizService");
+const { checkAssignmentRequirement } = require("../services/assignmentService");
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { requireLessonAccess } = require("../security/requireEntitlement");
 
 /**
  * @swagger
@@ -69,11 +74,15 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  * /api/lessons/progress:
  *   post:
  *     summary: Cập nhật tiến độ học của bài học (LessonProgress)
- *     description: 
+ *     description: |
  *       Ghi nhận tiến độ học của người dùng hiện tại. Nếu `status = completed`, hệ thống sẽ:  
  *       - Cập nhật `LessonProgress`  
  *       - Ghi log hoạt động trong ngày (`UserActivityLog`)  
  *       - Cập nhật điểm thưởng và streak trong `Leaderboard`
+ *       - Cấp chứng chỉ (trả về trong `certificate`) nếu đây là bài cuối cùng còn thiếu của khóa học
+ *
+ *       Bài học có quiz bắt buộc chỉ được đánh dấu completed sau khi đạt quiz (409 QUIZ_NOT_PASSED);
+ *       bài tập bắt buộc cần có bài nộp đã được chấm đạt (409 ASSIGNMENT_NOT_PASSED).
  *     tags: [LessonsProgress]
  *     security:
  *       - bearerAuth: []
@@ -98,10 +107,16 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *         description: Thiếu thông tin hoặc dữ liệu không hợp lệ
  *       401:
  *         description: Không có quyền truy cập
+ *       402:
+ *         description: Bài học yêu cầu gói đăng ký
+ *       403:
+ *         description: Chưa đạt điều kiện tiên quyết của bài học (PREREQUISITES_NOT_MET)
+ *       409:
+ *         description: Bài học có quiz hoặc bài tập bắt buộc mà học viên chưa đạt (QUIZ_NOT_PASSED, ASSIGNMENT_NOT_PASSED)
  *       500:
  *         description: Lỗi máy chủ
  */
-router.post("/lessons/progress", verifyToken, authorizeRoles("customer"), async (req, res) => {
+router.post("/lessons/progress", verifyToken, authorizeRoles("customer"), requireLessonAccess((req) => req.body.lesson_id), async (req, res) => {
   const userId = req.user?.id;
   const { lesson_id, status } = req.body;
 
@@ -110,80 +125,28 @@ router.post("/lessons/progress", verifyToken, authorizeRoles("customer"), async
 
   const normalizedStatus = String(status).trim().toLowerCase();
 
-  let transaction;
   try {
-    const pool = await poolPromise;
-    transaction = new sql.Transaction(pool);
-    await transaction.begin();
-
-    const tr = transaction.request();
-    tr.input("user_id", sql.Int, userId);
-    tr.input("lesson_id", sql.Int, lesson_id);
-    tr.input("status", sql.NVarChar(30), normalizedStatus);
-
-    // 🧩 Cập nhật tiến độ hoặc thêm mới
-    await tr.query(`
-      IF EXISTS (SELECT 1 FROM LessonProgress WHERE user_id = @user_id AND lesson_id = @lesson_id)
-        UPDATE LessonProgress
-        SET status = @status, last_watched = GETDATE()
-        WHERE user_id = @user_id AND lesson_id = @lesson_id;
-      ELSE
-        INSERT INTO LessonProgress (user_id, lesson_id, status, last_watched)
-        VALUES (@user_id, @lesson_id, @status, GETDATE());
-    `);
-
-    // 🎯 Nếu hoàn thành bài học → cập nhật hoạt động & leaderboard
     if (normalizedStatus === "completed") {
-      await tr.query(`
-        IF NOT EXISTS (SELECT 1 FROM UserActivityLog WHERE user_id = @user_id AND activity_date = CAST(GETDATE() AS DATE))
-          INSERT INTO UserActivityLog (user_id, activity_date) VALUES (@user_id, CAST(GETDATE() AS DATE));
-      `);
-
-      const prevDayRes = await tr.query(`
-        SELECT COUNT(*) AS cnt
-        FROM UserActivityLog
-        WHERE user_id = @user_id
-          AND activity_date = DATEADD(day, -1, CAST(GETDATE() AS DATE));
-      `);
-      const hadYesterday = prevDayRes.recordset[0].cnt > 0;
-
-      const streakRes = await tr.query(`
-        SELECT streak_days, total_points
-        FROM Leaderboard
-        WHERE user_id = @user_id;
-      `);
-
-      let newStreak = hadYesterday
-        ? (streakRes.recordset[0]?.streak_days || 0) + 1
-        : 1;
-
-      // 🔢 Tính điểm và bonus
-      let basePoints = 10;
-      let bonus = 0;
-      if (newStreak === 7) bonus = 10;
-      else if (newStreak === 14) bonus = 15;
+      const quiz = await checkQuizRequirement(db, userId, lesson_id);
+      if (!quiz.allowed) return res.status(quiz.status).json(quiz.body);
+      const assignment = await checkAssignmentRequirement(db, userId, lesson_id);
+      if (!assignment.allowed) return res.status(assignment.status).json(assignment.body);
+    }
 
-      const gainPoints = basePoints + bonus;
-      tr.input("points", sql.Int, gainPoints);
-      tr.input("streak_days", sql.Int, newStreak);
+    const certificate = await withTransaction(async (tx) => {
+      // 🧩 Cập nhật tiến độ hoặc thêm mới
+      await upsertLessonProgress(tx, userId, lesson_id, normalizedStatus);
 
-      await tr.query(`
-        IF EXISTS (SELECT 1 FROM Leaderboard WHERE user_id = @user_id)
-          UPDATE Leaderboard
-          SET total_points = total_points + @points,
-              streak_days = @streak_days,
-              last_updated = GETDATE()
-          WHERE user_id = @user_id;
-        ELSE
-          INSERT INTO Leaderboard (user_id, total_points, streak_days, last_updated)
-          VALUES (@user_id, @points, @streak_days, GETDATE());
-      `);
-    }
+      // 🎯 Nếu hoàn thành bài học → cập nhật hoạt động & leaderboard, cấp chứng chỉ khi xong cả khóa học
+      if (normalizedStatus === "completed") {
+        await recordLessonCompletion(tx, userId);
+        return issueCertificateForLesson(tx, userId, lesson_id);
+      }
+      return null;
+    });
 
-    await transaction.commit();
-    return res.json({ message: "✅ Lesson progress updated" });
+    return res.json({ message: "✅ Lesson progress updated", ...(certificate && { certificate }) });
   } catch (err) {
-    if (transaction) await transaction.rollback().catch(() => {});
     console.error("Error in /lessons/progress:", err);
     return res.status(500).json({ message: "Server error", error: err.message });
   }
@@ -213,14 +176,14 @@ router.post("/lessons/progress", verifyToken, authorizeRoles("customer"), async
  */
 router.get("/leaderboard", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query(`
-      SELECT TOP 10 L.user_id, U.full_name, L.total_points, L.streak_days, L.last_updated
+    const rows = await db.query(`
+      SELECT L.user_id, U.full_name, L.total_points, L.streak_days, L.last_updated
       FROM Leaderboard L
       JOIN Users U ON L.user_id = U.user_id
       ORDER BY L.total_points DESC, L.streak_days DESC, L.last_updated DESC
+      LIMIT 10
     `);
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("Error in GET /leaderboard:", err);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -262,20 +225,17 @@ router.get("/leaderboard/:user_id", verifyToken, authorizeRoles("admin", "employ
       return res.status(403).json({ message: "You can only view your own leaderboard info" });
     }
 
-    const pool = await poolPromise;
-    const q = await pool.request()
-      .input("user_id", sql.Int, req.params.user_id)
-      .query(`
-        SELECT L.user_id, U.full_name, L.total_points, L.streak_days, L.last_updated
-        FROM Leaderboard L
-        JOIN Users U ON L.user_id = U.user_id
-        WHERE L.user_id = @user_id
-      `);
+    const entry = await db.queryOne(`
+      SELECT L.user_id, U.full_name, L.total_points, L.streak_days, L.last_updated
+      FROM Leaderboard L
+      JOIN Users U ON L.user_id = U.user_id
+      WHERE L.user_id = ?
+    `, [req.params.user_id]);
 
-    if (q.recordset.length === 0)
+    if (!entry)
       return res.status(404).json({ message: "User not found in leaderboard" });
 
-    res.json(q.recordset[0]);
+    res.json(entry);
   } catch (err) {
     console.error("Error in GET /leaderboard/:user_id:", err);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -1,7 +1,12 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
+const { db, withTransaction } = require("../services/dataAccess");
+const { upsertLessonProgress } = require("../services/progressService");
+const { issueCertificateForLesson } = require("../services/certificateService");
+const { checkQuizRequirement } = require("../services/quizService");
+const { checkAssignmentRequirement } = require("../services/assignmentService");
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { requireLessonAccess } = require("../security/requireEntitlement");
 
 /**
  * @swagger
@@ -85,15 +90,14 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  */
 router.get("/", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query(`
-      SELECT lp.*, u.full_name, l.lesson_title
+    const rows = await db.query(`
+      SELECT lp.*, u.full_name, l.lesson_name
       FROM LessonProgress lp
       JOIN Users u ON lp.user_id = u.user_id
       JOIN Lessons l ON lp.lesson_id = l.lesson_id
       ORDER BY lp.last_watched DESC
     `);
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /lesson-progress:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -139,18 +143,15 @@ router.get("/:user_id", verifyToken, authorizeRoles("admin", "employee", "custom
       return res.status(403).json({ message: "You can only view your own progress" });
     }
 
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("user_id", sql.Int, user_id)
-      .query(`
-        SELECT lp.*, l.lesson_title
-        FROM LessonProgress lp
-        JOIN Lessons l ON lp.lesson_id = l.lesson_id
-        WHERE lp.user_id = @user_id
-        ORDER BY lp.last_watched DESC
-      `);
+    const rows = await db.query(`
+      SELECT lp.*, l.lesson_name
+      FROM LessonProgress lp
+      JOIN Lessons l ON lp.lesson_id = l.lesson_id
+      WHERE lp.user_id = ?
+      ORDER BY lp.last_watched DESC
+    `, [user_id]);
 
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /lesson-progress/:user_id:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -173,7 +174,7 @@ router.get("/:user_id", verifyToken, authorizeRoles("admin", "employee", "custom
  *             $ref: '#/components/schemas/UpdateProgressRequest'
  *     responses:
  *       201:
- *         description: Cập nhật tiến độ học thành công
+ *         description: Cập nhật tiến độ học thành công (kèm `certificate` nếu vừa hoàn thành bài cuối của khóa học)
  *         content:
  *           application/json:
  *             schema:
@@ -182,10 +183,16 @@ router.get("/:user_id", verifyToken, authorizeRoles("admin", "employee", "custom
  *         description: Thiếu dữ liệu bắt buộc
  *       401:
  *         description: Không có quyền truy cập
+ *       402:
+ *         description: Bài học yêu cầu gói đăng ký
+ *       403:
+ *         description: Chưa đạt điều kiện tiên quyết của bài học (PREREQUISITES_NOT_MET)
+ *       409:
+ *         description: Bài học có quiz hoặc bài tập bắt buộc mà học viên chưa đạt (QUIZ_NOT_PASSED, ASSIGNMENT_NOT_PASSED)
  *       500:
  *         description: Lỗi máy chủ
  */
-router.post("/", verifyToken, authorizeRoles("customer"), async (req, res) => {
+router.post("/", verifyToken, authorizeRoles("customer"), requireLessonAccess((req) => req.body.lesson_id), async (req, res) => {
   const user_id = req.user.id;
   const { lesson_id, status } = req.body;
 
@@ -193,22 +200,22 @@ router.post("/", verifyToken, authorizeRoles("customer"), async (req, res) => {
     return res.status(400).json({ message: "Missing required fields: lesson_id, status" });
 
   try {
-    const pool = await poolPromise;
-    await pool.request()
-      .input("user_id", sql.Int, user_id)
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("status", sql.NVarChar(30), status)
-      .query(`
-        IF EXISTS (SELECT 1 FROM LessonProgress WHERE user_id = @user_id AND lesson_id = @lesson_id)
-          UPDATE LessonProgress
-          SET status = @status, last_watched = GETDATE()
-          WHERE user_id = @user_id AND lesson_id = @lesson_id;
-        ELSE
-          INSERT INTO LessonProgress (user_id, lesson_id, status, last_watched)
-          VALUES (@user_id, @lesson_id, @status, GETDATE());
-      `);
+    if (status === "completed") {
+      const quiz = await checkQuizRequirement(db, user_id, lesson_id);
+      if (!quiz.allowed) return res.status(quiz.status).json(quiz.body);
+      const assignment = await checkAssignmentRequirement(db, user_id, lesson_id);
+      if (!assignment.allowed) return res.status(assignment.status).json(assignment.body);
+    }
 
-    res.status(201).json({ message: "✅ Lesson progress updated successfully" });
+    const certificate = await withTransaction(async (tx) => {
+      await upsertLessonProgress(tx, user_id, lesson_id, status);
+      return status === "completed" ? issueCertificateForLesson(tx, user_id, lesson_id) : null;
+    });
+
+    res.status(201).json({
+      message: "✅ Lesson progress updated successfully",
+      ...(certificate && { certificate }),
+    });
   } catch (err) {
     console.error("❌ Error in POST /lesson-progress:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -248,6 +255,8 @@ router.post("/", verifyToken, authorizeRoles("customer"), async (req, res) => {
  *         description: Cập nhật thành công
  *       403:
  *         description: Không được phép chỉnh sửa tiến độ của người khác
+ *       409:
+ *         description: Học viên chưa đạt quiz hoặc bài tập bắt buộc của bài học (QUIZ_NOT_PASSED, ASSIGNMENT_NOT_PASSED)
  *       404:
  *         description: Không tìm thấy bản ghi
  *       500:
@@ -258,29 +267,36 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"),
   if (!status) return res.status(400).json({ message: "Missing field: status" });
 
   try {
-    const pool = await poolPromise;
-
-    const check = await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .query("SELECT user_id FROM LessonProgress WHERE progress_id = @progress_id");
+    const record = await db.queryOne("SELECT user_id, lesson_id FROM LessonProgress WHERE progress_id = ?", [req.params.id]);
 
-    if (check.recordset.length === 0)
+    if (!record)
       return res.status(404).json({ message: "Progress not found" });
 
-    const recordUserId = check.recordset[0].user_id;
-    if (req.user.role === "customer" && req.user.id !== recordUserId)
+    if (req.user.role === "customer" && req.user.id !== record.user_id)
       return res.status(403).json({ message: "You cannot edit someone else's progress" });
 
-    await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .input("status", sql.NVarChar(30), status)
-      .query(`
-        UPDATE LessonProgress
-        SET status = @status, last_watched = GETDATE()
-        WHERE progress_id = @progress_id
-      `);
+    // Nhân sự được đánh dấu hoàn thành thủ công, không cần quiz hay bài tập
+    if (status === "completed" && req.user.role === "customer") {
+      const quiz = await checkQuizRequirement(db, record.user_id, record.lesson_id);
+      if (!quiz.allowed) return res.status(quiz.status).json(quiz.body);
+      const assignment = await checkAssignmentRequirement(db, record.user_id, record.lesson_id);
+      if (!assignment.allowed) return res.status(assignment.status).json(assignment.body);
+    }
 
-    res.json({ message: "✅ Lesson progress updated successfully" });
+    const certificate = await withTransaction(async (tx) => {
+      await tx.execute(
+        `UPDATE LessonProgress
+         SET status = ?, last_watched = NOW()
+         WHERE progress_id = ?`,
+        [status, req.params.id]
+      );
+      return status === "completed" ? issueCertificateForLesson(tx, record.user_id, record.lesson_id) : null;
+    });
+
+    res.json({
+      message: "✅ Lesson progress updated successfully",
+      ...(certificate && { certificate }),
+    });
   } catch (err) {
     console.error("❌ Error in PUT /lesson-progress/:id:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -314,22 +330,15 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"),
  */
 router.delete("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-
-    const check = await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .query("SELECT user_id FROM LessonProgress WHERE progress_id = @progress_id");
+    const record = await db.queryOne("SELECT user_id FROM LessonProgress WHERE progress_id = ?", [req.params.id]);
 
-    if (check.recordset.length === 0)
+    if (!record)
       return res.status(404).json({ message: "Progress not found" });
 
-    const recordUserId = check.recordset[0].user_id;
-    if (req.user.role === "customer" && req.user.id !== recordUserId)
+    if (req.user.role === "customer" && req.user.id !== record.user_id)
       return res.status(403).json({ message: "You cannot delete someone else's progress" });
 
-    await pool.request()
-      .input("progress_id", sql.Int, req.params.id)
-      .query("DELETE FROM LessonProgress WHERE progress_id = @progress_id");
+    await db.execute("DELETE FROM LessonProgress WHERE progress_id = ?", [req.params.id]);
 
     res.json({ message: "✅ Lesson progress deleted successfully" });
   } catch (err) {
@@ -1,20 +1,76 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../db"); // Import pool từ db.js mới
-const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const { requireLessonAccess } = require("../security/requireEntitlement");
+const { markLocked } = require("../services/entitlementService");
+const { db, withTransaction } = require("../services/dataAccess");
+const {
+    PUBLICATION_STATUSES, visibleCondition, parsePublication, publicationSetClauses,
+} = require("../services/publishingService");
+const { loadEntity, recordRevision } = require("../services/revisionService");
+const { revisionRouter } = require("./revisions");
+const { placeholders } = require("../services/queryHelpers");
+const { syncSearchDocument, syncSearchTree, removeSearchTree } = require("../services/searchService");
+const { tagFilter, attachTags, removeEntityTags } = require("../services/taxonomyService");
+const { removeSongLinks } = require("../services/songService");
+const { contentTagRouter } = require("./contentTags");
+const { getPrerequisites, evaluatePrerequisites, applyPrerequisiteLocks, createsCycle } = require("../services/prerequisiteService");
+const {
+    parseSectionId, sectionBelongsToCourse, nextLessonPosition, compactLessonPositions, moveLesson,
+} = require("../services/curriculumService");
+
+// Thời lượng bài học (giây): bỏ trống = null, còn lại phải là số nguyên không âm
+const parseDuration = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds : undefined;
+};
 
 // GET /api/lessons/ping (Kiểm tra API)
 router.get("/ping", (req, res) => {
     res.send("Lessons API is working!");
 });
 
-// GET /api/lessons (Lấy tất cả bài học)
-// Thêm verifyToken để chỉ người dùng đã đăng nhập mới xem được
+// GET /api/lessons (Lấy tất cả bài học, lọc theo ?course_id= và ?tag=)
+// Khách hàng chỉ thấy bài học đã xuất bản trong khóa học đã xuất bản; nhân sự lọc được theo ?status=
+// Bài học khớp thẻ khi chính nó hoặc khóa học chứa nó được gắn thẻ
 router.get("/", verifyToken, async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !PUBLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status phải là một trong: ${PUBLICATION_STATUSES.join(", ")}` });
+    }
+    const tags = tagFilter(req.query.tag, [
+        { type: "lesson", idExpr: "l.lesson_id" },
+        { type: "course", idExpr: "l.course_id" },
+    ]);
+    if (tags.error) {
+        return res.status(400).json({ message: tags.error });
+    }
+
     try {
-        const sqlQuery = "SELECT * FROM Lessons ORDER BY created_at DESC"; // Sắp xếp theo ngày tạo mới nhất
-        const [rows] = await pool.query(sqlQuery);
-        res.json(rows);
+        const conditions = [...tags.conditions];
+        const params = [...tags.params];
+        if (req.query.course_id) { conditions.push("l.course_id = ?"); params.push(req.query.course_id); }
+        if (!isStaff(req.user)) {
+            conditions.push(visibleCondition("l"), visibleCondition("c"));
+        } else if (status) {
+            conditions.push("l.status = ?"); params.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+        // Sắp xếp theo giáo trình: khóa học → chương → vị trí (bài chưa xếp chương đứng sau cùng)
+        const sqlQuery = `
+            SELECT l.*, c.is_free AS course_is_free, s.section_name, s.position AS section_position
+            FROM Lessons l
+            JOIN Courses c ON l.course_id = c.course_id
+            LEFT JOIN CourseSections s ON l.section_id = s.section_id
+            ${where}
+            ORDER BY l.course_id, s.section_id IS NULL, s.position, l.position, l.lesson_id
+        `;
+        const [rows] = await pool.query(sqlQuery, params);
+        // Bài học trả phí hoặc chưa đủ điều kiện tiên quyết vẫn hiển thị nhưng được đánh dấu locked
+        const lessons = await applyPrerequisiteLocks(db, req.user, await markLocked(req.user, rows));
+        res.json(await attachTags(db, "lesson", lessons, "lesson_id"));
     } catch (err) {
         console.error("❌ Lỗi GET /lessons:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
@@ -22,8 +78,8 @@ router.get("/", verifyToken, async (req, res) => {
 });
 
 // GET /api/lessons/:id (Lấy bài học theo ID)
-// Thêm verifyToken
-router.get("/:id", verifyToken, async (req, res) => {
+// Bài học trả phí yêu cầu gói đăng ký còn hiệu lực (402/403 kèm danh sách gói mở khóa)
+router.get("/:id", verifyToken, requireLessonAccess((req) => req.params.id), async (req, res) => {
     try {
         const lessonId = req.params.id;
         const sqlQuery = "SELECT * FROM Lessons WHERE lesson_id = ?";
@@ -33,7 +89,8 @@ router.get("/:id", verifyToken, async (req, res) => {
             return res.status(404).json({ message: "Không tìm thấy bài học" });
         }
 
-        res.json(rows[0]);
+        const [lesson] = await attachTags(db, "lesson", rows, "lesson_id");
+        res.json(lesson);
     } catch (err) {
         console.error("❌ Lỗi GET /lessons/:id:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
@@ -48,6 +105,20 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
         return res.status(400).json({ message: "Thiếu trường bắt buộc: course_id, lesson_name" });
     }
 
+    const sectionId = parseSectionId(req.body.section_id);
+    if (sectionId === undefined) {
+        return res.status(400).json({ message: "section_id không hợp lệ" });
+    }
+    const durationSeconds = parseDuration(req.body.duration_seconds);
+    if (durationSeconds === undefined) {
+        return res.status(400).json({ message: "duration_seconds phải là số nguyên không âm" });
+    }
+    // Bài học mới mặc định là bản nháp, chưa hiển thị cho khách hàng
+    const publication = parsePublication(req.body, "draft");
+    if (publication.error) {
+        return res.status(400).json({ message: publication.error });
+    }
+
     try {
         // Kiểm tra course_id có tồn tại không
         const [courseRows] = await pool.query("SELECT course_id FROM Courses WHERE course_id = ?", [course_id]);
@@ -58,15 +129,34 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
         // Chuyển is_free thành 1 hoặc 0
         const isFreeBit = is_free ? 1 : 0;
 
-        const sqlInsert = `
-            INSERT INTO Lessons (course_id, lesson_name, description, video_url, picture_url, is_free, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, NOW())
-        `;
-        await pool.query(sqlInsert, [
-            course_id, lesson_name, description || null, video_url || null, picture_url || null, isFreeBit
-        ]);
+        // Bài mới được thêm vào cuối chương (hoặc cuối nhóm chưa xếp chương)
+        const lesson = await withTransaction(async (tx) => {
+            if (!(await sectionBelongsToCourse(tx, course_id, sectionId))) return null;
+
+            await tx.query("SELECT course_id FROM Courses WHERE course_id = ? FOR UPDATE", [course_id]);
+            const position = await nextLessonPosition(tx, course_id, sectionId);
+            const result = await tx.execute(
+                `INSERT INTO Lessons (course_id, section_id, position, lesson_name, description, video_url, picture_url, duration_seconds, is_free,
+                                      status, publish_at, published_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                [
+                    course_id, sectionId, position, lesson_name, description || null, video_url || null, picture_url || null, durationSeconds, isFreeBit,
+                    publication.status, publication.publish_at, publication.status === "published" ? new Date() : null,
+                ]
+            );
+            await recordRevision(tx, "lesson", result.insertId, {
+                after: await loadEntity(tx, "lesson", result.insertId),
+                editorId: req.user.id,
+            });
+            await syncSearchDocument(tx, "lesson", result.insertId);
+            return { lesson_id: result.insertId, section_id: sectionId, position };
+        });
+
+        if (!lesson) {
+            return res.status(400).json({ message: "section_id không thuộc khóa học này" });
+        }
 
-        res.status(201).json({ message: "✅ Thêm bài học thành công" });
+        res.status(201).json({ message: "✅ Thêm bài học thành công", lesson });
     } catch (err) {
         console.error("❌ Lỗi POST /lessons/create:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
@@ -76,7 +166,7 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
 // PUT /api/lessons/:id (Cập nhật bài học - Admin/Employee)
 router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
     const lessonId = req.params.id;
-    const { course_id, lesson_name, description, video_url, picture_url, is_free } = req.body;
+    const { course_id, lesson_name, description, video_url, picture_url, is_free, duration_seconds } = req.body;
 
     // Tối thiểu cần có course_id và lesson_name khi cập nhật (hoặc bạn có thể bỏ tùy logic)
     if (!course_id || !lesson_name) {
@@ -106,28 +196,301 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
         if (video_url !== undefined) { setClauses.push("video_url = ?"); params.push(video_url); }
         if (picture_url !== undefined) { setClauses.push("picture_url = ?"); params.push(picture_url); }
         if (is_free !== undefined) { setClauses.push("is_free = ?"); params.push(is_free ? 1 : 0); }
+        if (duration_seconds !== undefined) {
+            const durationSeconds = parseDuration(duration_seconds);
+            if (durationSeconds === undefined) {
+                return res.status(400).json({ message: "duration_seconds phải là số nguyên không âm" });
+            }
+            setClauses.push("duration_seconds = ?"); params.push(durationSeconds);
+        }
+        // Chương và vị trí đổi qua PUT /api/lessons/:id/move
 
         if (setClauses.length === 0) {
              return res.status(400).json({ message: "Không có trường hợp lệ để cập nhật" });
         }
 
+        // Cập nhật và ghi lại phiên bản (người sửa, các trường đã đổi) trong cùng transaction
+        const revisionNumber = await withTransaction(async (tx) => {
+            const lesson = await loadEntity(tx, "lesson", lessonId, { forUpdate: true });
+            if (!lesson) return undefined;
 
-        params.push(lessonId); // Thêm lesson_id vào cuối cho WHERE
+            // Chuyển sang khóa học khác: bỏ khỏi chương cũ, đặt vào cuối nhóm chưa xếp chương của khóa mới
+            const courseChanged = Number(course_id) !== lesson.course_id;
+            const moveClauses = [];
+            const moveParams = [];
+            if (courseChanged) {
+                moveClauses.push("section_id = NULL", "position = ?");
+                moveParams.push(await nextLessonPosition(tx, course_id, null));
+            }
 
-        const sqlUpdate = `UPDATE Lessons SET ${setClauses.join(", ")} WHERE lesson_id = ?`;
-        const [result] = await pool.query(sqlUpdate, params);
+            await tx.execute(
+                `UPDATE Lessons SET ${[...setClauses, ...moveClauses].join(", ")} WHERE lesson_id = ?`,
+                [...params, ...moveParams, lessonId]
+            );
+            if (courseChanged) await compactLessonPositions(tx, lesson.course_id, lesson.section_id);
 
-        if (result.affectedRows === 0) {
+            const after = await loadEntity(tx, "lesson", lessonId);
+            await syncSearchTree(tx, "lesson", lessonId);
+            return recordRevision(tx, "lesson", lessonId, { before: lesson, after, editorId: req.user.id });
+        });
+
+        if (revisionNumber === undefined) {
             return res.status(404).json({ message: "Không tìm thấy bài học" });
         }
 
-        res.json({ message: "✅ Cập nhật bài học thành công" });
+        res.json({ message: "✅ Cập nhật bài học thành công", revision_number: revisionNumber });
     } catch (err) {
         console.error("❌ Lỗi PUT /lessons/:id:", err.message);
         res.status(500).json({ message: "Lỗi máy chủ" });
     }
 });
 
+// /api/lessons/:id/revisions (Lịch sử chỉnh sửa, so sánh và khôi phục - Admin/Employee)
+router.use("/:id/revisions", revisionRouter("lesson"));
+
+// GET/PUT /api/lessons/:id/tags (Gắn thẻ nhạc cụ, kỹ thuật, thể loại)
+router.use("/:id/tags", contentTagRouter("lesson"));
+
+// GET /api/lessons/:id/preview (Xem trước bài học ở mọi trạng thái xuất bản - Admin/Employee)
+router.get("/:id/preview", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    try {
+        const lesson = await db.queryOne(
+            `SELECT l.*, c.course_name, c.status AS course_status, c.publish_at AS course_publish_at,
+                    s.section_name, ${visibleCondition("l")} AND ${visibleCondition("c")} AS visible_to_customers
+             FROM Lessons l
+             JOIN Courses c ON l.course_id = c.course_id
+             LEFT JOIN CourseSections s ON l.section_id = s.section_id
+             WHERE l.lesson_id = ?`,
+            [req.params.id]
+        );
+        if (!lesson) {
+            return res.status(404).json({ message: "Không tìm thấy bài học" });
+        }
+
+        const resources = await db.query("SELECT * FROM Resources WHERE lesson_id = ? ORDER BY resource_id", [req.params.id]);
+        res.json({ ...lesson, visible_to_customers: Boolean(lesson.visible_to_customers), resources });
+    } catch (err) {
+        console.error("❌ Lỗi GET /lessons/:id/preview:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/lessons/:id/publication (Đổi trạng thái xuất bản - Admin/Employee)
+// Body: { status: "draft" | "scheduled" | "published" | "archived", publish_at? } — publish_at bắt buộc khi scheduled
+router.put("/:id/publication", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const publication = parsePublication(req.body);
+    if (!publication) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: status" });
+    }
+    if (publication.error) {
+        return res.status(400).json({ message: publication.error });
+    }
+
+    try {
+        const { clauses, params } = publicationSetClauses(publication);
+        const result = await db.execute(
+            `UPDATE Lessons SET ${clauses.join(", ")} WHERE lesson_id = ?`,
+            [...params, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: "Không tìm thấy bài học" });
+        }
+
+        const lesson = await db.queryOne(
+            "SELECT lesson_id, status, publish_at, published_at FROM Lessons WHERE lesson_id = ?",
+            [req.params.id]
+        );
+        res.json({ message: "✅ Cập nhật trạng thái xuất bản thành công", lesson });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /lessons/:id/publication:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/lessons/:id/move (Chuyển bài học sang chương khác / đổi vị trí - Admin/Employee)
+// Body: { section_id: 5 | null, position?: 2 } — position bắt đầu từ 1, bỏ trống = cuối chương
+router.put("/:id/move", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const sectionId = parseSectionId(req.body.section_id);
+    if (sectionId === undefined) {
+        return res.status(400).json({ message: "section_id không hợp lệ" });
+    }
+
+    let position;
+    if (req.body.position !== undefined && req.body.position !== null) {
+        position = Number(req.body.position);
+        if (!Number.isInteger(position) || position < 1) {
+            return res.status(400).json({ message: "position phải là số nguyên ≥ 1" });
+        }
+    }
+
+    try {
+        const result = await withTransaction((tx) => moveLesson(tx, req.params.id, { section_id: sectionId, position }));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Di chuyển bài học thành công", lesson: result.lesson });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /lessons/:id/move:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/lessons/:id/prerequisites (Điều kiện tiên quyết của bài học và các yêu cầu user hiện tại còn thiếu)
+router.get("/:id/prerequisites", verifyToken, async (req, res) => {
+    const lessonId = Number(req.params.id);
+    try {
+        if (!(await db.exists("Lessons", "lesson_id", lessonId))) {
+            return res.status(404).json({ message: "Không tìm thấy bài học" });
+        }
+
+        const prerequisites = (await getPrerequisites(db, [lessonId])).get(lessonId) || [];
+        const missing = (await evaluatePrerequisites(db, req.user, [lessonId])).get(lessonId) || [];
+        res.json({ lesson_id: lessonId, prerequisites, locked: missing.length > 0, missing_requirements: missing });
+    } catch (err) {
+        console.error("❌ Lỗi GET /lessons/:id/prerequisites:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/lessons/:id/prerequisites (Thay toàn bộ điều kiện tiên quyết - Admin/Employee)
+// Body: { prerequisites: [{ lesson_id: 3 }, { lesson_id: 4, min_score: 70 }] } — mảng rỗng = bỏ hết điều kiện
+router.put("/:id/prerequisites", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const lessonId = Number(req.params.id);
+    const { prerequisites } = req.body;
+
+    if (!Array.isArray(prerequisites)) {
+        return res.status(400).json({ message: "prerequisites phải là mảng" });
+    }
+
+    const items = [];
+    for (const item of prerequisites) {
+        const requiredId = Number(item?.lesson_id);
+        if (!Number.isInteger(requiredId) || requiredId <= 0) {
+            return res.status(400).json({ message: "Mỗi điều kiện cần lesson_id hợp lệ" });
+        }
+        if (requiredId === lessonId) {
+            return res.status(400).json({ message: "Bài học không thể là điều kiện tiên quyết của chính nó" });
+        }
+        if (items.some((i) => i.lesson_id === requiredId)) {
+            return res.status(400).json({ message: `lesson_id ${requiredId} bị lặp lại` });
+        }
+        let minScore = null;
+        if (item.min_score !== undefined && item.min_score !== null) {
+            minScore = Number(item.min_score);
+            if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+                return res.status(400).json({ message: "min_score phải nằm trong khoảng 0-100" });
+            }
+        }
+        items.push({ lesson_id: requiredId, min_score: minScore });
+    }
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            const lesson = await tx.queryOne("SELECT lesson_id FROM Lessons WHERE lesson_id = ? FOR UPDATE", [lessonId]);
+            if (!lesson) return { status: 404, body: { message: "Không tìm thấy bài học" } };
+
+            if (items.length > 0) {
+                const ids = items.map((i) => i.lesson_id);
+                const found = await tx.query(
+                    `SELECT lesson_id FROM Lessons WHERE lesson_id IN (${placeholders(ids)})`,
+                    ids
+                );
+                const missingIds = ids.filter((id) => !found.some((r) => r.lesson_id === id));
+                if (missingIds.length > 0) {
+                    return { status: 400, body: { message: "Không tìm thấy bài học tiên quyết", lesson_ids: missingIds } };
+                }
+                if (await createsCycle(tx, lessonId, ids)) {
+                    return { status: 400, body: { message: "Điều kiện tiên quyết tạo thành vòng lặp giữa các bài học" } };
+                }
+            }
+
+            await tx.execute("DELETE FROM LessonPrerequisites WHERE lesson_id = ?", [lessonId]);
+            for (const item of items) {
+                await tx.execute(
+                    "INSERT INTO LessonPrerequisites (lesson_id, required_lesson_id, min_score, created_by, created_at) VALUES (?, ?, ?, ?, NOW())",
+                    [lessonId, item.lesson_id, item.min_score, req.user.id]
+                );
+            }
+            return null;
+        });
+
+        if (result) return res.status(result.status).json(result.body);
+        res.json({
+            message: "✅ Cập nhật điều kiện tiên quyết thành công",
+            prerequisites: (await getPrerequisites(db, [lessonId])).get(lessonId) || [],
+        });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /lessons/:id/prerequisites:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/lessons/:id/unlocks (Danh sách học viên được mở khóa thủ công - Admin)
+router.get("/:id/unlocks", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    try {
+        const rows = await db.query(
+            `SELECT o.user_id, u.full_name, u.email, o.reason, o.granted_by, o.created_at
+             FROM LessonUnlockOverrides o
+             JOIN Users u ON o.user_id = u.user_id
+             WHERE o.lesson_id = ?
+             ORDER BY o.created_at DESC`,
+            [req.params.id]
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /lessons/:id/unlocks:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/lessons/:id/unlocks (Mở khóa bài học cho một học viên, bỏ qua điều kiện tiên quyết - Admin)
+// Body: { user_id, reason? }. Không bỏ qua yêu cầu gói đăng ký với bài trả phí.
+router.post("/:id/unlocks", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const { user_id, reason } = req.body;
+    if (!user_id) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: user_id" });
+    }
+
+    try {
+        if (!(await db.exists("Lessons", "lesson_id", req.params.id))) {
+            return res.status(404).json({ message: "Không tìm thấy bài học" });
+        }
+        const user = await db.queryOne("SELECT user_id, role FROM Users WHERE user_id = ?", [user_id]);
+        if (!user) {
+            return res.status(400).json({ message: "user_id không hợp lệ: Không tìm thấy người dùng" });
+        }
+        if (user.role !== "customer") {
+            return res.status(400).json({ message: "Chỉ cần mở khóa cho học viên (customer)" });
+        }
+
+        await db.execute(
+            `INSERT INTO LessonUnlockOverrides (user_id, lesson_id, reason, granted_by, created_at)
+             VALUES (?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE reason = VALUES(reason), granted_by = VALUES(granted_by), created_at = NOW()`,
+            [user_id, req.params.id, reason || null, req.user.id]
+        );
+        res.status(201).json({ message: "✅ Đã mở khóa bài học cho học viên" });
+    } catch (err) {
+        console.error("❌ Lỗi POST /lessons/:id/unlocks:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/lessons/:id/unlocks/:userId (Thu hồi mở khóa thủ công - Admin)
+router.delete("/:id/unlocks/:userId", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    try {
+        const result = await db.execute(
+            "DELETE FROM LessonUnlockOverrides WHERE lesson_id = ? AND user_id = ?",
+            [req.params.id, req.params.userId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: "Học viên chưa được mở khóa thủ công bài học này" });
+        }
+        res.json({ message: "✅ Đã thu hồi mở khóa thủ công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /lessons/:id/unlocks/:userId:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
 // DELETE /api/lessons/:id (Xóa bài học - Admin/Employee)
 router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
     try {
@@ -139,6 +502,10 @@ router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (r
             { table: "Hand_Motions", column: "lesson_id", message: "Có dữ liệu bài tập AI liên quan đến bài học này." },
             { table: "Comments", column: "lesson_id", message: "Có bình luận liên quan đến bài học này." },
             { table: "LessonProgress", column: "lesson_id", message: "Có dữ liệu tiến độ học của người dùng liên quan đến bài học này." },
+            { table: "AIPracticeSessions", column: "lesson_id", message: "Có phiên luyện tập AI của học viên liên quan đến bài học này." },
+            { table: "LessonPrerequisites", column: "required_lesson_id", message: "Bài học đang là điều kiện tiên quyết của bài học khác." },
+            { table: "Quizzes", column: "lesson_id", message: "Bài học đang có bài kiểm tra (quiz)." },
+            { table: "Assignments", column: "lesson_id", message: "Bài học đang có bài tập thu âm/quay video." },
         ];
 
         for (const check of checks) {
@@ -148,10 +515,23 @@ router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (r
             }
         }
 
-        // Tiến hành xóa
-        const [result] = await pool.query("DELETE FROM Lessons WHERE lesson_id = ?", [lessonId]);
+        // Tiến hành xóa và đánh số lại các bài còn lại trong chương
+        const deleted = await withTransaction(async (tx) => {
+            const lesson = await tx.queryOne(
+                "SELECT course_id, section_id FROM Lessons WHERE lesson_id = ? FOR UPDATE",
+                [lessonId]
+            );
+            if (!lesson) return false;
 
-        if (result.affectedRows === 0) {
+            await tx.execute("DELETE FROM Lessons WHERE lesson_id = ?", [lessonId]);
+            await removeSearchTree(tx, "lesson", lessonId);
+            await removeEntityTags(tx, "lesson", lessonId);
+            await removeSongLinks(tx, "lesson", lessonId);
+            await compactLessonPositions(tx, lesson.course_id, lesson.section_id);
+            return true;
+        });
+
+        if (!deleted) {
             return res.status(404).json({ message: "Không tìm thấy bài học" });
         }
 
@@ -0,0 +1,148 @@
+const express = require("express");
+const router = express.Router();
+const { db } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { SONG_MODES } = require("../services/songService");
+const {
+    NOTATION_SYSTEMS, OUTPUT_FORMATS, DEFAULT_TONIC, DEFAULT_METER, MAX_SOURCE_LENGTH,
+    pitchName, parseNotation, parseConvertOptions, convertNotation,
+} = require("../services/notationService");
+const { parseId } = require("../services/queryHelpers");
+
+const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+const resourceAccess = requireLessonAccess(lessonIdFrom("Resources", "resource_id"));
+
+// Kiểu nội dung khi tải file (?download=true)
+const DOWNLOAD_TYPES = {
+    abc: { type: "text/vnd.abc", extension: "abc" },
+    musicxml: { type: "application/vnd.recordare.musicxml+xml", extension: "musicxml" },
+};
+
+const invalidNotation = (res, result) =>
+    res.status(400).json({ message: "Bản nhạc không hợp lệ", errors: result.errors, error_count: result.error_count });
+
+// GET /api/notation/systems (Các hệ ký âm, định dạng xuất, điệu và giá trị mặc định)
+router.get("/systems", verifyToken, (req, res) => {
+    res.json({
+        systems: Object.entries(NOTATION_SYSTEMS).map(([system, label]) => ({ system, label })),
+        output_formats: OUTPUT_FORMATS,
+        modes: Object.entries(SONG_MODES).map(([mode, label]) => ({ mode, label })),
+        defaults: { tonic: DEFAULT_TONIC, mode: "bac", meter: DEFAULT_METER },
+        max_source_length: MAX_SOURCE_LENGTH,
+    });
+});
+
+// POST /api/notation/convert (Chuyển bản nhạc giữa các hệ ký âm, dịch giọng, xuất ABC/MusicXML)
+// Body: { source, from, to, tonic: "C4", mode: "bac", transpose_to: "D4", meter: "4/4", tempo, lyrics, title }
+router.post("/convert", verifyToken, (req, res) => {
+    const parsed = parseConvertOptions(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+    const result = convertNotation(req.body.source, parsed.options);
+    if (!result.valid) return invalidNotation(res, result);
+    const { valid, ...body } = result;
+    res.json(body);
+});
+
+// GET /api/notation/resources/:id?to=abc&transpose_to=D4&lyrics=ho_xu_xang&download=true
+// Bản nhạc của tài nguyên, chuyển sang hệ/định dạng yêu cầu (mặc định giữ hệ gốc)
+router.get("/resources/:id", verifyToken, resourceAccess, async (req, res) => {
+    const resourceId = parseId(req.params.id);
+    if (!resourceId) return res.status(400).json({ message: "ID tài nguyên không hợp lệ" });
+
+    try {
+        const notation = await db.queryOne(
+            `SELECT n.*, r.title
+             FROM ResourceNotations n
+             JOIN Resources r ON n.resource_id = r.resource_id
+             WHERE n.resource_id = ?`,
+            [resourceId]
+        );
+        if (!notation) return res.status(404).json({ message: "Tài nguyên này chưa có bản nhạc dạng văn bản" });
+
+        const parsed = parseConvertOptions({
+            from: notation.notation_system,
+            to: req.query.to || notation.notation_system,
+            tonic: notation.tonic,
+            mode: notation.mode,
+            meter: notation.meter,
+            tempo: notation.tempo,
+            transpose_to: req.query.transpose_to,
+            lyrics: req.query.lyrics,
+            title: notation.title,
+        });
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+        const result = convertNotation(notation.source, parsed.options);
+        if (!result.valid) {
+            console.error(`❌ Bản nhạc của tài nguyên ${resourceId} không đọc được:`, result.errors[0]?.message);
+            return res.status(500).json({ message: "Bản nhạc đã lưu bị lỗi, vui lòng báo quản trị viên" });
+        }
+
+        const download = DOWNLOAD_TYPES[result.to];
+        if (download && req.query.download === "true") {
+            res.set("Content-Disposition", `attachment; filename="resource-${resourceId}.${download.extension}"`);
+            return res.type(download.type).send(result.output);
+        }
+        const { valid, ...body } = result;
+        res.json({ resource_id: resourceId, title: notation.title, original_system: notation.notation_system, ...body });
+    } catch (err) {
+        console.error("❌ Lỗi GET /notation/resources/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/notation/resources/:id (Lưu/thay bản nhạc của tài nguyên - Admin/Employee)
+// Body: { system, source, tonic, mode, meter, tempo }; bản nhạc được kiểm tra trước khi lưu
+router.put("/resources/:id", ...staffOnly, async (req, res) => {
+    const resourceId = parseId(req.params.id);
+    if (!resourceId) return res.status(400).json({ message: "ID tài nguyên không hợp lệ" });
+
+    if (!NOTATION_SYSTEMS[req.body.system]) {
+        return res.status(400).json({ message: `system phải là một trong: ${Object.keys(NOTATION_SYSTEMS).join(", ")}` });
+    }
+    const parsed = parseConvertOptions({ ...req.body, from: req.body.system, to: req.body.system });
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { options } = parsed;
+    const checked = parseNotation(req.body.source, options.from, { tonic: options.tonic, mode: options.mode });
+    if (!checked.valid) return invalidNotation(res, checked);
+
+    try {
+        if (!(await db.exists("Resources", "resource_id", resourceId))) {
+            return res.status(404).json({ message: "Không tìm thấy tài nguyên" });
+        }
+        const meter = `${options.meter.beats}/${options.meter.beatType}`;
+        await db.execute(
+            `INSERT INTO ResourceNotations (resource_id, notation_system, source, tonic, mode, meter, tempo, updated_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE notation_system = VALUES(notation_system), source = VALUES(source), tonic = VALUES(tonic),
+                 mode = VALUES(mode), meter = VALUES(meter), tempo = VALUES(tempo), updated_by = VALUES(updated_by)`,
+            [resourceId, options.from, String(req.body.source).trim(), pitchName(options.tonic), options.mode, meter, options.tempo, req.user.id]
+        );
+        res.json({
+            message: "✅ Đã lưu bản nhạc",
+            resource_id: resourceId,
+            note_count: checked.events.filter((e) => e.kind === "note").length,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /notation/resources/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/notation/resources/:id (Xóa bản nhạc của tài nguyên - Admin/Employee)
+router.delete("/resources/:id", ...staffOnly, async (req, res) => {
+    try {
+        const result = await db.execute("DELETE FROM ResourceNotations WHERE resource_id = ?", [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: "Tài nguyên này chưa có bản nhạc dạng văn bản" });
+        }
+        res.json({ message: "✅ Đã xóa bản nhạc" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /notation/resources/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { PayOS } = require("@payos/node");
 const { pool } = require("../db"); // Import pool từ db.js mới
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { verifyWebhookSignature } = require("../services/payosSignature");
 
 // Khởi tạo PayOS client
 const payos = new PayOS(
@@ -11,6 +12,21 @@ const payos = new PayOS(
   process.env.PAYOS_CHECKSUM_KEY
 );
 
+/**
+ * Kích hoạt UserSubscription cho gói vừa thanh toán (chạy trong transaction của caller)
+ */
+const activateSubscription = async (connection, userId, planId) => {
+    const [subPlanRows] = await connection.query("SELECT duration_in_days FROM SubscriptionPlans WHERE plan_id = ?", [planId]);
+    if (subPlanRows.length === 0) throw new Error(`Plan details not found: ${planId}`);
+
+    const subInsertSql = `
+        INSERT INTO UserSubscriptions (user_id, plan_id, start_date, end_date, status)
+        VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), 'active')
+    `;
+    await connection.query(subInsertSql, [userId, planId, subPlanRows[0].duration_in_days]);
+    console.log(`✅ Activated subscription plan ${planId} for user ${userId}`);
+};
+
 // POST /api/payments/payos/create (Tạo link thanh toán)
 router.post("/payos/create", verifyToken, authorizeRoles("customer"), async (req, res) => {
     const user_id = req.user.id;
@@ -86,13 +102,7 @@ router.post("/payos/create", verifyToken, authorizeRoles("customer"), async (req
                 }
 
                 // Kích hoạt subscription
-                const [subPlanRows] = await connection.query("SELECT duration_in_days FROM SubscriptionPlans WHERE plan_id = ?", [plan_id]);
-                const duration = subPlanRows[0]?.duration_in_days || 30; // Mặc định 30 ngày nếu không tìm thấy
-                const subInsertSql = `
-                    INSERT INTO UserSubscriptions (user_id, plan_id, start_date, end_date, status)
-                    VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), 'active')
-                `;
-                await connection.query(subInsertSql, [user_id, plan_id, duration]);
+                await activateSubscription(connection, user_id, plan_id);
 
                 await connection.commit(); // Hoàn tất transaction
                 connection.release(); // Trả kết nối về pool
@@ -140,94 +150,114 @@ router.post("/payos/create", verifyToken, authorizeRoles("customer"), async (req
     }
 });
 
-// GET /api/payments/payos/return (Callback từ PayOS)
-router.get("/payos/return", async (req, res) => {
-    let connection;
-    try {
-        const { orderCode, status } = req.query;
-        if (!orderCode) {
-            return res.redirect(`${process.env.FRONTEND_URL}/home`);
-        }
+// POST /api/payments/payos/webhook (PayOS gọi về khi giao dịch thay đổi - nguồn dữ liệu chính thức)
+router.post("/payos/webhook", async (req, res) => {
+    // 1. Xác thực chữ ký bằng PAYOS_CHECKSUM_KEY
+    if (!verifyWebhookSignature(req.body)) {
+        console.warn("⚠️ Webhook PayOS sai chữ ký, bỏ qua.");
+        return res.status(400).json({ message: "Chữ ký webhook không hợp lệ." });
+    }
 
-        const normalizedStatus = status?.toUpperCase();
-        let paymentStatus = normalizedStatus === "PAID" ? "success" : normalizedStatus === "CANCELLED" ? "cancelled" : "failed";
+    const data = req.body.data;
+    const orderCode = String(data.orderCode);
+    const isPaid = req.body.success === true && data.code === "00";
+    // Mỗi sự kiện được định danh duy nhất để xử lý idempotent khi PayOS gửi lại
+    const eventKey = `${orderCode}:${data.code}:${data.reference || data.paymentLinkId || ""}`;
 
+    let connection;
+    try {
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
         try {
-            // Cập nhật trạng thái Payment
-            const [updateResult] = await connection.query(
-                "UPDATE Payments SET status = ? WHERE transaction_id = ?",
-                [paymentStatus, orderCode]
+            // 2. Ghi nhận sự kiện (UNIQUE event_key) - trùng nghĩa là đã xử lý rồi
+            try {
+                await connection.query(
+                    "INSERT INTO PaymentWebhookEvents (event_key, order_code, code, amount, payload, received_at) VALUES (?, ?, ?, ?, ?, NOW())",
+                    [eventKey, orderCode, data.code, data.amount, JSON.stringify(req.body)]
+                );
+            } catch (err) {
+                if (err.code !== "ER_DUP_ENTRY") throw err;
+                await connection.rollback();
+                console.log(`ℹ️ Webhook [${eventKey}] đã được xử lý trước đó.`);
+                return res.json({ message: "Sự kiện đã được xử lý." });
+            }
+
+            // 3. Khóa bản ghi Payment để tránh xử lý song song
+            const [paymentRows] = await connection.query(
+                "SELECT payment_id, user_id, plan_id, voucher_id, final_amount, status FROM Payments WHERE transaction_id = ? FOR UPDATE",
+                [orderCode]
             );
 
-             if (updateResult.affectedRows === 0) {
-                 // Có thể giao dịch đã được xử lý bởi webhook (nếu dùng) hoặc orderCode sai
-                 console.warn(`Payment record not found or already updated for orderCode: ${orderCode}`);
-                 // Vẫn nên commit để không rollback các thay đổi khác (nếu có)
-                 // Hoặc có thể rollback tùy logic của bạn
-             } else {
-                 console.log(`✅ Payment [${orderCode}] updated to ${paymentStatus}`);
-             }
-
-
-            // Kích hoạt Subscription và cập nhật Voucher nếu thành công
-            if (paymentStatus === 'success') {
-                const [paymentRows] = await connection.query(
-                    "SELECT user_id, plan_id, voucher_id FROM Payments WHERE transaction_id = ?",
-                    [orderCode]
-                );
+            if (paymentRows.length === 0) {
+                // PayOS gửi dữ liệu mẫu khi xác nhận webhook URL → vẫn trả 200
+                await connection.commit();
+                console.warn(`Webhook cho orderCode không tồn tại: ${orderCode}`);
+                return res.json({ message: "Không tìm thấy giao dịch, đã ghi nhận sự kiện." });
+            }
 
-                if (paymentRows.length === 0) throw new Error(`Payment record inconsistency for orderCode: ${orderCode}`);
+            const payment = paymentRows[0];
 
-                const { user_id, plan_id, voucher_id } = paymentRows[0];
+            // 4. Chỉ chuyển trạng thái từ 'pending' (các trạng thái khác là kết thúc)
+            if (payment.status !== "pending") {
+                await connection.commit();
+                console.log(`ℹ️ Payment [${orderCode}] đã ở trạng thái '${payment.status}', bỏ qua.`);
+                return res.json({ message: "Giao dịch đã được xử lý." });
+            }
 
-                // Cập nhật Voucher nếu có
-                if (voucher_id) {
-                    await connection.query(
-                        "UPDATE Vouchers SET used_count = used_count + 1 WHERE voucher_id = ?",
-                        [voucher_id]
-                    );
-                    console.log(`🎟️ Voucher [${voucher_id}] usage count incremented.`);
-                }
+            let newStatus = isPaid ? "success" : "failed";
+            if (isPaid && Number(data.amount) !== Number(payment.final_amount)) {
+                console.error(`❌ Payment [${orderCode}] sai số tiền: nhận ${data.amount}, cần ${payment.final_amount}`);
+                newStatus = "failed";
+            }
 
-                // Kích hoạt Subscription (chống trùng lặp)
-                const [existingSubRows] = await connection.query(
-                    "SELECT user_subscription_id FROM UserSubscriptions WHERE user_id = ? AND plan_id = ? AND start_date >= DATE_SUB(NOW(), INTERVAL 5 MINUTE)",
-                    [user_id, plan_id]
-                );
+            await connection.query(
+                "UPDATE Payments SET status = ? WHERE payment_id = ?",
+                [newStatus, payment.payment_id]
+            );
 
-                if (existingSubRows.length === 0) {
-                    const [subPlanRows] = await connection.query(
-                        "SELECT duration_in_days FROM SubscriptionPlans WHERE plan_id = ?",
-                        [plan_id]
+            // 5. Thanh toán thành công → trừ lượt voucher + kích hoạt gói
+            if (newStatus === "success") {
+                if (payment.voucher_id) {
+                    await connection.query(
+                        "UPDATE Vouchers SET used_count = used_count + 1 WHERE voucher_id = ?",
+                        [payment.voucher_id]
                     );
-                    if (subPlanRows.length === 0) throw new Error(`Plan details not found: ${plan_id}`);
-
-                    const duration = subPlanRows[0].duration_in_days;
-                    const subInsertSql = `
-                        INSERT INTO UserSubscriptions (user_id, plan_id, start_date, end_date, status)
-                        VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), 'active')
-                    `;
-                    await connection.query(subInsertSql, [user_id, plan_id, duration]);
-                    console.log(`✅ Activated subscription plan ${plan_id} for user ${user_id}`);
-                } else {
-                     console.log(`ℹ️ Subscription for user ${user_id}, plan ${plan_id} already activated recently.`);
+                    console.log(`🎟️ Voucher [${payment.voucher_id}] usage count incremented.`);
                 }
+                await activateSubscription(connection, payment.user_id, payment.plan_id);
             }
 
-            await connection.commit(); // Hoàn tất transaction
+            await connection.commit();
+            console.log(`✅ Payment [${orderCode}] updated to ${newStatus}`);
+            return res.json({ message: "✅ Đã xử lý webhook." });
         } catch (err) {
-            await connection.rollback(); // Rollback nếu có lỗi bên trong transaction
-            throw err; // Ném lỗi ra ngoài
-        } finally {
-             if(connection) connection.release(); // Luôn trả kết nối sau transaction
+            await connection.rollback();
+            throw err;
         }
+    } catch (err) {
+        console.error("❌ Lỗi /payos/webhook:", err.message);
+        // Trả 500 để PayOS gửi lại sự kiện
+        return res.status(500).json({ message: "Lỗi máy chủ" });
+    } finally {
+        if (connection) connection.release();
+    }
+});
 
+// GET /api/payments/payos/return (PayOS chuyển hướng trình duyệt về - chỉ hiển thị trạng thái)
+// Trạng thái thật được cập nhật qua webhook, route này KHÔNG thay đổi dữ liệu.
+router.get("/payos/return", async (req, res) => {
+    const { orderCode } = req.query;
+    if (!orderCode) {
         return res.redirect(`${process.env.FRONTEND_URL}/home`);
+    }
+
+    try {
+        const [rows] = await pool.query("SELECT status FROM Payments WHERE transaction_id = ?", [orderCode]);
+        const status = rows[0]?.status || "not_found";
+        const query = new URLSearchParams({ orderCode: String(orderCode), status });
+        return res.redirect(`${process.env.FRONTEND_URL}/payment-result?${query}`);
     } catch (err) {
-        if (connection) connection.release(); // Đảm bảo trả kết nối nếu có lỗi ngoài transaction
         console.error("❌ Lỗi /payos/return:", err.message);
         return res.redirect(`${process.env.FRONTEND_URL}/home`);
     }
@@ -0,0 +1,290 @@
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { dominantHand, extractFrames, scoreAttempt } = require("../services/motionScoring");
+const { validateMotionData } = require("../services/motionFormat");
+const { readStoredMotion } = require("../services/motionCodec");
+
+const MAX_FRAMES = 3000;
+
+// Các cột trả về trong danh sách (không kèm dữ liệu frame để nhẹ payload)
+const SESSION_LIST_COLUMNS = `
+    s.session_id, s.user_id, u.full_name, s.lesson_id, l.lesson_name, s.model_id, s.motion_id,
+    s.status, s.score, s.started_at, s.submitted_at, s.reviewed_by, s.reviewed_at
+`;
+
+// Kiểm tra lại quyền truy cập bài học khi nộp: gói đăng ký có thể đã hết hạn hoặc bị thu hồi sau khi bắt đầu phiên
+const sessionAccess = requireLessonAccess(lessonIdFrom("AIPracticeSessions", "session_id"));
+
+// Customer chỉ được thao tác phiên của chính mình
+const canViewSession = (user, session) => user.role !== "customer" || session.user_id === user.id;
+
+/**
+ * Kiểm tra bản ghi học viên gửi lên (định dạng v1) trước khi chấm
+ * @returns {{ error: object } | { recording: object }}
+ */
+const parseAttempt = (motionData) => {
+    const result = validateMotionData(motionData);
+    if (!result.valid) {
+        return { error: { message: "motion_data không hợp lệ", errors: result.errors, error_count: result.error_count } };
+    }
+    if (result.canonical.frames.length > MAX_FRAMES) {
+        return { error: { message: `Tối đa ${MAX_FRAMES} frame cho mỗi lần chấm.` } };
+    }
+    return { recording: result.canonical };
+};
+
+/**
+ * Chấm bản ghi học viên với động tác mẫu trên cùng một bàn tay
+ * @param {object} referenceRow Dòng Hand_Motions (motion_data, motion_blob)
+ * @returns {{ status: number, body: object } | { feedback: object }}
+ */
+const gradeAgainstReference = (referenceRow, recording, options) => {
+    const reference = readStoredMotion(referenceRow);
+    if (!reference) {
+        return { status: 422, body: { message: "Động tác mẫu là dữ liệu legacy (chưa theo định dạng v1), không thể chấm điểm." } };
+    }
+
+    const hand = dominantHand(reference);
+    const referenceFrames = extractFrames(reference, hand);
+    const attemptFrames = extractFrames(recording, hand);
+    if (!hand || referenceFrames.length === 0) {
+        return { status: 422, body: { message: "Động tác mẫu không chứa dữ liệu bàn tay." } };
+    }
+    if (attemptFrames.length === 0) {
+        return { status: 400, body: { message: `Bản ghi không có bàn tay ${hand} như động tác mẫu.` } };
+    }
+
+    return { feedback: { handedness: hand, ...scoreAttempt(referenceFrames, attemptFrames, options) } };
+};
+
+// GET /api/practice-sessions (Customer: phiên của mình | Staff: tất cả, lọc theo user_id/lesson_id)
+router.get("/", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
+    try {
+        let sqlQuery = `
+            SELECT ${SESSION_LIST_COLUMNS}
+            FROM AIPracticeSessions s
+            JOIN Users u ON s.user_id = u.user_id
+            JOIN Lessons l ON s.lesson_id = l.lesson_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (req.user.role === "customer") {
+            sqlQuery += " AND s.user_id = ?";
+            params.push(req.user.id);
+        } else if (req.query.user_id) {
+            sqlQuery += " AND s.user_id = ?";
+            params.push(req.query.user_id);
+        }
+        if (req.query.lesson_id) {
+            sqlQuery += " AND s.lesson_id = ?";
+            params.push(req.query.lesson_id);
+        }
+
+        sqlQuery += " ORDER BY s.started_at DESC";
+        const [rows] = await pool.query(sqlQuery, params);
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /practice-sessions:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/practice-sessions/lesson/:lesson_id (Lịch sử luyện tập theo bài học + điểm cao nhất)
+router.get("/lesson/:lesson_id", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
+    try {
+        // Staff có thể xem lịch sử của học viên khác qua ?user_id=
+        const userId = req.user.role === "customer" ? req.user.id : parseInt(req.query.user_id, 10) || req.user.id;
+
+        const [rows] = await pool.query(
+            `SELECT ${SESSION_LIST_COLUMNS}
+             FROM AIPracticeSessions s
+             JOIN Users u ON s.user_id = u.user_id
+             JOIN Lessons l ON s.lesson_id = l.lesson_id
+             WHERE s.user_id = ? AND s.lesson_id = ?
+             ORDER BY s.started_at DESC`,
+            [userId, req.params.lesson_id]
+        );
+
+        const scores = rows.filter((r) => r.score !== null).map((r) => Number(r.score));
+        res.json({
+            lesson_id: Number(req.params.lesson_id),
+            user_id: userId,
+            attempts: rows.length,
+            best_score: scores.length > 0 ? Math.max(...scores) : null,
+            sessions: rows,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi GET /practice-sessions/lesson/:lesson_id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/practice-sessions/:id (Chi tiết phiên, kèm dữ liệu frame và phản hồi)
+router.get("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"), async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT s.*, u.full_name, l.lesson_name
+             FROM AIPracticeSessions s
+             JOIN Users u ON s.user_id = u.user_id
+             JOIN Lessons l ON s.lesson_id = l.lesson_id
+             WHERE s.session_id = ?`,
+            [req.params.id]
+        );
+        if (rows.length === 0) return res.status(404).json({ message: "Không tìm thấy phiên luyện tập." });
+
+        const session = rows[0];
+        if (!canViewSession(req.user, session)) {
+            return res.status(403).json({ message: "Bạn chỉ được xem phiên luyện tập của mình." });
+        }
+
+        res.json(session);
+    } catch (err) {
+        console.error("❌ Lỗi GET /practice-sessions/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/practice-sessions/start (Bắt đầu phiên luyện tập cho bài học + mô hình AI - Customer)
+router.post("/start", verifyToken, authorizeRoles("customer"), requireLessonAccess((req) => req.body.lesson_id), async (req, res) => {
+    const { lesson_id, model_id } = req.body;
+
+    if (!lesson_id || !model_id) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: lesson_id, model_id" });
+    }
+
+    try {
+        const [lessonRows] = await pool.query("SELECT lesson_id FROM Lessons WHERE lesson_id = ?", [lesson_id]);
+        if (lessonRows.length === 0) return res.status(400).json({ message: "lesson_id không hợp lệ: Không tìm thấy bài học" });
+
+        const [modelRows] = await pool.query("SELECT model_id FROM AI_Models WHERE model_id = ?", [model_id]);
+        if (modelRows.length === 0) return res.status(400).json({ message: "model_id không hợp lệ: Không tìm thấy mô hình AI" });
+
+        // Động tác mẫu mới nhất của bài học cho mô hình này
+        const [motionRows] = await pool.query(
+            "SELECT motion_id, description FROM Hand_Motions WHERE lesson_id = ? AND model_id = ? ORDER BY created_at DESC LIMIT 1",
+            [lesson_id, model_id]
+        );
+        if (motionRows.length === 0) {
+            return res.status(400).json({ message: "Bài học chưa có động tác mẫu cho mô hình AI này." });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO AIPracticeSessions (user_id, lesson_id, model_id, motion_id, status, started_at)
+             VALUES (?, ?, ?, ?, 'in_progress', NOW())`,
+            [req.user.id, lesson_id, model_id, motionRows[0].motion_id]
+        );
+
+        res.status(201).json({
+            message: "✅ Bắt đầu phiên luyện tập",
+            session_id: result.insertId,
+            reference_motion: motionRows[0],
+        });
+    } catch (err) {
+        console.error("❌ Lỗi POST /practice-sessions/start:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/practice-sessions/:id/submit (Nộp bản ghi motion_data định dạng v1, nhận điểm - Customer)
+router.post("/:id/submit", verifyToken, authorizeRoles("customer"), sessionAccess, async (req, res) => {
+    const attempt = parseAttempt(req.body.motion_data);
+    if (attempt.error) return res.status(400).json(attempt.error);
+
+    try {
+        const [rows] = await pool.query(
+            `SELECT s.session_id, s.user_id, s.status, hm.motion_data, hm.motion_blob
+             FROM AIPracticeSessions s
+             JOIN Hand_Motions hm ON s.motion_id = hm.motion_id
+             WHERE s.session_id = ?`,
+            [req.params.id]
+        );
+        if (rows.length === 0) return res.status(404).json({ message: "Không tìm thấy phiên luyện tập." });
+
+        const session = rows[0];
+        if (session.user_id !== req.user.id) {
+            return res.status(403).json({ message: "Bạn chỉ được nộp bài cho phiên luyện tập của mình." });
+        }
+        if (session.status !== "in_progress") {
+            return res.status(400).json({ message: "Phiên luyện tập đã được nộp." });
+        }
+
+        const graded = gradeAgainstReference(session, attempt.recording);
+        if (!graded.feedback) return res.status(graded.status).json(graded.body);
+        const { feedback } = graded;
+
+        const [result] = await pool.query(
+            `UPDATE AIPracticeSessions
+             SET frames = ?, score = ?, feedback = ?, status = 'completed', submitted_at = NOW()
+             WHERE session_id = ? AND status = 'in_progress'`,
+            [JSON.stringify(attempt.recording), feedback.score, JSON.stringify(feedback), session.session_id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ message: "Phiên luyện tập đã được nộp." });
+        }
+
+        res.json({ message: "✅ Đã chấm điểm phiên luyện tập", session_id: session.session_id, score: feedback.score, feedback });
+    } catch (err) {
+        console.error("❌ Lỗi POST /practice-sessions/:id/submit:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/practice-sessions/compare (Chấm thử bản ghi với một động tác mẫu, không lưu lại)
+router.post(
+    "/compare",
+    verifyToken,
+    requireLessonAccess(async (req) => {
+        const [rows] = await pool.query("SELECT lesson_id FROM Hand_Motions WHERE motion_id = ?", [req.body.motion_id]);
+        return rows[0]?.lesson_id || null;
+    }),
+    async (req, res) => {
+        const { motion_id, options } = req.body;
+        if (!motion_id) return res.status(400).json({ message: "Thiếu trường bắt buộc: motion_id" });
+
+        const attempt = parseAttempt(req.body.motion_data);
+        if (attempt.error) return res.status(400).json(attempt.error);
+
+        try {
+            const [rows] = await pool.query("SELECT motion_data, motion_blob FROM Hand_Motions WHERE motion_id = ?", [motion_id]);
+            if (rows.length === 0) return res.status(404).json({ message: "Không tìm thấy động tác mẫu." });
+
+            // Chỉ cho phép tinh chỉnh các tham số hiển thị, không cho đổi ngưỡng chấm
+            const { segments, worstFrames } = options || {};
+            const graded = gradeAgainstReference(rows[0], attempt.recording, {
+                ...(Number.isInteger(segments) && segments > 0 && segments <= 20 ? { segments } : {}),
+                ...(Number.isInteger(worstFrames) && worstFrames > 0 && worstFrames <= 50 ? { worstFrames } : {}),
+            });
+            if (!graded.feedback) return res.status(graded.status).json(graded.body);
+
+            res.json(graded.feedback);
+        } catch (err) {
+            console.error("❌ Lỗi POST /practice-sessions/compare:", err.message);
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    }
+);
+
+// PUT /api/practice-sessions/:id/review (Nhận xét phiên luyện tập của học viên - Admin/Employee)
+router.put("/:id/review", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
+    const { review_comment } = req.body;
+    if (!review_comment) return res.status(400).json({ message: "Thiếu trường bắt buộc: review_comment" });
+
+    try {
+        const [result] = await pool.query(
+            "UPDATE AIPracticeSessions SET review_comment = ?, reviewed_by = ?, reviewed_at = NOW() WHERE session_id = ?",
+            [review_comment, req.user.id, req.params.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy phiên luyện tập." });
+
+        res.json({ message: "✅ Đã lưu nhận xét" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /practice-sessions/:id/review:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require("express");
+const router = express.Router();
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { visibleCondition } = require("../services/publishingService");
+const {
+    parseQuizSettings, parseQuestion, parseAnswers, startAttempt, submitAttempt,
+} = require("../services/quizService");
+const { parseId, fromJson } = require("../services/queryHelpers");
+
+const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+const quizAccess = requireLessonAccess(lessonIdFrom("Quizzes", "quiz_id"));
+
+const QUIZ_COLUMNS = `q.quiz_id, q.lesson_id, q.title, q.description, q.pass_score, q.max_attempts,
+    q.required_for_completion, q.created_at, q.updated_at,
+    (SELECT COUNT(*) FROM QuizQuestions qq WHERE qq.quiz_id = q.quiz_id) AS question_count,
+    (SELECT COALESCE(SUM(qq.points), 0) FROM QuizQuestions qq WHERE qq.quiz_id = q.quiz_id) AS total_points`;
+
+// Số lượt đã làm, điểm cao nhất và trạng thái đạt của học viên
+const MY_RESULT_COLUMNS = `,
+    (SELECT COUNT(*) FROM QuizAttempts qa WHERE qa.quiz_id = q.quiz_id AND qa.user_id = ?) AS my_attempts,
+    (SELECT MAX(qa.score) FROM QuizAttempts qa WHERE qa.quiz_id = q.quiz_id AND qa.user_id = ?) AS my_best_score,
+    EXISTS (SELECT 1 FROM QuizAttempts qa WHERE qa.quiz_id = q.quiz_id AND qa.user_id = ? AND qa.passed = 1) AS my_passed`;
+
+const questionRow = (row) => ({ ...row, options: fromJson(row.options), correct_answer: fromJson(row.correct_answer) });
+
+const insertQuestion = async (tx, quizId, question) => {
+    const next = await tx.queryOne(
+        "SELECT COALESCE(MAX(position), 0) + 1 AS next FROM QuizQuestions WHERE quiz_id = ?",
+        [quizId]
+    );
+    const result = await tx.execute(
+        `INSERT INTO QuizQuestions (quiz_id, position, question_type, prompt, audio_url, options, correct_answer, points, explanation)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            quizId, next.next, question.question_type, question.prompt, question.audio_url,
+            JSON.stringify(question.options), JSON.stringify(question.correct_answer), question.points, question.explanation,
+        ]
+    );
+    return result.insertId;
+};
+
+// GET /api/quizzes?lesson_id= (Danh sách quiz; khách hàng chỉ thấy quiz của bài học đã xuất bản, kèm kết quả của mình)
+router.get("/", verifyToken, async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        let mine = "";
+        if (!isStaff(req.user)) {
+            mine = MY_RESULT_COLUMNS;
+            params.push(req.user.id, req.user.id, req.user.id);
+            conditions.push(visibleCondition("l"), visibleCondition("c"));
+        }
+        if (req.query.lesson_id) { conditions.push("q.lesson_id = ?"); params.push(req.query.lesson_id); }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+        const rows = await db.query(
+            `SELECT ${QUIZ_COLUMNS}${mine}
+             FROM Quizzes q
+             JOIN Lessons l ON q.lesson_id = l.lesson_id
+             JOIN Courses c ON l.course_id = c.course_id
+             ${where}
+             ORDER BY l.course_id, q.lesson_id`,
+            params
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /quizzes:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/quizzes/:id (Chi tiết quiz)
+// Nhân sự nhận cả câu hỏi và đáp án; học viên chỉ nhận thông tin chung (đề phát khi bắt đầu lượt làm)
+router.get("/:id", verifyToken, quizAccess, async (req, res) => {
+    try {
+        const staff = isStaff(req.user);
+        const quiz = await db.queryOne(
+            `SELECT ${QUIZ_COLUMNS}${staff ? "" : MY_RESULT_COLUMNS} FROM Quizzes q WHERE q.quiz_id = ?`,
+            staff ? [req.params.id] : [req.user.id, req.user.id, req.user.id, req.params.id]
+        );
+        if (!quiz) return res.status(404).json({ message: "Không tìm thấy quiz" });
+
+        if (staff) {
+            const questions = await db.query(
+                "SELECT * FROM QuizQuestions WHERE quiz_id = ? ORDER BY position, question_id",
+                [quiz.quiz_id]
+            );
+            quiz.questions = questions.map(questionRow);
+        }
+        res.json(quiz);
+    } catch (err) {
+        console.error("❌ Lỗi GET /quizzes/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/quizzes (Tạo quiz cho bài học - Admin/Employee)
+// Body: { lesson_id, title, description, pass_score, max_attempts, required_for_completion, questions: [...] }
+router.post("/", ...staffOnly, async (req, res) => {
+    const lessonId = parseId(req.body.lesson_id);
+    if (!lessonId) return res.status(400).json({ message: "lesson_id không hợp lệ" });
+    const settings = parseQuizSettings(req.body);
+    if (settings.error) return res.status(400).json({ message: settings.error });
+
+    const questions = [];
+    for (const [index, body] of (req.body.questions || []).entries()) {
+        const parsed = parseQuestion(body || {});
+        if (parsed.error) return res.status(400).json({ message: `Câu hỏi ${index + 1}: ${parsed.error}` });
+        questions.push(parsed.question);
+    }
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            if (!(await tx.exists("Lessons", "lesson_id", lessonId))) {
+                return { status: 404, body: { message: "Không tìm thấy bài học" } };
+            }
+            if (await tx.exists("Quizzes", "lesson_id", lessonId)) {
+                return { status: 409, body: { message: "Bài học đã có quiz; hãy sửa quiz hiện có" } };
+            }
+
+            const { values } = settings;
+            const inserted = await tx.execute(
+                `INSERT INTO Quizzes (lesson_id, title, description, pass_score, max_attempts, required_for_completion, created_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+                [
+                    lessonId, values.title, values.description ?? null, values.pass_score ?? 70,
+                    values.max_attempts ?? null, values.required_for_completion ?? 1, req.user.id,
+                ]
+            );
+            for (const question of questions) {
+                await insertQuestion(tx, inserted.insertId, question);
+            }
+            return { quiz_id: inserted.insertId };
+        });
+        if (result.status) return res.status(result.status).json(result.body);
+
+        res.status(201).json({ message: "✅ Tạo quiz thành công", quiz_id: result.quiz_id, question_count: questions.length });
+    } catch (err) {
+        console.error("❌ Lỗi POST /quizzes:", err.message);
+        if (err.code === "ER_DUP_ENTRY") return res.status(409).json({ message: "Bài học đã có quiz" });
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/quizzes/:id (Sửa cấu hình quiz - Admin/Employee)
+// Đổi pass_score không chấm lại các lượt đã nộp
+router.put("/:id", ...staffOnly, async (req, res) => {
+    const settings = parseQuizSettings(req.body, { partial: true });
+    if (settings.error) return res.status(400).json({ message: settings.error });
+    const fields = Object.keys(settings.values);
+    if (fields.length === 0) {
+        return res.status(400).json({ message: "Không có thông tin nào để cập nhật" });
+    }
+
+    try {
+        const result = await db.execute(
+            `UPDATE Quizzes SET ${fields.map((field) => `${field} = ?`).join(", ")} WHERE quiz_id = ?`,
+            [...fields.map((field) => settings.values[field]), req.params.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy quiz" });
+        res.json({ message: "✅ Cập nhật quiz thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /quizzes/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/quizzes/:id (Xóa quiz chưa có lượt làm bài - Admin/Employee)
+router.delete("/:id", ...staffOnly, async (req, res) => {
+    try {
+        if (await db.exists("QuizAttempts", "quiz_id", req.params.id)) {
+            return res.status(400).json({
+                message: "Không thể xóa quiz này.",
+                reason: "Đã có học viên làm bài; hãy đặt required_for_completion = false nếu không dùng nữa.",
+            });
+        }
+        const result = await db.execute("DELETE FROM Quizzes WHERE quiz_id = ?", [req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy quiz" });
+        res.json({ message: "✅ Xóa quiz thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /quizzes/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/quizzes/:id/questions (Thêm câu hỏi vào cuối quiz - Admin/Employee)
+router.post("/:id/questions", ...staffOnly, async (req, res) => {
+    const parsed = parseQuestion(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+    try {
+        if (!(await db.exists("Quizzes", "quiz_id", req.params.id))) {
+            return res.status(404).json({ message: "Không tìm thấy quiz" });
+        }
+        const questionId = await withTransaction((tx) => insertQuestion(tx, req.params.id, parsed.question));
+        const question = await db.queryOne("SELECT * FROM QuizQuestions WHERE question_id = ?", [questionId]);
+        res.status(201).json({ message: "✅ Thêm câu hỏi thành công", question: questionRow(question) });
+    } catch (err) {
+        console.error("❌ Lỗi POST /quizzes/:id/questions:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/quizzes/:id/questions/reorder (Sắp xếp lại câu hỏi - Admin/Employee) - Body: { question_ids: [...] }
+router.put("/:id/questions/reorder", ...staffOnly, async (req, res) => {
+    const { question_ids } = req.body;
+    if (!Array.isArray(question_ids)) {
+        return res.status(400).json({ message: "question_ids phải là mảng id câu hỏi theo thứ tự mới" });
+    }
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            const current = (await tx.query(
+                "SELECT question_id FROM QuizQuestions WHERE quiz_id = ? FOR UPDATE",
+                [req.params.id]
+            )).map((r) => r.question_id);
+            const requested = question_ids.map(Number);
+            const sameSet = requested.length === current.length
+                && new Set(requested).size === requested.length
+                && requested.every((id) => current.includes(id));
+            if (!sameSet) {
+                return {
+                    status: 400,
+                    body: { message: "question_ids phải gồm đúng và đủ các câu hỏi của quiz", current_question_ids: current },
+                };
+            }
+            for (let i = 0; i < requested.length; i++) {
+                await tx.execute("UPDATE QuizQuestions SET position = ? WHERE question_id = ?", [i + 1, requested[i]]);
+            }
+            return { question_ids: requested };
+        });
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Đã sắp xếp lại câu hỏi", question_ids: result.question_ids });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /quizzes/:id/questions/reorder:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/quizzes/:id/questions/:questionId (Sửa câu hỏi - Admin/Employee, gửi lại đầy đủ câu hỏi)
+// Các lượt đã nộp giữ nguyên điểm cũ
+router.put("/:id/questions/:questionId", ...staffOnly, async (req, res) => {
+    const parsed = parseQuestion(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { question } = parsed;
+
+    try {
+        const result = await db.execute(
+            `UPDATE QuizQuestions
+             SET question_type = ?, prompt = ?, audio_url = ?, options = ?, correct_answer = ?, points = ?, explanation = ?
+             WHERE question_id = ? AND quiz_id = ?`,
+            [
+                question.question_type, question.prompt, question.audio_url, JSON.stringify(question.options),
+                JSON.stringify(question.correct_answer), question.points, question.explanation,
+                req.params.questionId, req.params.id,
+            ]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy câu hỏi trong quiz này" });
+        res.json({ message: "✅ Cập nhật câu hỏi thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /quizzes/:id/questions/:questionId:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/quizzes/:id/questions/:questionId (Xóa câu hỏi - Admin/Employee)
+router.delete("/:id/questions/:questionId", ...staffOnly, async (req, res) => {
+    try {
+        const deleted = await withTransaction(async (tx) => {
+            const result = await tx.execute(
+                "DELETE FROM QuizQuestions WHERE question_id = ? AND quiz_id = ?",
+                [req.params.questionId, req.params.id]
+            );
+            if (result.affectedRows === 0) return false;
+
+            // Đánh số lại các câu còn lại cho liên tục
+            const rest = await tx.query(
+                "SELECT question_id FROM QuizQuestions WHERE quiz_id = ? ORDER BY position, question_id FOR UPDATE",
+                [req.params.id]
+            );
+            for (let i = 0; i < rest.length; i++) {
+                await tx.execute("UPDATE QuizQuestions SET position = ? WHERE question_id = ?", [i + 1, rest[i].question_id]);
+            }
+            return true;
+        });
+        if (!deleted) return res.status(404).json({ message: "Không tìm thấy câu hỏi trong quiz này" });
+        res.json({ message: "✅ Xóa câu hỏi thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /quizzes/:id/questions/:questionId:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/quizzes/:id/attempts (Bắt đầu lượt làm bài - Customer)
+// Đang có lượt chưa nộp thì trả lại lượt đó (cùng đề, cùng thứ tự)
+router.post("/:id/attempts", verifyToken, authorizeRoles("customer"), quizAccess, async (req, res) => {
+    try {
+        const quiz = await db.queryOne("SELECT * FROM Quizzes WHERE quiz_id = ?", [req.params.id]);
+        if (!quiz) return res.status(404).json({ message: "Không tìm thấy quiz" });
+
+        const result = await withTransaction((tx) => startAttempt(tx, quiz, req.user.id));
+        if (result.status) return res.status(result.status).json(result.body);
+
+        res.status(result.resumed ? 200 : 201).json({
+            quiz_id: quiz.quiz_id,
+            title: quiz.title,
+            pass_score: Number(quiz.pass_score),
+            max_attempts: quiz.max_attempts,
+            attempt: result.attempt,
+            questions: result.questions,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi POST /quizzes/:id/attempts:", err.message);
+        if (err.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ message: "Lượt làm bài đang được tạo, vui lòng thử lại" });
+        }
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/quizzes/:id/attempts (Lịch sử làm bài: của mình; nhân sự xem tất cả hoặc lọc ?user_id=)
+router.get("/:id/attempts", verifyToken, async (req, res) => {
+    try {
+        const conditions = ["quiz_id = ?"];
+        const params = [req.params.id];
+        if (!isStaff(req.user)) {
+            conditions.push("user_id = ?"); params.push(req.user.id);
+        } else if (req.query.user_id) {
+            conditions.push("user_id = ?"); params.push(req.query.user_id);
+        }
+
+        const rows = await db.query(
+            `SELECT attempt_id, quiz_id, user_id, attempt_number, status, earned_points, total_points, score, passed,
+                    started_at, submitted_at
+             FROM QuizAttempts
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY user_id, attempt_number`,
+            params
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /quizzes/:id/attempts:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/quizzes/:id/attempts/:attemptId/submit (Nộp bài - Customer)
+// Body: { answers: [{ question_id, answer }] }; answer là id lựa chọn hoặc mảng id (multiple_choice, ordering)
+router.post("/:id/attempts/:attemptId/submit", verifyToken, authorizeRoles("customer"), quizAccess, async (req, res) => {
+    const answers = parseAnswers(req.body.answers);
+    if (!answers) {
+        return res.status(400).json({ message: "answers phải là mảng [{ question_id, answer }]" });
+    }
+
+    try {
+        const quiz = await db.queryOne("SELECT * FROM Quizzes WHERE quiz_id = ?", [req.params.id]);
+        if (!quiz) return res.status(404).json({ message: "Không tìm thấy quiz" });
+
+        const result = await withTransaction((tx) => submitAttempt(tx, quiz, req.params.attemptId, req.user.id, answers));
+        if (result.status) return res.status(result.status).json(result.body);
+
+        res.json({
+            message: result.attempt.passed ? "🎉 Bạn đã đạt bài kiểm tra" : "Chưa đạt, hãy ôn lại và thử lần nữa",
+            ...result,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi POST /quizzes/:id/attempts/:attemptId/submit:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
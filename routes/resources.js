@@ -1,7 +1,14 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
-const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles, isStaff } = require("../security/verifyToken");
+const { requireLessonAccess, lessonIdFrom } = require("../security/requireEntitlement");
+const { markLocked } = require("../services/entitlementService");
+const { visibleCondition } = require("../services/publishingService");
+const { loadEntity, recordRevision } = require("../services/revisionService");
+const { revisionRouter } = require("./revisions");
+const { syncSearchDocument, removeSearchDocument } = require("../services/searchService");
+const { removeSongLinks } = require("../services/songService");
 
 /**
  * @swagger
@@ -38,6 +45,10 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  *           type: string
  *           format: date-time
  *           example: "2025-10-07T10:00:00Z"
+ *         locked:
+ *           type: boolean
+ *           description: true nếu bài học chứa nội dung này yêu cầu gói đăng ký mà user chưa có
+ *           example: false
  *     CreateResourceRequest:
  *       type: object
  *       required:
@@ -121,11 +132,17 @@ router.get("/ping", (req, res) => {
  * 📌 GET /api/resources
  * Lấy tất cả tài nguyên học tập
  */
-router.get("/", async (req, res) => {
+router.get("/", verifyToken, async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query("SELECT * FROM Resources");
-    res.json(result.recordset);
+    const rows = await db.query(`
+      SELECT r.*, l.is_free, c.is_free AS course_is_free
+      FROM Resources r
+      JOIN Lessons l ON r.lesson_id = l.lesson_id
+      JOIN Courses c ON l.course_id = c.course_id
+      ${isStaff(req.user) ? "" : `WHERE ${visibleCondition("l")} AND ${visibleCondition("c")}`}
+    `);
+    // Tài nguyên của bài học trả phí được đánh dấu locked thay vì ẩn
+    res.json(await markLocked(req.user, rows));
   } catch (err) {
     console.error("❌ Error in GET /resources:", err.message);
     res.status(500).send("Server error");
@@ -138,6 +155,8 @@ router.get("/", async (req, res) => {
  *   get:
  *     summary: Lấy thông tin chi tiết một tài nguyên theo ID
  *     tags: [Resources]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -152,6 +171,12 @@ router.get("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Resource'
+ *       401:
+ *         description: Chưa đăng nhập
+ *       402:
+ *         description: Nội dung trả phí, cần gói đăng ký còn hiệu lực (kèm unlocking_plans)
+ *       403:
+ *         description: Vai trò không được phép xem nội dung
  *       404:
  *         description: Không tìm thấy tài nguyên
  *         content:
@@ -169,18 +194,15 @@ router.get("/", async (req, res) => {
  * 📌 GET /api/resources/:id
  * Lấy tài nguyên theo ID
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", verifyToken, requireLessonAccess(lessonIdFrom("Resources", "resource_id")), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("resource_id", sql.Int, req.params.id)
-      .query("SELECT * FROM Resources WHERE resource_id = @resource_id");
+    const resource = await db.queryOne("SELECT * FROM Resources WHERE resource_id = ?", [req.params.id]);
 
-    if (result.recordset.length === 0) {
+    if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
 
-    res.json(result.recordset[0]);
+    res.json(resource);
   } catch (err) {
     console.error("❌ Error in GET /resources/:id:", err.message);
     res.status(500).send("Server error");
@@ -237,28 +259,24 @@ router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (
   }
 
   try {
-    const pool = await poolPromise;
-
     // 🔍 Kiểm tra lesson_id có tồn tại không
-    const checkLesson = await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .query("SELECT COUNT(*) AS count FROM Lessons WHERE lesson_id = @lesson_id");
-
-    if (checkLesson.recordset[0].count === 0) {
+    if (!(await db.exists("Lessons", "lesson_id", lesson_id))) {
       return res.status(400).json({ message: "Invalid lesson_id: lesson not found" });
     }
 
-    // ✅ Thêm mới tài nguyên
-    await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("title", sql.NVarChar(100), title)
-      .input("resource_type", sql.VarChar(10), resource_type)
-      .input("url", sql.VarChar(200), url)
-      .input("description", sql.NVarChar(300), description || null)
-      .query(`
-        INSERT INTO Resources (lesson_id, title, resource_type, url, description, created_at)
-        VALUES (@lesson_id, @title, @resource_type, @url, @description, GETDATE())
-      `);
+    // ✅ Thêm mới tài nguyên và ghi phiên bản đầu tiên
+    await withTransaction(async (tx) => {
+      const result = await tx.execute(
+        `INSERT INTO Resources (lesson_id, title, resource_type, url, description, created_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [lesson_id, title, resource_type, url, description || null]
+      );
+      await recordRevision(tx, "resource", result.insertId, {
+        after: await loadEntity(tx, "resource", result.insertId),
+        editorId: req.user.id,
+      });
+      await syncSearchDocument(tx, "resource", result.insertId);
+    });
 
     res.status(201).json({ message: "✅ Resource added successfully" });
   } catch (err) {
@@ -326,45 +344,69 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
   }
 
   try {
-    const pool = await poolPromise;
-
     // 🔍 Kiểm tra lesson_id có tồn tại không
-    const checkLesson = await pool.request()
-      .input("lesson_id", sql.Int, lesson_id)
-      .query("SELECT COUNT(*) AS count FROM Lessons WHERE lesson_id = @lesson_id");
-
-    if (checkLesson.recordset[0].count === 0) {
+    if (!(await db.exists("Lessons", "lesson_id", lesson_id))) {
       return res.status(400).json({ message: "Invalid lesson_id: lesson not found" });
     }
 
-    const result = await pool.request()
-      .input("resource_id", sql.Int, req.params.id)
-      .input("lesson_id", sql.Int, lesson_id)
-      .input("title", sql.NVarChar(100), title)
-      .input("resource_type", sql.VarChar(10), resource_type)
-      .input("url", sql.VarChar(200), url)
-      .input("description", sql.NVarChar(300), description || null)
-      .query(`
-        UPDATE Resources
-        SET lesson_id = @lesson_id,
-            title = @title,
-            resource_type = @resource_type,
-            url = @url,
-            description = @description
-        WHERE resource_id = @resource_id
-      `);
+    // Cập nhật và ghi lại phiên bản trong cùng transaction
+    const revisionNumber = await withTransaction(async (tx) => {
+      const before = await loadEntity(tx, "resource", req.params.id, { forUpdate: true });
+      if (!before) return undefined;
 
-    if (result.rowsAffected[0] === 0) {
+      await tx.execute(
+        `UPDATE Resources
+         SET lesson_id = ?,
+             title = ?,
+             resource_type = ?,
+             url = ?,
+             description = ?
+         WHERE resource_id = ?`,
+        [lesson_id, title, resource_type, url, description || null, req.params.id]
+      );
+      const after = await loadEntity(tx, "resource", req.params.id);
+      await syncSearchDocument(tx, "resource", req.params.id);
+      return recordRevision(tx, "resource", req.params.id, { before, after, editorId: req.user.id });
+    });
+
+    if (revisionNumber === undefined) {
       return res.status(404).json({ message: "Resource not found" });
     }
 
-    res.json({ message: "✅ Resource updated successfully" });
+    res.json({ message: "✅ Resource updated successfully", revision_number: revisionNumber });
   } catch (err) {
     console.error("❌ Error in PUT /resources/:id:", err.message);
     res.status(500).send(err.message);
   }
 });
 
+/**
+ * @swagger
+ * /api/resources/{id}/revisions:
+ *   get:
+ *     summary: Lịch sử chỉnh sửa của tài nguyên (chỉ admin hoặc employee)
+ *     description: |
+ *       Các endpoint liên quan:
+ *       - `GET /api/resources/{id}/revisions/{revision}`: ảnh chụp nội dung của một phiên bản
+ *       - `GET /api/resources/{id}/revisions/diff?from=&to=`: so sánh hai phiên bản (bỏ trống `to` = hiện tại)
+ *       - `POST /api/resources/{id}/revisions/{revision}/restore`: khôi phục về phiên bản cũ
+ *     tags: [Resources]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách phiên bản, mới nhất trước
+ *       404:
+ *         description: Không tìm thấy tài nguyên
+ */
+router.use("/:id/revisions", revisionRouter("resource"));
+
 /**
  * @swagger
  * /api/resources/{id}:
@@ -403,14 +445,15 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req,
  * 📌 DELETE /api/resources/:id
  * Xóa tài nguyên
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("resource_id", sql.Int, req.params.id)
-      .query("DELETE FROM Resources WHERE resource_id = @resource_id");
+    const result = await withTransaction(async (tx) => {
+      await removeSearchDocument(tx, "resource", req.params.id);
+      await removeSongLinks(tx, "resource", req.params.id);
+      return tx.execute("DELETE FROM Resources WHERE resource_id = ?", [req.params.id]);
+    });
 
-    if (result.rowsAffected[0] === 0) {
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Resource not found" });
     }
 
@@ -0,0 +1,163 @@
+const express = require("express");
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const {
+    REVISION_ENTITIES, snapshotOf, diffSnapshots, loadEntity, recordRevision, listRevisions, getRevision,
+} = require("../services/revisionService");
+const { nextLessonPosition, compactLessonPositions } = require("../services/curriculumService");
+const { parseId } = require("../services/queryHelpers");
+const { syncSearchTree } = require("../services/searchService");
+
+const ENTITY_LABELS = { course: "khóa học", lesson: "bài học", resource: "tài nguyên" };
+
+// Khóa ngoại cần còn tồn tại trước khi khôi phục một ảnh chụp cũ
+const REFERENCES = {
+    lesson: { field: "course_id", table: "Courses", message: "Khóa học của phiên bản này không còn tồn tại" },
+    resource: { field: "lesson_id", table: "Lessons", message: "Bài học của phiên bản này không còn tồn tại" },
+};
+
+/**
+ * Khôi phục nội dung về ảnh chụp của một revision (ghi thành revision mới, không xóa lịch sử)
+ * @returns {Promise<{ status: number, body: object } | { revision_number: number|null, changes: object[] }>}
+ */
+const restoreRevision = async (tx, entityType, entityId, revisionNumber, editorId) => {
+    const { table, idColumn, fields } = REVISION_ENTITIES[entityType];
+    const label = ENTITY_LABELS[entityType];
+
+    const current = await loadEntity(tx, entityType, entityId, { forUpdate: true });
+    if (!current) return { status: 404, body: { message: `Không tìm thấy ${label}` } };
+
+    const revision = await getRevision(tx, entityType, entityId, revisionNumber);
+    if (!revision) return { status: 404, body: { message: "Không tìm thấy phiên bản" } };
+
+    const target = snapshotOf(entityType, revision.snapshot);
+    const changes = diffSnapshots(entityType, snapshotOf(entityType, current), target);
+    if (changes.length === 0) {
+        return { status: 400, body: { message: `Nội dung hiện tại đã giống phiên bản ${revisionNumber}` } };
+    }
+
+    const reference = REFERENCES[entityType];
+    if (reference && !(await tx.exists(reference.table, reference.field, target[reference.field]))) {
+        return { status: 409, body: { message: reference.message } };
+    }
+
+    const clauses = fields.map((field) => `${field} = ?`);
+    const params = fields.map((field) => target[field]);
+
+    // Bài học quay về khóa học cũ: bỏ khỏi chương hiện tại, xếp cuối nhóm chưa xếp chương (như PUT /api/lessons/:id)
+    const lessonMovesCourse = entityType === "lesson" && target.course_id !== current.course_id;
+    if (lessonMovesCourse) {
+        clauses.push("section_id = NULL", "position = ?");
+        params.push(await nextLessonPosition(tx, target.course_id, null));
+    }
+
+    await tx.execute(`UPDATE ${table} SET ${clauses.join(", ")} WHERE ${idColumn} = ?`, [...params, entityId]);
+    if (lessonMovesCourse) await compactLessonPositions(tx, current.course_id, current.section_id);
+
+    const after = await loadEntity(tx, entityType, entityId);
+    await syncSearchTree(tx, entityType, entityId);
+    const number = await recordRevision(tx, entityType, entityId, {
+        before: current, after, editorId, action: "restore", restoredFrom: revisionNumber,
+    });
+    return { revision_number: number, changes };
+};
+
+/**
+ * Router lịch sử chỉnh sửa, gắn dưới `/:id/revisions` của router nội dung:
+ *   router.use("/:id/revisions", revisionRouter("lesson"));
+ * @param {"course"|"lesson"|"resource"} entityType
+ */
+const revisionRouter = (entityType) => {
+    const router = express.Router({ mergeParams: true });
+    const label = ENTITY_LABELS[entityType];
+    const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+
+    // GET .../:id/revisions (Danh sách phiên bản, mới nhất trước)
+    router.get("/", ...staffOnly, async (req, res) => {
+        try {
+            const revisions = await listRevisions(db, entityType, req.params.id);
+            if (revisions.length === 0 && !(await loadEntity(db, entityType, req.params.id))) {
+                return res.status(404).json({ message: `Không tìm thấy ${label}` });
+            }
+            res.json(revisions);
+        } catch (err) {
+            console.error(`❌ Lỗi GET /${entityType}/:id/revisions:`, err.message);
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    });
+
+    // GET .../:id/revisions/diff?from=2&to=5 (So sánh hai phiên bản; bỏ trống `to` = nội dung hiện tại)
+    router.get("/diff", ...staffOnly, async (req, res) => {
+        const from = parseId(req.query.from);
+        const to = req.query.to === undefined ? null : parseId(req.query.to);
+        if (!from || (req.query.to !== undefined && !to)) {
+            return res.status(400).json({ message: "from/to phải là số phiên bản (số nguyên dương)" });
+        }
+
+        try {
+            const fromRevision = await getRevision(db, entityType, req.params.id, from);
+            if (!fromRevision) return res.status(404).json({ message: `Không tìm thấy phiên bản ${from}` });
+
+            let toSnapshot;
+            if (to) {
+                const toRevision = await getRevision(db, entityType, req.params.id, to);
+                if (!toRevision) return res.status(404).json({ message: `Không tìm thấy phiên bản ${to}` });
+                toSnapshot = toRevision.snapshot;
+            } else {
+                const current = await loadEntity(db, entityType, req.params.id);
+                if (!current) return res.status(404).json({ message: `Không tìm thấy ${label}` });
+                toSnapshot = snapshotOf(entityType, current);
+            }
+
+            res.json({
+                from,
+                to: to || "current",
+                changes: diffSnapshots(entityType, fromRevision.snapshot, toSnapshot),
+            });
+        } catch (err) {
+            console.error(`❌ Lỗi GET /${entityType}/:id/revisions/diff:`, err.message);
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    });
+
+    // GET .../:id/revisions/:revision (Chi tiết một phiên bản kèm ảnh chụp nội dung)
+    router.get("/:revision", ...staffOnly, async (req, res) => {
+        const number = parseId(req.params.revision);
+        if (!number) return res.status(400).json({ message: "Số phiên bản không hợp lệ" });
+
+        try {
+            const revision = await getRevision(db, entityType, req.params.id, number);
+            if (!revision) return res.status(404).json({ message: "Không tìm thấy phiên bản" });
+            res.json(revision);
+        } catch (err) {
+            console.error(`❌ Lỗi GET /${entityType}/:id/revisions/:revision:`, err.message);
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    });
+
+    // POST .../:id/revisions/:revision/restore (Khôi phục nội dung về phiên bản cũ)
+    router.post("/:revision/restore", ...staffOnly, async (req, res) => {
+        const number = parseId(req.params.revision);
+        if (!number) return res.status(400).json({ message: "Số phiên bản không hợp lệ" });
+
+        try {
+            const result = await withTransaction((tx) => restoreRevision(tx, entityType, req.params.id, number, req.user.id));
+            if (result.status) return res.status(result.status).json(result.body);
+            res.json({
+                message: `✅ Đã khôi phục ${label} về phiên bản ${number}`,
+                revision_number: result.revision_number,
+                changes: result.changes,
+            });
+        } catch (err) {
+            console.error(`❌ Lỗi POST /${entityType}/:id/revisions/:revision/restore:`, err.message);
+            if (err.code === "ER_DUP_ENTRY") {
+                return res.status(400).json({ message: "Không thể khôi phục do trùng dữ liệu (ví dụ tên khóa học đã tồn tại)." });
+            }
+            res.status(500).json({ message: "Lỗi máy chủ" });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { revisionRouter };
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const { db } = require("../services/dataAccess");
+const { verifyToken } = require("../security/verifyToken");
+const { SEARCH_TYPES, tokenize, search } = require("../services/searchService");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// GET /api/search?q=dan tranh&type=course,lesson&level=Cơ bản&is_free=true&course_id=1&page=1&limit=20
+// Không phân biệt dấu; trả về kết quả xếp hạng, facet (type, level, is_free) và đoạn trích có <mark>
+router.get("/", verifyToken, async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2 || tokenize(q).length === 0) {
+        return res.status(400).json({ message: "Từ khóa tìm kiếm (q) cần ít nhất 2 ký tự" });
+    }
+    if (q.length > 200) {
+        return res.status(400).json({ message: "Từ khóa tìm kiếm quá dài (tối đa 200 ký tự)" });
+    }
+
+    let types;
+    if (req.query.type) {
+        types = String(req.query.type).split(",").map((t) => t.trim()).filter(Boolean);
+        const invalid = types.filter((t) => !SEARCH_TYPES.includes(t));
+        if (invalid.length > 0) {
+            return res.status(400).json({ message: `type không hợp lệ: ${invalid.join(", ")}. Chọn trong: ${SEARCH_TYPES.join(", ")}` });
+        }
+    }
+
+    let isFree;
+    if (req.query.is_free !== undefined) {
+        if (!["true", "false", "1", "0"].includes(req.query.is_free)) {
+            return res.status(400).json({ message: "is_free phải là true hoặc false" });
+        }
+        isFree = req.query.is_free === "true" || req.query.is_free === "1";
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const courseId = req.query.course_id ? Number(req.query.course_id) : undefined;
+
+    try {
+        res.json(await search(db, req.user, { q, types, level: req.query.level || undefined, isFree, courseId, page, limit }));
+    } catch (err) {
+        console.error("❌ Lỗi GET /search:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,301 @@
+const express = require("express");
+const router = express.Router();
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { syncSearchDocument, removeSearchDocument } = require("../services/searchService");
+const { slugify } = require("../services/taxonomyService");
+const {
+    SONG_REGIONS, SONG_MODES, SONG_LINK_TYPES, MIN_DIFFICULTY, MAX_DIFFICULTY,
+    parseSong, checkGenreTag, parseSongLinks, getSongLinks, setSongLinks,
+} = require("../services/songService");
+const { parseId, escapeLike } = require("../services/queryHelpers");
+
+const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+
+// Kèm thể loại, số lượt yêu thích và cờ is_favorite của người đang xem (tham số đầu tiên là user_id)
+const SONG_COLUMNS = `s.song_id, s.title, s.region, s.origin, s.genre_tag_id, g.name AS genre, g.slug AS genre_slug,
+    s.mode, s.tuning, s.difficulty, s.composer, s.collector, s.description, s.created_at, s.updated_at,
+    (SELECT COUNT(*) FROM SongFavorites f WHERE f.song_id = s.song_id) AS favorite_count,
+    EXISTS (SELECT 1 FROM SongFavorites f WHERE f.song_id = s.song_id AND f.user_id = ?) AS is_favorite`;
+
+const SONG_FROM = "Songs s LEFT JOIN Tags g ON s.genre_tag_id = g.tag_id";
+
+const songRow = (row) => ({ ...row, is_favorite: Boolean(row.is_favorite) });
+
+/**
+ * Điều kiện lọc danh sách bài bản từ query
+ * @returns {{ error: string } | { conditions: string[], params: any[] }}
+ */
+const songFilters = (query) => {
+    const conditions = [];
+    const params = [];
+
+    for (const [field, choices] of [["region", SONG_REGIONS], ["mode", SONG_MODES]]) {
+        if (!query[field]) continue;
+        if (!choices[query[field]]) return { error: `${field} phải là một trong: ${Object.keys(choices).join(", ")}` };
+        conditions.push(`s.${field} = ?`);
+        params.push(query[field]);
+    }
+    // Thể loại theo id hoặc slug thẻ genre
+    if (query.genre) {
+        if (/^\d+$/.test(query.genre)) {
+            conditions.push("s.genre_tag_id = ?");
+            params.push(Number(query.genre));
+        } else {
+            conditions.push("g.slug = ?");
+            params.push(slugify(query.genre));
+        }
+    }
+    for (const [field, op] of [["min_difficulty", ">="], ["max_difficulty", "<="], ["difficulty", "="]]) {
+        if (query[field] === undefined) continue;
+        const value = Number(query[field]);
+        if (!Number.isInteger(value) || value < MIN_DIFFICULTY || value > MAX_DIFFICULTY) {
+            return { error: `${field} phải là số nguyên từ ${MIN_DIFFICULTY} đến ${MAX_DIFFICULTY}` };
+        }
+        conditions.push(`s.difficulty ${op} ?`);
+        params.push(value);
+    }
+    if (query.tuning) { conditions.push("s.tuning = ?"); params.push(query.tuning); }
+    if (query.q) {
+        conditions.push("(s.title LIKE ? OR s.composer LIKE ? OR s.collector LIKE ?)");
+        const pattern = `%${escapeLike(String(query.q).trim())}%`;
+        params.push(pattern, pattern, pattern);
+    }
+    // Bài bản được dạy trong một nội dung cụ thể, vd. ?linked_type=lesson&linked_id=12
+    if (query.linked_type || query.linked_id) {
+        const linkedId = parseId(query.linked_id);
+        if (!SONG_LINK_TYPES[query.linked_type] || !linkedId) {
+            return { error: `Cần linked_type (${Object.keys(SONG_LINK_TYPES).join(", ")}) và linked_id hợp lệ` };
+        }
+        conditions.push("EXISTS (SELECT 1 FROM SongLinks sl WHERE sl.song_id = s.song_id AND sl.entity_type = ? AND sl.entity_id = ?)");
+        params.push(query.linked_type, linkedId);
+    }
+    return { conditions, params };
+};
+
+// GET /api/songs/options (Các giá trị lọc: miền, điệu, độ khó, thể loại, cách lên dây đang dùng)
+router.get("/options", verifyToken, async (req, res) => {
+    try {
+        const genres = await db.query(
+            `SELECT t.tag_id, t.name, t.slug, COUNT(s.song_id) AS song_count
+             FROM Tags t
+             LEFT JOIN Songs s ON s.genre_tag_id = t.tag_id
+             WHERE t.taxonomy = 'genre'
+             GROUP BY t.tag_id, t.name, t.slug
+             ORDER BY t.name`
+        );
+        const tunings = await db.query(
+            `SELECT tuning, COUNT(*) AS song_count FROM Songs WHERE tuning IS NOT NULL GROUP BY tuning ORDER BY tuning`
+        );
+        res.json({
+            regions: Object.entries(SONG_REGIONS).map(([value, label]) => ({ value, label })),
+            modes: Object.entries(SONG_MODES).map(([value, label]) => ({ value, label })),
+            difficulty: { min: MIN_DIFFICULTY, max: MAX_DIFFICULTY },
+            genres,
+            tunings,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi GET /songs/options:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/songs/favorites (Bài bản yêu thích của tôi, mới thêm trước)
+router.get("/favorites", verifyToken, async (req, res) => {
+    try {
+        const rows = await db.query(
+            `SELECT ${SONG_COLUMNS}, fav.created_at AS favorited_at
+             FROM ${SONG_FROM}
+             JOIN SongFavorites fav ON fav.song_id = s.song_id AND fav.user_id = ?
+             ORDER BY fav.created_at DESC`,
+            [req.user.id, req.user.id]
+        );
+        res.json(rows.map(songRow));
+    } catch (err) {
+        console.error("❌ Lỗi GET /songs/favorites:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/songs?region=nam&mode=oan&genre=nhac-tai-tu&min_difficulty=2&tuning=&q=&linked_type=lesson&linked_id=
+router.get("/", verifyToken, async (req, res) => {
+    const filters = songFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+
+    try {
+        const where = filters.conditions.length > 0 ? `WHERE ${filters.conditions.join(" AND ")}` : "";
+        const rows = await db.query(
+            `SELECT ${SONG_COLUMNS} FROM ${SONG_FROM} ${where} ORDER BY s.difficulty, s.title`,
+            [req.user.id, ...filters.params]
+        );
+        res.json(rows.map(songRow));
+    } catch (err) {
+        console.error("❌ Lỗi GET /songs:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/songs/:id (Chi tiết bài bản kèm bài học, tài nguyên, hand motion liên kết)
+router.get("/:id", verifyToken, async (req, res) => {
+    const songId = parseId(req.params.id);
+    if (!songId) return res.status(400).json({ message: "ID bài bản không hợp lệ" });
+
+    try {
+        const song = await db.queryOne(`SELECT ${SONG_COLUMNS} FROM ${SONG_FROM} WHERE s.song_id = ?`, [req.user.id, songId]);
+        if (!song) return res.status(404).json({ message: "Không tìm thấy bài bản" });
+
+        const links = await getSongLinks(db, req.user, [songId]);
+        res.json({ ...songRow(song), links: links.get(songId) || [] });
+    } catch (err) {
+        console.error("❌ Lỗi GET /songs/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/songs (Thêm bài bản - Admin/Employee)
+// Body: { title, region, origin, genre_tag_id, mode, tuning, difficulty, composer, collector, description, links: [{ type, id }] }
+router.post("/", ...staffOnly, async (req, res) => {
+    const parsed = parseSong(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const links = parseSongLinks(req.body.links ?? []);
+    if (links.error) return res.status(400).json({ message: links.error });
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            const { values } = parsed;
+            const genreError = await checkGenreTag(tx, values.genre_tag_id);
+            if (genreError) return { status: 400, body: { message: genreError } };
+
+            const inserted = await tx.execute(
+                `INSERT INTO Songs (title, region, origin, genre_tag_id, mode, tuning, difficulty, composer, collector,
+                                    description, created_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                [
+                    values.title, values.region ?? null, values.origin ?? null, values.genre_tag_id ?? null,
+                    values.mode ?? null, values.tuning ?? null, values.difficulty ?? MIN_DIFFICULTY,
+                    values.composer ?? null, values.collector ?? null, values.description ?? null, req.user.id,
+                ]
+            );
+            const linked = await setSongLinks(tx, inserted.insertId, links.links, req.user);
+            if (linked.status) return linked;
+            await syncSearchDocument(tx, "song", inserted.insertId);
+            return { song_id: inserted.insertId, links: linked.links };
+        });
+        if (result.status) return res.status(result.status).json(result.body);
+
+        res.status(201).json({ message: "✅ Thêm bài bản thành công", song_id: result.song_id, links: result.links });
+    } catch (err) {
+        console.error("❌ Lỗi POST /songs:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/songs/:id (Sửa thông tin bài bản - Admin/Employee)
+router.put("/:id", ...staffOnly, async (req, res) => {
+    const songId = parseId(req.params.id);
+    if (!songId) return res.status(400).json({ message: "ID bài bản không hợp lệ" });
+    const parsed = parseSong(req.body, { partial: true });
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const fields = Object.keys(parsed.values);
+    if (fields.length === 0) {
+        return res.status(400).json({ message: "Không có thông tin nào để cập nhật" });
+    }
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            const genreError = await checkGenreTag(tx, parsed.values.genre_tag_id);
+            if (genreError) return { status: 400, body: { message: genreError } };
+
+            const updated = await tx.execute(
+                `UPDATE Songs SET ${fields.map((field) => `${field} = ?`).join(", ")} WHERE song_id = ?`,
+                [...fields.map((field) => parsed.values[field]), songId]
+            );
+            if (updated.affectedRows === 0) return { status: 404, body: { message: "Không tìm thấy bài bản" } };
+            await syncSearchDocument(tx, "song", songId);
+            return {};
+        });
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Cập nhật bài bản thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /songs/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/songs/:id/links (Thay toàn bộ nội dung liên kết - Admin/Employee) - Body: { links: [{ type, id }] }
+router.put("/:id/links", ...staffOnly, async (req, res) => {
+    const songId = parseId(req.params.id);
+    if (!songId) return res.status(400).json({ message: "ID bài bản không hợp lệ" });
+    const links = parseSongLinks(req.body.links);
+    if (links.error) return res.status(400).json({ message: links.error });
+
+    try {
+        const result = await withTransaction(async (tx) => {
+            if (!(await tx.exists("Songs", "song_id", songId))) {
+                return { status: 404, body: { message: "Không tìm thấy bài bản" } };
+            }
+            return setSongLinks(tx, songId, links.links, req.user);
+        });
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Cập nhật liên kết thành công", links: result.links });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /songs/:id/links:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/songs/:id (Xóa bài bản cùng liên kết và lượt yêu thích - Admin/Employee)
+router.delete("/:id", ...staffOnly, async (req, res) => {
+    const songId = parseId(req.params.id);
+    if (!songId) return res.status(400).json({ message: "ID bài bản không hợp lệ" });
+
+    try {
+        const deleted = await withTransaction(async (tx) => {
+            const result = await tx.execute("DELETE FROM Songs WHERE song_id = ?", [songId]);
+            if (result.affectedRows === 0) return false;
+            await removeSearchDocument(tx, "song", songId);
+            return true;
+        });
+        if (!deleted) return res.status(404).json({ message: "Không tìm thấy bài bản" });
+        res.json({ message: "✅ Xóa bài bản thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /songs/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/songs/:id/favorite (Thêm vào yêu thích; gọi lại nhiều lần vẫn an toàn)
+router.post("/:id/favorite", verifyToken, async (req, res) => {
+    const songId = parseId(req.params.id);
+    if (!songId) return res.status(400).json({ message: "ID bài bản không hợp lệ" });
+
+    try {
+        if (!(await db.exists("Songs", "song_id", songId))) {
+            return res.status(404).json({ message: "Không tìm thấy bài bản" });
+        }
+        const result = await db.execute(
+            "INSERT IGNORE INTO SongFavorites (user_id, song_id, created_at) VALUES (?, ?, NOW())",
+            [req.user.id, songId]
+        );
+        res.status(result.affectedRows > 0 ? 201 : 200).json({ message: "❤️ Đã thêm vào bài bản yêu thích", song_id: songId });
+    } catch (err) {
+        console.error("❌ Lỗi POST /songs/:id/favorite:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/songs/:id/favorite (Bỏ yêu thích)
+router.delete("/:id/favorite", verifyToken, async (req, res) => {
+    const songId = parseId(req.params.id);
+    if (!songId) return res.status(400).json({ message: "ID bài bản không hợp lệ" });
+
+    try {
+        await db.execute("DELETE FROM SongFavorites WHERE user_id = ? AND song_id = ?", [req.user.id, songId]);
+        res.json({ message: "✅ Đã bỏ khỏi bài bản yêu thích", song_id: songId });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /songs/:id/favorite:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require("express");
+const router = express.Router();
+const { db, withTransaction } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { TAXONOMIES, parseTagName, parseTagIds, renameTag, mergeTags } = require("../services/taxonomyService");
+const { parseId } = require("../services/queryHelpers");
+
+// Số nội dung đang gắn thẻ, theo từng loại
+const TAG_COLUMNS = `t.tag_id, t.taxonomy, t.name, t.slug, t.description, t.created_at, t.updated_at,
+    (SELECT COUNT(*) FROM ContentTags ct WHERE ct.tag_id = t.tag_id AND ct.entity_type = 'course') AS course_count,
+    (SELECT COUNT(*) FROM ContentTags ct WHERE ct.tag_id = t.tag_id AND ct.entity_type = 'lesson') AS lesson_count,
+    (SELECT COUNT(*) FROM ContentTags ct WHERE ct.tag_id = t.tag_id AND ct.entity_type = 'hand_motion') AS hand_motion_count,
+    (SELECT COUNT(*) FROM Songs s WHERE s.genre_tag_id = t.tag_id) AS song_count`;
+
+// GET /api/tags/taxonomies (Danh sách nhóm phân loại)
+router.get("/taxonomies", verifyToken, (req, res) => {
+    res.json(Object.entries(TAXONOMIES).map(([taxonomy, label]) => ({ taxonomy, label })));
+});
+
+// GET /api/tags?taxonomy=instrument (Danh sách thẻ kèm số nội dung đang gắn)
+router.get("/", verifyToken, async (req, res) => {
+    const { taxonomy } = req.query;
+    if (taxonomy !== undefined && !TAXONOMIES[taxonomy]) {
+        return res.status(400).json({ message: `taxonomy phải là một trong: ${Object.keys(TAXONOMIES).join(", ")}` });
+    }
+
+    try {
+        const rows = await db.query(
+            `SELECT ${TAG_COLUMNS} FROM Tags t
+             ${taxonomy ? "WHERE t.taxonomy = ?" : ""}
+             ORDER BY FIELD(t.taxonomy, 'instrument', 'technique', 'genre'), t.name`,
+            taxonomy ? [taxonomy] : []
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error("❌ Lỗi GET /tags:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/tags/:id (Chi tiết thẻ)
+router.get("/:id", verifyToken, async (req, res) => {
+    const tagId = parseId(req.params.id);
+    if (!tagId) return res.status(400).json({ message: "ID thẻ không hợp lệ" });
+
+    try {
+        const tag = await db.queryOne(`SELECT ${TAG_COLUMNS} FROM Tags t WHERE t.tag_id = ?`, [tagId]);
+        if (!tag) return res.status(404).json({ message: "Không tìm thấy thẻ" });
+        res.json(tag);
+    } catch (err) {
+        console.error("❌ Lỗi GET /tags/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/tags (Tạo thẻ - Admin)
+router.post("/", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const { taxonomy, description } = req.body;
+    if (!TAXONOMIES[taxonomy]) {
+        return res.status(400).json({ message: `taxonomy phải là một trong: ${Object.keys(TAXONOMIES).join(", ")}` });
+    }
+    const parsed = parseTagName(req.body.name);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+    try {
+        const result = await db.execute(
+            "INSERT INTO Tags (taxonomy, name, slug, description, created_at) VALUES (?, ?, ?, ?, NOW())",
+            [taxonomy, parsed.name, parsed.slug, description || null]
+        );
+        const tag = await db.queryOne("SELECT * FROM Tags WHERE tag_id = ?", [result.insertId]);
+        res.status(201).json({ message: "✅ Tạo thẻ thành công", tag });
+    } catch (err) {
+        console.error("❌ Lỗi POST /tags:", err.message);
+        if (err.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ message: `Thẻ "${parsed.name}" đã có trong ${TAXONOMIES[taxonomy]}` });
+        }
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/tags/:id (Đổi tên/mô tả thẻ - Admin)
+// Nội dung đang gắn thẻ giữ nguyên; slug đổi theo tên mới
+router.put("/:id", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const tagId = parseId(req.params.id);
+    if (!tagId) return res.status(400).json({ message: "ID thẻ không hợp lệ" });
+    if (req.body.taxonomy !== undefined) {
+        return res.status(400).json({ message: "Không đổi được taxonomy của thẻ; hãy tạo thẻ mới rồi gắn lại" });
+    }
+    const parsed = parseTagName(req.body.name);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+    try {
+        const result = await withTransaction((tx) => renameTag(tx, tagId, { ...parsed, description: req.body.description }));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({ message: "✅ Cập nhật thẻ thành công", tag: result.tag });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /tags/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/tags/:id/merge (Gộp các thẻ trong source_tag_ids vào thẻ :id - Admin)
+// Body: { source_tag_ids: [3, 7] }. Nội dung gắn thẻ nguồn chuyển sang thẻ đích, thẻ nguồn bị xóa
+router.post("/:id/merge", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const targetId = parseId(req.params.id);
+    if (!targetId) return res.status(400).json({ message: "ID thẻ không hợp lệ" });
+    const sourceIds = parseTagIds(req.body.source_tag_ids);
+    if (!sourceIds || sourceIds.length === 0) {
+        return res.status(400).json({ message: "source_tag_ids phải là mảng id thẻ (số nguyên dương), không rỗng" });
+    }
+    if (sourceIds.includes(targetId)) {
+        return res.status(400).json({ message: "source_tag_ids không được chứa chính thẻ đích" });
+    }
+
+    try {
+        const result = await withTransaction((tx) => mergeTags(tx, targetId, sourceIds));
+        if (result.status) return res.status(result.status).json(result.body);
+        res.json({
+            message: `✅ Đã gộp ${result.merged_tag_ids.length} thẻ vào "${result.tag.name}"`,
+            ...result,
+        });
+    } catch (err) {
+        console.error("❌ Lỗi POST /tags/:id/merge:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/tags/:id (Xóa thẻ và gỡ khỏi mọi nội dung - Admin)
+router.delete("/:id", verifyToken, authorizeRoles("admin"), async (req, res) => {
+    const tagId = parseId(req.params.id);
+    if (!tagId) return res.status(400).json({ message: "ID thẻ không hợp lệ" });
+
+    try {
+        const result = await db.execute("DELETE FROM Tags WHERE tag_id = ?", [tagId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: "Không tìm thấy thẻ" });
+        }
+        res.json({ message: "✅ Xóa thẻ thành công" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /tags/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require("express");
+const router = express.Router();
+const { db } = require("../services/dataAccess");
+const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const {
+    STRING_COUNTS, TUNING_MODES, DEFAULT_REFERENCE_HZ, DEFAULT_TOLERANCE_CENTS,
+    parseTuningProfile, nearestString, scoreIntonation,
+} = require("../services/tuningService");
+const { DEFAULT_OPTIONS, WAV_TYPES, PCM_TYPES, minSampleRate, analyzeRecording } = require("../services/pitchAnalysis");
+const { parseId, fromJson } = require("../services/queryHelpers");
+
+const staffOnly = [verifyToken, authorizeRoles("admin", "employee")];
+
+// Bản thu gửi lên dưới dạng body nhị phân (Content-Type: audio/wav hoặc audio/pcm); chỉ phân tích tối đa 10 giây đầu
+const MAX_RECORDING_MB = 8;
+const rawUpload = express.raw({ type: [...WAV_TYPES, ...PCM_TYPES], limit: MAX_RECORDING_MB * 1024 * 1024 });
+const uploadRecording = (req, res, next) => rawUpload(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+        return res.status(413).json({ message: `File vượt quá giới hạn ${MAX_RECORDING_MB} MB` });
+    }
+    next(err);
+});
+
+const profileRow = (row) => ({ ...row, reference_hz: Number(row.reference_hz), strings: fromJson(row.strings) });
+
+const findProfile = async (profileId) => {
+    const row = await db.queryOne("SELECT * FROM TuningProfiles WHERE profile_id = ?", [profileId]);
+    return row ? profileRow(row) : null;
+};
+
+// GET /api/tuning/options (Số dây, điệu, giới hạn bản thu cho máy lên dây)
+router.get("/options", verifyToken, (req, res) => {
+    res.json({
+        string_counts: STRING_COUNTS,
+        modes: Object.entries(TUNING_MODES).map(([mode, label]) => ({ mode, label })),
+        defaults: { base_note: "D3", reference_hz: DEFAULT_REFERENCE_HZ, tolerance_cents: DEFAULT_TOLERANCE_CENTS },
+        recording: {
+            content_types: [...WAV_TYPES, ...PCM_TYPES],
+            max_seconds: DEFAULT_OPTIONS.maxSeconds,
+            min_sample_rate: minSampleRate(),
+            max_mb: MAX_RECORDING_MB,
+        },
+    });
+});
+
+// GET /api/tuning/profiles?string_count=16&mode=bac (Danh sách hồ sơ lên dây)
+router.get("/profiles", verifyToken, async (req, res) => {
+    const conditions = [];
+    const params = [];
+    if (req.query.string_count !== undefined) {
+        const count = Number(req.query.string_count);
+        if (!STRING_COUNTS.includes(count)) {
+            return res.status(400).json({ message: `string_count phải là một trong: ${STRING_COUNTS.join(", ")}` });
+        }
+        conditions.push("string_count = ?");
+        params.push(count);
+    }
+    if (req.query.mode !== undefined) {
+        if (!TUNING_MODES[req.query.mode]) {
+            return res.status(400).json({ message: `mode phải là một trong: ${Object.keys(TUNING_MODES).join(", ")}` });
+        }
+        conditions.push("mode = ?");
+        params.push(req.query.mode);
+    }
+
+    try {
+        const rows = await db.query(
+            `SELECT * FROM TuningProfiles
+             ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+             ORDER BY string_count, FIELD(mode, 'bac', 'nam', 'oan', 'custom'), name`,
+            params
+        );
+        res.json(rows.map(profileRow));
+    } catch (err) {
+        console.error("❌ Lỗi GET /tuning/profiles:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// GET /api/tuning/profiles/:id (Chi tiết hồ sơ kèm tần số từng dây)
+router.get("/profiles/:id", verifyToken, async (req, res) => {
+    const profileId = parseId(req.params.id);
+    if (!profileId) return res.status(400).json({ message: "ID hồ sơ không hợp lệ" });
+
+    try {
+        const profile = await findProfile(profileId);
+        if (!profile) return res.status(404).json({ message: "Không tìm thấy hồ sơ lên dây" });
+        res.json(profile);
+    } catch (err) {
+        console.error("❌ Lỗi GET /tuning/profiles/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/tuning/profiles (Tạo hồ sơ lên dây - Admin/Employee)
+// Body: { name, description, string_count, mode: "bac" | "nam" | "oan" | "custom", base_note: "D3", reference_hz: 440,
+//         strings: ["D3", "E3", ...] hoặc [{ frequency }] (chỉ với mode custom) }
+router.post("/profiles", ...staffOnly, async (req, res) => {
+    const parsed = parseTuningProfile(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { values } = parsed;
+
+    try {
+        const result = await db.execute(
+            `INSERT INTO TuningProfiles (name, description, string_count, mode, base_note, reference_hz, strings, created_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [values.name, values.description, values.string_count, values.mode, values.base_note,
+                values.reference_hz, JSON.stringify(values.strings), req.user.id]
+        );
+        res.status(201).json({ message: "✅ Tạo hồ sơ lên dây thành công", profile: await findProfile(result.insertId) });
+    } catch (err) {
+        console.error("❌ Lỗi POST /tuning/profiles:", err.message);
+        if (err.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ message: `Hồ sơ "${values.name}" đã tồn tại` });
+        }
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// PUT /api/tuning/profiles/:id (Thay toàn bộ hồ sơ lên dây - Admin/Employee)
+// Body giống POST; dây được sinh lại theo điệu/nốt gốc mới
+router.put("/profiles/:id", ...staffOnly, async (req, res) => {
+    const profileId = parseId(req.params.id);
+    if (!profileId) return res.status(400).json({ message: "ID hồ sơ không hợp lệ" });
+    const parsed = parseTuningProfile(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { values } = parsed;
+
+    try {
+        const result = await db.execute(
+            `UPDATE TuningProfiles
+             SET name = ?, description = ?, string_count = ?, mode = ?, base_note = ?, reference_hz = ?, strings = ?
+             WHERE profile_id = ?`,
+            [values.name, values.description, values.string_count, values.mode, values.base_note,
+                values.reference_hz, JSON.stringify(values.strings), profileId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy hồ sơ lên dây" });
+        res.json({ message: "✅ Cập nhật hồ sơ lên dây thành công", profile: await findProfile(profileId) });
+    } catch (err) {
+        console.error("❌ Lỗi PUT /tuning/profiles/:id:", err.message);
+        if (err.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ message: `Hồ sơ "${values.name}" đã tồn tại` });
+        }
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// DELETE /api/tuning/profiles/:id (Xóa hồ sơ lên dây - Admin/Employee)
+router.delete("/profiles/:id", ...staffOnly, async (req, res) => {
+    try {
+        const result = await db.execute("DELETE FROM TuningProfiles WHERE profile_id = ?", [req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ message: "Không tìm thấy hồ sơ lên dây" });
+        res.json({ message: "✅ Đã xóa hồ sơ lên dây" });
+    } catch (err) {
+        console.error("❌ Lỗi DELETE /tuning/profiles/:id:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+// POST /api/tuning/profiles/:id/analyze?sample_rate=44100&tolerance_cents=10&track=true
+// Body: bản thu ngắn một dây (audio/wav, hoặc audio/pcm 16-bit mono kèm sample_rate)
+// Trả về cao độ dò được, dây gần nhất và độ lệch (cent); dương là cao hơn cần hạ dây
+router.post("/profiles/:id/analyze", verifyToken, uploadRecording, async (req, res) => {
+    const profileId = parseId(req.params.id);
+    if (!profileId) return res.status(400).json({ message: "ID hồ sơ không hợp lệ" });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({ message: `Content-Type phải là một trong: ${[...WAV_TYPES, ...PCM_TYPES].join(", ")}` });
+    }
+    const tolerance = req.query.tolerance_cents === undefined ? DEFAULT_TOLERANCE_CENTS : Number(req.query.tolerance_cents);
+    if (!Number.isFinite(tolerance) || tolerance <= 0 || tolerance > 50) {
+        return res.status(400).json({ message: "tolerance_cents phải trong khoảng (0, 50]" });
+    }
+
+    try {
+        const profile = await findProfile(profileId);
+        if (!profile) return res.status(404).json({ message: "Không tìm thấy hồ sơ lên dây" });
+
+        const analysis = analyzeRecording(req.body, req.get("Content-Type"), { sampleRate: req.query.sample_rate });
+        if (analysis.error) return res.status(400).json({ message: analysis.error });
+
+        const { track, ...pitch } = analysis;
+        const body = { profile_id: profileId, profile_name: profile.name, ...pitch, tolerance_cents: tolerance };
+        if (pitch.frequency === null) {
+            body.message = "Không nghe rõ cao độ, hãy gảy một dây và thu gần đàn hơn";
+            body.nearest_string = null;
+            body.in_tune = null;
+        } else {
+            body.nearest_string = nearestString(profile.strings, pitch.frequency);
+            body.in_tune = Math.abs(body.nearest_string.cents) <= tolerance;
+            body.intonation = scoreIntonation(track, profile.strings, tolerance);
+        }
+        if (req.query.track === "true") body.track = track;
+        res.json(body);
+    } catch (err) {
+        console.error("❌ Lỗi POST /tuning/profiles/:id/analyze:", err.message);
+        res.status(500).json({ message: "Lỗi máy chủ" });
+    }
+});
+
+module.exports = router;
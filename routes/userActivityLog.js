@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { sql, poolPromise } = require("../db");
+const { db } = require("../services/dataAccess");
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
 
 /**
@@ -68,14 +68,13 @@ const { verifyToken, authorizeRoles } = require("../security/verifyToken");
  */
 router.get("/", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query(`
+    const rows = await db.query(`
       SELECT a.*, u.full_name
       FROM UserActivityLog a
       JOIN Users u ON a.user_id = u.user_id
       ORDER BY a.activity_date DESC
     `);
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /activity:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -109,38 +108,25 @@ router.get("/", verifyToken, authorizeRoles("admin", "employee"), async (req, re
  */
 router.post("/log", verifyToken, authorizeRoles("customer", "employee", "admin"), async (req, res) => {
   const user_id = req.user.id;
-  const today = new Date().toISOString().split("T")[0];
 
   try {
-    const pool = await poolPromise;
-
     // 🔒 Chặn log cho người khác
     if (req.body.user_id && req.body.user_id !== user_id) {
       return res.status(403).json({ message: "You can only log your own activity" });
     }
 
     // 🔍 Kiểm tra đã có log hôm nay chưa
-    const check = await pool.request()
-      .input("user_id", sql.Int, user_id)
-      .input("activity_date", sql.Date, today)
-      .query(`
-        SELECT COUNT(*) AS count
-        FROM UserActivityLog
-        WHERE user_id = @user_id AND activity_date = @activity_date
-      `);
+    const today = await db.queryOne(
+      "SELECT activity_id FROM UserActivityLog WHERE user_id = ? AND activity_date = CURDATE()",
+      [user_id]
+    );
 
-    if (check.recordset[0].count > 0) {
+    if (today) {
       return res.json({ message: "User has already logged activity today." });
     }
 
     // ✅ Ghi log mới
-    await pool.request()
-      .input("user_id", sql.Int, user_id)
-      .input("activity_date", sql.Date, today)
-      .query(`
-        INSERT INTO UserActivityLog (user_id, activity_date)
-        VALUES (@user_id, @activity_date)
-      `);
+    await db.execute("INSERT INTO UserActivityLog (user_id, activity_date) VALUES (?, CURDATE())", [user_id]);
 
     res.json({ message: "✅ Activity logged successfully for today." });
   } catch (err) {
@@ -186,21 +172,18 @@ router.get("/:user_id", verifyToken, authorizeRoles("admin", "employee", "custom
       return res.status(403).json({ message: "You can only view your own activity log" });
     }
 
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("user_id", sql.Int, req.params.user_id)
-      .query(`
-        SELECT activity_id, user_id, activity_date
-        FROM UserActivityLog
-        WHERE user_id = @user_id
-        ORDER BY activity_date DESC
-      `);
+    const rows = await db.query(`
+      SELECT activity_id, user_id, activity_date
+      FROM UserActivityLog
+      WHERE user_id = ?
+      ORDER BY activity_date DESC
+    `, [req.params.user_id]);
 
-    if (result.recordset.length === 0) {
+    if (rows.length === 0) {
       return res.status(404).json({ message: "No activity found for this user" });
     }
 
-    res.json(result.recordset);
+    res.json(rows);
   } catch (err) {
     console.error("❌ Error in GET /activity/:user_id:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -238,12 +221,9 @@ router.get("/:user_id", verifyToken, authorizeRoles("admin", "employee", "custom
  */
 router.delete("/:id", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input("activity_id", sql.Int, req.params.id)
-      .query("DELETE FROM UserActivityLog WHERE activity_id = @activity_id");
+    const result = await db.execute("DELETE FROM UserActivityLog WHERE activity_id = ?", [req.params.id]);
 
-    if (result.rowsAffected[0] === 0) {
+    if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Activity not found" });
     }
 
@@ -3,6 +3,8 @@ const router = express.Router();
 const bcrypt = require("bcryptjs");
 const { pool } = require("../db");
 const { verifyToken, authorizeRoles } = require("../security/verifyToken");
+const { validatePassword } = require("../security/passwordPolicy");
+const { revokeUserSessions } = require("../services/tokenService");
 
 // GET /api/users/ping (Kiểm tra API)
 router.get("/ping", (req, res) => res.send("Users API is working!"));
@@ -53,14 +55,21 @@ router.get("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"),
     }
 });
 
-// POST /api/users/create (Tạo user mới - Admin/Employee only)
+// POST /api/users/create (Tạo tài khoản khách hàng - Admin/Employee only)
+// Tài khoản admin/employee chỉ được tạo qua lời mời (/api/invites)
 router.post("/create", verifyToken, authorizeRoles("admin", "employee"), async (req, res) => {
-    const { password, email, full_name, phone_number, role, date_of_birth, picture } = req.body;
+    const { password, email, full_name, phone_number, role = "customer", date_of_birth, picture } = req.body;
 
-    if (!password || !email || !full_name || !phone_number || !role) {
-        return res.status(400).json({ message: "Thiếu trường bắt buộc: password, email, full_name, phone_number, role" });
+    if (!password || !email || !full_name || !phone_number) {
+        return res.status(400).json({ message: "Thiếu trường bắt buộc: password, email, full_name, phone_number" });
     }
-    // (Optional) Thêm kiểm tra role hợp lệ ('admin', 'employee', 'customer')
+    if (role !== "customer") {
+        return res.status(400).json({
+            message: "Chỉ tạo được tài khoản customer tại đây. Tài khoản admin/employee cần gửi lời mời qua /api/invites",
+        });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
 
     try {
         // Kiểm tra email trùng
@@ -102,6 +111,10 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"),
     if (req.user.role === "customer" && req.user.id !== targetUserId) {
         return res.status(403).json({ message: "Bạn không được phép sửa thông tin người dùng khác" });
     }
+    if (password) {
+        const passwordError = validatePassword(password);
+        if (passwordError) return res.status(400).json({ message: passwordError });
+    }
 
     try {
         // Lấy thông tin user hiện có để so sánh
@@ -150,6 +163,12 @@ router.put("/:id", verifyToken, authorizeRoles("admin", "employee", "customer"),
             return res.status(404).json({ message: "Người dùng không tìm thấy (lỗi không mong muốn)" });
         }
 
+        // Đổi mật khẩu hoặc quyền → thu hồi mọi token đã cấp, buộc đăng nhập lại
+        const roleChanged = setClauses.includes("role = ?");
+        if (password || roleChanged) {
+            await revokeUserSessions(pool, targetUserId);
+        }
+
         res.json({ message: "✅ Cập nhật người dùng thành công" });
     } catch (err) {
         console.error("❌ Lỗi PUT /users/:id:", err.message);
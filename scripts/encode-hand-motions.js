@@ -0,0 +1,34 @@
+// 🗜️ Mã hóa các hand motion JSON v1 cũ sang dạng nhị phân (motion_blob); motion_data gốc được giữ nguyên
+// Cách dùng: node scripts/encode-hand-motions.js
+const { pool } = require("../db");
+const { db } = require("../services/dataAccess");
+const { MOTION_FORMAT_VERSION } = require("../services/motionFormat");
+const { encodeMotion, readStoredMotion } = require("../services/motionCodec");
+
+const encodeLegacyMotions = async () => {
+    const rows = await db.query(
+        "SELECT motion_id, motion_data, motion_blob FROM Hand_Motions WHERE motion_blob IS NULL AND motion_data IS NOT NULL"
+    );
+    let encoded = 0;
+    for (const row of rows) {
+        // Dữ liệu không đạt định dạng v1 vẫn được phục vụ nguyên dạng (is_legacy)
+        const recording = readStoredMotion(row);
+        if (!recording) continue;
+        await db.execute(
+            "UPDATE Hand_Motions SET motion_blob = ?, format_version = ? WHERE motion_id = ? AND motion_blob IS NULL",
+            [encodeMotion(recording), MOTION_FORMAT_VERSION, row.motion_id]
+        );
+        encoded++;
+    }
+    return { total: rows.length, encoded };
+};
+
+encodeLegacyMotions()
+    .then(({ total, encoded }) => {
+        console.log(`✅ Đã mã hóa ${encoded}/${total} hand motion (bỏ qua ${total - encoded} bản ghi không đúng định dạng v1)`);
+    })
+    .catch((err) => {
+        console.error("❌ Mã hóa hand motion thất bại:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,199 @@
+// 🗃️ Chạy migration SQL có phiên bản và seed dữ liệu mẫu
+// Cách dùng: node scripts/migrate.js <migrate|rollback|status|seed>
+//
+// File migration: migrations/<version>_<tên>.up.sql và .down.sql (version là số, chạy theo thứ tự tăng dần).
+// Mỗi lần `migrate` là một batch; `rollback` hoàn tác toàn bộ batch gần nhất theo thứ tự ngược lại.
+// Checksum SHA-256 của file .up.sql được lưu lại: sửa một migration đã chạy sẽ làm lệnh dừng lại.
+// Lưu ý: MySQL tự commit sau mỗi câu DDL nên một migration lỗi giữa chừng không tự rollback được.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const mysql = require("mysql2/promise");
+require("dotenv").config();
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const HISTORY_TABLE = "schema_migrations";
+const LOCK_NAME = "moccam_schema_migrations";
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.up\.sql$/;
+
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex");
+
+/**
+ * Đọc danh sách migration trên đĩa, sắp theo version
+ * @returns {{ version: number, name: string, up: string, down: string, checksum: string }[]}
+ */
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map((file) => file.match(FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const downFile = file.replace(/\.up\.sql$/, ".down.sql");
+            if (!fs.existsSync(path.join(MIGRATIONS_DIR, downFile))) {
+                throw new Error(`Thiếu file ${downFile}`);
+            }
+            const up = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+            return {
+                version: Number(version),
+                name,
+                up,
+                down: fs.readFileSync(path.join(MIGRATIONS_DIR, downFile), "utf8"),
+                checksum: sha256(up),
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((m, i) => {
+        if (i > 0 && migrations[i - 1].version === m.version) {
+            throw new Error(`Trùng version ${m.version}: ${migrations[i - 1].name} và ${m.name}`);
+        }
+    });
+    return migrations;
+};
+
+const ensureHistoryTable = (conn) => conn.query(`
+    CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+        version INT PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        batch INT NOT NULL,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+`);
+
+const loadHistory = async (conn) => {
+    const [rows] = await conn.query(`SELECT version, name, checksum, batch, applied_at FROM ${HISTORY_TABLE} ORDER BY version`);
+    return rows;
+};
+
+/**
+ * Đối chiếu lịch sử với file trên đĩa: migration đã chạy phải còn file và checksum không đổi
+ * @returns {string[]} Danh sách lỗi
+ */
+const verifyHistory = (history, migrations) => {
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    return history.flatMap((row) => {
+        const file = byVersion.get(row.version);
+        if (!file) return [`Migration ${row.version}_${row.name} đã chạy nhưng không còn file`];
+        if (file.checksum !== row.checksum) return [`Migration ${row.version}_${row.name} đã bị sửa sau khi chạy (checksum khác)`];
+        return [];
+    });
+};
+
+const label = (m) => `${String(m.version).padStart(3, "0")}_${m.name}`;
+
+const migrate = async (conn) => {
+    const migrations = loadMigrations();
+    const history = await loadHistory(conn);
+    const errors = verifyHistory(history, migrations);
+    if (errors.length > 0) throw new Error(errors.join("\n"));
+
+    const applied = new Set(history.map((row) => row.version));
+    const pending = migrations.filter((m) => !applied.has(m.version));
+    if (pending.length === 0) {
+        console.log("✅ Không có migration mới");
+        return;
+    }
+
+    const batch = history.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+    for (const m of pending) {
+        console.log(`⬆️  ${label(m)}`);
+        try {
+            await conn.query(m.up);
+        } catch (err) {
+            throw new Error(`Migration ${label(m)} lỗi: ${err.message}`);
+        }
+        await conn.query(
+            `INSERT INTO ${HISTORY_TABLE} (version, name, checksum, batch) VALUES (?, ?, ?, ?)`,
+            [m.version, m.name, m.checksum, batch]
+        );
+    }
+    console.log(`✅ Đã chạy ${pending.length} migration (batch ${batch})`);
+};
+
+const rollback = async (conn) => {
+    const migrations = loadMigrations();
+    const history = await loadHistory(conn);
+    if (history.length === 0) {
+        console.log("✅ Chưa có migration nào để rollback");
+        return;
+    }
+
+    const errors = verifyHistory(history, migrations);
+    if (errors.length > 0) throw new Error(errors.join("\n"));
+
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const lastBatch = history.reduce((max, row) => Math.max(max, row.batch), 0);
+    const targets = history.filter((row) => row.batch === lastBatch).sort((a, b) => b.version - a.version);
+
+    for (const row of targets) {
+        const m = byVersion.get(row.version);
+        console.log(`⬇️  ${label(m)}`);
+        try {
+            await conn.query(m.down);
+        } catch (err) {
+            throw new Error(`Rollback ${label(m)} lỗi: ${err.message}`);
+        }
+        await conn.query(`DELETE FROM ${HISTORY_TABLE} WHERE version = ?`, [m.version]);
+    }
+    console.log(`✅ Đã rollback batch ${lastBatch} (${targets.length} migration)`);
+};
+
+const status = async (conn) => {
+    const migrations = loadMigrations();
+    const history = await loadHistory(conn);
+    const byVersion = new Map(history.map((row) => [row.version, row]));
+
+    migrations.forEach((m) => {
+        const row = byVersion.get(m.version);
+        if (!row) return console.log(`  ⏳ ${label(m)}  (chưa chạy)`);
+        const changed = row.checksum !== m.checksum ? "  ⚠️ checksum khác" : "";
+        console.log(`  ✅ ${label(m)}  batch ${row.batch}, ${new Date(row.applied_at).toISOString()}${changed}`);
+    });
+    verifyHistory(history, migrations)
+        .filter((message) => message.includes("không còn file"))
+        .forEach((message) => console.log(`  ⚠️ ${message}`));
+};
+
+const seed = async (conn) => {
+    const applied = new Set((await loadHistory(conn)).map((row) => row.version));
+    if (loadMigrations().some((m) => !applied.has(m.version))) throw new Error("Còn migration chưa chạy, hãy chạy `npm run migrate` trước");
+    await require("../seeds/demo")(conn);
+};
+
+const COMMANDS = { migrate, rollback, status, seed };
+
+const main = async () => {
+    const command = process.argv[2] || "migrate";
+    if (!COMMANDS[command]) {
+        console.error("Cách dùng: node scripts/migrate.js <migrate|rollback|status|seed>");
+        process.exit(1);
+    }
+
+    const conn = await mysql.createConnection({
+        host: process.env.DB_SERVER,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_DATABASE,
+        port: process.env.DB_PORT,
+        multipleStatements: true,
+    });
+
+    try {
+        // Khóa theo tên để hai tiến trình (ví dụ hai instance khi deploy) không chạy migration cùng lúc
+        const [[{ locked }]] = await conn.query("SELECT GET_LOCK(?, 10) AS locked", [LOCK_NAME]);
+        if (locked !== 1) throw new Error("Một tiến trình khác đang chạy migration");
+        try {
+            await ensureHistoryTable(conn);
+            await COMMANDS[command](conn);
+        } finally {
+            await conn.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+        }
+    } finally {
+        await conn.end();
+    }
+};
+
+main().catch((err) => {
+    console.error("❌", err.message);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+// 🧪 Giả lập PayOS gửi webhook đã ký tới server local
+// Cách dùng: node scripts/mock-payos-webhook.js <orderCode> <amount> [code=00]
+const axios = require("axios");
+const { buildSignedWebhook } = require("../services/payosSignature");
+require("dotenv").config();
+
+const [orderCode, amount, code = "00"] = process.argv.slice(2);
+
+if (!orderCode || !amount) {
+    console.error("Cách dùng: node scripts/mock-payos-webhook.js <orderCode> <amount> [code=00]");
+    process.exit(1);
+}
+if (!process.env.PAYOS_CHECKSUM_KEY) {
+    console.error("❌ Thiếu PAYOS_CHECKSUM_KEY trong .env");
+    process.exit(1);
+}
+
+const data = {
+    orderCode: Number(orderCode),
+    amount: Number(amount),
+    description: `MOCK ${orderCode}`,
+    accountNumber: "0000000000",
+    reference: `MOCK${Date.now()}`,
+    transactionDateTime: new Date().toISOString().replace("T", " ").substring(0, 19),
+    currency: "VND",
+    paymentLinkId: `mock-${orderCode}`,
+    code,
+    desc: code === "00" ? "Thành công" : "Thất bại",
+    counterAccountBankId: null,
+    counterAccountBankName: null,
+    counterAccountName: null,
+    counterAccountNumber: null,
+    virtualAccountName: null,
+    virtualAccountNumber: null,
+};
+
+const url = process.env.PAYOS_MOCK_WEBHOOK_URL || "http://localhost:3000/api/payments/payos/webhook";
+
+axios.post(url, buildSignedWebhook(data))
+    .then((res) => console.log(`✅ ${res.status}`, res.data))
+    .catch((err) => {
+        console.error("❌ Gửi webhook thất bại:", err.response?.status, err.response?.data || err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,15 @@
+// 📰 Xuất bản các khóa học/bài học hẹn giờ đã đến publish_at (dùng cho cron khi PUBLISH_SCHEDULER_INTERVAL_MS=0)
+// Cách dùng: node scripts/publish-scheduled.js
+const { pool } = require("../db");
+const { db } = require("../services/dataAccess");
+const { publishDueContent } = require("../services/publishingService");
+
+publishDueContent(db)
+    .then((published) => {
+        console.log(`✅ Đã xuất bản ${published.courses} khóa học, ${published.lessons} bài học`);
+    })
+    .catch((err) => {
+        console.error("❌ Xuất bản theo lịch thất bại:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,16 @@
+// 🔎 Lập lại toàn bộ chỉ mục tìm kiếm (SearchDocuments) từ dữ liệu gốc
+// Cách dùng: node scripts/rebuild-search-index.js
+const { pool } = require("../db");
+const { withTransaction } = require("../services/dataAccess");
+const { rebuildSearchIndex } = require("../services/searchService");
+
+withTransaction((tx) => rebuildSearchIndex(tx))
+    .then((counts) => {
+        const summary = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(", ");
+        console.log(`✅ Đã lập chỉ mục: ${summary}`);
+    })
+    .catch((err) => {
+        console.error("❌ Lập chỉ mục thất bại:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,20 @@
+/**
+ * 🔑 Quy tắc mật khẩu: tối thiểu 8 ký tự, có cả chữ và số
+ * @param {string} password
+ * @returns {string|null} Thông báo lỗi, hoặc null nếu hợp lệ
+ */
+const validatePassword = (password) => {
+    if (typeof password !== "string" || password.length < 8) {
+        return "Mật khẩu phải dài ít nhất 8 ký tự.";
+    }
+    if (password.length > 72) {
+        // bcrypt chỉ dùng 72 byte đầu
+        return "Mật khẩu không được dài quá 72 ký tự.";
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        return "Mật khẩu phải chứa cả chữ cái và chữ số.";
+    }
+    return null;
+};
+
+module.exports = { validatePassword };
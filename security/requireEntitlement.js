@@ -0,0 +1,51 @@
+const { pool } = require("../db");
+const { db } = require("../services/dataAccess");
+const { checkLessonAccess } = require("../services/entitlementService");
+const { checkPrerequisites } = require("../services/prerequisiteService");
+const { isStaff } = require("./verifyToken");
+const { isLessonVisible } = require("../services/publishingService");
+
+/**
+ * 🔒 Middleware: Chặn nội dung trả phí nếu user không có gói đăng ký còn hiệu lực,
+ * và chặn bài học khi học viên chưa đạt các điều kiện tiên quyết (403 PREREQUISITES_NOT_MET).
+ * Bài học chưa xuất bản trả 404 với người không phải nhân sự.
+ * Chạy SAU verifyToken.
+ * @param {(req) => Promise<number|null>|number|null} resolveLessonId Lấy lesson_id mà request đang truy cập
+ */
+const requireLessonAccess = (resolveLessonId) => {
+    return async (req, res, next) => {
+        try {
+            const lessonId = await resolveLessonId(req);
+            // Không xác định được bài học → để route tự trả 404
+            if (!lessonId) return next();
+
+            if (!isStaff(req.user) && (await isLessonVisible(db, lessonId)) === false) {
+                return res.status(404).json({ message: "Không tìm thấy bài học" });
+            }
+
+            const access = await checkLessonAccess(req.user, lessonId);
+            if (!access) return next();
+            if (!access.allowed) return res.status(access.status).json(access.body);
+
+            const prerequisites = await checkPrerequisites(db, req.user, lessonId);
+            if (prerequisites.allowed) return next();
+
+            return res.status(prerequisites.status).json(prerequisites.body);
+        } catch (err) {
+            console.error("❌ Lỗi requireLessonAccess:", err.message);
+            return res.status(500).json({ message: "Lỗi máy chủ khi kiểm tra quyền truy cập nội dung" });
+        }
+    };
+};
+
+/**
+ * Tạo resolver lấy lesson_id từ bảng con (Resources, Hand_Motions...) theo id trên URL
+ * @param {string} table Tên bảng
+ * @param {string} idColumn Cột khóa chính tương ứng với req.params.id
+ */
+const lessonIdFrom = (table, idColumn) => async (req) => {
+    const [rows] = await pool.query(`SELECT lesson_id FROM ${table} WHERE ${idColumn} = ?`, [req.params.id]);
+    return rows[0]?.lesson_id || null;
+};
+
+module.exports = { requireLessonAccess, lessonIdFrom };
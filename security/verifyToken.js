@@ -33,7 +33,7 @@ const verifyToken = async (req, res, next) => {
         }
 
         // 3️⃣ Truy vấn user thật từ DB (đảm bảo user vẫn tồn tại)
-        const sqlQuery = "SELECT user_id, full_name, email, role FROM Users WHERE user_id = ?";
+        const sqlQuery = "SELECT user_id, full_name, email, role, tokens_valid_after FROM Users WHERE user_id = ?";
         const [rows] = await pool.query(sqlQuery, [decoded.id]);
 
         const user = rows[0];
@@ -41,6 +41,14 @@ const verifyToken = async (req, res, next) => {
             return res.status(401).json({ message: "Người dùng không còn tồn tại trong hệ thống" });
         }
 
+        // Token cấp trước thời điểm tokens_valid_after (vd: sau khi đặt lại mật khẩu) bị thu hồi
+        if (user.tokens_valid_after) {
+            const validAfterSeconds = Math.floor(new Date(user.tokens_valid_after).getTime() / 1000);
+            if (!decoded.iat || decoded.iat < validAfterSeconds) {
+                return res.status(401).json({ message: "Token đã bị thu hồi, vui lòng đăng nhập lại" });
+            }
+        }
+
         // 4️⃣ Gắn thông tin user vào req để các API khác dùng
         // Đổi tên các trường trả về từ DB cho khớp với cách dùng trong token (id thay vì user_id)
         req.user = {
@@ -77,4 +85,9 @@ const authorizeRoles = (...roles) => {
     };
 };
 
-module.exports = { verifyToken, authorizeRoles };
\ No newline at end of file
+// Vai trò nhân sự nội bộ (tạo qua lời mời, không tự đăng ký)
+const STAFF_ROLES = ["employee", "admin"];
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+module.exports = { verifyToken, authorizeRoles, STAFF_ROLES, isStaff };
\ No newline at end of file
@@ -0,0 +1,236 @@
+// 🌱 Dữ liệu mẫu: tài khoản admin, gói đăng ký, thẻ phân loại, khóa học, bài học đàn tranh, bài bản và hồ sơ lên dây
+// Chạy qua `npm run seed`. Chạy lại nhiều lần không tạo bản ghi trùng.
+const bcrypt = require("bcryptjs");
+const { parseTuningProfile } = require("../services/tuningService");
+
+const PLANS = [
+    { plan_name: "Gói 1 tháng", description: "Truy cập toàn bộ khóa học trong 30 ngày", price: 99000, duration_in_days: 30 },
+    { plan_name: "Gói 3 tháng", description: "Truy cập toàn bộ khóa học trong 90 ngày, tiết kiệm 10%", price: 269000, duration_in_days: 90 },
+    { plan_name: "Gói 1 năm", description: "Truy cập toàn bộ khóa học trong 365 ngày, tiết kiệm 25%", price: 899000, duration_in_days: 365 },
+];
+
+const TAGS = [
+    { taxonomy: "instrument", name: "Đàn tranh", slug: "dan-tranh" },
+    { taxonomy: "instrument", name: "Đàn bầu", slug: "dan-bau" },
+    { taxonomy: "instrument", name: "Sáo trúc", slug: "sao-truc" },
+    { taxonomy: "instrument", name: "Đàn nguyệt", slug: "dan-nguyet" },
+    { taxonomy: "technique", name: "Rung", slug: "rung" },
+    { taxonomy: "technique", name: "Nhấn", slug: "nhan" },
+    { taxonomy: "technique", name: "Vuốt", slug: "vuot" },
+    { taxonomy: "genre", name: "Ca trù", slug: "ca-tru" },
+    { taxonomy: "genre", name: "Dân ca", slug: "dan-ca" },
+    { taxonomy: "genre", name: "Nhạc tài tử", slug: "nhac-tai-tu" },
+];
+
+// Thẻ ghi theo slug; bài học kế thừa thẻ của khóa học khi lọc nên chỉ gắn thẻ riêng của từng bài
+const COURSES = [
+    {
+        course_name: "Đàn tranh cơ bản cho người mới bắt đầu",
+        description: "Làm quen với cây đàn tranh 16 dây, tư thế ngồi, cách đeo móng và các ngón gảy cơ bản.",
+        level: "Cơ bản",
+        is_free: 1,
+        tags: ["dan-tranh"],
+        lessons: [
+            { lesson_name: "Bài 1: Giới thiệu cây đàn tranh", description: "Cấu tạo đàn, tên các dây và hệ thống nhạn đàn.", is_free: 1 },
+            { lesson_name: "Bài 2: Tư thế ngồi và cách đeo móng", description: "Tư thế chuẩn, cách đeo móng cho ngón cái, trỏ và giữa.", is_free: 1 },
+            { lesson_name: "Bài 3: Lên dây theo hệ ngũ cung", description: "Lên dây Hò - Xự - Xang - Xê - Cống theo thang âm ngũ cung.", is_free: 1 },
+            { lesson_name: "Bài 4: Ngón gảy ngón cái và ngón trỏ", description: "Luyện gảy đều tiếng, giữ nhịp với máy đếm nhịp.", is_free: 1 },
+        ],
+    },
+    {
+        course_name: "Kỹ thuật tay trái: rung, nhấn, vuốt",
+        description: "Các kỹ thuật tay trái tạo nên màu sắc đặc trưng của đàn tranh.",
+        level: "Trung cấp",
+        is_free: 0,
+        tags: ["dan-tranh"],
+        lessons: [
+            { lesson_name: "Bài 1: Kỹ thuật rung", description: "Rung đều và rung mạnh sau khi gảy.", is_free: 1, tags: ["rung"] },
+            { lesson_name: "Bài 2: Kỹ thuật nhấn", description: "Nhấn luyến lên nửa cung và một cung.", is_free: 0, tags: ["nhan"] },
+            { lesson_name: "Bài 3: Kỹ thuật vuốt", description: "Vuốt xuống và vuốt lên giữa các dây liền bậc.", is_free: 0, tags: ["vuot"] },
+            { lesson_name: "Bài 4: Kết hợp rung, nhấn, vuốt", description: "Luyện tập kết hợp qua đoạn trích bài Lý cây đa.", is_free: 0, tags: ["rung", "nhan", "vuot", "dan-ca"] },
+        ],
+    },
+    {
+        course_name: "Độc tấu đàn tranh: các bài bản cổ",
+        description: "Tập hoàn chỉnh một số bài bản cổ quen thuộc trong nhạc tài tử Nam Bộ.",
+        level: "Nâng cao",
+        is_free: 0,
+        tags: ["dan-tranh", "nhac-tai-tu"],
+        lessons: [
+            { lesson_name: "Bài 1: Lưu thủy trường", description: "Phân tích cấu trúc và tập từng câu.", is_free: 0 },
+            { lesson_name: "Bài 2: Nam ai", description: "Điệu Nam ai: cách nhấn và giữ hơi nhạc.", is_free: 0 },
+            { lesson_name: "Bài 3: Dạ cổ hoài lang", description: "Tập bài Dạ cổ hoài lang nhịp tư.", is_free: 0 },
+        ],
+    },
+];
+
+// Bài bản liên kết tới bài học dạy nó (theo tên bài học); thể loại theo slug thẻ genre
+const SONGS = [
+    {
+        title: "Lưu thủy trường", region: "nam", genre: "nhac-tai-tu", mode: "bac", tuning: "Hơi Bắc (Hò - Xự - Xang - Xê - Cống)",
+        difficulty: 3, lessons: ["Bài 1: Lưu thủy trường"],
+    },
+    {
+        title: "Nam ai", region: "trung", origin: "Huế", mode: "nam", tuning: "Hơi Nam (Hò - Xự - Xang - Xê - Cống)",
+        difficulty: 4, lessons: ["Bài 2: Nam ai"],
+    },
+    {
+        title: "Dạ cổ hoài lang", region: "nam", origin: "Bạc Liêu", genre: "nhac-tai-tu", mode: "oan",
+        tuning: "Hơi Oán (Hò - Xự - Xang - Xê - Cống)", difficulty: 3, composer: "Cao Văn Lầu", lessons: ["Bài 3: Dạ cổ hoài lang"],
+    },
+    {
+        title: "Lý cây đa", region: "nam", genre: "dan-ca", mode: "bac", difficulty: 2, lessons: ["Bài 4: Kết hợp rung, nhấn, vuốt"],
+    },
+];
+
+// Hồ sơ lên dây mặc định cho đàn 16 dây, dây trầm nhất là Rê (D3)
+const TUNING_PROFILES = [
+    { name: "Đàn 16 dây - Điệu Bắc", string_count: 16, mode: "bac", base_note: "D3" },
+    { name: "Đàn 16 dây - Điệu Nam", string_count: 16, mode: "nam", base_note: "D3" },
+    { name: "Đàn 16 dây - Điệu Oán", string_count: 16, mode: "oan", base_note: "D3" },
+];
+
+/**
+ * Thêm một dòng nếu chưa có; trả về id của dòng (mới hoặc sẵn có)
+ */
+const findOrInsert = async (conn, { select, selectParams, insert, insertParams, idColumn }) => {
+    const [existing] = await conn.query(select, selectParams);
+    if (existing.length > 0) return { id: existing[0][idColumn], created: false };
+    const [result] = await conn.query(insert, insertParams);
+    return { id: result.insertId, created: true };
+};
+
+/**
+ * Gắn thẻ (theo slug) cho nội dung nếu chưa gắn
+ */
+const tagEntity = async (conn, tagIds, entityType, entityId, slugs = []) => {
+    for (const slug of slugs) {
+        await conn.query(
+            "INSERT IGNORE INTO ContentTags (entity_type, entity_id, tag_id, created_at) VALUES (?, ?, ?, NOW())",
+            [entityType, entityId, tagIds[slug]]
+        );
+    }
+};
+
+module.exports = async (conn) => {
+    const adminEmail = process.env.SEED_ADMIN_EMAIL || "admin@moccam.local";
+    const adminPassword = process.env.SEED_ADMIN_PASSWORD;
+    if (!adminPassword) throw new Error("Thiếu SEED_ADMIN_PASSWORD trong .env");
+
+    await conn.beginTransaction();
+    try {
+        const admin = await findOrInsert(conn, {
+            select: "SELECT user_id FROM Users WHERE email = ?",
+            selectParams: [adminEmail],
+            insert: `INSERT INTO Users (email, password, full_name, role, created_at) VALUES (?, ?, ?, 'admin', NOW())`,
+            insertParams: [adminEmail, await bcrypt.hash(adminPassword, 10), "Quản trị viên"],
+            idColumn: "user_id",
+        });
+        console.log(`👤 Admin ${adminEmail}${admin.created ? " (mới)" : " (đã có)"}`);
+
+        let planCount = 0;
+        for (const plan of PLANS) {
+            const result = await findOrInsert(conn, {
+                select: "SELECT plan_id FROM SubscriptionPlans WHERE plan_name = ?",
+                selectParams: [plan.plan_name],
+                insert: `INSERT INTO SubscriptionPlans (plan_name, description, price, currency, duration_in_days, is_active)
+                         VALUES (?, ?, ?, 'VND', ?, 1)`,
+                insertParams: [plan.plan_name, plan.description, plan.price, plan.duration_in_days],
+                idColumn: "plan_id",
+            });
+            if (result.created) planCount++;
+        }
+        console.log(`💳 Gói đăng ký: thêm ${planCount}/${PLANS.length}`);
+
+        const tagIds = {};
+        let tagCount = 0;
+        for (const tag of TAGS) {
+            const result = await findOrInsert(conn, {
+                select: "SELECT tag_id FROM Tags WHERE taxonomy = ? AND slug = ?",
+                selectParams: [tag.taxonomy, tag.slug],
+                insert: "INSERT INTO Tags (taxonomy, name, slug, created_at) VALUES (?, ?, ?, NOW())",
+                insertParams: [tag.taxonomy, tag.name, tag.slug],
+                idColumn: "tag_id",
+            });
+            tagIds[tag.slug] = result.id;
+            if (result.created) tagCount++;
+        }
+        console.log(`🏷️ Thẻ phân loại: thêm ${tagCount}/${TAGS.length}`);
+
+        const lessonIds = {};
+        for (const course of COURSES) {
+            const { id: courseId, created } = await findOrInsert(conn, {
+                select: "SELECT course_id FROM Courses WHERE course_name = ?",
+                selectParams: [course.course_name],
+                insert: `INSERT INTO Courses (course_name, description, level, created_by, is_free, status, published_at, created_at)
+                         VALUES (?, ?, ?, ?, ?, 'published', NOW(), NOW())`,
+                insertParams: [course.course_name, course.description, course.level, admin.id, course.is_free],
+                idColumn: "course_id",
+            });
+            await tagEntity(conn, tagIds, "course", courseId, course.tags);
+
+            let lessonCount = 0;
+            for (const [index, lesson] of course.lessons.entries()) {
+                const result = await findOrInsert(conn, {
+                    select: "SELECT lesson_id FROM Lessons WHERE course_id = ? AND lesson_name = ?",
+                    selectParams: [courseId, lesson.lesson_name],
+                    insert: `INSERT INTO Lessons (course_id, position, lesson_name, description, is_free, status, published_at, created_at)
+                             VALUES (?, ?, ?, ?, ?, 'published', NOW(), NOW())`,
+                    insertParams: [courseId, index + 1, lesson.lesson_name, lesson.description, lesson.is_free],
+                    idColumn: "lesson_id",
+                });
+                await tagEntity(conn, tagIds, "lesson", result.id, lesson.tags);
+                lessonIds[lesson.lesson_name] = result.id;
+                if (result.created) lessonCount++;
+            }
+            console.log(`📚 ${course.course_name}${created ? " (mới)" : ""}: thêm ${lessonCount}/${course.lessons.length} bài học`);
+        }
+
+        let songCount = 0;
+        for (const song of SONGS) {
+            const result = await findOrInsert(conn, {
+                select: "SELECT song_id FROM Songs WHERE title = ?",
+                selectParams: [song.title],
+                insert: `INSERT INTO Songs (title, region, origin, genre_tag_id, mode, tuning, difficulty, composer, created_by, created_at)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                insertParams: [
+                    song.title, song.region, song.origin || null, tagIds[song.genre] || null, song.mode,
+                    song.tuning || null, song.difficulty, song.composer || null, admin.id,
+                ],
+                idColumn: "song_id",
+            });
+            for (const lessonName of song.lessons) {
+                await conn.query(
+                    "INSERT IGNORE INTO SongLinks (song_id, entity_type, entity_id, created_at) VALUES (?, 'lesson', ?, NOW())",
+                    [result.id, lessonIds[lessonName]]
+                );
+            }
+            if (result.created) songCount++;
+        }
+        console.log(`🎼 Bài bản: thêm ${songCount}/${SONGS.length}`);
+
+        let profileCount = 0;
+        for (const profile of TUNING_PROFILES) {
+            const { values } = parseTuningProfile(profile);
+            const result = await findOrInsert(conn, {
+                select: "SELECT profile_id FROM TuningProfiles WHERE name = ?",
+                selectParams: [values.name],
+                insert: `INSERT INTO TuningProfiles (name, string_count, mode, base_note, reference_hz, strings, created_by, created_at)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+                insertParams: [
+                    values.name, values.string_count, values.mode, values.base_note, values.reference_hz,
+                    JSON.stringify(values.strings), admin.id,
+                ],
+                idColumn: "profile_id",
+            });
+            if (result.created) profileCount++;
+        }
+        console.log(`🎚️ Hồ sơ lên dây: thêm ${profileCount}/${TUNING_PROFILES.length}`);
+
+        await conn.commit();
+        console.log("✅ Seed xong (chạy `npm run search:reindex` để cập nhật chỉ mục tìm kiếm)");
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    }
+};
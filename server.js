@@ -3,7 +3,8 @@ const app = express();
 const PORT = 3000;
 const { swaggerUi, specs } = require("./config/swagger");
 
-app.use(express.json());
+// Tăng giới hạn body cho dữ liệu chuyển động tay (chuỗi frame landmark)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "5mb" }));
 
 
 // Import route Users
@@ -30,6 +31,10 @@ app.use("/api/ai-models", aiModelRoutes);
 const handMotionRoutes = require("./routes/hand_motions");
 app.use("/api/hand-motions", handMotionRoutes);
 
+// Import route AI Practice Sessions
+const practiceSessionRoutes = require("./routes/practiceSessions");
+app.use("/api/practice-sessions", practiceSessionRoutes);
+
 // Import route Comments
 const commentRoutes = require("./routes/comments");
 app.use("/api/comments", commentRoutes);
@@ -62,6 +67,10 @@ app.use("/api/payments", paymentRoutes);
 const authRoutes = require("./routes/auth");
 app.use("/api/auth", authRoutes);
 
+// Import route Staff Invites
+const inviteRoutes = require("./routes/invites");
+app.use("/api/invites", inviteRoutes);
+
 // Import route Leaderboard
 const leaderboardRoutes = require("./routes/leaderboard");
 app.use("/api", leaderboardRoutes);
@@ -78,6 +87,43 @@ app.use("/api/activity", userActivityLogRoutes);
 const dashboardRoutes = require("./routes/dashboard");
 app.use("/api/dashboard", dashboardRoutes);
 
+// Import route Tags
+const tagRoutes = require("./routes/tags");
+app.use("/api/tags", tagRoutes);
+
+// Import route Quizzes
+const quizRoutes = require("./routes/quizzes");
+app.use("/api/quizzes", quizRoutes);
+
+// Import route Assignments
+const assignmentRoutes = require("./routes/assignments");
+app.use("/api/assignments", assignmentRoutes);
+
+// Import route Songs
+const songRoutes = require("./routes/songs");
+app.use("/api/songs", songRoutes);
+
+// Import route Notation
+const notationRoutes = require("./routes/notation");
+app.use("/api/notation", notationRoutes);
+
+// Import route Tuning
+const tuningRoutes = require("./routes/tuning");
+app.use("/api/tuning", tuningRoutes);
+
+// Import route Certificates
+const certificateRoutes = require("./routes/certificates");
+app.use("/api/certificates", certificateRoutes);
+
+// Import route Search
+const searchRoutes = require("./routes/search");
+app.use("/api/search", searchRoutes);
+
+// Job xuất bản khóa học/bài học đã hẹn giờ
+const { db } = require("./services/dataAccess");
+const { startPublishScheduler } = require("./services/publishingService");
+startPublishScheduler(db);
+
 // chặn XSS, clickjacking, sniffing
 const helmet = require("helmet");
 app.use(helmet()); 
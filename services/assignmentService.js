@@ -0,0 +1,241 @@
+/**
+ * 🎻 Bài tập thu âm/quay video: học viên nộp file, giáo viên chấm theo rubric và nhận xét theo mốc thời gian.
+ *
+ * Điểm bài nộp là phần trăm tổng điểm rubric; đạt khi score >= pass_score. Điểm được ghi vào
+ * LessonProgress, và bài tập có required_for_completion chỉ cho hoàn thành bài học khi đã có bài nộp đạt.
+ */
+const { slugify } = require("./taxonomyService");
+const { recordAssignmentGrade } = require("./progressService");
+const { fromJson, toBit } = require("./queryHelpers");
+
+const SUBMISSION_TYPES = ["audio", "video", "any"];
+const MAX_RUBRIC_CRITERIA = 20;
+const MAX_TIMESTAMPED_FEEDBACK = 100;
+
+/**
+ * Kiểm tra rubric: [{ key?, label, max_score }]; key mặc định sinh từ label ("Giữ nhịp" → "giu-nhip")
+ * @returns {{ error: string } | { rubric: object[] }}
+ */
+const parseRubric = (value) => {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_RUBRIC_CRITERIA) {
+        return { error: `rubric phải là mảng từ 1 đến ${MAX_RUBRIC_CRITERIA} tiêu chí` };
+    }
+    const rubric = [];
+    for (const item of value) {
+        const label = typeof item?.label === "string" ? item.label.trim() : "";
+        const key = item?.key ? String(item.key).trim() : slugify(label);
+        const maxScore = Number(item?.max_score);
+        if (!label || !key) return { error: "Mỗi tiêu chí rubric cần label" };
+        if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > 100) {
+            return { error: `max_score của "${label}" phải là số nguyên từ 1 đến 100` };
+        }
+        rubric.push({ key, label, max_score: maxScore });
+    }
+    if (new Set(rubric.map((c) => c.key)).size !== rubric.length) return { error: "key của các tiêu chí rubric bị trùng" };
+    return { rubric };
+};
+
+/**
+ * Đọc cấu hình bài tập từ request
+ * @param {boolean} partial true khi cập nhật (chỉ kiểm tra các trường có gửi)
+ * @returns {{ error: string } | { values: object }}
+ */
+const parseAssignmentSettings = (body, { partial = false } = {}) => {
+    const values = {};
+
+    if (!partial || body.title !== undefined) {
+        const title = typeof body.title === "string" ? body.title.trim() : "";
+        if (!title) return { error: "Thiếu tiêu đề bài tập (title)" };
+        if (title.length > 200) return { error: "title tối đa 200 ký tự" };
+        values.title = title;
+    }
+    if (body.instructions !== undefined) values.instructions = body.instructions || null;
+
+    if (body.submission_type !== undefined) {
+        if (!SUBMISSION_TYPES.includes(body.submission_type)) {
+            return { error: `submission_type phải là một trong: ${SUBMISSION_TYPES.join(", ")}` };
+        }
+        values.submission_type = body.submission_type;
+    }
+    if (!partial || body.rubric !== undefined) {
+        const parsed = parseRubric(body.rubric);
+        if (parsed.error) return parsed;
+        values.rubric = JSON.stringify(parsed.rubric);
+    }
+    if (body.pass_score !== undefined) {
+        const passScore = Number(body.pass_score);
+        if (!Number.isFinite(passScore) || passScore < 0 || passScore > 100) {
+            return { error: "pass_score phải là số từ 0 đến 100 (phần trăm)" };
+        }
+        values.pass_score = passScore;
+    }
+    if (body.required_for_completion !== undefined) {
+        values.required_for_completion = toBit(body.required_for_completion);
+    }
+
+    return { values };
+};
+
+/**
+ * Bài tập có nhận loại file này không (audio/* hoặc video/*)
+ */
+const acceptsMediaType = (assignment, mimeType) =>
+    assignment.submission_type === "any" || mimeType.startsWith(`${assignment.submission_type}/`);
+
+/**
+ * Kiểm tra dữ liệu chấm bài và tính điểm phần trăm
+ * @param {object[]} rubric Rubric của bài tập
+ * @param {{ rubric_scores: object, feedback?: string, timestamped_feedback?: object[] }} body
+ * @returns {{ error: string } | { grade: object }}
+ */
+const parseGrade = (rubric, body) => {
+    const scores = body.rubric_scores;
+    if (!scores || typeof scores !== "object" || Array.isArray(scores)) {
+        return { error: "rubric_scores phải là object { key_tiêu_chí: điểm }" };
+    }
+
+    const rubricScores = {};
+    for (const criterion of rubric) {
+        const score = Number(scores[criterion.key]);
+        if (scores[criterion.key] === undefined || !Number.isFinite(score) || score < 0 || score > criterion.max_score) {
+            return { error: `Điểm "${criterion.label}" (${criterion.key}) phải từ 0 đến ${criterion.max_score}` };
+        }
+        rubricScores[criterion.key] = score;
+    }
+    const unknown = Object.keys(scores).filter((key) => !rubric.some((c) => c.key === key));
+    if (unknown.length > 0) return { error: `Tiêu chí không có trong rubric: ${unknown.join(", ")}` };
+
+    const timestamped = body.timestamped_feedback ?? [];
+    if (!Array.isArray(timestamped) || timestamped.length > MAX_TIMESTAMPED_FEEDBACK) {
+        return { error: `timestamped_feedback phải là mảng tối đa ${MAX_TIMESTAMPED_FEEDBACK} nhận xét` };
+    }
+    const notes = [];
+    for (const item of timestamped) {
+        const at = Number(item?.at_seconds);
+        const comment = typeof item?.comment === "string" ? item.comment.trim() : "";
+        if (!Number.isFinite(at) || at < 0 || !comment) {
+            return { error: "Mỗi nhận xét cần at_seconds (số giây >= 0) và comment không rỗng" };
+        }
+        notes.push({ at_seconds: Math.round(at * 10) / 10, comment: comment.slice(0, 1000) });
+    }
+    notes.sort((a, b) => a.at_seconds - b.at_seconds);
+
+    const earned = Object.values(rubricScores).reduce((sum, s) => sum + s, 0);
+    const total = rubric.reduce((sum, c) => sum + c.max_score, 0);
+    return {
+        grade: {
+            rubric_scores: rubricScores,
+            score: Math.round((earned / total) * 10000) / 100,
+            feedback: typeof body.feedback === "string" && body.feedback.trim() ? body.feedback.trim() : null,
+            timestamped_feedback: notes,
+        },
+    };
+};
+
+/**
+ * Ghi nhận bài nộp mới; bài nộp trước chưa chấm chuyển sang superseded
+ * @param {{ storage_path: string, size_bytes: number, sha256: string }} file File đã lưu trên đĩa
+ * @returns {Promise<number>} submission_id
+ */
+const createSubmission = async (tx, assignmentId, userId, mimeType, file, note) => {
+    const last = await tx.queryOne(
+        "SELECT COALESCE(MAX(attempt_number), 0) AS last FROM AssignmentSubmissions WHERE assignment_id = ? AND user_id = ? FOR UPDATE",
+        [assignmentId, userId]
+    );
+    await tx.execute(
+        "UPDATE AssignmentSubmissions SET status = 'superseded' WHERE assignment_id = ? AND user_id = ? AND status = 'submitted'",
+        [assignmentId, userId]
+    );
+    const result = await tx.execute(
+        `INSERT INTO AssignmentSubmissions
+            (assignment_id, user_id, attempt_number, status, mime_type, size_bytes, sha256, storage_path, note, submitted_at)
+         VALUES (?, ?, ?, 'submitted', ?, ?, ?, ?, ?, NOW())`,
+        [assignmentId, userId, last.last + 1, mimeType, file.size_bytes, file.sha256, file.storage_path, note || null]
+    );
+    return result.insertId;
+};
+
+/**
+ * Chấm (hoặc chấm lại) một bài nộp: lưu điểm, ghi vào LessonProgress và gửi thông báo cho học viên
+ * @returns {Promise<{ status: number, body: object } | { submission_id: number, score: number, passed: boolean }>}
+ */
+const gradeSubmission = async (tx, submissionId, graderId, body) => {
+    const submission = await tx.queryOne(
+        `SELECT s.submission_id, s.user_id, s.status, a.assignment_id, a.lesson_id, a.title, a.rubric, a.pass_score
+         FROM AssignmentSubmissions s
+         JOIN Assignments a ON s.assignment_id = a.assignment_id
+         WHERE s.submission_id = ?
+         FOR UPDATE`,
+        [submissionId]
+    );
+    if (!submission) return { status: 404, body: { message: "Không tìm thấy bài nộp" } };
+    if (submission.status === "superseded") {
+        return { status: 409, body: { message: "Học viên đã nộp bài mới thay cho bài này; hãy chấm bài mới nhất" } };
+    }
+
+    const parsed = parseGrade(fromJson(submission.rubric), body);
+    if (parsed.error) return { status: 400, body: { message: parsed.error } };
+    const { grade } = parsed;
+    const passed = grade.score >= Number(submission.pass_score);
+
+    await tx.execute(
+        `UPDATE AssignmentSubmissions
+         SET status = 'graded', rubric_scores = ?, score = ?, passed = ?, feedback = ?, timestamped_feedback = ?,
+             graded_by = ?, graded_at = NOW()
+         WHERE submission_id = ?`,
+        [
+            JSON.stringify(grade.rubric_scores), grade.score, passed ? 1 : 0, grade.feedback,
+            JSON.stringify(grade.timestamped_feedback), graderId, submissionId,
+        ]
+    );
+    await recordAssignmentGrade(tx, submission.user_id, submission.lesson_id, grade.score, passed);
+    await tx.execute(
+        "INSERT INTO Notifications (user_id, title, message, type, created_at) VALUES (?, ?, ?, 'assignment_graded', NOW())",
+        [
+            submission.user_id,
+            "🎻 Bài tập của bạn đã được chấm",
+            `Bài "${submission.title}" đạt ${grade.score}/100 điểm${passed ? " – Đạt" : " – Chưa đạt, bạn có thể nộp lại"}.`,
+        ]
+    );
+
+    return { submission_id: submission.submission_id, score: grade.score, passed };
+};
+
+/**
+ * Bài học có bài tập bắt buộc thì chỉ được đánh dấu completed khi mọi bài tập đó đã có bài nộp đạt
+ * @returns {Promise<{ allowed: true } | { allowed: false, status: number, body: object }>}
+ */
+const checkAssignmentRequirement = async (db, userId, lessonId) => {
+    const pending = await db.query(
+        `SELECT a.assignment_id, a.title
+         FROM Assignments a
+         WHERE a.lesson_id = ? AND a.required_for_completion = 1
+           AND NOT EXISTS (
+               SELECT 1 FROM AssignmentSubmissions s
+               WHERE s.assignment_id = a.assignment_id AND s.user_id = ? AND s.passed = 1
+           )`,
+        [lessonId, userId]
+    );
+    if (pending.length === 0) return { allowed: true };
+
+    return {
+        allowed: false,
+        status: 409,
+        body: {
+            code: "ASSIGNMENT_NOT_PASSED",
+            message: "🎻 Bạn cần nộp và đạt bài tập của bài học trước khi hoàn thành bài học.",
+            pending_assignments: pending,
+        },
+    };
+};
+
+module.exports = {
+    SUBMISSION_TYPES,
+    parseRubric,
+    parseAssignmentSettings,
+    acceptsMediaType,
+    parseGrade,
+    createSubmission,
+    gradeSubmission,
+    checkAssignmentRequirement,
+};
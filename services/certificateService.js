@@ -0,0 +1,229 @@
+/**
+ * 🎓 Chứng chỉ hoàn thành khóa học.
+ *
+ * Học viên hoàn thành mọi bài học đang xuất bản của một khóa học (LessonProgress = completed) thì được
+ * cấp chứng chỉ kèm mã xác minh công khai. Cấp chứng chỉ là idempotent: mỗi (user, course) chỉ có một
+ * chứng chỉ, gọi lại trả về chứng chỉ cũ; chứng chỉ đã bị thu hồi không tự cấp lại.
+ */
+const { customAlphabet } = require("nanoid");
+const PDFDocument = require("pdfkit");
+const { visibleCondition } = require("./publishingService");
+
+// Bỏ các ký tự dễ nhầm (0/O, 1/I/L) để đọc mã từ bản in
+const generateCode = customAlphabet("23456789ABCDEFGHJKMNPQRSTUVWXYZ", 12);
+
+/**
+ * Mã xác minh dạng nhóm 4 ký tự: "MC-7KQ2-XH9D-4PRA"
+ */
+const newVerificationCode = () => `MC-${generateCode().match(/.{4}/g).join("-")}`;
+
+const CERTIFICATE_COLUMNS = `cert.certificate_id, cert.user_id, cert.course_id, cert.verification_code,
+    cert.student_name, cert.course_name, cert.instructor_name, cert.lesson_count,
+    cert.completed_at, cert.issued_at, cert.revoked_at, cert.revoke_reason`;
+
+/**
+ * Tiến độ của học viên trên các bài học đang xuất bản của khóa học
+ * @returns {Promise<{ total: number, completed: number, completed_at: Date|null }>}
+ */
+const getCourseCompletion = async (db, userId, courseId) => {
+    const row = await db.queryOne(
+        `SELECT COUNT(*) AS total,
+                COUNT(lp.progress_id) AS completed,
+                MAX(lp.last_watched) AS completed_at
+         FROM Lessons l
+         LEFT JOIN LessonProgress lp
+                ON lp.lesson_id = l.lesson_id AND lp.user_id = ? AND lp.status = 'completed'
+         WHERE l.course_id = ? AND ${visibleCondition("l")}`,
+        [userId, courseId]
+    );
+    return { total: Number(row.total), completed: Number(row.completed), completed_at: row.completed_at };
+};
+
+/**
+ * Cấp chứng chỉ nếu học viên đã hoàn thành khóa học (chạy trong transaction)
+ * @returns {Promise<{ status: number, body: object } | { certificate: object, issued: boolean }>}
+ *          issued = false khi chứng chỉ đã có từ trước
+ */
+const issueCertificate = async (tx, userId, courseId) => {
+    const existing = await tx.queryOne(
+        `SELECT ${CERTIFICATE_COLUMNS} FROM Certificates cert WHERE cert.user_id = ? AND cert.course_id = ? FOR UPDATE`,
+        [userId, courseId]
+    );
+    if (existing) return { certificate: existing, issued: false };
+
+    const course = await tx.queryOne(
+        `SELECT c.course_id, c.course_name, u.full_name AS instructor_name
+         FROM Courses c
+         LEFT JOIN Users u ON c.created_by = u.user_id
+         WHERE c.course_id = ? AND ${visibleCondition("c")}`,
+        [courseId]
+    );
+    if (!course) return { status: 404, body: { message: "Không tìm thấy khóa học" } };
+
+    const completion = await getCourseCompletion(tx, userId, courseId);
+    if (completion.total === 0 || completion.completed < completion.total) {
+        return {
+            status: 400,
+            body: {
+                message: "Chưa hoàn thành tất cả bài học của khóa học",
+                code: "COURSE_NOT_COMPLETED",
+                completed_lessons: completion.completed,
+                total_lessons: completion.total,
+            },
+        };
+    }
+
+    const student = await tx.queryOne("SELECT full_name FROM Users WHERE user_id = ?", [userId]);
+    await tx.execute(
+        `INSERT INTO Certificates
+            (user_id, course_id, verification_code, student_name, course_name, instructor_name, lesson_count, completed_at, issued_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+            userId, courseId, newVerificationCode(), student.full_name, course.course_name,
+            course.instructor_name, completion.total, completion.completed_at || new Date(),
+        ]
+    );
+    await tx.execute(
+        "INSERT INTO Notifications (user_id, title, message, type, created_at) VALUES (?, ?, ?, 'certificate', NOW())",
+        [userId, "🎓 Bạn đã nhận chứng chỉ", `Chúc mừng bạn đã hoàn thành khóa học "${course.course_name}".`]
+    );
+
+    const certificate = await tx.queryOne(
+        `SELECT ${CERTIFICATE_COLUMNS} FROM Certificates cert WHERE cert.user_id = ? AND cert.course_id = ?`,
+        [userId, courseId]
+    );
+    return { certificate, issued: true };
+};
+
+/**
+ * Gọi sau khi một bài học được đánh dấu completed: cấp chứng chỉ nếu đó là bài cuối cùng còn thiếu
+ * @returns {Promise<object|null>} Chứng chỉ vừa cấp, null nếu chưa đủ điều kiện hoặc đã có từ trước
+ */
+const issueCertificateForLesson = async (tx, userId, lessonId) => {
+    const lesson = await tx.queryOne("SELECT course_id FROM Lessons WHERE lesson_id = ?", [lessonId]);
+    if (!lesson) return null;
+
+    const result = await issueCertificate(tx, userId, lesson.course_id);
+    return result.issued ? result.certificate : null;
+};
+
+/**
+ * Thu hồi chứng chỉ (mã xác minh vẫn tra được nhưng báo đã thu hồi)
+ * @returns {Promise<{ status: number, body: object } | { certificate: object }>}
+ */
+const revokeCertificate = async (tx, certificateId, adminId, reason) => {
+    const certificate = await tx.queryOne(
+        "SELECT certificate_id, revoked_at FROM Certificates WHERE certificate_id = ? FOR UPDATE",
+        [certificateId]
+    );
+    if (!certificate) return { status: 404, body: { message: "Không tìm thấy chứng chỉ" } };
+    if (certificate.revoked_at) return { status: 409, body: { message: "Chứng chỉ đã bị thu hồi trước đó" } };
+
+    await tx.execute(
+        "UPDATE Certificates SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ? WHERE certificate_id = ?",
+        [adminId, reason || null, certificateId]
+    );
+    return {
+        certificate: await tx.queryOne(`SELECT ${CERTIFICATE_COLUMNS} FROM Certificates cert WHERE cert.certificate_id = ?`, [certificateId]),
+    };
+};
+
+/**
+ * Dữ liệu công khai cho trang xác minh (không lộ user_id)
+ */
+const publicCertificateView = (certificate) => ({
+    verification_code: certificate.verification_code,
+    status: certificate.revoked_at ? "revoked" : "valid",
+    student_name: certificate.student_name,
+    course_name: certificate.course_name,
+    instructor_name: certificate.instructor_name,
+    lesson_count: certificate.lesson_count,
+    completed_at: certificate.completed_at,
+    issued_at: certificate.issued_at,
+    revoked_at: certificate.revoked_at,
+});
+
+// ---------- PDF ----------
+
+// Font chuẩn của PDF không có đủ chữ tiếng Việt: cấu hình CERTIFICATE_FONT_PATH (và _BOLD_PATH) trỏ tới
+// file .ttf hỗ trợ tiếng Việt (vd. Be Vietnam Pro, Noto Sans). Thiếu thì dùng Helvetica và bỏ dấu.
+const FONT_PATH = process.env.CERTIFICATE_FONT_PATH;
+const FONT_BOLD_PATH = process.env.CERTIFICATE_FONT_BOLD_PATH || FONT_PATH;
+
+const stripDiacritics = (text) => String(text ?? "")
+    .replace(/đ/g, "d").replace(/Đ/g, "D")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC");
+
+const formatDate = (value) => new Date(value).toLocaleDateString("vi-VN", {
+    day: "2-digit", month: "2-digit", year: "numeric", timeZone: "Asia/Ho_Chi_Minh",
+});
+
+/**
+ * Xuất chứng chỉ ra PDF khổ A4 ngang
+ * @param {object} certificate Dòng Certificates
+ * @param {string} [verifyUrl] Đường dẫn trang xác minh in ở chân chứng chỉ
+ * @returns {Promise<Buffer>}
+ */
+const renderCertificatePdf = (certificate, verifyUrl) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: "A4",
+        layout: "landscape",
+        margin: 50,
+        info: { Title: `Chứng chỉ ${certificate.verification_code}`, Author: "Mộc Cầm" },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    let regular = "Helvetica";
+    let bold = "Helvetica-Bold";
+    let text = stripDiacritics;
+    if (FONT_PATH) {
+        doc.registerFont("regular", FONT_PATH);
+        doc.registerFont("bold", FONT_BOLD_PATH);
+        regular = "regular";
+        bold = "bold";
+        text = (value) => String(value ?? "");
+    }
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 100;
+    doc.lineWidth(3).strokeColor("#8b5a2b").rect(25, 25, width - 50, height - 50).stroke();
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke();
+
+    doc.fillColor("#8b5a2b").font(bold).fontSize(34)
+        .text(text("CHỨNG CHỈ HOÀN THÀNH"), 50, 90, { width: contentWidth, align: "center" });
+    doc.fillColor("#333333").font(regular).fontSize(14)
+        .text(text("Mộc Cầm – Nền tảng học nhạc cụ dân tộc"), { width: contentWidth, align: "center" });
+
+    doc.moveDown(2).fontSize(14).text(text("Chứng nhận học viên"), { width: contentWidth, align: "center" });
+    doc.moveDown(0.5).fillColor("#000000").font(bold).fontSize(28)
+        .text(text(certificate.student_name), { width: contentWidth, align: "center" });
+    doc.moveDown(0.5).fillColor("#333333").font(regular).fontSize(14)
+        .text(text(`đã hoàn thành ${certificate.lesson_count} bài học của khóa học`), { width: contentWidth, align: "center" });
+    doc.moveDown(0.5).fillColor("#000000").font(bold).fontSize(22)
+        .text(text(certificate.course_name), { width: contentWidth, align: "center" });
+
+    const footerY = height - 150;
+    doc.fillColor("#333333").font(regular).fontSize(12)
+        .text(text(`Ngày hoàn thành: ${formatDate(certificate.completed_at)}`), 80, footerY, { width: 300 })
+        .text(text(`Giảng viên: ${certificate.instructor_name || "Mộc Cầm"}`), 80, footerY + 20, { width: 300 });
+    doc.text(text(`Mã xác minh: ${certificate.verification_code}`), width - 380, footerY, { width: 300, align: "right" });
+    if (verifyUrl) {
+        doc.fontSize(10).fillColor("#8b5a2b").text(verifyUrl, width - 380, footerY + 20, { width: 300, align: "right", link: verifyUrl });
+    }
+
+    doc.end();
+});
+
+module.exports = {
+    CERTIFICATE_COLUMNS,
+    getCourseCompletion,
+    issueCertificate,
+    issueCertificateForLesson,
+    revokeCertificate,
+    publicCertificateView,
+    renderCertificatePdf,
+};
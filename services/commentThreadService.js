@@ -0,0 +1,212 @@
+/**
+ * 💬 Bình luận dạng luồng: học viên hỏi, giảng viên/học viên khác trả lời lồng nhau trong ngữ cảnh bài học.
+ *
+ * Mỗi câu trả lời lưu root_comment_id (bình luận gốc của luồng) và depth (gốc = 0). Độ sâu tối đa cấu hình qua
+ * COMMENT_MAX_DEPTH. Câu trả lời của admin/employee được đánh dấu is_instructor_answer; chủ luồng hoặc nhân viên
+ * có thể đánh dấu câu hỏi đã giải quyết.
+ */
+const { isStaff } = require("../security/verifyToken");
+const { placeholders } = require("./queryHelpers");
+
+const MAX_COMMENT_LENGTH = 500; // Comments.comment VARCHAR(500)
+const DEFAULT_THREAD_LIMIT = 10;
+const DEFAULT_REPLY_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const maxReplyDepth = () => {
+    const depth = parseInt(process.env.COMMENT_MAX_DEPTH, 10);
+    return Number.isInteger(depth) && depth >= 1 ? depth : 3;
+};
+
+const COMMENT_COLUMNS = `c.comment_id, c.user_id, c.lesson_id, c.parent_comment_id, c.root_comment_id, c.depth, c.comment,
+    c.rate, c.is_instructor_answer, c.is_resolved, c.resolved_by, c.resolved_at, c.created_at, c.updated_at,
+    u.full_name AS customer_name, u.role AS author_role`;
+
+/**
+ * Trang và số dòng mỗi trang từ query string
+ */
+const parsePagination = (query, defaultLimit) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT),
+});
+
+/**
+ * Kiểm tra nội dung bình luận
+ * @returns {string|null} Thông báo lỗi hoặc null
+ */
+const checkCommentText = (comment) => {
+    if (typeof comment !== "string" || !comment.trim()) return "Missing required fields";
+    if (comment.trim().length > MAX_COMMENT_LENGTH) return `Comment must be at most ${MAX_COMMENT_LENGTH} characters`;
+    return null;
+};
+
+/**
+ * Các luồng bình luận gốc của bài học (mới nhất trước), kèm số câu trả lời và cờ đã có giảng viên trả lời
+ * @param {{ page: number, limit: number, resolved?: boolean }} params
+ */
+const listLessonThreads = async (db, lessonId, { page, limit, resolved }) => {
+    const conditions = ["c.lesson_id = ?", "c.parent_comment_id IS NULL"];
+    const params = [lessonId];
+    if (resolved !== undefined) {
+        conditions.push("c.is_resolved = ?");
+        params.push(resolved ? 1 : 0);
+    }
+    const where = conditions.join(" AND ");
+
+    const { total } = await db.queryOne(`SELECT COUNT(*) AS total FROM Comments c WHERE ${where}`, params);
+    const threads = await db.query(
+        `SELECT ${COMMENT_COLUMNS},
+                (SELECT COUNT(*) FROM Comments r WHERE r.root_comment_id = c.comment_id) AS reply_count,
+                EXISTS(SELECT 1 FROM Comments r WHERE r.root_comment_id = c.comment_id AND r.is_instructor_answer = 1)
+                    AS has_instructor_answer,
+                (SELECT MAX(r.created_at) FROM Comments r WHERE r.root_comment_id = c.comment_id) AS last_reply_at
+         FROM Comments c
+         JOIN Users u ON c.user_id = u.user_id
+         WHERE ${where}
+         ORDER BY c.created_at DESC, c.comment_id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+        lesson_id: Number(lessonId),
+        total: Number(total),
+        page,
+        limit,
+        max_depth: maxReplyDepth(),
+        threads: threads.map((t) => ({
+            ...t,
+            reply_count: Number(t.reply_count),
+            has_instructor_answer: Boolean(Number(t.has_instructor_answer)),
+        })),
+    };
+};
+
+/**
+ * Câu trả lời trong luồng (cũ nhất trước), phân trang; mỗi dòng có parent_comment_id và depth để client dựng cây
+ * @returns {Promise<{ status: number, body: object } | object>}
+ */
+const listThreadReplies = async (db, commentId, { page, limit }) => {
+    const comment = await db.queryOne(
+        "SELECT comment_id, root_comment_id FROM Comments WHERE comment_id = ?",
+        [commentId]
+    );
+    if (!comment) return { status: 404, body: { message: "Comment not found" } };
+    const rootId = comment.root_comment_id || comment.comment_id;
+
+    const { total } = await db.queryOne("SELECT COUNT(*) AS total FROM Comments WHERE root_comment_id = ?", [rootId]);
+    const replies = await db.query(
+        `SELECT ${COMMENT_COLUMNS}
+         FROM Comments c
+         JOIN Users u ON c.user_id = u.user_id
+         WHERE c.root_comment_id = ?
+         ORDER BY c.created_at, c.comment_id
+         LIMIT ? OFFSET ?`,
+        [rootId, limit, (page - 1) * limit]
+    );
+    return { root_comment_id: rootId, total: Number(total), page, limit, replies };
+};
+
+/**
+ * Thêm câu trả lời; nhân viên trả lời được đánh dấu là câu trả lời của giảng viên và chủ luồng nhận thông báo
+ * @returns {Promise<{ status: number, body: object } | { reply_id: number, lesson_id: number, is_instructor_answer: boolean }>}
+ */
+const createReply = async (tx, parentId, user, text) => {
+    const parent = await tx.queryOne(
+        `SELECT c.comment_id, c.user_id, c.lesson_id, c.root_comment_id, c.depth, l.lesson_name
+         FROM Comments c
+         JOIN Lessons l ON c.lesson_id = l.lesson_id
+         WHERE c.comment_id = ?`,
+        [parentId]
+    );
+    if (!parent) return { status: 404, body: { message: "Comment not found" } };
+
+    const maxDepth = maxReplyDepth();
+    if (parent.depth + 1 > maxDepth) {
+        return {
+            status: 400,
+            body: { message: `Replies can be nested at most ${maxDepth} levels deep, reply to an earlier comment instead`, max_depth: maxDepth },
+        };
+    }
+
+    const rootId = parent.root_comment_id || parent.comment_id;
+    const instructorAnswer = isStaff(user);
+    const result = await tx.execute(
+        `INSERT INTO Comments (user_id, lesson_id, parent_comment_id, root_comment_id, depth, comment, rate, is_instructor_answer, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NULL, ?, NOW())`,
+        [user.id, parent.lesson_id, parent.comment_id, rootId, parent.depth + 1, text.trim(), instructorAnswer ? 1 : 0]
+    );
+
+    const root = rootId === parent.comment_id ? parent : await tx.queryOne("SELECT user_id FROM Comments WHERE comment_id = ?", [rootId]);
+    if (instructorAnswer && root.user_id !== user.id) {
+        await tx.execute(
+            "INSERT INTO Notifications (user_id, title, message, type, created_at) VALUES (?, ?, ?, 'comment_answered', NOW())",
+            [
+                root.user_id,
+                "💬 Giảng viên đã trả lời câu hỏi của bạn",
+                `Câu hỏi của bạn trong bài "${parent.lesson_name}" vừa có câu trả lời từ giảng viên.`,
+            ]
+        );
+    }
+    return { reply_id: result.insertId, lesson_id: parent.lesson_id, is_instructor_answer: instructorAnswer };
+};
+
+/**
+ * Đánh dấu luồng đã giải quyết / mở lại; chỉ chủ luồng hoặc nhân viên
+ * @returns {Promise<{ status: number, body: object } | { is_resolved: boolean }>}
+ */
+const setThreadResolved = async (db, commentId, user, resolved) => {
+    const comment = await db.queryOne("SELECT user_id, parent_comment_id FROM Comments WHERE comment_id = ?", [commentId]);
+    if (!comment) return { status: 404, body: { message: "Comment not found" } };
+    if (comment.parent_comment_id !== null) {
+        return { status: 400, body: { message: "Only the first comment of a thread can be marked resolved" } };
+    }
+    if (!isStaff(user) && comment.user_id !== user.id) {
+        return { status: 403, body: { message: "Only the thread author or an instructor can resolve this thread" } };
+    }
+
+    if (resolved) {
+        await db.execute(
+            "UPDATE Comments SET is_resolved = 1, resolved_by = ?, resolved_at = NOW() WHERE comment_id = ?",
+            [user.id, commentId]
+        );
+    } else {
+        await db.execute(
+            "UPDATE Comments SET is_resolved = 0, resolved_by = NULL, resolved_at = NULL WHERE comment_id = ?",
+            [commentId]
+        );
+    }
+    return { is_resolved: resolved };
+};
+
+/**
+ * Bình luận và mọi câu trả lời bên dưới nó (để gỡ khỏi chỉ mục tìm kiếm trước khi xóa, khóa ngoại xóa dây chuyền)
+ * @returns {Promise<number[]>}
+ */
+const commentWithDescendants = async (db, commentId) => {
+    const id = Number(commentId);
+    if (!Number.isInteger(id)) return [];
+    const ids = [id];
+    let frontier = [id];
+    while (frontier.length > 0) {
+        frontier = (await db.query(
+            `SELECT comment_id FROM Comments WHERE parent_comment_id IN (${placeholders(frontier)})`,
+            frontier
+        )).map((r) => r.comment_id);
+        ids.push(...frontier);
+    }
+    return ids;
+};
+
+module.exports = {
+    DEFAULT_THREAD_LIMIT,
+    DEFAULT_REPLY_LIMIT,
+    maxReplyDepth,
+    parsePagination,
+    checkCommentText,
+    listLessonThreads,
+    listThreadReplies,
+    createReply,
+    setThreadResolved,
+    commentWithDescendants,
+};
@@ -0,0 +1,228 @@
+/**
+ * 🗂️ Cấu trúc khóa học: chương (CourseSections) và thứ tự bài học trong từng chương.
+ *
+ * Bài học có section_id = NULL là bài "chưa xếp chương" và được đánh số riêng trong khóa học.
+ * `position` luôn liên tục 1..n trong mỗi nhóm (course_id, section_id); mọi thay đổi thứ tự
+ * phải chạy trong transaction (nhận `tx` từ withTransaction) vì các hàm khóa dòng bằng FOR UPDATE.
+ */
+const { markLocked } = require("./entitlementService");
+const { applyPrerequisiteLocks } = require("./prerequisiteService");
+const { visibleCondition } = require("./publishingService");
+
+const sectionFilter = (sectionId) => (sectionId === null ? "section_id IS NULL" : "section_id = ?");
+const sectionParams = (sectionId) => (sectionId === null ? [] : [sectionId]);
+
+/**
+ * Chuẩn hóa section_id từ request: null/undefined → null, còn lại phải là số nguyên dương
+ * @returns {number|null|undefined} undefined nếu không hợp lệ
+ */
+const parseSectionId = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : undefined;
+};
+
+/**
+ * Kiểm tra chương thuộc khóa học
+ * @returns {Promise<boolean>}
+ */
+const sectionBelongsToCourse = async (db, courseId, sectionId) => {
+    if (sectionId === null) return true;
+    const row = await db.queryOne(
+        "SELECT section_id FROM CourseSections WHERE section_id = ? AND course_id = ?",
+        [sectionId, courseId]
+    );
+    return Boolean(row);
+};
+
+/**
+ * Vị trí cuối cùng + 1 trong một nhóm bài học
+ */
+const nextLessonPosition = async (db, courseId, sectionId) => {
+    const row = await db.queryOne(
+        `SELECT COALESCE(MAX(position), 0) + 1 AS next FROM Lessons WHERE course_id = ? AND ${sectionFilter(sectionId)}`,
+        [courseId, ...sectionParams(sectionId)]
+    );
+    return row.next;
+};
+
+/**
+ * Ghi lại position theo thứ tự mảng id (1..n)
+ */
+const writeLessonOrder = async (db, lessonIds) => {
+    for (let i = 0; i < lessonIds.length; i++) {
+        await db.execute("UPDATE Lessons SET position = ? WHERE lesson_id = ?", [i + 1, lessonIds[i]]);
+    }
+};
+
+const lockLessonGroup = (db, courseId, sectionId) => db.query(
+    `SELECT lesson_id FROM Lessons
+     WHERE course_id = ? AND ${sectionFilter(sectionId)}
+     ORDER BY position, lesson_id
+     FOR UPDATE`,
+    [courseId, ...sectionParams(sectionId)]
+);
+
+/**
+ * Đánh số lại một nhóm bài học cho liên tục (sau khi xóa hoặc chuyển bài đi nơi khác)
+ */
+const compactLessonPositions = async (db, courseId, sectionId) => {
+    const rows = await lockLessonGroup(db, courseId, sectionId);
+    await writeLessonOrder(db, rows.map((r) => r.lesson_id));
+};
+
+/**
+ * Chuyển bài học sang chương khác (cùng khóa học) và/hoặc đổi vị trí.
+ * @param {{ section_id: number|null, position?: number }} target position bắt đầu từ 1; bỏ trống = cuối chương
+ * @returns {Promise<{ status: number, body: object } | { lesson: object }>}
+ */
+const moveLesson = async (tx, lessonId, target) => {
+    const lesson = await tx.queryOne(
+        "SELECT lesson_id, course_id, section_id, position FROM Lessons WHERE lesson_id = ? FOR UPDATE",
+        [lessonId]
+    );
+    if (!lesson) return { status: 404, body: { message: "Không tìm thấy bài học" } };
+
+    const sectionId = target.section_id;
+    if (!(await sectionBelongsToCourse(tx, lesson.course_id, sectionId))) {
+        return { status: 400, body: { message: "section_id không thuộc khóa học của bài học này" } };
+    }
+
+    const sameGroup = sectionId === lesson.section_id;
+    const destination = (await lockLessonGroup(tx, lesson.course_id, sectionId))
+        .map((r) => r.lesson_id)
+        .filter((id) => id !== lesson.lesson_id);
+
+    const requested = target.position === undefined ? destination.length + 1 : target.position;
+    const index = Math.min(Math.max(requested, 1), destination.length + 1) - 1;
+    destination.splice(index, 0, lesson.lesson_id);
+
+    if (!sameGroup) {
+        await tx.execute("UPDATE Lessons SET section_id = ? WHERE lesson_id = ?", [sectionId, lesson.lesson_id]);
+        await compactLessonPositions(tx, lesson.course_id, lesson.section_id);
+    }
+    await writeLessonOrder(tx, destination);
+
+    return { lesson: { lesson_id: lesson.lesson_id, course_id: lesson.course_id, section_id: sectionId, position: index + 1 } };
+};
+
+/**
+ * Sắp xếp lại toàn bộ bài học của một chương theo danh sách id gửi lên.
+ * Danh sách phải chứa đúng và đủ các bài học hiện có trong chương.
+ * @returns {Promise<{ status: number, body: object } | { lesson_ids: number[] }>}
+ */
+const reorderLessons = async (tx, courseId, sectionId, lessonIds) => {
+    if (!(await sectionBelongsToCourse(tx, courseId, sectionId))) {
+        return { status: 404, body: { message: "Không tìm thấy chương trong khóa học này" } };
+    }
+
+    const current = (await lockLessonGroup(tx, courseId, sectionId)).map((r) => r.lesson_id);
+    const requested = lessonIds.map(Number);
+    const sameSet = requested.length === current.length
+        && new Set(requested).size === requested.length
+        && requested.every((id) => current.includes(id));
+    if (!sameSet) {
+        return {
+            status: 400,
+            body: { message: "lesson_ids phải gồm đúng và đủ các bài học hiện có trong chương", current_lesson_ids: current },
+        };
+    }
+
+    await writeLessonOrder(tx, requested);
+    return { lesson_ids: requested };
+};
+
+/**
+ * Sắp xếp lại thứ tự các chương của khóa học
+ * @returns {Promise<{ status: number, body: object } | { section_ids: number[] }>}
+ */
+const reorderSections = async (tx, courseId, sectionIds) => {
+    const current = (await tx.query(
+        "SELECT section_id FROM CourseSections WHERE course_id = ? ORDER BY position FOR UPDATE",
+        [courseId]
+    )).map((r) => r.section_id);
+    const requested = sectionIds.map(Number);
+    const sameSet = requested.length === current.length
+        && new Set(requested).size === requested.length
+        && requested.every((id) => current.includes(id));
+    if (!sameSet) {
+        return {
+            status: 400,
+            body: { message: "section_ids phải gồm đúng và đủ các chương hiện có của khóa học", current_section_ids: current },
+        };
+    }
+
+    for (let i = 0; i < requested.length; i++) {
+        await tx.execute("UPDATE CourseSections SET position = ? WHERE section_id = ?", [i + 1, requested[i]]);
+    }
+    return { section_ids: requested };
+};
+
+/**
+ * Cây chương → bài học của khóa học, mỗi bài kèm cờ is_free/locked, yêu cầu tiên quyết còn thiếu và thời lượng.
+ * Bài chưa xếp chương được gom vào `unsectioned_lessons`.
+ *
+ * Mặc định chỉ gồm nội dung đã xuất bản (chương không còn bài nào hiển thị bị ẩn);
+ * `includeUnpublished` dùng cho trang xem trước của nhân sự, kèm trạng thái xuất bản từng mục.
+ * @param {{ includeUnpublished?: boolean }} [options]
+ * @returns {Promise<object|null>} null nếu khóa học không tồn tại (hoặc chưa xuất bản)
+ */
+const buildCurriculum = async (db, user, courseId, { includeUnpublished = false } = {}) => {
+    const publicationColumns = includeUnpublished ? ", status, publish_at, published_at" : "";
+    const courseFilter = includeUnpublished ? "" : ` AND ${visibleCondition("c")}`;
+    const course = await db.queryOne(
+        `SELECT course_id, course_name, description, level, is_free${publicationColumns}
+         FROM Courses c
+         WHERE course_id = ?${courseFilter}`,
+        [courseId]
+    );
+    if (!course) return null;
+
+    const sections = await db.query(
+        "SELECT section_id, section_name, description, position FROM CourseSections WHERE course_id = ? ORDER BY position, section_id",
+        [courseId]
+    );
+    const lessonRows = await db.query(
+        `SELECT lesson_id, section_id, position, lesson_name, picture_url, duration_seconds, is_free, ? AS course_is_free${publicationColumns}
+         FROM Lessons l
+         WHERE course_id = ?${includeUnpublished ? "" : ` AND ${visibleCondition("l")}`}
+         ORDER BY position, lesson_id`,
+        [course.is_free, courseId]
+    );
+
+    const lessons = (await applyPrerequisiteLocks(db, user, await markLocked(user, lessonRows))).map(({ course_is_free, ...lesson }) => ({
+        ...lesson,
+        is_free: Boolean(Number(lesson.is_free)) || Boolean(Number(course_is_free)),
+    }));
+
+    const summarize = (items) => ({
+        lesson_count: items.length,
+        total_duration_seconds: items.reduce((sum, l) => sum + (l.duration_seconds || 0), 0),
+    });
+
+    const tree = sections
+        .map((section) => {
+            const items = lessons.filter((l) => l.section_id === section.section_id);
+            return { ...section, ...summarize(items), lessons: items };
+        })
+        .filter((section) => includeUnpublished || section.lessons.length > 0);
+    const unsectioned = lessons.filter((l) => l.section_id === null);
+
+    return {
+        ...course,
+        ...summarize(lessons),
+        sections: tree,
+        unsectioned_lessons: unsectioned,
+    };
+};
+
+module.exports = {
+    parseSectionId,
+    sectionBelongsToCourse,
+    nextLessonPosition,
+    compactLessonPositions,
+    moveLesson,
+    reorderLessons,
+    reorderSections,
+    buildCurriculum,
+};
@@ -0,0 +1,69 @@
+const { pool } = require("../db");
+
+/**
+ * 🗄️ Lớp truy cập dữ liệu dùng chung trên pool mysql2.
+ *
+ * Các hàm truy vấn có cùng chữ ký ở ngoài và trong transaction, nên helper nghiệp vụ
+ * chỉ cần nhận tham số `db` là dùng được cho cả hai trường hợp:
+ *   const { db, withTransaction } = require("../services/dataAccess");
+ *   await db.query("SELECT ...", [id]);
+ *   await withTransaction(async (tx) => { await tx.execute("UPDATE ...", [...]); });
+ */
+
+/**
+ * Bọc một pool hoặc connection thành bộ hàm truy vấn
+ * @param {import("mysql2/promise").Pool | import("mysql2/promise").PoolConnection} conn
+ */
+const createExecutor = (conn) => ({
+    /** @returns {Promise<object[]>} Các dòng kết quả */
+    query: async (sql, params = []) => {
+        const [rows] = await conn.query(sql, params);
+        return rows;
+    },
+
+    /** @returns {Promise<object|null>} Dòng đầu tiên hoặc null */
+    queryOne: async (sql, params = []) => {
+        const [rows] = await conn.query(sql, params);
+        return rows[0] || null;
+    },
+
+    /** @returns {Promise<{ affectedRows: number, insertId: number }>} Kết quả INSERT/UPDATE/DELETE */
+    execute: async (sql, params = []) => {
+        const [result] = await conn.query(sql, params);
+        return result;
+    },
+
+    /**
+     * Kiểm tra tồn tại theo một cột (tên bảng/cột là hằng trong code, không lấy từ request)
+     * @returns {Promise<boolean>}
+     */
+    exists: async (table, column, value) => {
+        const [rows] = await conn.query(`SELECT 1 FROM ${table} WHERE ${column} = ? LIMIT 1`, [value]);
+        return rows.length > 0;
+    },
+});
+
+const db = createExecutor(pool);
+
+/**
+ * Chạy `work(tx)` trong một transaction: commit khi thành công, rollback khi có lỗi
+ * @template T
+ * @param {(tx: ReturnType<typeof createExecutor>) => Promise<T>} work
+ * @returns {Promise<T>} Giá trị `work` trả về
+ */
+const withTransaction = async (work) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await work(createExecutor(connection));
+        await connection.commit();
+        return result;
+    } catch (err) {
+        await connection.rollback().catch(() => {});
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = { db, withTransaction };
@@ -0,0 +1,118 @@
+const { pool } = require("../db");
+const { isStaff } = require("../security/verifyToken");
+
+/**
+ * Lấy gói đăng ký còn hiệu lực (status = 'active' và chưa quá end_date) của user
+ * @returns {Promise<object|null>}
+ */
+const getActiveSubscription = async (userId) => {
+    const [rows] = await pool.query(
+        `SELECT us.user_subscription_id, us.plan_id, us.end_date, sp.plan_name
+         FROM UserSubscriptions us
+         JOIN SubscriptionPlans sp ON us.plan_id = sp.plan_id
+         WHERE us.user_id = ? AND us.status = 'active' AND us.end_date > NOW()
+         ORDER BY us.end_date DESC
+         LIMIT 1`,
+        [userId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Ngữ cảnh quyền truy cập của user hiện tại (tính một lần, dùng cho cả danh sách)
+ * @param {{ id: number, role: string }} user req.user
+ */
+const getAccessContext = async (user) => {
+    // Nhân sự luôn được xem toàn bộ nội dung (để soạn và kiểm duyệt bài học)
+    const staff = isStaff(user);
+    const subscription = staff || user.role !== "customer" ? null : await getActiveSubscription(user.id);
+    return { role: user.role, isStaff: staff, subscription };
+};
+
+/**
+ * Nội dung miễn phí nếu bản thân nó hoặc khóa học chứa nó có is_free = 1
+ * @param {{ is_free?: number|boolean, course_is_free?: number|boolean }} content
+ */
+const isFreeContent = (content) => Boolean(Number(content.is_free)) || Boolean(Number(content.course_is_free));
+
+/**
+ * @returns {boolean} true nếu user trong ngữ cảnh `ctx` được xem `content`
+ */
+const canAccess = (ctx, content) => ctx.isStaff || isFreeContent(content) || Boolean(ctx.subscription);
+
+/**
+ * Danh sách các gói đang bán có thể mở khóa nội dung trả phí
+ */
+const getUnlockingPlans = async () => {
+    const [rows] = await pool.query(
+        "SELECT plan_id, plan_name, price, currency, duration_in_days FROM SubscriptionPlans WHERE is_active = 1 ORDER BY price ASC"
+    );
+    return rows;
+};
+
+/**
+ * Kiểm tra quyền xem một bài học.
+ * @returns {Promise<{ allowed: true } | { allowed: false, status: number, body: object } | null>}
+ *          null nếu bài học không tồn tại
+ */
+const checkLessonAccess = async (user, lessonId) => {
+    const [rows] = await pool.query(
+        `SELECT l.lesson_id, l.is_free, c.is_free AS course_is_free
+         FROM Lessons l
+         JOIN Courses c ON l.course_id = c.course_id
+         WHERE l.lesson_id = ?`,
+        [lessonId]
+    );
+    if (rows.length === 0) return null;
+
+    const ctx = await getAccessContext(user);
+    if (canAccess(ctx, rows[0])) return { allowed: true };
+
+    // Vai trò không phải khách hàng (và không phải nhân sự) thì không thể mua gói
+    if (ctx.role !== "customer") {
+        return {
+            allowed: false,
+            status: 403,
+            body: { code: "ROLE_NOT_ENTITLED", message: "🚫 Vai trò của bạn không được phép xem nội dung này.", lesson_id: Number(lessonId) },
+        };
+    }
+
+    // Phân biệt chưa từng đăng ký và gói đã hết hạn/bị hủy để client hiển thị đúng lời nhắc
+    const [pastRows] = await pool.query(
+        "SELECT COUNT(*) AS count FROM UserSubscriptions WHERE user_id = ?",
+        [user.id]
+    );
+    const hadSubscription = pastRows[0].count > 0;
+
+    return {
+        allowed: false,
+        status: 402,
+        body: {
+            code: hadSubscription ? "SUBSCRIPTION_EXPIRED" : "SUBSCRIPTION_REQUIRED",
+            message: hadSubscription
+                ? "🔒 Gói đăng ký của bạn đã hết hạn. Vui lòng gia hạn để tiếp tục học."
+                : "🔒 Nội dung này yêu cầu gói đăng ký.",
+            lesson_id: Number(lessonId),
+            unlocking_plans: await getUnlockingPlans(),
+        },
+    };
+};
+
+/**
+ * Gắn cờ `locked` cho từng phần tử của danh sách thay vì ẩn chúng
+ * @param {object} user req.user
+ * @param {object[]} items Các bản ghi có is_free / course_is_free
+ */
+const markLocked = async (user, items) => {
+    const ctx = await getAccessContext(user);
+    return items.map((item) => ({ ...item, locked: !canAccess(ctx, item) }));
+};
+
+module.exports = {
+    getActiveSubscription,
+    getAccessContext,
+    canAccess,
+    checkLessonAccess,
+    getUnlockingPlans,
+    markLocked,
+};
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * 📮 Các transport gửi mail. Chọn bằng biến môi trường MAIL_TRANSPORT (mặc định: console, trừ production).
+ * Mỗi transport là một hàm async nhận { to, subject, text }.
+ */
+const transports = {
+    // In mail ra console (chỉ dùng khi phát triển). Nội dung có thể chứa link đặt lại mật khẩu / mã mời
+    // nên chỉ in khi bật MAIL_LOG_BODY=true
+    console: async ({ to, subject, text }) => {
+        const body = process.env.MAIL_LOG_BODY === "true" ? text : "(ẩn nội dung, đặt MAIL_LOG_BODY=true để xem)";
+        console.log(`📧 [MAIL] To: ${to}\n   Subject: ${subject}\n${body}`);
+    },
+
+    // Ghi mail thành file .eml trong MAIL_OUTBOX_DIR (thay thế SMTP khi chưa có server mail)
+    file: async ({ to, subject, text }) => {
+        const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "storage", "outbox");
+        await fs.promises.mkdir(dir, { recursive: true });
+        const content = [
+            `From: ${process.env.MAIL_FROM || "no-reply@moccam.vn"}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            "Content-Type: text/plain; charset=utf-8",
+            "",
+            text,
+        ].join("\r\n");
+        await fs.promises.writeFile(path.join(dir, `${Date.now()}-${to.replace(/[^\w.@-]/g, "_")}.eml`), content);
+    },
+};
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+/**
+ * Tên transport đang cấu hình. Production bắt buộc khai báo MAIL_TRANSPORT khác console
+ * để token trong mail không bị ghi ra log.
+ */
+const transportName = () => {
+    const name = process.env.MAIL_TRANSPORT || (isProduction() ? "" : "console");
+    if (isProduction() && (name === "" || name === "console")) {
+        throw new Error("MAIL_TRANSPORT phải được cấu hình (vd: file hoặc transport đã đăng ký) khi NODE_ENV=production");
+    }
+    return name;
+};
+
+// Dừng ngay khi khởi động thay vì lỗi ở lần gửi mail đầu tiên
+transportName();
+
+/**
+ * 🔌 Đăng ký transport mới (vd: SMTP thật, SendGrid...)
+ * @param {string} name Tên transport, dùng trong MAIL_TRANSPORT
+ * @param {(mail: {to: string, subject: string, text: string}) => Promise<void>} handler
+ */
+const registerTransport = (name, handler) => {
+    transports[name] = handler;
+};
+
+/**
+ * ✉️ Gửi mail qua transport đang cấu hình
+ */
+const sendMail = async (mail) => {
+    const name = transportName();
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Mail transport không tồn tại: ${name}`);
+    }
+    await transport(mail);
+};
+
+module.exports = { sendMail, registerTransport };
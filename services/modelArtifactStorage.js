@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+require("dotenv").config();
+
+/**
+ * 📦 Lưu file mô hình AI (trọng số TFJS/ONNX, label map...) trên ổ đĩa cục bộ.
+ * Cấu trúc: MODEL_STORAGE_DIR/<model_id>/<file_name>
+ */
+
+// Chỉ nhận các loại file mô hình đã biết
+const ALLOWED_EXTENSIONS = [".json", ".bin", ".onnx", ".tflite", ".txt", ".csv"];
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+const storageRoot = () => process.env.MODEL_STORAGE_DIR || path.join(__dirname, "..", "storage", "models");
+const maxArtifactBytes = () => parseInt(process.env.MODEL_ARTIFACT_MAX_MB, 10) * 1024 * 1024 || 100 * 1024 * 1024;
+
+/**
+ * Kiểm tra tên file tải lên
+ * @returns {string|null} Thông báo lỗi, hoặc null nếu hợp lệ
+ */
+const validateFileName = (fileName) => {
+    if (!fileName || !FILE_NAME_PATTERN.test(fileName) || fileName.includes("..")) {
+        return "file_name chỉ gồm chữ, số, dấu chấm, gạch ngang, gạch dưới (tối đa 128 ký tự)";
+    }
+    if (!ALLOWED_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        return `Chỉ chấp nhận các định dạng: ${ALLOWED_EXTENSIONS.join(", ")}`;
+    }
+    return null;
+};
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+const artifactPath = (modelId, fileName) => path.join(storageRoot(), String(modelId), fileName);
+
+/**
+ * Ghi file (qua file tạm rồi rename để không bao giờ để lại file ghi dở)
+ * @returns {Promise<{ storage_path: string, size_bytes: number, sha256: string }>}
+ */
+const saveArtifact = async (modelId, fileName, buffer) => {
+    const target = artifactPath(modelId, fileName);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, target);
+    return { storage_path: path.relative(storageRoot(), target), size_bytes: buffer.length, sha256: sha256(buffer) };
+};
+
+const resolveStoragePath = (storagePath) => path.join(storageRoot(), storagePath);
+
+// Xóa file, bỏ qua nếu file đã không còn
+const removeArtifact = async (storagePath) => {
+    await fs.promises.rm(resolveStoragePath(storagePath), { force: true });
+};
+
+const removeModelDirectory = async (modelId) => {
+    await fs.promises.rm(path.join(storageRoot(), String(modelId)), { recursive: true, force: true });
+};
+
+module.exports = {
+    maxArtifactBytes,
+    validateFileName,
+    sha256,
+    saveArtifact,
+    resolveStoragePath,
+    removeArtifact,
+    removeModelDirectory,
+};
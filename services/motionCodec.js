@@ -0,0 +1,237 @@
+/**
+ * 🗜️ Mã hóa nhị phân gọn cho bản ghi chuyển động tay định dạng v1 (xem services/motionFormat.js).
+ *
+ * Cấu trúc (trước khi gzip):
+ *   "MCM" | codec version (1 byte) | flags (1 byte, bit 0: có fps) | [fps float32 LE]
+ *   | số chữ số thập phân lượng tử hóa (1 byte) | số frame (varint)
+ *   Mỗi frame: Δt tính bằng micro-giây (varint) | số bàn tay (1 byte)
+ *     Mỗi bàn tay: handedness (1 byte: 0 = Left, 1 = Right)
+ *       | 63 giá trị x, y, z đã lượng tử hóa, lưu chênh lệch so với cùng bàn tay ở frame trước (zigzag varint)
+ *
+ * Lượng tử hóa 4 chữ số thập phân → sai số tối đa 0.00005 trên toạ độ chuẩn hóa 0..1 của MediaPipe.
+ */
+const zlib = require("zlib");
+const { validateMotionData } = require("./motionFormat");
+
+const MOTION_BINARY_TYPE = "application/vnd.moccam.motion+gzip";
+const MAGIC = "MCM";
+const CODEC_VERSION = 1;
+const QUANT_DECIMALS = 4;
+const HANDEDNESS = ["Left", "Right"];
+const VALUES_PER_HAND = 21 * 3;
+// Chặn gzip bomb khi giải nén dữ liệu tải lên
+const MAX_DECODED_BYTES = 64 * 1024 * 1024;
+
+// ---------- Ghi/đọc byte ----------
+
+class ByteWriter {
+    constructor(size = 1024) {
+        this.buffer = Buffer.alloc(size);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.buffer.length) return;
+        const next = Buffer.alloc(Math.max(this.buffer.length * 2, this.length + extra));
+        this.buffer.copy(next, 0, 0, this.length);
+        this.buffer = next;
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.buffer[this.length++] = value;
+    }
+
+    float32(value) {
+        this.ensure(4);
+        this.buffer.writeFloatLE(value, this.length);
+        this.length += 4;
+    }
+
+    // Số nguyên không âm (dùng phép chia thay vì bitwise để không bị giới hạn 32 bit)
+    varint(value) {
+        let v = value;
+        while (v >= 0x80) {
+            this.byte((v % 0x80) | 0x80);
+            v = Math.floor(v / 0x80);
+        }
+        this.byte(v);
+    }
+
+    svarint(value) {
+        this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    toBuffer() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    byte() {
+        if (this.offset >= this.buffer.length) throw new Error("Dữ liệu nhị phân bị cắt cụt");
+        return this.buffer[this.offset++];
+    }
+
+    float32() {
+        if (this.offset + 4 > this.buffer.length) throw new Error("Dữ liệu nhị phân bị cắt cụt");
+        const value = this.buffer.readFloatLE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    varint() {
+        let value = 0;
+        let multiplier = 1;
+        for (;;) {
+            const b = this.byte();
+            value += (b & 0x7f) * multiplier;
+            if (b < 0x80) return value;
+            multiplier *= 0x80;
+            if (multiplier > 2 ** 49) throw new Error("Varint quá dài");
+        }
+    }
+
+    svarint() {
+        const v = this.varint();
+        return v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+    }
+}
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Mã hóa bản ghi v1 đã chuẩn hóa thành Buffer gzip
+ * @param {object} recording canonical từ validateMotionData
+ * @returns {Buffer}
+ */
+const encodeMotion = (recording) => {
+    const factor = 10 ** QUANT_DECIMALS;
+    const w = new ByteWriter(64 + recording.frames.length * 80);
+
+    for (const c of MAGIC) w.byte(c.charCodeAt(0));
+    w.byte(CODEC_VERSION);
+    const hasFps = recording.fps !== undefined;
+    w.byte(hasFps ? 1 : 0);
+    if (hasFps) w.float32(recording.fps);
+    w.byte(QUANT_DECIMALS);
+    w.varint(recording.frames.length);
+
+    let previousT = 0;
+    const previousHand = { Left: new Array(VALUES_PER_HAND).fill(0), Right: new Array(VALUES_PER_HAND).fill(0) };
+
+    recording.frames.forEach((frame) => {
+        const t = Math.round(frame.t * 1000);
+        w.varint(t - previousT);
+        previousT = t;
+
+        w.byte(frame.hands.length);
+        frame.hands.forEach((hand) => {
+            w.byte(HANDEDNESS.indexOf(hand.handedness));
+            const previous = previousHand[hand.handedness];
+            hand.landmarks.forEach((point, li) => {
+                for (let axis = 0; axis < 3; axis++) {
+                    const k = li * 3 + axis;
+                    const q = Math.round(point[axis] * factor);
+                    w.svarint(q - previous[k]);
+                    previous[k] = q;
+                }
+            });
+        });
+    });
+
+    return zlib.gzipSync(w.toBuffer(), { level: 9 });
+};
+
+/**
+ * Giải mã Buffer gzip về bản ghi v1 (dạng chuẩn như validateMotionData trả về)
+ * @throws {Error} khi dữ liệu không đúng định dạng
+ */
+const decodeMotion = (buffer) => {
+    let raw;
+    try {
+        raw = zlib.gunzipSync(buffer, { maxOutputLength: MAX_DECODED_BYTES });
+    } catch {
+        throw new Error("Dữ liệu không phải gzip hợp lệ hoặc vượt quá kích thước cho phép");
+    }
+
+    const r = new ByteReader(raw);
+    const magic = String.fromCharCode(r.byte(), r.byte(), r.byte());
+    if (magic !== MAGIC) throw new Error("Sai chữ ký định dạng (cần MCM)");
+    const codecVersion = r.byte();
+    if (codecVersion !== CODEC_VERSION) throw new Error(`Không hỗ trợ codec version ${codecVersion}`);
+
+    const flags = r.byte();
+    const fps = flags & 1 ? round6(r.float32()) : undefined;
+    const factor = 10 ** r.byte();
+    const frameCount = r.varint();
+
+    let t = 0;
+    const previousHand = { Left: new Array(VALUES_PER_HAND).fill(0), Right: new Array(VALUES_PER_HAND).fill(0) };
+    const frames = [];
+
+    for (let fi = 0; fi < frameCount; fi++) {
+        t += r.varint();
+        const handCount = r.byte();
+        const hands = [];
+        for (let hi = 0; hi < handCount; hi++) {
+            const handedness = HANDEDNESS[r.byte()];
+            if (!handedness) throw new Error(`Frame ${fi}: handedness không hợp lệ`);
+            const previous = previousHand[handedness];
+            const landmarks = [];
+            for (let li = 0; li < 21; li++) {
+                const point = [];
+                for (let axis = 0; axis < 3; axis++) {
+                    const k = li * 3 + axis;
+                    previous[k] += r.svarint();
+                    point.push(round6(previous[k] / factor));
+                }
+                landmarks.push(point);
+            }
+            hands.push({ handedness, landmarks });
+        }
+        frames.push({ t: round6(t / 1000), hands });
+    }
+
+    if (r.offset !== raw.length) throw new Error("Dư dữ liệu sau frame cuối");
+
+    const recording = { version: 1 };
+    if (fps !== undefined) recording.fps = fps;
+    recording.frames = frames;
+    return recording;
+};
+
+/**
+ * Thống kê dung lượng: kích thước JSON tương đương, kích thước đã mã hóa và tỉ lệ nén
+ */
+const motionStats = (recording, encoded) => {
+    const jsonBytes = Buffer.byteLength(JSON.stringify(recording));
+    return {
+        json_bytes: jsonBytes,
+        encoded_bytes: encoded.length,
+        compression_ratio: Math.round((jsonBytes / encoded.length) * 100) / 100,
+    };
+};
+
+/**
+ * Đọc bản ghi từ một dòng Hand_Motions: ưu tiên motion_blob, nếu chưa có thì thử JSON cũ trong motion_data
+ * @returns {object|null} Bản ghi v1 dạng chuẩn, null nếu là dữ liệu tự do (legacy)
+ */
+const readStoredMotion = (row) => {
+    if (row.motion_blob) return decodeMotion(row.motion_blob);
+    const result = validateMotionData(row.motion_data);
+    return result.valid ? result.canonical : null;
+};
+
+module.exports = {
+    MOTION_BINARY_TYPE,
+    encodeMotion,
+    decodeMotion,
+    motionStats,
+    readStoredMotion,
+};
@@ -0,0 +1,209 @@
+/**
+ * ✋ Định dạng chuẩn (có phiên bản) cho dữ liệu chuyển động tay `Hand_Motions.motion_data`.
+ *
+ * Phiên bản 1:
+ * {
+ *   "version": 1,
+ *   "fps": 30,                                   // tùy chọn
+ *   "frames": [
+ *     { "t": 0, "hands": [                       // t: mili-giây từ đầu bản ghi, tăng dần
+ *       { "handedness": "Right",                 // "Left" | "Right"
+ *         "landmarks": [[x, y, z], ...] }        // đúng 21 điểm theo MediaPipe Hands
+ *     ] }
+ *   ]
+ * }
+ *
+ * Landmark đầu vào có thể là [x, y, z] hoặc { x, y, z }; dạng lưu trữ luôn là [x, y, z].
+ */
+
+const MOTION_FORMAT_VERSION = 1;
+const LANDMARKS_PER_HAND = 21;
+const MAX_HANDS_PER_FRAME = 2;
+const MAX_FRAMES = 20000;
+const MAX_REPORTED_ERRORS = 50;
+const HANDEDNESS = ["Left", "Right"];
+
+// JSON Schema (draft-07) mô tả định dạng, trả cho client qua API
+const MOTION_JSON_SCHEMA = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    $id: "https://moccam.vn/schemas/motion-recording-v1.json",
+    title: "Mộc Cầm hand motion recording",
+    type: "object",
+    required: ["version", "frames"],
+    properties: {
+        version: { const: MOTION_FORMAT_VERSION },
+        fps: { type: "number", exclusiveMinimum: 0, maximum: 240 },
+        frames: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_FRAMES,
+            items: {
+                type: "object",
+                required: ["t", "hands"],
+                properties: {
+                    t: { type: "number", minimum: 0, description: "Mili-giây từ đầu bản ghi, tăng dần" },
+                    hands: {
+                        type: "array",
+                        maxItems: MAX_HANDS_PER_FRAME,
+                        items: {
+                            type: "object",
+                            required: ["handedness", "landmarks"],
+                            properties: {
+                                handedness: { enum: HANDEDNESS },
+                                landmarks: {
+                                    type: "array",
+                                    minItems: LANDMARKS_PER_HAND,
+                                    maxItems: LANDMARKS_PER_HAND,
+                                    items: { type: "array", minItems: 3, maxItems: 3, items: { type: "number" } },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * Kiểm tra một landmark, trả về [x, y, z] hoặc null nếu sai
+ */
+const parseLandmark = (raw, path, errors) => {
+    const values = Array.isArray(raw) ? raw : raw && typeof raw === "object" ? [raw.x, raw.y, raw.z] : null;
+    if (!values || values.length !== 3) {
+        errors.push({ path, message: "Landmark phải là [x, y, z] hoặc { x, y, z }" });
+        return null;
+    }
+    const axis = ["x", "y", "z"];
+    for (let i = 0; i < 3; i++) {
+        if (!isFiniteNumber(values[i])) {
+            errors.push({ path: `${path}.${axis[i]}`, message: "Toạ độ phải là số hữu hạn" });
+            return null;
+        }
+    }
+    return values.map(round);
+};
+
+const normalizeHandedness = (value) => {
+    if (typeof value !== "string") return null;
+    const v = value.trim().toLowerCase();
+    return HANDEDNESS.find((h) => h.toLowerCase() === v) || null;
+};
+
+/**
+ * Kiểm tra và chuẩn hóa dữ liệu chuyển động
+ * @param {string|object} input motion_data (chuỗi JSON hoặc object)
+ * @returns {{ valid: true, canonical: object } | { valid: false, errors: Array<{ path: string, message: string }> }}
+ */
+const validateMotionData = (input) => {
+    let data = input;
+    if (typeof data === "string") {
+        try {
+            data = JSON.parse(data);
+        } catch {
+            return { valid: false, errors: [{ path: "$", message: "motion_data không phải JSON hợp lệ" }] };
+        }
+    }
+
+    const errors = [];
+    const fail = () => ({ valid: false, errors: errors.slice(0, MAX_REPORTED_ERRORS), error_count: errors.length });
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        errors.push({ path: "$", message: "motion_data phải là object" });
+        return fail();
+    }
+    if (data.version !== MOTION_FORMAT_VERSION) {
+        errors.push({ path: "$.version", message: `version phải là ${MOTION_FORMAT_VERSION}` });
+    }
+    if (data.fps !== undefined && (!isFiniteNumber(data.fps) || data.fps <= 0 || data.fps > 240)) {
+        errors.push({ path: "$.fps", message: "fps phải là số trong khoảng (0, 240]" });
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+        errors.push({ path: "$.frames", message: "frames phải là mảng không rỗng" });
+        return fail();
+    }
+    if (data.frames.length > MAX_FRAMES) {
+        errors.push({ path: "$.frames", message: `Tối đa ${MAX_FRAMES} frame` });
+        return fail();
+    }
+
+    const frames = [];
+    let previousT = -Infinity;
+
+    data.frames.forEach((frame, fi) => {
+        const framePath = `$.frames[${fi}]`;
+        if (!frame || typeof frame !== "object") {
+            errors.push({ path: framePath, message: "Frame phải là object" });
+            return;
+        }
+        if (!isFiniteNumber(frame.t) || frame.t < 0) {
+            errors.push({ path: `${framePath}.t`, message: "t phải là số >= 0 (mili-giây)" });
+        } else if (frame.t <= previousT) {
+            errors.push({ path: `${framePath}.t`, message: `t phải tăng dần (frame trước: ${previousT})` });
+        } else {
+            previousT = frame.t;
+        }
+
+        if (!Array.isArray(frame.hands)) {
+            errors.push({ path: `${framePath}.hands`, message: "hands phải là mảng" });
+            return;
+        }
+        if (frame.hands.length > MAX_HANDS_PER_FRAME) {
+            errors.push({ path: `${framePath}.hands`, message: `Tối đa ${MAX_HANDS_PER_FRAME} bàn tay mỗi frame` });
+            return;
+        }
+
+        const seen = new Set();
+        const hands = frame.hands.map((hand, hi) => {
+            const handPath = `${framePath}.hands[${hi}]`;
+            const handedness = normalizeHandedness(hand?.handedness);
+            if (!handedness) {
+                errors.push({ path: `${handPath}.handedness`, message: `handedness phải là ${HANDEDNESS.join(" hoặc ")}` });
+            } else if (seen.has(handedness)) {
+                errors.push({ path: `${handPath}.handedness`, message: `Trùng bàn tay ${handedness} trong cùng frame` });
+            } else {
+                seen.add(handedness);
+            }
+
+            if (!Array.isArray(hand?.landmarks) || hand.landmarks.length !== LANDMARKS_PER_HAND) {
+                errors.push({ path: `${handPath}.landmarks`, message: `Cần đúng ${LANDMARKS_PER_HAND} landmark` });
+                return null;
+            }
+            const landmarks = hand.landmarks.map((lm, li) => parseLandmark(lm, `${handPath}.landmarks[${li}]`, errors));
+            return { handedness, landmarks };
+        });
+
+        frames.push({ t: round(frame.t), hands });
+    });
+
+    if (errors.length > 0) return fail();
+
+    const canonical = { version: MOTION_FORMAT_VERSION };
+    if (data.fps !== undefined) canonical.fps = data.fps;
+    canonical.frames = frames;
+    return { valid: true, canonical };
+};
+
+/**
+ * Tóm tắt bản ghi (số frame, thời lượng, bàn tay xuất hiện) để trả kèm API
+ */
+const describeMotion = (canonical) => {
+    const frames = canonical.frames;
+    const hands = new Set(frames.flatMap((f) => f.hands.map((h) => h.handedness)));
+    return {
+        version: canonical.version,
+        frame_count: frames.length,
+        duration_ms: frames[frames.length - 1].t - frames[0].t,
+        hands: [...hands],
+    };
+};
+
+module.exports = {
+    MOTION_FORMAT_VERSION,
+    MOTION_JSON_SCHEMA,
+    validateMotionData,
+    describeMotion,
+};
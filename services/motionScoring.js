@@ -0,0 +1,257 @@
+/**
+ * 🖐️ Chấm điểm động tác tay: so sánh chuỗi landmark của học viên với động tác mẫu (Hand_Motions).
+ *
+ * Quy trình:
+ *  1. Chuẩn hóa từng frame: dời gốc về cổ tay, chia theo kích thước lòng bàn tay,
+ *     xoay về hệ trục gắn với lòng bàn tay → không phụ thuộc vị trí, cỡ tay, góc camera.
+ *  2. Căn chỉnh thời gian bằng Dynamic Time Warping (DTW) để bỏ qua khác biệt tốc độ.
+ *  3. Tổng hợp sai số theo ngón tay, theo đoạn thời gian và các frame lệch nhiều nhất.
+ *
+ * Frame đầu vào: { t, landmarks: [[x, y, z], ...21 điểm] } (chuẩn MediaPipe Hands),
+ * lấy từ bản ghi định dạng v1 bằng extractFrames().
+ */
+
+// Chỉ số landmark theo MediaPipe Hands
+const WRIST = 0;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+const FINGERS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20],
+};
+
+const DEFAULT_OPTIONS = {
+    maxFrames: 150,     // Lấy mẫu lại mỗi chuỗi tối đa bấy nhiêu frame trước khi chạy DTW
+    windowRatio: 0.25,  // Độ rộng dải Sakoe-Chiba so với độ dài chuỗi
+    tolerance: 0.35,    // Sai số trung bình (đơn vị: chiều dài lòng bàn tay) ứng với ~37 điểm
+    segments: 4,        // Số đoạn thời gian để báo cáo sai số
+    worstFrames: 5,     // Số frame lệch nhiều nhất cần trả về
+};
+
+// ---------- Vector helpers ----------
+
+const toPoint = (p) => (Array.isArray(p) ? { x: +p[0], y: +p[1], z: +(p[2] || 0) } : { x: +p.x, y: +p.y, z: +(p.z || 0) });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const norm = (a) => Math.hypot(a.x, a.y, a.z);
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const distance = (a, b) => norm(sub(a, b));
+
+/**
+ * Bàn tay xuất hiện nhiều nhất trong bản ghi định dạng v1
+ * @param {object} recording Bản ghi đã chuẩn hóa bởi validateMotionData
+ * @returns {string|null} "Left" | "Right"
+ */
+const dominantHand = (recording) => {
+    const counts = {};
+    recording.frames.forEach((f) => f.hands.forEach((h) => {
+        counts[h.handedness] = (counts[h.handedness] || 0) + 1;
+    }));
+    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return sorted.length > 0 ? sorted[0][0] : null;
+};
+
+/**
+ * Lấy chuỗi frame { t, landmarks } của một bàn tay (bỏ qua frame không thấy bàn tay đó)
+ * @param {object} recording Bản ghi định dạng v1 (xem services/motionFormat.js)
+ * @param {string} [handedness] Mặc định: bàn tay xuất hiện nhiều nhất
+ */
+const extractFrames = (recording, handedness = dominantHand(recording)) => {
+    return recording.frames
+        .map((frame) => {
+            const hand = frame.hands.find((h) => h.handedness === handedness);
+            return hand ? { t: frame.t, landmarks: hand.landmarks } : null;
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Chuẩn hóa một frame về hệ trục lòng bàn tay:
+ * gốc = cổ tay, trục Y = cổ tay → gốc ngón giữa, trục X ≈ gốc ngón trỏ → gốc ngón út,
+ * đơn vị = khoảng cách cổ tay → gốc ngón giữa.
+ */
+const normalizeFrame = (landmarks) => {
+    const points = landmarks.map(toPoint);
+    const origin = points[WRIST];
+    const centered = points.map((p) => sub(p, origin));
+
+    const palmLength = norm(centered[MIDDLE_MCP]) || 1;
+    const yAxis = scale(centered[MIDDLE_MCP], 1 / palmLength);
+
+    // Trục X: thành phần vuông góc với Y của vector ngón út → ngón trỏ
+    const across = sub(centered[INDEX_MCP], centered[PINKY_MCP]);
+    let xAxis = sub(across, scale(yAxis, dot(across, yAxis)));
+    const xLen = norm(xAxis);
+    // Tay suy biến (các điểm thẳng hàng) → giữ hướng X gốc của camera
+    xAxis = xLen > 1e-9 ? scale(xAxis, 1 / xLen) : { x: 1, y: 0, z: 0 };
+    const zAxis = cross(xAxis, yAxis);
+
+    return centered.map((p) => ({
+        x: dot(p, xAxis) / palmLength,
+        y: dot(p, yAxis) / palmLength,
+        z: dot(p, zAxis) / palmLength,
+    }));
+};
+
+// Lấy mẫu lại chuỗi về tối đa `count` phần tử, giữ chỉ số gốc để báo cáo
+const resample = (items, count) => {
+    if (items.length <= count) return items.map((item, index) => ({ item, index }));
+    return Array.from({ length: count }, (_, i) => {
+        const index = Math.round((i * (items.length - 1)) / (count - 1));
+        return { item: items[index], index };
+    });
+};
+
+// Sai số từng landmark giữa hai frame đã chuẩn hóa
+const landmarkErrors = (a, b) => a.map((p, i) => distance(p, b[i]));
+const mean = (values) => (values.length === 0 ? 0 : values.reduce((acc, v) => acc + v, 0) / values.length);
+
+/**
+ * Dynamic Time Warping với dải Sakoe-Chiba
+ * @returns {{ path: Array<[number, number]>, cost: number[][] }}
+ */
+const dtw = (ref, att, windowRatio) => {
+    const n = ref.length;
+    const m = att.length;
+    const window = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * windowRatio));
+
+    const cost = Array.from({ length: n }, () => new Array(m).fill(Infinity));
+    const acc = Array.from({ length: n + 1 }, () => new Float64Array(m + 1).fill(Infinity));
+    acc[0][0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+        const from = Math.max(1, i - window);
+        const to = Math.min(m, i + window);
+        for (let j = from; j <= to; j++) {
+            const d = mean(landmarkErrors(ref[i - 1], att[j - 1]));
+            cost[i - 1][j - 1] = d;
+            acc[i][j] = d + Math.min(acc[i - 1][j], acc[i][j - 1], acc[i - 1][j - 1]);
+        }
+    }
+
+    // Truy vết đường căn chỉnh tối ưu
+    const path = [];
+    let i = n;
+    let j = m;
+    while (i > 0 && j > 0) {
+        path.push([i - 1, j - 1]);
+        const diag = acc[i - 1][j - 1];
+        const up = acc[i - 1][j];
+        const left = acc[i][j - 1];
+        if (diag <= up && diag <= left) {
+            i--;
+            j--;
+        } else if (up <= left) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+    path.reverse();
+    return { path, cost };
+};
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+const toScore = (error, tolerance) => round(100 * Math.exp(-error / tolerance), 2);
+
+/**
+ * So sánh bài làm với động tác mẫu
+ * @param {object[]} referenceFrames Frame của động tác mẫu
+ * @param {object[]} attemptFrames Frame học viên ghi được
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+ * @returns {{
+ *   score: number,
+ *   mean_error: number,
+ *   fingers: Object<string, { error: number, score: number }>,
+ *   segments: Array<{ segment: number, reference_from: number, reference_to: number, error: number, score: number }>,
+ *   worst_frames: Array<{ reference_index: number, attempt_index: number, reference_t: number|null, attempt_t: number|null, error: number, worst_finger: string }>,
+ *   tempo_ratio: number|null,
+ *   aligned_pairs: number
+ * }}
+ */
+const scoreAttempt = (referenceFrames, attemptFrames, options = {}) => {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+
+    const ref = resample(referenceFrames, opts.maxFrames).map(({ item, index }) => ({ index, t: item.t ?? null, points: normalizeFrame(item.landmarks) }));
+    const att = resample(attemptFrames, opts.maxFrames).map(({ item, index }) => ({ index, t: item.t ?? null, points: normalizeFrame(item.landmarks) }));
+
+    const { path } = dtw(ref.map((f) => f.points), att.map((f) => f.points), opts.windowRatio);
+
+    const fingerTotals = Object.fromEntries(Object.keys(FINGERS).map((name) => [name, []]));
+    const segmentTotals = Array.from({ length: opts.segments }, () => []);
+    const pairs = path.map(([ri, ai]) => {
+        const errors = landmarkErrors(ref[ri].points, att[ai].points);
+        const fingerErrors = Object.fromEntries(
+            Object.entries(FINGERS).map(([name, indices]) => [name, mean(indices.map((k) => errors[k]))])
+        );
+        Object.entries(fingerErrors).forEach(([name, e]) => fingerTotals[name].push(e));
+
+        const error = mean(errors);
+        const segment = Math.min(opts.segments - 1, Math.floor((ri / ref.length) * opts.segments));
+        segmentTotals[segment].push(error);
+
+        const worstFinger = Object.entries(fingerErrors).sort((a, b) => b[1] - a[1])[0][0];
+        return { ri, ai, error, worstFinger };
+    });
+
+    const meanError = mean(pairs.map((p) => p.error));
+
+    const fingers = Object.fromEntries(
+        Object.entries(fingerTotals).map(([name, values]) => {
+            const e = mean(values);
+            return [name, { error: round(e), score: toScore(e, opts.tolerance) }];
+        })
+    );
+
+    const lastRefIndex = referenceFrames.length - 1;
+    const segments = segmentTotals.map((values, k) => {
+        const e = mean(values);
+        return {
+            segment: k + 1,
+            reference_from: Math.round((k * lastRefIndex) / opts.segments),
+            reference_to: Math.round(((k + 1) * lastRefIndex) / opts.segments),
+            error: round(e),
+            score: toScore(e, opts.tolerance),
+        };
+    });
+
+    const worstFrames = [...pairs]
+        .sort((a, b) => b.error - a.error)
+        .slice(0, opts.worstFrames)
+        .map((p) => ({
+            reference_index: ref[p.ri].index,
+            attempt_index: att[p.ai].index,
+            reference_t: ref[p.ri].t,
+            attempt_t: att[p.ai].t,
+            error: round(p.error),
+            worst_finger: p.worstFinger,
+        }));
+
+    // Tỉ lệ tốc độ: > 1 nghĩa là học viên chơi chậm hơn mẫu
+    const duration = (frames) => {
+        const first = frames[0]?.t;
+        const last = frames[frames.length - 1]?.t;
+        return typeof first === "number" && typeof last === "number" ? last - first : null;
+    };
+    const refDuration = duration(referenceFrames);
+    const attDuration = duration(attemptFrames);
+    const tempoRatio = refDuration && attDuration !== null ? round(attDuration / refDuration, 3) : null;
+
+    return {
+        score: toScore(meanError, opts.tolerance),
+        mean_error: round(meanError),
+        fingers,
+        segments,
+        worst_frames: worstFrames,
+        tempo_ratio: tempoRatio,
+        aligned_pairs: pairs.length,
+    };
+};
+
+module.exports = { dominantHand, extractFrames, normalizeFrame, dtw, scoreAttempt, FINGERS };
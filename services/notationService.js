@@ -0,0 +1,559 @@
+/**
+ * 🎼 Chuyển đổi ký âm cho đàn tranh: Hò Xự Xang (ký âm cổ truyền), số (giản phổ) và khuông nhạc (tên nốt),
+ * xuất ABC và MusicXML để client vẽ bản nhạc.
+ *
+ * Cả ba hệ dùng chung cú pháp văn bản: các token cách nhau bởi khoảng trắng, mỗi token là
+ * `cao-độ[:trường-độ]` (trường độ tính theo phách đen, mặc định 1; vd. `:2`, `:1/2`, `:3/2`),
+ * `|` là vạch nhịp, `-` kéo dài nốt trước thêm một phách.
+ *
+ *   ho_xu_xang: hò xự xang xê cống, quãng tám trên líu ú xáng xế cộng; `'` lên / `,` xuống một quãng tám,
+ *               `+` nhấn lên nửa cung (nốt ngoài thang âm); `z` là dấu lặng. Không dấu: ho xu xang xe cong liu u.
+ *   numbered:   1-7 theo gam trưởng của chủ âm, `#`/`b` đứng trước, `'` / `,` đổi quãng tám; `0` là dấu lặng.
+ *   staff:      tên nốt kèm quãng tám (C4, Eb4, F#5); `z` là dấu lặng.
+ *
+ * Hò Xự Xang và giản phổ là ký âm tương đối: cao độ thực phụ thuộc chủ âm (cao độ của Hò khi lên dây) và điệu.
+ * Mọi hệ đều được đọc về một chuỗi nốt có cao độ MIDI, rồi viết lại sang hệ đích.
+ */
+
+const NOTATION_SYSTEMS = {
+    ho_xu_xang: "Hò Xự Xang",
+    numbered: "Ký âm số (giản phổ)",
+    staff: "Khuông nhạc (tên nốt)",
+};
+
+const OUTPUT_FORMATS = [...Object.keys(NOTATION_SYSTEMS), "abc", "musicxml"];
+
+// Khoảng cách (nửa cung) từ Hò tới Xự, Xang, Xê, Cống theo điệu; là xấp xỉ bình quân của thang âm ngũ cung
+const MODE_SCALES = {
+    bac: [0, 2, 5, 7, 9],
+    nam: [0, 3, 5, 7, 10],
+    oan: [0, 3, 5, 7, 9],
+};
+
+const BASE_NAMES = ["hò", "xự", "xang", "xê", "cống"];
+const UPPER_NAMES = ["líu", "ú", "xáng", "xế", "cộng"];
+const ASCII_NAMES = { ho: 0, xu: 1, xang: 2, xe: 3, cong: 4, liu: 5, u: 6 };
+
+const NUMBERED_DEGREES = [0, 2, 4, 5, 7, 9, 11];
+const NUMBERED_SPELLING = ["1", "#1", "2", "b3", "3", "4", "#4", "5", "b6", "6", "b7", "7"];
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const STAFF_SPELLING = [["C", 0], ["C", 1], ["D", 0], ["E", -1], ["E", 0], ["F", 0], ["F", 1], ["G", 0], ["A", -1], ["A", 0], ["B", -1], ["B", 0]];
+
+const DEFAULT_TONIC = "C4";
+const DEFAULT_METER = "4/4";
+const MAX_SOURCE_LENGTH = 20000;
+const MAX_NOTES = 5000;
+const MAX_REPORTED_ERRORS = 50;
+const MIN_MIDI = 21;
+const MAX_MIDI = 108;
+
+// ---------- Phân số (trường độ tính theo phách đen) ----------
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+const lcm = (a, b) => (a / gcd(a, b)) * b;
+const fraction = (num, den = 1) => {
+    const d = gcd(num, den) || 1;
+    return [num / d, den / d];
+};
+const addFractions = (a, b) => fraction(a[0] * b[1] + b[0] * a[1], a[1] * b[1]);
+const subtractFractions = (a, b) => fraction(a[0] * b[1] - b[0] * a[1], a[1] * b[1]);
+const compareFractions = (a, b) => a[0] * b[1] - b[0] * a[1];
+const ONE = [1, 1];
+
+const parseDuration = (text) => {
+    if (text === undefined) return ONE;
+    const match = /^(\d+)(?:\/(\d+))?$/.exec(text);
+    if (!match) return null;
+    const num = Number(match[1]);
+    const den = match[2] ? Number(match[2]) : 1;
+    if (num === 0 || den === 0 || num > 64 || den > 64 || (den & (den - 1)) !== 0) return null;
+    return fraction(num, den);
+};
+
+const formatDuration = ([num, den]) => (num === 1 && den === 1 ? "" : `:${den === 1 ? num : `${num}/${den}`}`);
+
+// ---------- Cao độ ----------
+
+/**
+ * "Eb4" → 63; trả về null nếu sai định dạng
+ */
+const parsePitchName = (text) => {
+    const match = /^([A-Ga-g])(##|#|bb|b)?(-?\d)$/.exec(String(text || "").trim());
+    if (!match) return null;
+    const alter = { "#": 1, "##": 2, b: -1, bb: -2 }[match[2]] || 0;
+    const midi = (Number(match[3]) + 1) * 12 + STEP_SEMITONES[match[1].toUpperCase()] + alter;
+    return midi >= MIN_MIDI && midi <= MAX_MIDI ? midi : null;
+};
+
+const spellPitch = (midi) => {
+    const [step, alter] = STAFF_SPELLING[((midi % 12) + 12) % 12];
+    return { step, alter, octave: Math.floor(midi / 12) - 1 };
+};
+
+const pitchName = (midi) => {
+    const { step, alter, octave } = spellPitch(midi);
+    return `${step}${alter === 1 ? "#" : alter === -1 ? "b" : ""}${octave}`;
+};
+
+const octaveMarks = (octave) => (octave > 0 ? "'".repeat(octave) : ",".repeat(-octave));
+
+const splitOctaveMarks = (text) => {
+    const match = /^(.*?)(['’,]*)$/.exec(text);
+    const marks = match[2];
+    return { body: match[1], octave: (marks.match(/['’]/g) || []).length - (marks.match(/,/g) || []).length };
+};
+
+// ---------- Đọc từng hệ ký âm ----------
+
+// Mỗi hàm trả về cao độ MIDI, "rest", hoặc null nếu token không hợp lệ
+const PITCH_READERS = {
+    ho_xu_xang: (text, { tonic, scale }) => {
+        if (text === "z") return "rest";
+        const raised = (/\++$/.exec(text) || [""])[0].length;
+        const { body, octave } = splitOctaveMarks(text.slice(0, text.length - raised));
+        const name = body.normalize("NFC");
+        let index = BASE_NAMES.indexOf(name);
+        if (index === -1 && UPPER_NAMES.includes(name)) index = UPPER_NAMES.indexOf(name) + 5;
+        if (index === -1 && ASCII_NAMES[name] !== undefined) index = ASCII_NAMES[name];
+        if (index === -1 || raised > 2) return null;
+        const step = index + octave * 5;
+        const octaves = Math.floor(step / 5);
+        return tonic + octaves * 12 + scale[step - octaves * 5] + raised;
+    },
+    numbered: (text, { tonic }) => {
+        if (text === "0" || text === "z") return "rest";
+        const { body, octave } = splitOctaveMarks(text);
+        const match = /^(#|b)?([1-7])$/.exec(body);
+        if (!match) return null;
+        const alter = match[1] === "#" ? 1 : match[1] === "b" ? -1 : 0;
+        return tonic + octave * 12 + NUMBERED_DEGREES[Number(match[2]) - 1] + alter;
+    },
+    staff: (text) => (text === "z" ? "rest" : parsePitchName(text)),
+};
+
+/**
+ * Đọc văn bản ký âm thành chuỗi sự kiện { kind: "note", midi, duration } | { kind: "rest", duration } | { kind: "bar" }
+ * @param {{ tonic: number, mode: string }} context tonic là cao độ MIDI của Hò / bậc 1
+ * @returns {{ valid: true, events: object[] } | { valid: false, errors: object[], error_count: number }}
+ */
+const parseNotation = (source, system, { tonic, mode }) => {
+    const text = String(source ?? "");
+    if (!text.trim()) return { valid: false, errors: [{ index: 0, token: "", message: "Bản nhạc trống" }], error_count: 1 };
+    if (text.length > MAX_SOURCE_LENGTH) {
+        return { valid: false, errors: [{ index: 0, token: "", message: `Bản nhạc tối đa ${MAX_SOURCE_LENGTH} ký tự` }], error_count: 1 };
+    }
+
+    const readPitch = PITCH_READERS[system];
+    const context = { tonic, scale: MODE_SCALES[mode] };
+    const tokens = text.toLowerCase().split(/\s+/).filter(Boolean);
+    // Tên nốt khuông nhạc phân biệt hoa thường ở chữ "b" (giáng), nên đọc token gốc
+    const original = system === "staff" ? text.split(/\s+/).filter(Boolean) : tokens;
+    const events = [];
+    const errors = [];
+    let noteCount = 0;
+
+    tokens.forEach((token, index) => {
+        const fail = (message) => errors.push({ index, token: original[index], message });
+
+        if (/^[|:\]]*\|[|:\]]*$/.test(token)) {
+            if (events.length > 0 && events[events.length - 1].kind !== "bar") events.push({ kind: "bar" });
+            return;
+        }
+        if (/^-+$/.test(token)) {
+            const last = events[events.length - 1];
+            if (!last || last.kind === "bar") return fail("Dấu - phải đứng ngay sau một nốt hoặc dấu lặng");
+            last.duration = addFractions(last.duration, [token.length, 1]);
+            return;
+        }
+
+        const [pitchText, durationText, extra] = original[index].split(":");
+        const duration = parseDuration(durationText);
+        if (extra !== undefined || !duration) return fail("Trường độ không hợp lệ (vd. :2, :1/2, :3/2; mẫu số là lũy thừa của 2)");
+
+        const pitch = readPitch(system === "staff" ? pitchText : pitchText.toLowerCase(), context);
+        if (pitch === null) return fail(`Không đọc được nốt theo hệ ${NOTATION_SYSTEMS[system]}`);
+        if (pitch === "rest") {
+            events.push({ kind: "rest", duration });
+            return;
+        }
+        if (pitch < MIN_MIDI || pitch > MAX_MIDI) return fail("Cao độ nằm ngoài âm vực cho phép");
+        if (++noteCount > MAX_NOTES) return fail(`Bản nhạc tối đa ${MAX_NOTES} nốt`);
+        events.push({ kind: "note", midi: pitch, duration });
+    });
+
+    if (errors.length > 0) return { valid: false, errors: errors.slice(0, MAX_REPORTED_ERRORS), error_count: errors.length };
+    if (events.length > 0 && events[events.length - 1].kind === "bar") events.pop();
+    if (!events.some((e) => e.kind !== "bar")) {
+        return { valid: false, errors: [{ index: 0, token: "", message: "Bản nhạc không có nốt nào" }], error_count: 1 };
+    }
+    return { valid: true, events };
+};
+
+// ---------- Viết lại sang hệ ký âm ----------
+
+// Mỗi hàm viết cao độ MIDI thành tên nốt (không kèm trường độ); ghi nhận số nốt phải nhấn vào stats
+const PITCH_WRITERS = {
+    ho_xu_xang: (midi, { tonic, scale }, stats) => {
+        const relative = midi - tonic;
+        const octave = Math.floor(relative / 12);
+        const within = relative - octave * 12;
+        let degree = scale.length - 1;
+        while (scale[degree] > within) degree--;
+        const raised = within - scale[degree];
+        if (raised > 0) stats.raised++;
+        const name = octave >= 1 ? UPPER_NAMES[degree] + octaveMarks(octave - 1) : BASE_NAMES[degree] + octaveMarks(octave);
+        return name + "+".repeat(raised);
+    },
+    numbered: (midi, { tonic }) => {
+        const relative = midi - tonic;
+        const octave = Math.floor(relative / 12);
+        return NUMBERED_SPELLING[relative - octave * 12] + octaveMarks(octave);
+    },
+    staff: (midi) => pitchName(midi),
+};
+
+const REST_TOKENS = { ho_xu_xang: "z", numbered: "0", staff: "z" };
+
+/**
+ * Viết chuỗi sự kiện sang văn bản của một hệ ký âm
+ * @returns {{ text: string, raised_notes: number }} raised_notes: số nốt ngoài thang âm của điệu (phải nhấn)
+ */
+const writeNotation = (events, system, { tonic, mode }) => {
+    const context = { tonic, scale: MODE_SCALES[mode] };
+    const stats = { raised: 0 };
+    const tokens = events.map((event) => {
+        if (event.kind === "bar") return "|";
+        const pitch = event.kind === "rest" ? REST_TOKENS[system] : PITCH_WRITERS[system](event.midi, context, stats);
+        return pitch + formatDuration(event.duration);
+    });
+    return { text: tokens.join(" "), raised_notes: stats.raised };
+};
+
+/**
+ * Dịch giọng: đổi chủ âm, mọi nốt dịch theo cùng khoảng cách (ký âm tương đối giữ nguyên, cao độ thực thay đổi)
+ */
+const transposeEvents = (events, semitones) =>
+    events.map((event) => (event.kind === "note" ? { ...event, midi: event.midi + semitones } : event));
+
+// ---------- Chia ô nhịp ----------
+
+const parseMeter = (text) => {
+    const match = /^(\d{1,2})\/(1|2|4|8|16)$/.exec(String(text || DEFAULT_METER).trim());
+    if (!match || Number(match[1]) === 0) return null;
+    return { beats: Number(match[1]), beatType: Number(match[2]) };
+};
+
+/**
+ * Chia sự kiện thành các ô nhịp. Có vạch nhịp trong bản gốc thì giữ nguyên; nếu không, tự chia theo nhịp
+ * và tách nốt vắt qua vạch nhịp thành các nốt nối (tie).
+ * @returns {object[][]} Mỗi ô nhịp là mảng nốt/dấu lặng; nốt có thể mang tieStart/tieStop
+ */
+const toMeasures = (events, meter) => {
+    if (events.some((e) => e.kind === "bar")) {
+        return events.reduce((measures, event) => {
+            if (event.kind === "bar") measures.push([]);
+            else measures[measures.length - 1].push({ ...event });
+            return measures;
+        }, [[]]).filter((m) => m.length > 0);
+    }
+
+    const capacity = fraction(meter.beats * 4, meter.beatType);
+    const measures = [[]];
+    let used = [0, 1];
+    for (const event of events) {
+        let remaining = event.duration;
+        let continued = false;
+        while (compareFractions(remaining, [0, 1]) > 0) {
+            const room = subtractFractions(capacity, used);
+            const piece = compareFractions(remaining, room) <= 0 ? remaining : room;
+            remaining = subtractFractions(remaining, piece);
+            const note = { ...event, duration: piece };
+            if (event.kind === "note") {
+                if (continued) note.tieStop = true;
+                if (compareFractions(remaining, [0, 1]) > 0) note.tieStart = true;
+            }
+            measures[measures.length - 1].push(note);
+            continued = true;
+            used = addFractions(used, piece);
+            if (compareFractions(used, capacity) === 0) {
+                measures.push([]);
+                used = [0, 1];
+            }
+        }
+    }
+    return measures.filter((m) => m.length > 0);
+};
+
+/**
+ * Theo dõi dấu hóa bất thường trong ô nhịp: chỉ ghi dấu khi khác với dấu đang hiệu lực của nốt cùng tên, cùng quãng tám
+ */
+const accidentalTracker = () => {
+    let current = new Map();
+    return {
+        reset: () => { current = new Map(); },
+        need: ({ step, alter, octave }) => {
+            const key = `${step}${octave}`;
+            if ((current.get(key) ?? 0) === alter) return null;
+            current.set(key, alter);
+            return alter;
+        },
+    };
+};
+
+// ---------- ABC ----------
+
+const ABC_ACCIDENTALS = { "-2": "__", "-1": "_", 0: "=", 1: "^", 2: "^^" };
+
+const abcPitch = (midi, accidentals) => {
+    const spelled = spellPitch(midi);
+    const accidental = accidentals.need(spelled);
+    const prefix = accidental === null ? "" : ABC_ACCIDENTALS[accidental];
+    const letter = spelled.octave >= 5 ? spelled.step.toLowerCase() : spelled.step;
+    const marks = spelled.octave >= 5 ? "'".repeat(spelled.octave - 5) : ",".repeat(4 - spelled.octave);
+    return prefix + letter + marks;
+};
+
+// Độ dài nốt ABC với L:1/4 (trùng với trường độ tính theo phách đen)
+const abcLength = ([num, den]) => (den === 1 ? (num === 1 ? "" : String(num)) : `${num === 1 ? "" : num}/${den}`);
+
+/**
+ * Xuất ABC (ABC 2.1, L:1/4, khóa C và dấu hóa ghi trực tiếp trên từng nốt)
+ * @param {string[]} [lyrics] Chữ dưới mỗi nốt (vd. tên Hò Xự Xang), theo thứ tự nốt
+ */
+const toAbc = (events, { title, meter, tempo, lyrics }) => {
+    const accidentals = accidentalTracker();
+    const words = [];
+    let noteIndex = 0;
+    const body = toMeasures(events, meter).map((measure) => {
+        accidentals.reset();
+        return measure.map((event) => {
+            if (event.kind === "rest") return `z${abcLength(event.duration)}`;
+            if (lyrics) words.push(event.tieStop ? "*" : lyrics[noteIndex++]);
+            return abcPitch(event.midi, accidentals) + abcLength(event.duration) + (event.tieStart ? "-" : "");
+        }).join(" ");
+    }).join(" | ");
+
+    const header = [
+        "X:1",
+        `T:${(title || "Untitled").replace(/[\r\n]+/g, " ")}`,
+        `M:${meter.beats}/${meter.beatType}`,
+        "L:1/4",
+        tempo ? `Q:1/4=${tempo}` : null,
+        "K:C",
+    ].filter(Boolean);
+    const lines = [...header, `${body} |]`];
+    if (lyrics) lines.push(`w:${words.map((w) => w.replace(/[\s-]+/g, "~")).join(" ")}`);
+    return `${lines.join("\n")}\n`;
+};
+
+// ---------- MusicXML ----------
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Trường độ (phách đen) → loại nốt MusicXML và số chấm dôi
+const NOTE_TYPES = [
+    [[4, 1], "whole", 0], [[3, 1], "half", 1], [[2, 1], "half", 0], [[3, 2], "quarter", 1], [[1, 1], "quarter", 0],
+    [[3, 4], "eighth", 1], [[1, 2], "eighth", 0], [[3, 8], "16th", 1], [[1, 4], "16th", 0], [[1, 8], "32nd", 0],
+    [[1, 16], "64th", 0], [[6, 1], "whole", 1],
+];
+
+const XML_ACCIDENTALS = { "-2": "flat-flat", "-1": "flat", 0: "natural", 1: "sharp", 2: "double-sharp" };
+
+/**
+ * Xuất MusicXML 4.0 (score-partwise, một bè)
+ * @param {string[]} [lyrics] Chữ dưới mỗi nốt, theo thứ tự nốt
+ */
+const toMusicXml = (events, { title, meter, tempo, lyrics }) => {
+    const measures = toMeasures(events, meter);
+    const divisions = measures.flat().reduce((acc, e) => lcm(acc, e.duration[1]), 1);
+    const accidentals = accidentalTracker();
+    let noteIndex = 0;
+
+    const measureXml = measures.map((measure, index) => {
+        accidentals.reset();
+        const parts = [`    <measure number="${index + 1}">`];
+        if (index === 0) {
+            parts.push(
+                "      <attributes>",
+                `        <divisions>${divisions}</divisions>`,
+                "        <key><fifths>0</fifths></key>",
+                `        <time><beats>${meter.beats}</beats><beat-type>${meter.beatType}</beat-type></time>`,
+                "        <clef><sign>G</sign><line>2</line></clef>",
+                "      </attributes>"
+            );
+            if (tempo) {
+                parts.push(
+                    '      <direction placement="above"><direction-type><metronome>'
+                    + `<beat-unit>quarter</beat-unit><per-minute>${tempo}</per-minute></metronome></direction-type>`
+                    + `<sound tempo="${tempo}"/></direction>`
+                );
+            }
+        }
+
+        for (const event of measure) {
+            const [num, den] = event.duration;
+            const type = NOTE_TYPES.find(([d]) => compareFractions(d, event.duration) === 0);
+            const note = ["      <note>"];
+            let accidental = null;
+            if (event.kind === "rest") {
+                note.push("        <rest/>");
+            } else {
+                const spelled = spellPitch(event.midi);
+                accidental = accidentals.need(spelled);
+                note.push(
+                    `        <pitch><step>${spelled.step}</step>${spelled.alter ? `<alter>${spelled.alter}</alter>` : ""}`
+                    + `<octave>${spelled.octave}</octave></pitch>`
+                );
+            }
+            note.push(`        <duration>${(num * divisions) / den}</duration>`);
+            if (event.tieStop) note.push('        <tie type="stop"/>');
+            if (event.tieStart) note.push('        <tie type="start"/>');
+            note.push("        <voice>1</voice>");
+            if (type) {
+                note.push(`        <type>${type[1]}</type>`);
+                if (type[2]) note.push("        <dot/>");
+            }
+            if (accidental !== null) note.push(`        <accidental>${XML_ACCIDENTALS[accidental]}</accidental>`);
+            if (event.tieStart || event.tieStop) {
+                const tied = [event.tieStop && '<tied type="stop"/>', event.tieStart && '<tied type="start"/>'].filter(Boolean);
+                note.push(`        <notations>${tied.join("")}</notations>`);
+            }
+            if (event.kind === "note" && lyrics && !event.tieStop) {
+                note.push(`        <lyric number="1"><syllabic>single</syllabic><text>${escapeXml(lyrics[noteIndex++])}</text></lyric>`);
+            }
+            note.push("      </note>");
+            parts.push(...note);
+        }
+        if (index === measures.length - 1) {
+            parts.push('      <barline location="right"><bar-style>light-heavy</bar-style></barline>');
+        }
+        parts.push("    </measure>");
+        return parts.join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+        '<score-partwise version="4.0">',
+        `  <work><work-title>${escapeXml(title || "Untitled")}</work-title></work>`,
+        '  <part-list><score-part id="P1"><part-name>Đàn tranh</part-name></score-part></part-list>',
+        '  <part id="P1">',
+        ...measureXml,
+        "  </part>",
+        "</score-partwise>",
+        "",
+    ].join("\n");
+};
+
+// ---------- Chuyển đổi ----------
+
+/**
+ * Kiểm tra tham số chuyển đổi
+ * @param {{ from, to, tonic?, mode?, transpose_to?, meter?, tempo?, lyrics?, title? }} body
+ * @returns {{ error: string } | { options: object }}
+ */
+const parseConvertOptions = (body) => {
+    if (!NOTATION_SYSTEMS[body.from]) return { error: `from phải là một trong: ${Object.keys(NOTATION_SYSTEMS).join(", ")}` };
+    if (!OUTPUT_FORMATS.includes(body.to)) return { error: `to phải là một trong: ${OUTPUT_FORMATS.join(", ")}` };
+
+    const mode = body.mode || "bac";
+    if (!MODE_SCALES[mode]) return { error: `mode phải là một trong: ${Object.keys(MODE_SCALES).join(", ")}` };
+    const tonic = parsePitchName(body.tonic || DEFAULT_TONIC);
+    if (tonic === null) return { error: "tonic phải là tên nốt kèm quãng tám, vd. C4, D4, Bb3" };
+    const target = body.transpose_to ? parsePitchName(body.transpose_to) : tonic;
+    if (target === null) return { error: "transpose_to phải là tên nốt kèm quãng tám, vd. D4" };
+    const meter = parseMeter(body.meter);
+    if (!meter) return { error: "meter phải có dạng 2/4, 3/4, 4/4, 6/8..." };
+
+    let tempo = null;
+    if (body.tempo !== undefined && body.tempo !== null && body.tempo !== "") {
+        tempo = Number(body.tempo);
+        if (!Number.isInteger(tempo) || tempo < 20 || tempo > 300) return { error: "tempo phải là số nguyên từ 20 đến 300 (phách/phút)" };
+    }
+    const lyrics = body.lyrics || null;
+    if (lyrics !== null && !["ho_xu_xang", "numbered"].includes(lyrics)) {
+        return { error: "lyrics (chữ dưới nốt khi xuất abc/musicxml) phải là ho_xu_xang hoặc numbered" };
+    }
+
+    return {
+        options: {
+            from: body.from,
+            to: body.to,
+            mode,
+            tonic,
+            target,
+            meter,
+            tempo,
+            lyrics,
+            title: typeof body.title === "string" ? body.title.trim().slice(0, 200) : null,
+        },
+    };
+};
+
+/**
+ * Đọc bản nhạc theo hệ nguồn, dịch giọng (nếu có) và xuất sang định dạng đích
+ * @returns {{ valid: false, errors: object[], error_count: number } | { valid: true, output: string, ... }}
+ */
+const convertNotation = (source, options) => {
+    const parsed = parseNotation(source, options.from, { tonic: options.tonic, mode: options.mode });
+    if (!parsed.valid) return parsed;
+
+    const semitones = options.target - options.tonic;
+    const events = transposeEvents(parsed.events, semitones);
+    const context = { tonic: options.target, mode: options.mode };
+    const warnings = [];
+    let output;
+
+    if (NOTATION_SYSTEMS[options.to]) {
+        const written = writeNotation(events, options.to, context);
+        output = written.text;
+        if (written.raised_notes > 0) {
+            warnings.push(`${written.raised_notes} nốt nằm ngoài thang âm điệu ${options.mode}, được ghi kèm dấu + (nhấn lên)`);
+        }
+    } else {
+        const lyrics = options.lyrics
+            ? events.filter((e) => e.kind === "note").map((e) => PITCH_WRITERS[options.lyrics](e.midi, { tonic: context.tonic, scale: MODE_SCALES[context.mode] }, { raised: 0 }))
+            : undefined;
+        const render = options.to === "abc" ? toAbc : toMusicXml;
+        output = render(events, { title: options.title, meter: options.meter, tempo: options.tempo, lyrics });
+    }
+
+    const notes = events.filter((e) => e.kind === "note");
+    return {
+        valid: true,
+        output,
+        from: options.from,
+        to: options.to,
+        mode: options.mode,
+        tonic: pitchName(options.target),
+        transposed_by: semitones,
+        note_count: notes.length,
+        range: notes.length > 0
+            ? { lowest: pitchName(Math.min(...notes.map((e) => e.midi))), highest: pitchName(Math.max(...notes.map((e) => e.midi))) }
+            : null,
+        warnings,
+    };
+};
+
+module.exports = {
+    NOTATION_SYSTEMS,
+    OUTPUT_FORMATS,
+    MODE_SCALES,
+    DEFAULT_TONIC,
+    DEFAULT_METER,
+    MAX_SOURCE_LENGTH,
+    parsePitchName,
+    pitchName,
+    parseNotation,
+    writeNotation,
+    transposeEvents,
+    toAbc,
+    toMusicXml,
+    parseConvertOptions,
+    convertNotation,
+};
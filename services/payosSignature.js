@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+require("dotenv").config();
+
+/**
+ * ✍️ Chuỗi hóa object theo đúng quy tắc của PayOS:
+ * sắp xếp key theo thứ tự alphabet, null/undefined → chuỗi rỗng, mảng → JSON.
+ */
+const toSignableString = (data) => {
+    return Object.keys(data)
+        .sort()
+        .filter((key) => data[key] !== undefined)
+        .map((key) => {
+            let value = data[key];
+            if (Array.isArray(value)) {
+                value = JSON.stringify(value.map((item) => sortObjectByKey(item)));
+            }
+            if ([null, undefined, "undefined", "null"].includes(value)) {
+                value = "";
+            }
+            return `${key}=${value}`;
+        })
+        .join("&");
+};
+
+const sortObjectByKey = (obj) => {
+    if (!obj || typeof obj !== "object") return obj;
+    return Object.keys(obj).sort().reduce((acc, key) => {
+        acc[key] = obj[key];
+        return acc;
+    }, {});
+};
+
+/**
+ * 🔏 Tạo chữ ký HMAC-SHA256 cho phần `data` của webhook
+ * @param {object} data Phần `data` trong body webhook
+ * @param {string} [checksumKey] Mặc định lấy từ PAYOS_CHECKSUM_KEY
+ */
+const createSignature = (data, checksumKey = process.env.PAYOS_CHECKSUM_KEY) => {
+    if (!data || !checksumKey) return null;
+    return crypto.createHmac("sha256", checksumKey).update(toSignableString(data)).digest("hex");
+};
+
+/**
+ * 🛡️ Kiểm tra chữ ký webhook PayOS (so sánh an toàn theo thời gian)
+ * @param {{ data: object, signature: string }} body Body webhook nhận được
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = (body, checksumKey = process.env.PAYOS_CHECKSUM_KEY) => {
+    if (!body?.data || typeof body.signature !== "string") return false;
+
+    const expected = createSignature(body.data, checksumKey);
+    if (!expected) return false;
+
+    const expectedBuf = Buffer.from(expected, "hex");
+    const receivedBuf = Buffer.from(body.signature, "hex");
+    if (expectedBuf.length !== receivedBuf.length) return false;
+
+    return crypto.timingSafeEqual(expectedBuf, receivedBuf);
+};
+
+/**
+ * 🧪 Giả lập PayOS: dựng body webhook đã ký để test local
+ * @param {object} data Dữ liệu giao dịch (orderCode, amount, code, ...)
+ */
+const buildSignedWebhook = (data, checksumKey = process.env.PAYOS_CHECKSUM_KEY) => {
+    const success = data.code === "00";
+    return {
+        code: data.code,
+        desc: success ? "success" : data.desc || "failed",
+        success,
+        data,
+        signature: createSignature(data, checksumKey),
+    };
+};
+
+module.exports = { createSignature, verifyWebhookSignature, buildSignedWebhook };
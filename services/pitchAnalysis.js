@@ -0,0 +1,298 @@
+/**
+ * 🎤 Phân tích cao độ bản thu ngắn (WAV hoặc PCM thô) phía máy chủ, thuần JavaScript.
+ *
+ * Cao độ được dò bằng thuật toán YIN (de Cheveigné & Kawahara, 2002) trên từng khung, bỏ qua khung lặng.
+ * Bản thu được hạ tần số lấy mẫu về gần analysisRate và chỉ phân tích tối đa maxFrames khung, nên khối lượng
+ * tính toán của một request có giới hạn bất kể tần số lấy mẫu gốc.
+ * Chu kỳ ngắn hơn MIN_SAMPLES_PER_PERIOD mẫu thì nội suy không còn chính xác (1900 Hz lấy mẫu 8 kHz lệch hơn 50 cent),
+ * nên tần số lấy mẫu phải đủ cao so với maxFrequency.
+ * Dùng chung cho máy lên dây (/api/tuning/analyze) và chấm độ chuẩn cao độ khi luyện tập.
+ */
+
+const DEFAULT_OPTIONS = {
+    frameSize: 2048, // Tối thiểu; được nới ra để một khung chứa ít nhất hai chu kỳ của minFrequency
+    threshold: 0.1, // Ngưỡng tuyệt đối của YIN trên hàm hiệu chuẩn hóa
+    minFrequency: 60, // Thấp hơn dây trầm nhất của đàn 21 dây
+    maxFrequency: 2000,
+    silenceRms: 0.01, // Khung có RMS nhỏ hơn coi như lặng
+    maxSeconds: 10,
+    analysisRate: 24000, // Đủ cho maxFrequency và các họa âm đầu
+    maxFrames: 120,
+};
+
+const DEFAULT_PCM_SAMPLE_RATE = 44100;
+const MIN_SAMPLES_PER_PERIOD = 8;
+
+// Kiểu nội dung chấp nhận: WAV có header, hoặc PCM thô 16-bit little-endian mono
+const WAV_TYPES = ["audio/wav", "audio/x-wav", "audio/wave", "audio/vnd.wave"];
+const PCM_TYPES = ["audio/pcm", "audio/l16"];
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const readSample = (buffer, offset, bits, isFloat) => {
+    if (isFloat) return bits === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+    switch (bits) {
+        case 8: return (buffer.readUInt8(offset) - 128) / 128;
+        case 16: return buffer.readInt16LE(offset) / 32768;
+        case 24: return buffer.readIntLE(offset, 3) / 8388608;
+        case 32: return buffer.readInt32LE(offset) / 2147483648;
+        default: return 0;
+    }
+};
+
+// Trộn các kênh về mono, tối đa maxFrames mẫu
+const toMono = (buffer, start, byteLength, { channels, bits, isFloat }, maxFrames) => {
+    const bytesPerSample = bits / 8;
+    const frameBytes = bytesPerSample * channels;
+    const frames = Math.min(Math.floor(byteLength / frameBytes), maxFrames);
+    const samples = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let ch = 0; ch < channels; ch++) {
+            sum += readSample(buffer, start + i * frameBytes + ch * bytesPerSample, bits, isFloat);
+        }
+        samples[i] = sum / channels;
+    }
+    return samples;
+};
+
+/**
+ * Giải mã file WAV (PCM 8/16/24/32-bit, float 32/64-bit, WAVE_FORMAT_EXTENSIBLE)
+ * @returns {{ error: string } | { samples: Float32Array, sampleRate: number, duration: number }}
+ */
+const decodeWav = (buffer, maxSeconds = DEFAULT_OPTIONS.maxSeconds) => {
+    if (buffer.length < 12 || buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+        return { error: "File không phải WAV (thiếu header RIFF/WAVE)" };
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString("ascii", offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === "fmt " && size >= 16 && body + 16 <= buffer.length) {
+            let formatTag = buffer.readUInt16LE(body);
+            if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 40 && body + 26 <= buffer.length) {
+                formatTag = buffer.readUInt16LE(body + 24); // 2 byte đầu của SubFormat GUID
+            }
+            format = {
+                formatTag,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bits: buffer.readUInt16LE(body + 14),
+            };
+        } else if (id === "data") {
+            if (!format) return { error: "File WAV thiếu chunk fmt trước chunk data" };
+            const { formatTag, channels, sampleRate, bits } = format;
+            const isFloat = formatTag === WAVE_FORMAT_IEEE_FLOAT;
+            const supported = (formatTag === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bits))
+                || (isFloat && [32, 64].includes(bits));
+            if (!supported) return { error: "Chỉ hỗ trợ WAV PCM 8/16/24/32-bit hoặc float 32/64-bit" };
+            if (channels < 1 || sampleRate < 8000 || sampleRate > 192000) {
+                return { error: "Số kênh hoặc tần số lấy mẫu không hợp lệ" };
+            }
+
+            const byteLength = Math.min(size, buffer.length - body);
+            const samples = toMono(buffer, body, byteLength, { channels, bits, isFloat }, Math.round(maxSeconds * sampleRate));
+            return { samples, sampleRate, duration: samples.length / sampleRate };
+        }
+        offset = body + size + (size % 2); // Chunk được căn theo 2 byte
+    }
+    return { error: "File WAV không có dữ liệu âm thanh (chunk data)" };
+};
+
+/**
+ * Giải mã PCM thô 16-bit little-endian mono
+ */
+const decodePcm16 = (buffer, sampleRate = DEFAULT_PCM_SAMPLE_RATE, maxSeconds = DEFAULT_OPTIONS.maxSeconds) => {
+    const samples = toMono(buffer, 0, buffer.length, { channels: 1, bits: 16, isFloat: false }, Math.round(maxSeconds * sampleRate));
+    return { samples, sampleRate, duration: samples.length / sampleRate };
+};
+
+/**
+ * Tần số lấy mẫu thấp nhất để dò chính xác tới maxFrequency
+ */
+const minSampleRate = ({ maxFrequency } = DEFAULT_OPTIONS) => maxFrequency * MIN_SAMPLES_PER_PERIOD;
+
+/**
+ * Hạ tần số lấy mẫu theo hệ số nguyên, không xuống dưới targetRate
+ * (lấy trung bình từng nhóm mẫu làm lọc thông thấp đơn giản)
+ * @returns {{ samples: Float32Array, sampleRate: number }}
+ */
+const downsample = (samples, sampleRate, targetRate = DEFAULT_OPTIONS.analysisRate) => {
+    const factor = Math.floor(sampleRate / targetRate);
+    if (factor <= 1) return { samples, sampleRate };
+
+    const output = new Float32Array(Math.floor(samples.length / factor));
+    for (let i = 0; i < output.length; i++) {
+        let sum = 0;
+        for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+        output[i] = sum / factor;
+    }
+    return { samples: output, sampleRate: sampleRate / factor };
+};
+
+/**
+ * Độ dài khung (lũy thừa của 2) đủ chứa hai chu kỳ của tần số thấp nhất cần dò
+ */
+const frameSizeFor = (sampleRate, { frameSize, minFrequency }) =>
+    Math.max(frameSize, 2 ** Math.ceil(Math.log2(2 * Math.ceil(sampleRate / minFrequency) + 2)));
+
+/**
+ * YIN trên một khung: trả về tần số và độ tin cậy (1 - giá trị hàm hiệu chuẩn hóa tại chu kỳ tìm được)
+ * @returns {{ frequency: number, confidence: number } | null}
+ */
+const yin = (frame, sampleRate, { threshold, minFrequency, maxFrequency }) => {
+    const half = Math.floor(frame.length / 2);
+    const maxTau = Math.min(half - 1, Math.floor(sampleRate / minFrequency));
+    const minTau = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    if (maxTau <= minTau) return null;
+
+    // Bước 2: hàm hiệu d(τ)
+    const diff = new Float32Array(maxTau + 2);
+    for (let tau = 1; tau <= maxTau + 1; tau++) {
+        let sum = 0;
+        for (let i = 0; i < half; i++) {
+            const delta = frame[i] - frame[i + tau];
+            sum += delta * delta;
+        }
+        diff[tau] = sum;
+    }
+
+    // Bước 3: hàm hiệu chuẩn hóa theo trung bình tích lũy d'(τ)
+    const cmnd = new Float32Array(maxTau + 2);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= maxTau + 1; tau++) {
+        running += diff[tau];
+        cmnd[tau] = running === 0 ? 1 : (diff[tau] * tau) / running;
+    }
+
+    // Bước 4: τ nhỏ nhất dưới ngưỡng, đi tiếp tới cực tiểu cục bộ; không có thì lấy cực tiểu toàn cục
+    let tau = -1;
+    for (let t = minTau; t <= maxTau; t++) {
+        if (cmnd[t] < threshold) {
+            while (t + 1 <= maxTau && cmnd[t + 1] < cmnd[t]) t++;
+            tau = t;
+            break;
+        }
+    }
+    if (tau === -1) {
+        let best = minTau;
+        for (let t = minTau + 1; t <= maxTau; t++) if (cmnd[t] < cmnd[best]) best = t;
+        // Cực tiểu quá cao → khung không có cao độ rõ ràng (tiếng ồn)
+        if (cmnd[best] >= 0.5) return null;
+        tau = best;
+    }
+
+    // Bước 5: nội suy parabol quanh τ để có chu kỳ lẻ mẫu
+    let betterTau = tau;
+    // (trên d(τ) chứ không phải d'(τ): phép chuẩn hóa làm lệch đỉnh khi chu kỳ chỉ dài vài mẫu)
+    const [a, b, c] = [diff[tau - 1], diff[tau], diff[tau + 1]];
+    const denominator = a + c - 2 * b;
+    if (denominator !== 0) betterTau = tau + (a - c) / (2 * denominator);
+
+    return { frequency: sampleRate / betterTau, confidence: Math.max(0, 1 - cmnd[tau]) };
+};
+
+const median = (values) => {
+    const sorted = [...values].sort((x, y) => x - y);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Dò cao độ theo từng khung và cao độ chung của bản thu (trung vị các khung có tiếng).
+ * Khung không chồng lấn; bản thu dài hơn maxFrames khung thì các khung được lấy rải đều.
+ * maxFrequency bị giới hạn ở sampleRate / MIN_SAMPLES_PER_PERIOD.
+ * @returns {{ frequency: number|null, confidence: number, track: { time: number, frequency: number|null }[] }}
+ */
+const detectPitch = (samples, sampleRate, options = {}) => {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    opts.maxFrequency = Math.min(opts.maxFrequency, sampleRate / MIN_SAMPLES_PER_PERIOD);
+    const track = [];
+    const voiced = [];
+
+    const frameSize = frameSizeFor(sampleRate, opts);
+    const frameCount = Math.floor(samples.length / frameSize);
+    const hop = frameCount > opts.maxFrames
+        ? Math.floor((samples.length - frameSize) / (opts.maxFrames - 1))
+        : frameSize;
+
+    for (let start = 0; start + frameSize <= samples.length; start += hop) {
+        const frame = samples.subarray(start, start + frameSize);
+        let energy = 0;
+        for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+        const rms = Math.sqrt(energy / frame.length);
+
+        const result = rms >= opts.silenceRms ? yin(frame, sampleRate, opts) : null;
+        track.push({ time: round(start / sampleRate, 3), frequency: result ? round(result.frequency) : null });
+        if (result) voiced.push(result);
+    }
+
+    if (voiced.length === 0) return { frequency: null, confidence: 0, track };
+    return {
+        frequency: round(median(voiced.map((v) => v.frequency))),
+        confidence: round(voiced.reduce((sum, v) => sum + v.confidence, 0) / voiced.length, 3),
+        track,
+    };
+};
+
+/**
+ * Giải mã và phân tích bản thu theo Content-Type của request
+ * @param {Buffer} buffer Body nhị phân
+ * @param {string} contentType Content-Type của request
+ * @param {{ sampleRate?: number }} options sampleRate chỉ dùng cho PCM thô
+ * @returns {{ error: string } | { sample_rate: number, duration: number, frequency: number|null, confidence: number, track: object[] }}
+ */
+const analyzeRecording = (buffer, contentType, options = {}) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) return { error: "Thiếu dữ liệu âm thanh" };
+    const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+
+    let decoded;
+    if (WAV_TYPES.includes(type)) {
+        decoded = decodeWav(buffer, options.maxSeconds);
+    } else if (PCM_TYPES.includes(type)) {
+        const sampleRate = options.sampleRate === undefined ? DEFAULT_PCM_SAMPLE_RATE : Number(options.sampleRate);
+        if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000) {
+            return { error: "sample_rate phải là số nguyên từ 8000 đến 192000" };
+        }
+        decoded = decodePcm16(buffer, sampleRate, options.maxSeconds);
+    } else {
+        return { error: `Content-Type phải là một trong: ${[...WAV_TYPES, ...PCM_TYPES].join(", ")}` };
+    }
+    if (decoded.error) return decoded;
+    if (decoded.sampleRate < minSampleRate()) {
+        return {
+            error: `Tần số lấy mẫu ${decoded.sampleRate} Hz quá thấp, cần ít nhất ${minSampleRate()} Hz `
+                + `để dò tới ${DEFAULT_OPTIONS.maxFrequency} Hz`,
+        };
+    }
+
+    const { samples, sampleRate } = downsample(decoded.samples, decoded.sampleRate);
+    const frameSize = frameSizeFor(sampleRate, DEFAULT_OPTIONS);
+    if (samples.length < frameSize) {
+        return { error: `Bản thu quá ngắn (cần ít nhất ${Math.ceil((frameSize / sampleRate) * 1000)} ms)` };
+    }
+
+    const pitch = detectPitch(samples, sampleRate);
+    return { sample_rate: decoded.sampleRate, duration: round(decoded.duration, 3), ...pitch };
+};
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    WAV_TYPES,
+    PCM_TYPES,
+    decodeWav,
+    decodePcm16,
+    minSampleRate,
+    downsample,
+    detectPitch,
+    analyzeRecording,
+};
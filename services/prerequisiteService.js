@@ -0,0 +1,165 @@
+/**
+ * 🧩 Học theo lộ trình: bài học chỉ mở khi học viên đã hoàn thành các bài tiên quyết
+ * (LessonProgress.status = 'completed') và, nếu có yêu cầu, đạt điểm luyện tập AI tối thiểu
+ * (điểm cao nhất trong các phiên AIPracticeSessions đã nộp).
+ *
+ * Nhân sự không bị khóa; admin có thể mở khóa thủ công một bài cho từng học viên (LessonUnlockOverrides).
+ */
+const { isStaff } = require("../security/verifyToken");
+const { placeholders } = require("./queryHelpers");
+
+/**
+ * Danh sách điều kiện tiên quyết của các bài học
+ * @returns {Promise<Map<number, object[]>>} lesson_id → [{ required_lesson_id, required_lesson_name, min_score }]
+ */
+const getPrerequisites = async (db, lessonIds) => {
+    const byLesson = new Map();
+    if (lessonIds.length === 0) return byLesson;
+
+    const rows = await db.query(
+        `SELECT p.lesson_id, p.required_lesson_id, l.lesson_name AS required_lesson_name, p.min_score
+         FROM LessonPrerequisites p
+         JOIN Lessons l ON p.required_lesson_id = l.lesson_id
+         WHERE p.lesson_id IN (${placeholders(lessonIds)})
+         ORDER BY p.lesson_id, l.course_id, l.position, l.lesson_id`,
+        lessonIds
+    );
+    rows.forEach((row) => {
+        const list = byLesson.get(row.lesson_id) || [];
+        list.push({
+            required_lesson_id: row.required_lesson_id,
+            required_lesson_name: row.required_lesson_name,
+            min_score: row.min_score === null ? null : Number(row.min_score),
+        });
+        byLesson.set(row.lesson_id, list);
+    });
+    return byLesson;
+};
+
+/**
+ * Tính các yêu cầu còn thiếu của user cho từng bài học
+ * @param {{ id: number, role: string }} user req.user
+ * @param {number[]} lessonIds
+ * @returns {Promise<Map<number, object[]>>} lesson_id → yêu cầu còn thiếu (mảng rỗng = đã mở)
+ */
+const evaluatePrerequisites = async (db, user, lessonIds) => {
+    const ids = [...new Set(lessonIds.map(Number))];
+    const result = new Map(ids.map((id) => [id, []]));
+    if (ids.length === 0 || isStaff(user)) return result;
+
+    const prerequisites = await getPrerequisites(db, ids);
+    if (prerequisites.size === 0) return result;
+
+    const requiredIds = [...new Set([...prerequisites.values()].flat().map((p) => p.required_lesson_id))];
+
+    const [completedRows, scoreRows, overrideRows] = await Promise.all([
+        db.query(
+            `SELECT lesson_id FROM LessonProgress
+             WHERE user_id = ? AND status = 'completed' AND lesson_id IN (${placeholders(requiredIds)})`,
+            [user.id, ...requiredIds]
+        ),
+        db.query(
+            `SELECT lesson_id, MAX(score) AS best_score FROM AIPracticeSessions
+             WHERE user_id = ? AND status = 'completed' AND lesson_id IN (${placeholders(requiredIds)})
+             GROUP BY lesson_id`,
+            [user.id, ...requiredIds]
+        ),
+        db.query(
+            `SELECT lesson_id FROM LessonUnlockOverrides WHERE user_id = ? AND lesson_id IN (${placeholders(ids)})`,
+            [user.id, ...ids]
+        ),
+    ]);
+
+    const completed = new Set(completedRows.map((r) => r.lesson_id));
+    const bestScores = new Map(scoreRows.map((r) => [r.lesson_id, r.best_score === null ? null : Number(r.best_score)]));
+    const overridden = new Set(overrideRows.map((r) => r.lesson_id));
+
+    prerequisites.forEach((list, lessonId) => {
+        if (overridden.has(lessonId)) return;
+
+        const missing = [];
+        list.forEach((p) => {
+            if (!completed.has(p.required_lesson_id)) {
+                missing.push({ type: "lesson_completed", required_lesson_id: p.required_lesson_id, required_lesson_name: p.required_lesson_name });
+            }
+            if (p.min_score !== null) {
+                const best = bestScores.get(p.required_lesson_id) ?? null;
+                if (best === null || best < p.min_score) {
+                    missing.push({
+                        type: "min_score",
+                        required_lesson_id: p.required_lesson_id,
+                        required_lesson_name: p.required_lesson_name,
+                        min_score: p.min_score,
+                        best_score: best,
+                    });
+                }
+            }
+        });
+        result.set(lessonId, missing);
+    });
+    return result;
+};
+
+/**
+ * Gắn `missing_requirements` cho danh sách bài học và cập nhật cờ `locked`
+ * (chạy sau markLocked của entitlementService).
+ * @param {object[]} items Các bản ghi có lesson_id
+ */
+const applyPrerequisiteLocks = async (db, user, items) => {
+    const missing = await evaluatePrerequisites(db, user, items.map((item) => item.lesson_id));
+    return items.map((item) => {
+        const requirements = missing.get(Number(item.lesson_id)) || [];
+        return { ...item, locked: Boolean(item.locked) || requirements.length > 0, missing_requirements: requirements };
+    });
+};
+
+/**
+ * Kiểm tra quyền mở một bài học theo lộ trình
+ * @returns {Promise<{ allowed: true } | { allowed: false, status: number, body: object }>}
+ */
+const checkPrerequisites = async (db, user, lessonId) => {
+    const missing = (await evaluatePrerequisites(db, user, [lessonId])).get(Number(lessonId)) || [];
+    if (missing.length === 0) return { allowed: true };
+
+    return {
+        allowed: false,
+        status: 403,
+        body: {
+            code: "PREREQUISITES_NOT_MET",
+            message: "🔒 Bạn cần hoàn thành các bài học trước để mở bài này.",
+            lesson_id: Number(lessonId),
+            missing_requirements: missing,
+        },
+    };
+};
+
+/**
+ * Kiểm tra thêm cạnh lesson → required có tạo vòng lặp không (required đã phụ thuộc, trực tiếp
+ * hoặc gián tiếp, vào lesson)
+ * @returns {Promise<boolean>}
+ */
+const createsCycle = async (db, lessonId, requiredIds) => {
+    const edges = await db.query("SELECT lesson_id, required_lesson_id FROM LessonPrerequisites WHERE lesson_id <> ?", [lessonId]);
+    const graph = new Map();
+    edges.forEach((e) => graph.set(e.lesson_id, [...(graph.get(e.lesson_id) || []), e.required_lesson_id]));
+
+    const target = Number(lessonId);
+    const seen = new Set();
+    const stack = requiredIds.map(Number);
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === target) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        stack.push(...(graph.get(current) || []));
+    }
+    return false;
+};
+
+module.exports = {
+    getPrerequisites,
+    evaluatePrerequisites,
+    applyPrerequisiteLocks,
+    checkPrerequisites,
+    createsCycle,
+};
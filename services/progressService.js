@@ -0,0 +1,123 @@
+/**
+ * 📈 Ghi tiến độ học (LessonProgress) và cộng điểm/streak khi hoàn thành bài học.
+ * Các hàm nhận `db` từ services/dataAccess (db hoặc tx) để chạy được trong transaction của route gọi.
+ */
+
+const BASE_POINTS = 10;
+// Thưởng thêm khi đạt đúng mốc streak
+const STREAK_BONUS = { 7: 10, 14: 15 };
+
+/**
+ * Cập nhật trạng thái bài học của user, tạo mới nếu chưa có
+ */
+const upsertLessonProgress = async (db, userId, lessonId, status) => {
+    const existing = await db.queryOne(
+        "SELECT progress_id FROM LessonProgress WHERE user_id = ? AND lesson_id = ? FOR UPDATE",
+        [userId, lessonId]
+    );
+    if (existing) {
+        await db.execute(
+            "UPDATE LessonProgress SET status = ?, last_watched = NOW() WHERE progress_id = ?",
+            [status, existing.progress_id]
+        );
+        return existing.progress_id;
+    }
+
+    const result = await db.execute(
+        "INSERT INTO LessonProgress (user_id, lesson_id, status, last_watched) VALUES (?, ?, ?, NOW())",
+        [userId, lessonId, status]
+    );
+    return result.insertId;
+};
+
+/**
+ * Ghi nhận hoạt động hôm nay, tính streak và cộng điểm vào Leaderboard
+ * @returns {Promise<{ points: number, streak_days: number }>}
+ */
+const recordLessonCompletion = async (db, userId) => {
+    const today = await db.queryOne(
+        "SELECT activity_id FROM UserActivityLog WHERE user_id = ? AND activity_date = CURDATE()",
+        [userId]
+    );
+    if (!today) {
+        await db.execute("INSERT INTO UserActivityLog (user_id, activity_date) VALUES (?, CURDATE())", [userId]);
+    }
+
+    const yesterday = await db.queryOne(
+        "SELECT COUNT(*) AS cnt FROM UserActivityLog WHERE user_id = ? AND activity_date = DATE_SUB(CURDATE(), INTERVAL 1 DAY)",
+        [userId]
+    );
+    const board = await db.queryOne(
+        "SELECT streak_days, total_points FROM Leaderboard WHERE user_id = ? FOR UPDATE",
+        [userId]
+    );
+
+    const streakDays = yesterday.cnt > 0 ? (board?.streak_days || 0) + 1 : 1;
+    const points = BASE_POINTS + (STREAK_BONUS[streakDays] || 0);
+
+    if (board) {
+        await db.execute(
+            `UPDATE Leaderboard
+             SET total_points = total_points + ?, streak_days = ?, last_updated = NOW()
+             WHERE user_id = ?`,
+            [points, streakDays, userId]
+        );
+    } else {
+        await db.execute(
+            "INSERT INTO Leaderboard (user_id, total_points, streak_days, last_updated) VALUES (?, ?, ?, NOW())",
+            [userId, points, streakDays]
+        );
+    }
+
+    return { points, streak_days: streakDays };
+};
+
+// Cột điểm cao nhất / thời điểm đạt lần đầu trong LessonProgress theo nguồn điểm
+const SCORE_COLUMNS = {
+    quiz: { best: "quiz_best_score", passedAt: "quiz_passed_at" },
+    assignment: { best: "assignment_best_score", passedAt: "assignment_passed_at" },
+};
+
+/**
+ * Ghi điểm vào tiến độ bài học: giữ điểm cao nhất và thời điểm đạt lần đầu.
+ * Chưa có tiến độ thì tạo mới với trạng thái in_progress (có điểm chưa đồng nghĩa hoàn thành bài học).
+ * @param {"quiz"|"assignment"} source
+ * @param {number} score Điểm phần trăm vừa đạt
+ */
+const recordScore = async (db, source, userId, lessonId, score, passed) => {
+    const { best, passedAt } = SCORE_COLUMNS[source];
+    const existing = await db.queryOne(
+        "SELECT progress_id FROM LessonProgress WHERE user_id = ? AND lesson_id = ? FOR UPDATE",
+        [userId, lessonId]
+    );
+    if (!existing) {
+        await db.execute(
+            `INSERT INTO LessonProgress (user_id, lesson_id, status, ${best}, ${passedAt}, last_watched)
+             VALUES (?, ?, 'in_progress', ?, ?, NOW())`,
+            [userId, lessonId, score, passed ? new Date() : null]
+        );
+        return;
+    }
+
+    await db.execute(
+        `UPDATE LessonProgress
+         SET ${best} = GREATEST(COALESCE(${best}, 0), ?),
+             ${passedAt} = CASE WHEN ? THEN COALESCE(${passedAt}, NOW()) ELSE ${passedAt} END
+         WHERE progress_id = ?`,
+        [score, passed ? 1 : 0, existing.progress_id]
+    );
+};
+
+/**
+ * Ghi điểm lượt làm quiz vừa nộp
+ */
+const recordQuizScore = (db, userId, lessonId, score, passed) =>
+    recordScore(db, "quiz", userId, lessonId, score, passed);
+
+/**
+ * Ghi điểm bài tập thu âm vừa được chấm
+ */
+const recordAssignmentGrade = (db, userId, lessonId, score, passed) =>
+    recordScore(db, "assignment", userId, lessonId, score, passed);
+
+module.exports = { upsertLessonProgress, recordLessonCompletion, recordQuizScore, recordAssignmentGrade };
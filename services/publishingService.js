@@ -0,0 +1,131 @@
+/**
+ * 📰 Quy trình xuất bản khóa học và bài học: draft → scheduled → published → archived.
+ *
+ * Khách hàng chỉ thấy nội dung đã xuất bản. Nội dung hẹn giờ được coi là đã xuất bản ngay khi
+ * qua publish_at (kể cả khi job chưa kịp chạy); job `publishDueContent` chuyển hẳn trạng thái
+ * sang published để dữ liệu và báo cáo khớp nhau.
+ */
+const PUBLICATION_STATUSES = ["draft", "scheduled", "published", "archived"];
+
+/**
+ * Điều kiện SQL "khách hàng được thấy" cho bảng có cột status/publish_at
+ * @param {string} alias Bí danh bảng trong câu truy vấn (hằng trong code)
+ */
+const visibleCondition = (alias) =>
+    `(${alias}.status = 'published' OR (${alias}.status = 'scheduled' AND ${alias}.publish_at <= NOW()))`;
+
+/**
+ * Đọc và kiểm tra status/publish_at từ request
+ * @param {{ status?: string, publish_at?: string }} body
+ * @param {string} [defaultStatus] Dùng khi body không có status (tạo mới)
+ * @returns {{ error: string } | { status: string, publish_at: Date|null } | null} null nếu không có gì để đổi
+ */
+const parsePublication = (body, defaultStatus) => {
+    const status = body.status ?? defaultStatus;
+    if (status === undefined) {
+        return body.publish_at === undefined ? null : { error: "Cần gửi kèm status khi đặt publish_at" };
+    }
+    if (!PUBLICATION_STATUSES.includes(status)) {
+        return { error: `status phải là một trong: ${PUBLICATION_STATUSES.join(", ")}` };
+    }
+
+    if (status !== "scheduled") {
+        if (body.publish_at) return { error: "publish_at chỉ dùng với status = scheduled" };
+        return { status, publish_at: null };
+    }
+
+    const publishAt = new Date(body.publish_at);
+    if (!body.publish_at || Number.isNaN(publishAt.getTime())) {
+        return { error: "status = scheduled cần publish_at (ISO 8601) hợp lệ" };
+    }
+    if (publishAt <= new Date()) {
+        return { error: "publish_at phải ở tương lai; muốn xuất bản ngay hãy dùng status = published" };
+    }
+    return { status, publish_at: publishAt };
+};
+
+/**
+ * Mệnh đề SET tương ứng với trạng thái mới. published_at chỉ ghi lần đầu xuất bản.
+ * @returns {{ clauses: string[], params: any[] }}
+ */
+const publicationSetClauses = ({ status, publish_at }) => ({
+    clauses: [
+        "status = ?",
+        "publish_at = ?",
+        "published_at = CASE WHEN ? = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END",
+    ],
+    params: [status, publish_at, status],
+});
+
+/**
+ * Khách hàng có được thấy bài học không (bài học và khóa học chứa nó đều đã xuất bản)
+ * @returns {Promise<boolean|null>} null nếu bài học không tồn tại
+ */
+const isLessonVisible = async (db, lessonId) => {
+    const row = await db.queryOne(
+        `SELECT ${visibleCondition("l")} AND ${visibleCondition("c")} AS visible
+         FROM Lessons l
+         JOIN Courses c ON l.course_id = c.course_id
+         WHERE l.lesson_id = ?`,
+        [lessonId]
+    );
+    return row ? Boolean(row.visible) : null;
+};
+
+/**
+ * Chuyển nội dung hẹn giờ đã đến giờ sang published
+ * @returns {Promise<{ courses: number, lessons: number }>}
+ */
+const publishDueContent = async (db) => {
+    const courses = await db.execute(
+        `UPDATE Courses SET status = 'published', published_at = COALESCE(published_at, publish_at)
+         WHERE status = 'scheduled' AND publish_at <= NOW()`
+    );
+    const lessons = await db.execute(
+        `UPDATE Lessons SET status = 'published', published_at = COALESCE(published_at, publish_at)
+         WHERE status = 'scheduled' AND publish_at <= NOW()`
+    );
+    return { courses: courses.affectedRows, lessons: lessons.affectedRows };
+};
+
+/**
+ * Chạy publishDueContent định kỳ trong tiến trình server
+ * (PUBLISH_SCHEDULER_INTERVAL_MS, mặc định 60 giây; đặt 0 để tắt khi đã chạy bằng cron)
+ */
+const startPublishScheduler = (db) => {
+    const interval = process.env.PUBLISH_SCHEDULER_INTERVAL_MS === undefined
+        ? 60 * 1000
+        : parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS, 10);
+    if (!interval) return null;
+
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const published = await publishDueContent(db);
+            if (published.courses > 0 || published.lessons > 0) {
+                console.log(`📰 Đã xuất bản theo lịch: ${published.courses} khóa học, ${published.lessons} bài học`);
+            }
+        } catch (err) {
+            console.error("❌ Lỗi job xuất bản theo lịch:", err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+    return timer;
+};
+
+module.exports = {
+    PUBLICATION_STATUSES,
+    visibleCondition,
+    parsePublication,
+    publicationSetClauses,
+    isLessonVisible,
+    publishDueContent,
+    startPublishScheduler,
+};
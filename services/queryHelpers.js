@@ -0,0 +1,39 @@
+/**
+ * 🧰 Helper dùng chung cho route và service: đọc id từ URL, dựng câu SQL, chuyển đổi giá trị cột MySQL.
+ */
+
+/**
+ * Số nguyên dương (id, số thứ tự revision...) từ tham số URL/body; null nếu không hợp lệ
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Chuỗi "?, ?, ?" cho mệnh đề IN (...)
+ */
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+/**
+ * Thoát ký tự đại diện của LIKE (\, %, _) trong từ khóa người dùng nhập
+ */
+const escapeLike = (term) => term.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+/**
+ * Cột JSON: mysql2 có thể trả về chuỗi hoặc object tùy kiểu cột
+ */
+const fromJson = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+/**
+ * Cờ boolean từ request (true/1/"1"/"true") sang TINYINT(1)
+ */
+const toBit = (value) => (value === true || value === 1 || value === "1" || value === "true" ? 1 : 0);
+
+module.exports = {
+    parseId,
+    placeholders,
+    escapeLike,
+    fromJson,
+    toBit,
+};
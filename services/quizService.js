@@ -0,0 +1,357 @@
+/**
+ * 📝 Bài kiểm tra (quiz) của bài học: kiểm tra câu hỏi khi nhân sự soạn, phát đề không kèm đáp án,
+ * chấm điểm trên server và giới hạn số lượt làm bài.
+ *
+ * Loại câu hỏi:
+ *   - single_choice / audio_prompt: chọn một đáp án (audio_prompt kèm audio_url, vd. nghe một nốt rồi gọi tên)
+ *   - multiple_choice: chọn đúng và đủ các đáp án đúng (không tính điểm từng phần)
+ *   - ordering: sắp xếp các lựa chọn theo đúng thứ tự (vd. Hò → Xự → Xang → Xê → Cống)
+ * Điểm lượt làm là phần trăm số điểm đạt được; đạt khi score >= pass_score của quiz.
+ */
+const crypto = require("crypto");
+const { recordQuizScore } = require("./progressService");
+const { fromJson, toBit } = require("./queryHelpers");
+
+const QUESTION_TYPES = ["single_choice", "multiple_choice", "ordering", "audio_prompt"];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+// ---------- Kiểm tra dữ liệu soạn đề ----------
+
+/**
+ * Đọc cấu hình quiz từ request
+ * @param {boolean} partial true khi cập nhật (chỉ kiểm tra các trường có gửi)
+ * @returns {{ error: string } | { values: object }}
+ */
+const parseQuizSettings = (body, { partial = false } = {}) => {
+    const values = {};
+
+    if (!partial || body.title !== undefined) {
+        const title = typeof body.title === "string" ? body.title.trim() : "";
+        if (!title) return { error: "Thiếu tiêu đề quiz (title)" };
+        if (title.length > 200) return { error: "title tối đa 200 ký tự" };
+        values.title = title;
+    }
+    if (body.description !== undefined) values.description = body.description || null;
+
+    if (body.pass_score !== undefined) {
+        const passScore = Number(body.pass_score);
+        if (!Number.isFinite(passScore) || passScore < 0 || passScore > 100) {
+            return { error: "pass_score phải là số từ 0 đến 100 (phần trăm)" };
+        }
+        values.pass_score = passScore;
+    }
+    if (body.max_attempts !== undefined) {
+        const maxAttempts = body.max_attempts === null ? null : Number(body.max_attempts);
+        if (maxAttempts !== null && (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+            return { error: "max_attempts phải là số nguyên dương hoặc null (không giới hạn)" };
+        }
+        values.max_attempts = maxAttempts;
+    }
+    if (body.required_for_completion !== undefined) {
+        values.required_for_completion = toBit(body.required_for_completion);
+    }
+
+    return { values };
+};
+
+const sameIds = (a, b) => a.length === b.length && a.every((id) => b.includes(id));
+
+/**
+ * Kiểm tra và chuẩn hóa một câu hỏi. options có thể là mảng chuỗi (id tự đặt a, b, c...) hoặc mảng { id, text }.
+ * Câu ordering có thể bỏ trống correct_answer: thứ tự options gửi lên chính là thứ tự đúng.
+ * @returns {{ error: string } | { question: object }}
+ */
+const parseQuestion = (body) => {
+    const { question_type, audio_url, explanation } = body;
+    if (!QUESTION_TYPES.includes(question_type)) {
+        return { error: `question_type phải là một trong: ${QUESTION_TYPES.join(", ")}` };
+    }
+    const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+    if (!prompt) return { error: "Thiếu nội dung câu hỏi (prompt)" };
+
+    if (question_type === "audio_prompt" && !/^https?:\/\/\S+$/.test(audio_url || "")) {
+        return { error: "Câu hỏi audio_prompt cần audio_url (http/https)" };
+    }
+
+    if (!Array.isArray(body.options) || body.options.length < MIN_OPTIONS || body.options.length > MAX_OPTIONS) {
+        return { error: `options phải là mảng từ ${MIN_OPTIONS} đến ${MAX_OPTIONS} lựa chọn` };
+    }
+    // Câu ordering không dùng id a, b, c... theo thứ tự đúng (nhìn id là đoán được đáp án)
+    const defaultId = (i) => (question_type === "ordering" ? crypto.randomBytes(3).toString("hex") : String.fromCharCode(97 + i));
+    const options = body.options.map((option, i) => (typeof option === "string"
+        ? { id: defaultId(i), text: option.trim() }
+        : { id: String(option?.id ?? defaultId(i)).trim(), text: String(option?.text ?? "").trim() }));
+    if (options.some((o) => !o.text || !o.id || o.id.length > 20)) {
+        return { error: "Mỗi lựa chọn cần text không rỗng và id tối đa 20 ký tự" };
+    }
+    const optionIds = options.map((o) => o.id);
+    if (new Set(optionIds).size !== optionIds.length) return { error: "id của các lựa chọn bị trùng" };
+
+    let correct = body.correct_answer;
+    if (question_type === "single_choice" || question_type === "audio_prompt") {
+        correct = String(correct ?? "");
+        if (!optionIds.includes(correct)) return { error: "correct_answer phải là id của một lựa chọn" };
+    } else if (question_type === "multiple_choice") {
+        if (!Array.isArray(correct) || correct.length === 0) {
+            return { error: "correct_answer của multiple_choice phải là mảng id lựa chọn, không rỗng" };
+        }
+        correct = [...new Set(correct.map(String))];
+        if (!correct.every((id) => optionIds.includes(id))) return { error: "correct_answer chứa id không có trong options" };
+    } else {
+        if (correct === undefined) correct = optionIds;
+        if (!Array.isArray(correct)) return { error: "correct_answer của ordering phải là mảng id theo đúng thứ tự" };
+        correct = correct.map(String);
+        if (new Set(correct).size !== correct.length || !sameIds(correct, optionIds)) {
+            return { error: "correct_answer của ordering phải chứa mỗi id lựa chọn đúng một lần" };
+        }
+    }
+
+    const points = body.points === undefined ? 1 : Number(body.points);
+    if (!Number.isInteger(points) || points < 1 || points > 100) {
+        return { error: "points phải là số nguyên từ 1 đến 100" };
+    }
+
+    return {
+        question: {
+            question_type,
+            prompt,
+            audio_url: question_type === "audio_prompt" ? audio_url : audio_url || null,
+            options,
+            correct_answer: correct,
+            points,
+            explanation: explanation || null,
+        },
+    };
+};
+
+// ---------- Phát đề ----------
+
+// Trộn ổn định theo seed để mỗi lượt làm bài thấy cùng một thứ tự khi tải lại
+const seededShuffle = (items, seed) => {
+    const result = [...items];
+    let state = seed >>> 0;
+    for (let i = result.length - 1; i > 0; i--) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        const j = state % (i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Câu hỏi gửi cho học viên: bỏ đáp án/giải thích; câu ordering được trộn thứ tự lựa chọn
+ */
+const publicQuestion = (question, attemptId) => {
+    let options = fromJson(question.options);
+    if (question.question_type === "ordering") {
+        const correct = fromJson(question.correct_answer);
+        options = seededShuffle(options, attemptId * 7919 + question.question_id);
+        // Không phát đề đã xếp sẵn đúng thứ tự
+        if (options.length > 1 && options.every((o, i) => o.id === correct[i])) {
+            options = [...options.slice(1), options[0]];
+        }
+    }
+    return {
+        question_id: question.question_id,
+        position: question.position,
+        question_type: question.question_type,
+        prompt: question.prompt,
+        audio_url: question.audio_url,
+        options,
+        points: question.points,
+        multiple: question.question_type === "multiple_choice",
+    };
+};
+
+// ---------- Chấm điểm ----------
+
+const isCorrect = (question, answer) => {
+    const correct = fromJson(question.correct_answer);
+    switch (question.question_type) {
+        case "single_choice":
+        case "audio_prompt":
+            return answer !== undefined && answer !== null && String(answer) === correct;
+        case "multiple_choice":
+            return Array.isArray(answer) && sameIds([...new Set(answer.map(String))], correct);
+        case "ordering":
+            return Array.isArray(answer) && answer.length === correct.length && answer.every((id, i) => String(id) === correct[i]);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Chấm một lượt làm bài
+ * @param {object[]} questions Câu hỏi của quiz (kèm correct_answer)
+ * @param {Map<number, any>} answers question_id → câu trả lời
+ * @returns {{ results: object[], earned_points: number, total_points: number, score: number }}
+ */
+const gradeAnswers = (questions, answers) => {
+    const results = questions.map((question) => {
+        const answer = answers.get(question.question_id);
+        const correct = isCorrect(question, answer);
+        return {
+            question_id: question.question_id,
+            answer: answer === undefined ? null : answer,
+            correct,
+            points: question.points,
+            earned: correct ? question.points : 0,
+        };
+    });
+    const earned = results.reduce((sum, r) => sum + r.earned, 0);
+    const total = results.reduce((sum, r) => sum + r.points, 0);
+    return {
+        results,
+        earned_points: earned,
+        total_points: total,
+        score: total === 0 ? 0 : Math.round((earned / total) * 10000) / 100,
+    };
+};
+
+/**
+ * Chuyển answers từ request ([{ question_id, answer }]) thành Map
+ * @returns {Map<number, any>|null} null nếu sai định dạng
+ */
+const parseAnswers = (value) => {
+    if (!Array.isArray(value)) return null;
+    const answers = new Map();
+    for (const item of value) {
+        const questionId = Number(item?.question_id);
+        if (!Number.isInteger(questionId) || questionId <= 0) return null;
+        answers.set(questionId, item.answer);
+    }
+    return answers;
+};
+
+// ---------- Lượt làm bài ----------
+
+const loadQuestions = (db, quizId) => db.query(
+    "SELECT * FROM QuizQuestions WHERE quiz_id = ? ORDER BY position, question_id",
+    [quizId]
+);
+
+/**
+ * Bắt đầu lượt làm bài mới, hoặc trả lại lượt đang làm dở
+ * @returns {Promise<{ status: number, body: object } | { attempt: object, questions: object[], resumed: boolean }>}
+ */
+const startAttempt = async (tx, quiz, userId) => {
+    const attempts = await tx.query(
+        "SELECT attempt_id, attempt_number, status, started_at FROM QuizAttempts WHERE quiz_id = ? AND user_id = ? ORDER BY attempt_number FOR UPDATE",
+        [quiz.quiz_id, userId]
+    );
+    const questions = await loadQuestions(tx, quiz.quiz_id);
+    if (questions.length === 0) return { status: 400, body: { message: "Quiz chưa có câu hỏi" } };
+
+    const open = attempts.find((a) => a.status === "in_progress");
+    if (open) {
+        return { attempt: open, questions: questions.map((q) => publicQuestion(q, open.attempt_id)), resumed: true };
+    }
+
+    if (quiz.max_attempts && attempts.length >= quiz.max_attempts) {
+        return {
+            status: 403,
+            body: { message: `Bạn đã dùng hết ${quiz.max_attempts} lượt làm bài`, code: "QUIZ_ATTEMPTS_EXHAUSTED" },
+        };
+    }
+
+    const attemptNumber = attempts.length + 1;
+    const result = await tx.execute(
+        "INSERT INTO QuizAttempts (quiz_id, user_id, attempt_number, status, started_at) VALUES (?, ?, ?, 'in_progress', NOW())",
+        [quiz.quiz_id, userId, attemptNumber]
+    );
+    const attempt = await tx.queryOne(
+        "SELECT attempt_id, attempt_number, status, started_at FROM QuizAttempts WHERE attempt_id = ?",
+        [result.insertId]
+    );
+    return { attempt, questions: questions.map((q) => publicQuestion(q, attempt.attempt_id)), resumed: false };
+};
+
+/**
+ * Nộp bài: chấm điểm, lưu kết quả và ghi điểm vào LessonProgress.
+ * Đáp án đúng và giải thích chỉ trả về khi đã đạt hoặc đã hết lượt.
+ * @returns {Promise<{ status: number, body: object } | { attempt: object, results: object[], attempts_left: number|null }>}
+ */
+const submitAttempt = async (tx, quiz, attemptId, userId, answers) => {
+    const attempt = await tx.queryOne(
+        "SELECT * FROM QuizAttempts WHERE attempt_id = ? AND quiz_id = ? AND user_id = ? FOR UPDATE",
+        [attemptId, quiz.quiz_id, userId]
+    );
+    if (!attempt) return { status: 404, body: { message: "Không tìm thấy lượt làm bài" } };
+    if (attempt.status === "submitted") return { status: 409, body: { message: "Lượt làm bài này đã được nộp" } };
+
+    const questions = await loadQuestions(tx, quiz.quiz_id);
+    const unknown = [...answers.keys()].filter((id) => !questions.some((q) => q.question_id === id));
+    if (unknown.length > 0) {
+        return { status: 400, body: { message: "Có câu trả lời cho câu hỏi không thuộc quiz", unknown_question_ids: unknown } };
+    }
+
+    const grade = gradeAnswers(questions, answers);
+    const passed = grade.score >= Number(quiz.pass_score);
+    await tx.execute(
+        `UPDATE QuizAttempts
+         SET status = 'submitted', answers = ?, earned_points = ?, total_points = ?, score = ?, passed = ?, submitted_at = NOW()
+         WHERE attempt_id = ?`,
+        [JSON.stringify(grade.results), grade.earned_points, grade.total_points, grade.score, passed ? 1 : 0, attemptId]
+    );
+    await recordQuizScore(tx, userId, quiz.lesson_id, grade.score, passed);
+
+    const attemptsLeft = quiz.max_attempts ? Math.max(quiz.max_attempts - attempt.attempt_number, 0) : null;
+    const reveal = passed || attemptsLeft === 0;
+    const byId = new Map(questions.map((q) => [q.question_id, q]));
+
+    return {
+        attempt: {
+            attempt_id: attempt.attempt_id,
+            attempt_number: attempt.attempt_number,
+            earned_points: grade.earned_points,
+            total_points: grade.total_points,
+            score: grade.score,
+            pass_score: Number(quiz.pass_score),
+            passed,
+        },
+        results: grade.results.map((r) => (reveal
+            ? { ...r, correct_answer: fromJson(byId.get(r.question_id).correct_answer), explanation: byId.get(r.question_id).explanation }
+            : r)),
+        attempts_left: attemptsLeft,
+    };
+};
+
+/**
+ * Bài học có quiz bắt buộc thì chỉ được đánh dấu completed sau khi đạt quiz
+ * @returns {Promise<{ allowed: true } | { allowed: false, status: number, body: object }>}
+ */
+const checkQuizRequirement = async (db, userId, lessonId) => {
+    const quiz = await db.queryOne(
+        `SELECT q.quiz_id, q.pass_score, lp.quiz_best_score, lp.quiz_passed_at
+         FROM Quizzes q
+         LEFT JOIN LessonProgress lp ON lp.lesson_id = q.lesson_id AND lp.user_id = ?
+         WHERE q.lesson_id = ? AND q.required_for_completion = 1`,
+        [userId, lessonId]
+    );
+    if (!quiz || quiz.quiz_passed_at) return { allowed: true };
+
+    return {
+        allowed: false,
+        status: 409,
+        body: {
+            code: "QUIZ_NOT_PASSED",
+            message: "📝 Bạn cần đạt bài kiểm tra của bài học trước khi hoàn thành bài học.",
+            quiz_id: quiz.quiz_id,
+            pass_score: Number(quiz.pass_score),
+            best_score: quiz.quiz_best_score === null ? null : Number(quiz.quiz_best_score),
+        },
+    };
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    parseQuizSettings,
+    parseQuestion,
+    parseAnswers,
+    publicQuestion,
+    gradeAnswers,
+    startAttempt,
+    submitAttempt,
+    checkQuizRequirement,
+};
@@ -0,0 +1,138 @@
+/**
+ * 🕓 Lịch sử chỉnh sửa nội dung (ContentRevisions): mỗi lần tạo/sửa/khôi phục khóa học, bài học
+ * hoặc tài nguyên sinh một bản ghi bất biến gồm ảnh chụp các trường nội dung, người sửa và các trường đã đổi.
+ *
+ * Nội dung có từ trước khi có tính năng này chưa có lịch sử: lần sửa đầu tiên ghi thêm bản "baseline"
+ * (trạng thái trước khi sửa) để vẫn khôi phục được.
+ * Các hàm ghi phải chạy trong transaction cùng câu UPDATE (nhận `tx` từ withTransaction).
+ */
+
+// Chỉ theo dõi các trường nội dung; chương/vị trí/trạng thái xuất bản có API riêng
+const REVISION_ENTITIES = {
+    course: {
+        table: "Courses",
+        idColumn: "course_id",
+        fields: ["course_name", "description", "level", "is_free"],
+    },
+    lesson: {
+        table: "Lessons",
+        idColumn: "lesson_id",
+        fields: ["course_id", "lesson_name", "description", "video_url", "picture_url", "duration_seconds", "is_free"],
+    },
+    resource: {
+        table: "Resources",
+        idColumn: "resource_id",
+        fields: ["lesson_id", "title", "resource_type", "url", "description"],
+    },
+};
+
+const normalizeValue = (field, value) => {
+    if (value === undefined || value === null) return null;
+    if (field === "is_free") return Number(value) ? 1 : 0;
+    return value;
+};
+
+/**
+ * Ảnh chụp các trường được theo dõi của một dòng
+ */
+const snapshotOf = (entityType, row) => Object.fromEntries(
+    REVISION_ENTITIES[entityType].fields.map((field) => [field, normalizeValue(field, row[field])])
+);
+
+/**
+ * So sánh hai ảnh chụp
+ * @returns {{ field: string, from: any, to: any }[]}
+ */
+const diffSnapshots = (entityType, from, to) => REVISION_ENTITIES[entityType].fields
+    .filter((field) => normalizeValue(field, from?.[field]) !== normalizeValue(field, to?.[field]))
+    .map((field) => ({ field, from: normalizeValue(field, from?.[field]), to: normalizeValue(field, to?.[field]) }));
+
+/**
+ * Đọc dòng nội dung hiện tại (FOR UPDATE khi đang trong transaction sửa)
+ * @returns {Promise<object|null>}
+ */
+const loadEntity = (db, entityType, entityId, { forUpdate = false } = {}) => {
+    const { table, idColumn } = REVISION_ENTITIES[entityType];
+    return db.queryOne(`SELECT * FROM ${table} WHERE ${idColumn} = ?${forUpdate ? " FOR UPDATE" : ""}`, [entityId]);
+};
+
+const insertRevision = (db, entityType, entityId, number, { action, snapshot, changedFields, restoredFrom, editorId }) => db.execute(
+    `INSERT INTO ContentRevisions
+        (entity_type, entity_id, revision_number, action, snapshot, changed_fields, restored_from, edited_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [entityType, entityId, number, action, JSON.stringify(snapshot), JSON.stringify(changedFields), restoredFrom || null, editorId || null]
+);
+
+/**
+ * Ghi một revision sau khi tạo/sửa nội dung.
+ * @param {{ before?: object|null, after: object, editorId: number, action?: string, restoredFrom?: number }} change
+ *        before/after là dòng đầy đủ trước và sau khi ghi; before = null khi vừa tạo mới
+ * @returns {Promise<number|null>} revision_number mới, null nếu không có trường nào thay đổi
+ */
+const recordRevision = async (tx, entityType, entityId, { before = null, after, editorId, action, restoredFrom }) => {
+    const afterSnapshot = snapshotOf(entityType, after);
+    const beforeSnapshot = before ? snapshotOf(entityType, before) : null;
+    const changedFields = diffSnapshots(entityType, beforeSnapshot, afterSnapshot).map((d) => d.field);
+    if (beforeSnapshot && changedFields.length === 0 && action !== "restore") return null;
+
+    const last = await tx.queryOne(
+        `SELECT MAX(revision_number) AS last FROM ContentRevisions
+         WHERE entity_type = ? AND entity_id = ? FOR UPDATE`,
+        [entityType, entityId]
+    );
+    let number = last.last || 0;
+
+    if (number === 0 && beforeSnapshot) {
+        number += 1;
+        await insertRevision(tx, entityType, entityId, number, {
+            action: "baseline", snapshot: beforeSnapshot, changedFields: [], editorId: null,
+        });
+    }
+
+    number += 1;
+    await insertRevision(tx, entityType, entityId, number, {
+        action: action || (beforeSnapshot ? "update" : "create"),
+        snapshot: afterSnapshot,
+        changedFields,
+        restoredFrom,
+        editorId,
+    });
+    return number;
+};
+
+const REVISION_COLUMNS = `r.revision_number, r.action, r.changed_fields, r.restored_from, r.edited_by,
+    u.full_name AS editor_name, r.created_at`;
+
+/**
+ * Danh sách revision (mới nhất trước, không kèm ảnh chụp)
+ */
+const listRevisions = (db, entityType, entityId) => db.query(
+    `SELECT ${REVISION_COLUMNS}
+     FROM ContentRevisions r
+     LEFT JOIN Users u ON r.edited_by = u.user_id
+     WHERE r.entity_type = ? AND r.entity_id = ?
+     ORDER BY r.revision_number DESC`,
+    [entityType, entityId]
+);
+
+/**
+ * Một revision kèm ảnh chụp
+ * @returns {Promise<object|null>}
+ */
+const getRevision = (db, entityType, entityId, revisionNumber) => db.queryOne(
+    `SELECT ${REVISION_COLUMNS}, r.snapshot
+     FROM ContentRevisions r
+     LEFT JOIN Users u ON r.edited_by = u.user_id
+     WHERE r.entity_type = ? AND r.entity_id = ? AND r.revision_number = ?`,
+    [entityType, entityId, revisionNumber]
+);
+
+module.exports = {
+    REVISION_ENTITIES,
+    snapshotOf,
+    diffSnapshots,
+    loadEntity,
+    recordRevision,
+    listRevisions,
+    getRevision,
+};
@@ -0,0 +1,359 @@
+/**
+ * 🔎 Tìm kiếm toàn văn không phân biệt dấu trên khóa học, bài học, tài nguyên, bình luận và bài bản.
+ *
+ * Mỗi nội dung có một dòng trong SearchDocuments; `search_text` là tiêu đề + nội dung đã bỏ dấu
+ * ("Đàn tranh" → "dan tranh"). Route ghi nội dung gọi `syncSearchDocument` (trong cùng transaction
+ * nếu có) để chỉ mục luôn khớp dữ liệu. Lọc ứng viên bằng LIKE trên search_text, chấm điểm,
+ * tính facet và tạo đoạn trích có đánh dấu trong JS.
+ */
+const { isStaff } = require("../security/verifyToken");
+const { visibleCondition } = require("./publishingService");
+const { escapeLike } = require("./queryHelpers");
+
+const CANDIDATE_LIMIT = 1000;
+const SNIPPET_LENGTH = 160;
+
+// Mỗi loại tài liệu: cột trả về (entity_id, title, body, course_id, lesson_id, level, is_free) và bảng nguồn
+const DOCUMENT_SOURCES = {
+    course: {
+        boost: 1.2,
+        select: `c.course_id AS entity_id, c.course_name AS title, c.description AS body,
+                 c.course_id, NULL AS lesson_id, c.level, c.is_free`,
+        from: "Courses c",
+        idColumn: "c.course_id",
+    },
+    lesson: {
+        boost: 1.1,
+        select: `l.lesson_id AS entity_id, l.lesson_name AS title, l.description AS body,
+                 l.course_id, l.lesson_id, c.level, (l.is_free OR c.is_free) AS is_free`,
+        from: "Lessons l JOIN Courses c ON l.course_id = c.course_id",
+        idColumn: "l.lesson_id",
+    },
+    resource: {
+        boost: 1,
+        select: `r.resource_id AS entity_id, r.title, r.description AS body,
+                 l.course_id, r.lesson_id, c.level, (l.is_free OR c.is_free) AS is_free`,
+        from: `Resources r
+               JOIN Lessons l ON r.lesson_id = l.lesson_id
+               JOIN Courses c ON l.course_id = c.course_id`,
+        idColumn: "r.resource_id",
+    },
+    comment: {
+        boost: 0.6,
+        select: `cm.comment_id AS entity_id, l.lesson_name AS title, cm.comment AS body,
+                 l.course_id, cm.lesson_id, c.level, (l.is_free OR c.is_free) AS is_free`,
+        from: `Comments cm
+               JOIN Lessons l ON cm.lesson_id = l.lesson_id
+               JOIN Courses c ON l.course_id = c.course_id`,
+        idColumn: "cm.comment_id",
+    },
+    // Thư viện bài bản không thuộc khóa học nào; ai đăng nhập cũng xem được
+    song: {
+        boost: 1.1,
+        select: `s.song_id AS entity_id, s.title, CONCAT_WS('\n', s.description, s.origin, s.tuning, s.composer, s.collector) AS body,
+                 NULL AS course_id, NULL AS lesson_id, NULL AS level, 1 AS is_free`,
+        from: "Songs s",
+        idColumn: "s.song_id",
+    },
+};
+
+const SEARCH_TYPES = Object.keys(DOCUMENT_SOURCES);
+
+// ---------- Bỏ dấu ----------
+
+/**
+ * Bỏ dấu và viết thường từng ký tự, giữ nguyên số ký tự (để vị trí trong chuỗi gốc và chuỗi đã bỏ dấu khớp nhau)
+ * @returns {string[]} Mảng ký tự đã bỏ dấu, cùng độ dài với Array.from(text)
+ */
+const foldChars = (text) => Array.from(String(text ?? "")).map((ch) => {
+    if (ch === "đ" || ch === "Đ") return "d";
+    const folded = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    return Array.from(folded)[0] || ch;
+});
+
+/**
+ * "Đàn Tranh" → "dan tranh"
+ */
+const foldText = (text) => foldChars(text).join("");
+
+/**
+ * Tách truy vấn thành các từ đã bỏ dấu (không trùng lặp)
+ */
+const tokenize = (query) => [...new Set(foldText(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+
+// ---------- Đồng bộ chỉ mục ----------
+
+/**
+ * Cập nhật tài liệu tìm kiếm của một nội dung; xóa tài liệu nếu nội dung không còn
+ * @param {"course"|"lesson"|"resource"|"comment"|"song"} type
+ */
+const syncSearchDocument = async (db, type, id) => {
+    const source = DOCUMENT_SOURCES[type];
+    const row = await db.queryOne(`SELECT ${source.select} FROM ${source.from} WHERE ${source.idColumn} = ?`, [id]);
+    if (!row) return removeSearchDocument(db, type, id);
+
+    await db.execute(
+        `INSERT INTO SearchDocuments (entity_type, entity_id, title, body, search_text, course_id, lesson_id, level, is_free)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE title = VALUES(title), body = VALUES(body), search_text = VALUES(search_text),
+             course_id = VALUES(course_id), lesson_id = VALUES(lesson_id), level = VALUES(level), is_free = VALUES(is_free)`,
+        [
+            type, id, row.title, row.body || null, foldText(`${row.title}\n${row.body || ""}`),
+            row.course_id, row.lesson_id, row.level, Number(row.is_free) ? 1 : 0,
+        ]
+    );
+};
+
+const removeSearchDocument = (db, type, id) =>
+    db.execute("DELETE FROM SearchDocuments WHERE entity_type = ? AND entity_id = ?", [type, id]);
+
+/**
+ * Đồng bộ nội dung và các tài liệu con kế thừa level/is_free/course_id từ nó
+ * (khóa học → bài học, tài nguyên, bình luận; bài học → tài nguyên, bình luận)
+ */
+const syncSearchTree = async (db, type, id) => {
+    await syncSearchDocument(db, type, id);
+    if (type !== "course" && type !== "lesson") return;
+
+    const column = type === "course" ? "course_id" : "lesson_id";
+    const children = await db.query(
+        "SELECT entity_type, entity_id FROM SearchDocuments WHERE entity_type <> ? AND " + column + " = ?",
+        [type, id]
+    );
+    for (const child of children) {
+        await syncSearchDocument(db, child.entity_type, child.entity_id);
+    }
+    // Bài học mới chuyển sang khóa học này chưa có tài liệu con nào trỏ tới course_id mới
+    if (type === "lesson") {
+        const related = await db.query(
+            `SELECT 'resource' AS entity_type, resource_id AS entity_id FROM Resources WHERE lesson_id = ?
+             UNION ALL
+             SELECT 'comment', comment_id FROM Comments WHERE lesson_id = ?`,
+            [id, id]
+        );
+        for (const child of related) {
+            await syncSearchDocument(db, child.entity_type, child.entity_id);
+        }
+    }
+};
+
+/**
+ * Xóa tài liệu của nội dung và các tài liệu con (dùng khi xóa khóa học/bài học)
+ */
+const removeSearchTree = async (db, type, id) => {
+    await removeSearchDocument(db, type, id);
+    if (type === "course") await db.execute("DELETE FROM SearchDocuments WHERE course_id = ?", [id]);
+    if (type === "lesson") await db.execute("DELETE FROM SearchDocuments WHERE lesson_id = ?", [id]);
+};
+
+/**
+ * Lập lại toàn bộ chỉ mục từ dữ liệu gốc
+ * @returns {Promise<Record<string, number>>} Số tài liệu theo loại
+ */
+const rebuildSearchIndex = async (db) => {
+    const counts = {};
+    await db.execute("DELETE FROM SearchDocuments");
+    for (const [type, source] of Object.entries(DOCUMENT_SOURCES)) {
+        const ids = await db.query(`SELECT ${source.idColumn} AS id FROM ${source.from}`);
+        for (const { id } of ids) {
+            await syncSearchDocument(db, type, id);
+        }
+        counts[type] = ids.length;
+    }
+    return counts;
+};
+
+// ---------- Truy vấn ----------
+
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Các khoảng [start, end) (theo ký tự) khớp với từ tìm kiếm trong chuỗi đã bỏ dấu
+ */
+const matchRanges = (foldedChars, terms) => {
+    const folded = foldedChars.join("");
+    const ranges = [];
+    terms.forEach((term) => {
+        let from = 0;
+        for (;;) {
+            const index = folded.indexOf(term, from);
+            if (index === -1) break;
+            // indexOf tính theo code unit; chuyển sang vị trí ký tự
+            const start = Array.from(folded.slice(0, index)).length;
+            ranges.push([start, start + Array.from(term).length]);
+            from = index + term.length;
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+    // Gộp các khoảng chồng nhau
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+};
+
+/**
+ * Đánh dấu <mark> các từ khớp trong chuỗi gốc (giữ nguyên dấu), đã escape HTML
+ */
+const highlight = (chars, ranges, start = 0, end = chars.length) => {
+    let out = "";
+    let cursor = start;
+    ranges.forEach(([s, e]) => {
+        if (e <= start || s >= end) return;
+        const from = Math.max(s, start);
+        const to = Math.min(e, end);
+        out += escapeHtml(chars.slice(cursor, from).join("")) + "<mark>" + escapeHtml(chars.slice(from, to).join("")) + "</mark>";
+        cursor = to;
+    });
+    return out + escapeHtml(chars.slice(cursor, end).join(""));
+};
+
+/**
+ * Đoạn trích quanh lần khớp đầu tiên của nội dung
+ */
+const buildSnippet = (text, terms) => {
+    const chars = Array.from(text || "");
+    if (chars.length === 0) return null;
+    const ranges = matchRanges(foldChars(text), terms);
+
+    const first = ranges.length > 0 ? ranges[0][0] : 0;
+    let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(chars.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, Math.min(start, end - SNIPPET_LENGTH));
+
+    return (start > 0 ? "…" : "") + highlight(chars, ranges, start, end) + (end < chars.length ? "…" : "");
+};
+
+const countOccurrences = (haystack, needle) => {
+    let count = 0;
+    let from = 0;
+    for (;;) {
+        const index = haystack.indexOf(needle, from);
+        if (index === -1) return count;
+        count++;
+        from = index + needle.length;
+    }
+};
+
+const startsWord = (haystack, needle) => new RegExp(`(^|[^\\p{L}\\p{N}])${needle.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`, "u").test(haystack);
+
+/**
+ * Điểm liên quan: khớp tiêu đề nặng hơn nội dung, khớp đầu từ và khớp cả cụm được cộng thêm
+ */
+const scoreDocument = (doc, terms, phrase) => {
+    const title = foldText(doc.title);
+    const body = foldText(doc.body);
+    let score = 0;
+    terms.forEach((term) => {
+        if (title.includes(term)) score += startsWord(title, term) ? 4 : 3;
+        score += Math.min(countOccurrences(body, term), 3) * (startsWord(body, term) ? 1.25 : 1);
+    });
+    if (terms.length > 1) {
+        if (title.includes(phrase)) score += 5;
+        else if (body.includes(phrase)) score += 2;
+    }
+    if (title === phrase) score += 5;
+    return Math.round(score * DOCUMENT_SOURCES[doc.entity_type].boost * 100) / 100;
+};
+
+/**
+ * Đếm facet; mỗi facet bỏ qua bộ lọc của chính nó để client hiển thị được các lựa chọn khác
+ */
+const buildFacets = (docs, filters) => {
+    const passes = (doc, skip) =>
+        (skip === "type" || !filters.types || filters.types.includes(doc.entity_type))
+        && (skip === "level" || !filters.level || doc.level === filters.level)
+        && (skip === "is_free" || filters.isFree === undefined || Boolean(doc.is_free) === filters.isFree);
+
+    const count = (skip, keyOf) => docs.filter((doc) => passes(doc, skip)).reduce((acc, doc) => {
+        const key = keyOf(doc);
+        if (key !== null && key !== undefined) acc[key] = (acc[key] || 0) + 1;
+        return acc;
+    }, {});
+
+    return {
+        facets: {
+            type: count("type", (doc) => doc.entity_type),
+            level: count("level", (doc) => doc.level),
+            is_free: count("is_free", (doc) => (doc.is_free ? "free" : "paid")),
+        },
+        matches: docs.filter((doc) => passes(doc, null)),
+    };
+};
+
+/**
+ * Tìm kiếm
+ * @param {{ q: string, types?: string[], level?: string, isFree?: boolean, courseId?: number, page: number, limit: number }} params
+ */
+const search = async (db, user, { q, types, level, isFree, courseId, page, limit }) => {
+    const terms = tokenize(q);
+    const phrase = terms.join(" ");
+
+    const conditions = terms.map(() => "d.search_text LIKE ?");
+    const params = terms.map((term) => `%${escapeLike(term)}%`);
+    if (courseId) { conditions.push("d.course_id = ?"); params.push(courseId); }
+    // Khách hàng chỉ tìm thấy nội dung thuộc khóa học/bài học đã xuất bản
+    if (!isStaff(user)) {
+        conditions.push(`(c.course_id IS NULL OR ${visibleCondition("c")})`, `(l.lesson_id IS NULL OR ${visibleCondition("l")})`);
+    }
+
+    const candidates = await db.query(
+        `SELECT d.entity_type, d.entity_id, d.title, d.body, d.course_id, d.lesson_id, d.level, d.is_free
+         FROM SearchDocuments d
+         LEFT JOIN Courses c ON d.course_id = c.course_id
+         LEFT JOIN Lessons l ON d.lesson_id = l.lesson_id
+         WHERE ${conditions.join(" AND ")}
+         LIMIT ${CANDIDATE_LIMIT}`,
+        params
+    );
+
+    const docs = candidates.map((doc) => ({ ...doc, is_free: Boolean(Number(doc.is_free)) }));
+    const { facets, matches } = buildFacets(docs, { types, level, isFree });
+
+    const typeOrder = (type) => SEARCH_TYPES.indexOf(type);
+    const ranked = matches
+        .map((doc) => ({ doc, score: scoreDocument(doc, terms, phrase) }))
+        .sort((a, b) => b.score - a.score || typeOrder(a.doc.entity_type) - typeOrder(b.doc.entity_type) || a.doc.entity_id - b.doc.entity_id);
+
+    const results = ranked.slice((page - 1) * limit, page * limit).map(({ doc, score }) => ({
+        type: doc.entity_type,
+        id: doc.entity_id,
+        title: doc.title,
+        title_highlighted: highlight(Array.from(doc.title), matchRanges(foldChars(doc.title), terms)),
+        snippet: buildSnippet(doc.body, terms),
+        score,
+        course_id: doc.course_id,
+        lesson_id: doc.lesson_id,
+        level: doc.level,
+        is_free: doc.is_free,
+    }));
+
+    return {
+        query: q,
+        terms,
+        total: ranked.length,
+        truncated: candidates.length === CANDIDATE_LIMIT,
+        page,
+        limit,
+        facets,
+        results,
+    };
+};
+
+module.exports = {
+    SEARCH_TYPES,
+    foldText,
+    tokenize,
+    syncSearchDocument,
+    syncSearchTree,
+    removeSearchDocument,
+    removeSearchTree,
+    rebuildSearchIndex,
+    search,
+};
@@ -0,0 +1,204 @@
+/**
+ * 🎼 Thư viện bài bản truyền thống (Lưu thủy, Nam ai, Dạ cổ hoài lang...) và liên kết tới nội dung dạy bài đó.
+ *
+ * Bài bản liên kết nhiều-nhiều với bài học, tài nguyên và hand motion mẫu. Khách hàng chỉ thấy liên kết
+ * tới nội dung thuộc bài học/khóa học đã xuất bản.
+ */
+const { isStaff } = require("../security/verifyToken");
+const { visibleCondition } = require("./publishingService");
+const { placeholders } = require("./queryHelpers");
+
+const SONG_REGIONS = {
+    bac: "Bắc Bộ",
+    trung: "Trung Bộ",
+    nam: "Nam Bộ",
+};
+
+// Điệu (hơi): Bắc vui tươi, Nam trầm buồn, Oán ai oán
+const SONG_MODES = {
+    bac: "Điệu Bắc",
+    nam: "Điệu Nam",
+    oan: "Điệu Oán",
+};
+
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 5;
+
+// Nội dung liên kết được: bảng, khóa chính và biểu thức tiêu đề (bí danh x); cả ba bảng đều có lesson_id
+const SONG_LINK_TYPES = {
+    lesson: { table: "Lessons", idColumn: "lesson_id", titleExpr: "x.lesson_name", label: "bài học" },
+    resource: { table: "Resources", idColumn: "resource_id", titleExpr: "x.title", label: "tài nguyên" },
+    hand_motion: {
+        table: "Hand_Motions", idColumn: "motion_id",
+        titleExpr: "COALESCE(x.description, CONCAT('Hand motion #', x.motion_id))", label: "hand motion",
+    },
+};
+
+const MAX_LINKS = 50;
+
+const optionalText = (body, field, max, values) => {
+    if (body[field] === undefined) return null;
+    const text = typeof body[field] === "string" ? body[field].trim() : "";
+    if (text.length > max) return `${field} tối đa ${max} ký tự`;
+    values[field] = text || null;
+    return null;
+};
+
+/**
+ * Đọc thông tin bài bản từ request (genre_tag_id được kiểm tra riêng trong transaction)
+ * @param {boolean} partial true khi cập nhật (chỉ kiểm tra các trường có gửi)
+ * @returns {{ error: string } | { values: object }}
+ */
+const parseSong = (body, { partial = false } = {}) => {
+    const values = {};
+
+    if (!partial || body.title !== undefined) {
+        const title = typeof body.title === "string" ? body.title.trim() : "";
+        if (!title) return { error: "Thiếu tên bài bản (title)" };
+        if (title.length > 200) return { error: "title tối đa 200 ký tự" };
+        values.title = title;
+    }
+    for (const [field, choices] of [["region", SONG_REGIONS], ["mode", SONG_MODES]]) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && !choices[body[field]]) {
+            return { error: `${field} phải là một trong: ${Object.keys(choices).join(", ")}` };
+        }
+        values[field] = body[field];
+    }
+    if (body.genre_tag_id !== undefined) {
+        const tagId = body.genre_tag_id === null ? null : Number(body.genre_tag_id);
+        if (tagId !== null && !(Number.isInteger(tagId) && tagId > 0)) return { error: "genre_tag_id không hợp lệ" };
+        values.genre_tag_id = tagId;
+    }
+    if (body.difficulty !== undefined) {
+        const difficulty = Number(body.difficulty);
+        if (!Number.isInteger(difficulty) || difficulty < MIN_DIFFICULTY || difficulty > MAX_DIFFICULTY) {
+            return { error: `difficulty phải là số nguyên từ ${MIN_DIFFICULTY} đến ${MAX_DIFFICULTY}` };
+        }
+        values.difficulty = difficulty;
+    }
+
+    const error = optionalText(body, "origin", 150, values)
+        || optionalText(body, "tuning", 100, values)
+        || optionalText(body, "composer", 150, values)
+        || optionalText(body, "collector", 150, values);
+    if (error) return { error };
+    if (body.description !== undefined) values.description = body.description || null;
+
+    return { values };
+};
+
+/**
+ * Thể loại phải là thẻ thuộc taxonomy genre
+ * @returns {Promise<string|null>} Thông báo lỗi hoặc null
+ */
+const checkGenreTag = async (db, tagId) => {
+    if (tagId === null || tagId === undefined) return null;
+    const tag = await db.queryOne("SELECT taxonomy FROM Tags WHERE tag_id = ?", [tagId]);
+    if (!tag) return "Không tìm thấy thẻ thể loại (genre_tag_id)";
+    if (tag.taxonomy !== "genre") return "genre_tag_id phải là thẻ thuộc taxonomy genre";
+    return null;
+};
+
+/**
+ * Chuẩn hóa danh sách liên kết từ request: [{ type, id }]
+ * @returns {{ error: string } | { links: { type: string, id: number }[] }}
+ */
+const parseSongLinks = (value) => {
+    if (!Array.isArray(value)) return { error: "links phải là mảng [{ type, id }]" };
+    if (value.length > MAX_LINKS) return { error: `Tối đa ${MAX_LINKS} liên kết cho một bài bản` };
+
+    const seen = new Set();
+    const links = [];
+    for (const item of value) {
+        const id = Number(item?.id);
+        if (!SONG_LINK_TYPES[item?.type]) {
+            return { error: `type phải là một trong: ${Object.keys(SONG_LINK_TYPES).join(", ")}` };
+        }
+        if (!Number.isInteger(id) || id <= 0) return { error: `id ${item?.type} không hợp lệ` };
+        const key = `${item.type}:${id}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            links.push({ type: item.type, id });
+        }
+    }
+    return { links };
+};
+
+/**
+ * Nội dung liên kết của từng bài bản, kèm tiêu đề và lesson_id; khách hàng chỉ thấy nội dung đã xuất bản
+ * @returns {Promise<Map<number, object[]>>} song_id → [{ type, id, title, lesson_id }]
+ */
+const getSongLinks = async (db, user, songIds) => {
+    const bySong = new Map();
+    if (songIds.length === 0) return bySong;
+
+    const visible = isStaff(user) ? "" : `AND ${visibleCondition("l")} AND ${visibleCondition("c")}`;
+    const parts = Object.entries(SONG_LINK_TYPES).map(([type, source]) =>
+        `SELECT sl.song_id, sl.entity_type AS type, sl.entity_id AS id, ${source.titleExpr} AS title, x.lesson_id
+         FROM SongLinks sl
+         JOIN ${source.table} x ON sl.entity_type = '${type}' AND sl.entity_id = x.${source.idColumn}
+         JOIN Lessons l ON x.lesson_id = l.lesson_id
+         JOIN Courses c ON l.course_id = c.course_id
+         WHERE sl.song_id IN (${placeholders(songIds)}) ${visible}`
+    );
+    const rows = await db.query(
+        `${parts.join(" UNION ALL ")} ORDER BY song_id, FIELD(type, 'lesson', 'resource', 'hand_motion'), id`,
+        parts.flatMap(() => songIds)
+    );
+    for (const { song_id, ...link } of rows) {
+        if (!bySong.has(song_id)) bySong.set(song_id, []);
+        bySong.get(song_id).push(link);
+    }
+    return bySong;
+};
+
+/**
+ * Thay toàn bộ liên kết của một bài bản
+ * @returns {Promise<{ status: number, body: object } | { links: object[] }>}
+ */
+const setSongLinks = async (tx, songId, links, user) => {
+    for (const [type, { table, idColumn, label }] of Object.entries(SONG_LINK_TYPES)) {
+        const ids = links.filter((link) => link.type === type).map((link) => link.id);
+        if (ids.length === 0) continue;
+        const found = (await tx.query(
+            `SELECT ${idColumn} AS id FROM ${table} WHERE ${idColumn} IN (${placeholders(ids)})`,
+            ids
+        )).map((r) => r.id);
+        const missing = ids.filter((id) => !found.includes(id));
+        if (missing.length > 0) {
+            return { status: 400, body: { message: `Có ${label} không tồn tại`, type, missing_ids: missing } };
+        }
+    }
+
+    await tx.execute("DELETE FROM SongLinks WHERE song_id = ?", [songId]);
+    for (const link of links) {
+        await tx.execute(
+            "INSERT INTO SongLinks (song_id, entity_type, entity_id, created_at) VALUES (?, ?, ?, NOW())",
+            [songId, link.type, link.id]
+        );
+    }
+
+    const bySong = await getSongLinks(tx, user, [Number(songId)]);
+    return { links: bySong.get(Number(songId)) || [] };
+};
+
+/**
+ * Gỡ nội dung khỏi mọi bài bản (gọi khi xóa bài học, tài nguyên, hand motion)
+ */
+const removeSongLinks = (db, entityType, entityId) =>
+    db.execute("DELETE FROM SongLinks WHERE entity_type = ? AND entity_id = ?", [entityType, entityId]);
+
+module.exports = {
+    SONG_REGIONS,
+    SONG_MODES,
+    SONG_LINK_TYPES,
+    MIN_DIFFICULTY,
+    MAX_DIFFICULTY,
+    parseSong,
+    checkGenreTag,
+    parseSongLinks,
+    getSongLinks,
+    setSongLinks,
+    removeSongLinks,
+};
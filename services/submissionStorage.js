@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+require("dotenv").config();
+
+/**
+ * 🎙️ Lưu file bài nộp (thu âm/quay video) của học viên trên ổ đĩa cục bộ.
+ * Cấu trúc: SUBMISSION_STORAGE_DIR/<assignment_id>/<user_id>/<tên ngẫu nhiên>.<đuôi theo MIME>
+ */
+
+// MIME type được nhận → đuôi file lưu trên đĩa
+const MEDIA_TYPES = {
+    "audio/mpeg": ".mp3",
+    "audio/mp4": ".m4a",
+    "audio/aac": ".aac",
+    "audio/wav": ".wav",
+    "audio/x-wav": ".wav",
+    "audio/webm": ".weba",
+    "audio/ogg": ".ogg",
+    "video/mp4": ".mp4",
+    "video/webm": ".webm",
+    "video/quicktime": ".mov",
+};
+
+const storageRoot = () => process.env.SUBMISSION_STORAGE_DIR || path.join(__dirname, "..", "storage", "submissions");
+const maxSubmissionBytes = () => parseInt(process.env.SUBMISSION_MAX_MB, 10) * 1024 * 1024 || 200 * 1024 * 1024;
+
+/**
+ * Chuẩn hóa Content-Type ("audio/webm;codecs=opus" → "audio/webm")
+ * @returns {string|null} null nếu không thuộc danh sách được nhận
+ */
+const normalizeMediaType = (contentType) => {
+    const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+    return MEDIA_TYPES[type] ? type : null;
+};
+
+/**
+ * Ghi file (qua file tạm rồi rename để không bao giờ để lại file ghi dở)
+ * @returns {Promise<{ storage_path: string, size_bytes: number, sha256: string }>}
+ */
+const saveSubmission = async (assignmentId, userId, mimeType, buffer) => {
+    const fileName = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${MEDIA_TYPES[mimeType]}`;
+    const target = path.join(storageRoot(), String(assignmentId), String(userId), fileName);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, target);
+    return {
+        storage_path: path.relative(storageRoot(), target),
+        size_bytes: buffer.length,
+        sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    };
+};
+
+const resolveSubmissionPath = (storagePath) => path.join(storageRoot(), storagePath);
+
+// Xóa file, bỏ qua nếu file đã không còn
+const removeSubmissionFile = async (storagePath) => {
+    await fs.promises.rm(resolveSubmissionPath(storagePath), { force: true });
+};
+
+module.exports = {
+    MEDIA_TYPES,
+    maxSubmissionBytes,
+    normalizeMediaType,
+    saveSubmission,
+    resolveSubmissionPath,
+    removeSubmissionFile,
+};
@@ -0,0 +1,243 @@
+/**
+ * 🏷️ Phân loại nội dung: thẻ nhạc cụ (đàn tranh, đàn bầu...), kỹ thuật (nhấn, rung...) và thể loại
+ * (ca trù, dân ca, nhạc tài tử...), gắn nhiều-nhiều cho khóa học, bài học và hand motion.
+ *
+ * Khi lọc theo thẻ, bài học kế thừa thẻ của khóa học chứa nó, hand motion kế thừa thẻ của bài học
+ * và khóa học (khóa học gắn "đàn tranh" thì mọi bài học của nó đều khớp ?tag=dan-tranh).
+ */
+const { foldText } = require("./searchService");
+const { placeholders } = require("./queryHelpers");
+
+const TAXONOMIES = {
+    instrument: "Nhạc cụ",
+    technique: "Kỹ thuật",
+    genre: "Thể loại",
+};
+
+const TAGGABLE_ENTITIES = {
+    course: { table: "Courses", idColumn: "course_id", label: "khóa học" },
+    lesson: { table: "Lessons", idColumn: "lesson_id", label: "bài học" },
+    hand_motion: { table: "Hand_Motions", idColumn: "motion_id", label: "hand motion" },
+};
+
+const MAX_FILTER_TAGS = 10;
+
+/**
+ * "Đàn Nguyệt" → "dan-nguyet"
+ */
+const slugify = (name) => foldText(name).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+/**
+ * Kiểm tra tên thẻ; trả về { name, slug } hoặc { error }
+ */
+const parseTagName = (value) => {
+    const name = typeof value === "string" ? value.trim() : "";
+    if (!name) return { error: "Thiếu tên thẻ (name)" };
+    if (name.length > 100) return { error: "Tên thẻ tối đa 100 ký tự" };
+    const slug = slugify(name);
+    if (!slug) return { error: "Tên thẻ phải có ít nhất một chữ cái hoặc chữ số" };
+    return { name, slug };
+};
+
+/**
+ * Chuẩn hóa danh sách id thẻ từ request
+ * @returns {number[]|null} null nếu không phải mảng số nguyên dương
+ */
+const parseTagIds = (value) => {
+    if (!Array.isArray(value)) return null;
+    const ids = value.map(Number);
+    if (!ids.every((id) => Number.isInteger(id) && id > 0)) return null;
+    return [...new Set(ids)];
+};
+
+/**
+ * Điều kiện lọc theo `?tag=`: danh sách cách nhau bởi dấu phẩy, mỗi phần là id, slug
+ * hoặc "taxonomy:slug" (vd. `?tag=instrument:dan-tranh,nhan`). Nội dung phải có đủ mọi thẻ.
+ * @param {string|undefined} value Giá trị query
+ * @param {{ type: string, idExpr: string }[]} targets Các cặp (loại nội dung, biểu thức id) được tính là "có thẻ",
+ *        vd. bài học: [{ type: "lesson", idExpr: "l.lesson_id" }, { type: "course", idExpr: "l.course_id" }]
+ * @returns {{ error: string } | { conditions: string[], params: any[] }}
+ */
+const tagFilter = (value, targets) => {
+    if (value === undefined || value === "") return { conditions: [], params: [] };
+
+    const tokens = [...new Set(String(value).split(",").map((t) => t.trim()).filter(Boolean))];
+    if (tokens.length > MAX_FILTER_TAGS) return { error: `Lọc tối đa ${MAX_FILTER_TAGS} thẻ` };
+
+    const owner = targets.map((t) => `(ct.entity_type = '${t.type}' AND ct.entity_id = ${t.idExpr})`).join(" OR ");
+    const conditions = [];
+    const params = [];
+    for (const token of tokens) {
+        let match;
+        if (/^\d+$/.test(token)) {
+            match = "t.tag_id = ?";
+            params.push(Number(token));
+        } else if (token.includes(":")) {
+            const [taxonomy, slug] = token.split(":", 2);
+            if (!TAXONOMIES[taxonomy]) {
+                return { error: `taxonomy không hợp lệ: ${taxonomy}. Chọn trong: ${Object.keys(TAXONOMIES).join(", ")}` };
+            }
+            match = "t.taxonomy = ? AND t.slug = ?";
+            params.push(taxonomy, slugify(slug));
+        } else {
+            match = "t.slug = ?";
+            params.push(slugify(token));
+        }
+        conditions.push(`EXISTS (
+            SELECT 1 FROM ContentTags ct JOIN Tags t ON ct.tag_id = t.tag_id
+            WHERE (${owner}) AND ${match}
+        )`);
+    }
+    return { conditions, params };
+};
+
+/**
+ * Thẻ gắn trực tiếp trên từng nội dung
+ * @returns {Promise<Map<number, object[]>>} entity_id → [{ tag_id, taxonomy, name, slug }]
+ */
+const getEntityTags = async (db, entityType, entityIds) => {
+    const byEntity = new Map();
+    if (entityIds.length === 0) return byEntity;
+
+    const rows = await db.query(
+        `SELECT ct.entity_id, t.tag_id, t.taxonomy, t.name, t.slug
+         FROM ContentTags ct
+         JOIN Tags t ON ct.tag_id = t.tag_id
+         WHERE ct.entity_type = ? AND ct.entity_id IN (${placeholders(entityIds)})
+         ORDER BY FIELD(t.taxonomy, 'instrument', 'technique', 'genre'), t.name`,
+        [entityType, ...entityIds]
+    );
+    for (const { entity_id, ...tag } of rows) {
+        if (!byEntity.has(entity_id)) byEntity.set(entity_id, []);
+        byEntity.get(entity_id).push(tag);
+    }
+    return byEntity;
+};
+
+/**
+ * Gắn mảng `tags` vào từng dòng kết quả
+ * @param {string} idKey Tên cột id trong dòng (vd. "course_id")
+ */
+const attachTags = async (db, entityType, rows, idKey) => {
+    const byEntity = await getEntityTags(db, entityType, rows.map((row) => row[idKey]));
+    return rows.map((row) => ({ ...row, tags: byEntity.get(row[idKey]) || [] }));
+};
+
+/**
+ * Thay toàn bộ thẻ của một nội dung
+ * @returns {Promise<{ status: number, body: object } | { tags: object[] }>}
+ */
+const setEntityTags = async (tx, entityType, entityId, tagIds, taggedBy) => {
+    const { table, idColumn, label } = TAGGABLE_ENTITIES[entityType];
+    if (!(await tx.exists(table, idColumn, entityId))) {
+        return { status: 404, body: { message: `Không tìm thấy ${label}` } };
+    }
+
+    if (tagIds.length > 0) {
+        const found = (await tx.query(`SELECT tag_id FROM Tags WHERE tag_id IN (${placeholders(tagIds)})`, tagIds)).map((r) => r.tag_id);
+        const missing = tagIds.filter((id) => !found.includes(id));
+        if (missing.length > 0) {
+            return { status: 400, body: { message: "Có thẻ không tồn tại", missing_tag_ids: missing } };
+        }
+    }
+
+    await tx.execute("DELETE FROM ContentTags WHERE entity_type = ? AND entity_id = ?", [entityType, entityId]);
+    for (const tagId of tagIds) {
+        await tx.execute(
+            "INSERT INTO ContentTags (entity_type, entity_id, tag_id, tagged_by, created_at) VALUES (?, ?, ?, ?, NOW())",
+            [entityType, entityId, tagId, taggedBy]
+        );
+    }
+
+    const byEntity = await getEntityTags(tx, entityType, [Number(entityId)]);
+    return { tags: byEntity.get(Number(entityId)) || [] };
+};
+
+/**
+ * Gỡ mọi thẻ của một nội dung (gọi khi xóa nội dung)
+ */
+const removeEntityTags = (db, entityType, entityId) =>
+    db.execute("DELETE FROM ContentTags WHERE entity_type = ? AND entity_id = ?", [entityType, entityId]);
+
+/**
+ * Đổi tên thẻ (slug đổi theo). Trùng slug với thẻ khác cùng taxonomy thì trả 409, khi đó nên gộp thẻ.
+ * @returns {Promise<{ status: number, body: object } | { tag: object }>}
+ */
+const renameTag = async (tx, tagId, { name, slug, description }) => {
+    const tag = await tx.queryOne("SELECT * FROM Tags WHERE tag_id = ? FOR UPDATE", [tagId]);
+    if (!tag) return { status: 404, body: { message: "Không tìm thấy thẻ" } };
+
+    const conflict = await tx.queryOne(
+        "SELECT tag_id, name FROM Tags WHERE taxonomy = ? AND slug = ? AND tag_id <> ?",
+        [tag.taxonomy, slug, tagId]
+    );
+    if (conflict) {
+        return {
+            status: 409,
+            body: {
+                message: `Đã có thẻ "${conflict.name}" cùng tên trong ${TAXONOMIES[tag.taxonomy]}; hãy gộp hai thẻ thay vì đổi tên`,
+                conflicting_tag_id: conflict.tag_id,
+            },
+        };
+    }
+
+    await tx.execute(
+        "UPDATE Tags SET name = ?, slug = ?, description = ? WHERE tag_id = ?",
+        [name, slug, description === undefined ? tag.description : description || null, tagId]
+    );
+    return { tag: await tx.queryOne("SELECT * FROM Tags WHERE tag_id = ?", [tagId]) };
+};
+
+/**
+ * Gộp các thẻ nguồn vào thẻ đích: chuyển mọi nội dung đang gắn thẻ nguồn sang thẻ đích rồi xóa thẻ nguồn.
+ * Các thẻ phải cùng taxonomy.
+ * @returns {Promise<{ status: number, body: object } | { tag: object, merged_tag_ids: number[], retagged: number }>}
+ */
+const mergeTags = async (tx, targetId, sourceIds) => {
+    const ids = [targetId, ...sourceIds];
+    const tags = await tx.query(`SELECT * FROM Tags WHERE tag_id IN (${placeholders(ids)}) FOR UPDATE`, ids);
+    const target = tags.find((t) => t.tag_id === targetId);
+    if (!target) return { status: 404, body: { message: "Không tìm thấy thẻ đích" } };
+
+    const missing = sourceIds.filter((id) => !tags.some((t) => t.tag_id === id));
+    if (missing.length > 0) {
+        return { status: 400, body: { message: "Có thẻ nguồn không tồn tại", missing_tag_ids: missing } };
+    }
+    const otherTaxonomy = tags.filter((t) => t.taxonomy !== target.taxonomy).map((t) => t.tag_id);
+    if (otherTaxonomy.length > 0) {
+        return {
+            status: 400,
+            body: { message: `Chỉ gộp được các thẻ cùng taxonomy (${target.taxonomy})`, invalid_tag_ids: otherTaxonomy },
+        };
+    }
+
+    // Nội dung đã có sẵn thẻ đích thì bỏ qua (INSERT IGNORE theo khóa chính)
+    const moved = await tx.execute(
+        `INSERT IGNORE INTO ContentTags (entity_type, entity_id, tag_id, tagged_by, created_at)
+         SELECT entity_type, entity_id, ?, tagged_by, created_at FROM ContentTags WHERE tag_id IN (${placeholders(sourceIds)})`,
+        [targetId, ...sourceIds]
+    );
+    // Bài bản dùng thẻ thể loại qua Songs.genre_tag_id
+    await tx.execute(
+        `UPDATE Songs SET genre_tag_id = ? WHERE genre_tag_id IN (${placeholders(sourceIds)})`,
+        [targetId, ...sourceIds]
+    );
+    await tx.execute(`DELETE FROM Tags WHERE tag_id IN (${placeholders(sourceIds)})`, sourceIds);
+
+    return { tag: target, merged_tag_ids: sourceIds, retagged: moved.affectedRows };
+};
+
+module.exports = {
+    TAXONOMIES,
+    TAGGABLE_ENTITIES,
+    slugify,
+    parseTagName,
+    parseTagIds,
+    tagFilter,
+    getEntityTags,
+    attachTags,
+    setEntityTags,
+    removeEntityTags,
+    renameTag,
+    mergeTags,
+};
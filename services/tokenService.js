@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { pool } = require("../db");
+require("dotenv").config();
+
+// Chỉ lưu SHA-256 của các token bí mật (refresh, reset, invite) trong DB
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * 🎫 Tạo access token ngắn hạn (mặc định 15 phút)
+ */
+const generateAccessToken = (user) => {
+    return jwt.sign(
+        { id: user.user_id, name: user.full_name, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m" }
+    );
+};
+
+/**
+ * 🔁 Lưu một refresh token mới thuộc family `familyId`
+ * @returns {Promise<{ refreshToken: string, tokenId: number }>}
+ */
+const insertRefreshToken = async (db, userId, familyId, device) => {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    const [result] = await db.query(
+        `INSERT INTO RefreshTokens (user_id, family_id, token_hash, device_id, user_agent, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+        [userId, familyId, hashToken(refreshToken), device.deviceId || null, device.userAgent || null, refreshTtlDays()]
+    );
+    return { refreshToken, tokenId: result.insertId };
+};
+
+/**
+ * 🔐 Cấp cặp access + refresh token khi đăng nhập.
+ * Mỗi thiết bị chỉ giữ một phiên: phiên cũ của cùng device_id bị thu hồi.
+ * @param {object} user Bản ghi Users
+ * @param {{ deviceId?: string, userAgent?: string }} device
+ */
+const issueTokens = async (user, device = {}) => {
+    if (device.deviceId) {
+        await pool.query(
+            "UPDATE RefreshTokens SET revoked_at = NOW() WHERE user_id = ? AND device_id = ? AND revoked_at IS NULL",
+            [user.user_id, device.deviceId]
+        );
+    }
+    const { refreshToken } = await insertRefreshToken(pool, user.user_id, crypto.randomUUID(), device);
+    return { token: generateAccessToken(user), refreshToken };
+};
+
+/**
+ * ♻️ Đổi refresh token lấy cặp token mới (rotation).
+ * Nếu token đã bị dùng/thu hồi mà vẫn được gửi lại → coi là bị đánh cắp, thu hồi cả family.
+ * @returns {Promise<{ token: string, refreshToken: string } | { error: string }>}
+ */
+const rotateRefreshToken = async (rawToken, device = {}) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+            `SELECT rt.token_id, rt.user_id, rt.family_id, rt.device_id, rt.revoked_at,
+                    rt.expires_at <= NOW() AS is_expired
+             FROM RefreshTokens rt
+             WHERE rt.token_hash = ?
+             FOR UPDATE`,
+            [hashToken(rawToken)]
+        );
+        const stored = rows[0];
+
+        if (!stored) {
+            await connection.rollback();
+            return { error: "Refresh token không hợp lệ" };
+        }
+
+        if (stored.revoked_at) {
+            await connection.query(
+                "UPDATE RefreshTokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+                [stored.family_id]
+            );
+            await connection.commit();
+            console.warn(`⚠️ Phát hiện dùng lại refresh token, đã thu hồi family ${stored.family_id} (user ${stored.user_id})`);
+            return { error: "Refresh token đã bị thu hồi, vui lòng đăng nhập lại" };
+        }
+
+        if (stored.is_expired) {
+            await connection.rollback();
+            return { error: "Refresh token đã hết hạn" };
+        }
+
+        const [userRows] = await connection.query(
+            "SELECT user_id, full_name, email, role FROM Users WHERE user_id = ?",
+            [stored.user_id]
+        );
+        if (userRows.length === 0) {
+            await connection.rollback();
+            return { error: "Người dùng không còn tồn tại trong hệ thống" };
+        }
+
+        const { refreshToken, tokenId } = await insertRefreshToken(connection, stored.user_id, stored.family_id, {
+            deviceId: stored.device_id,
+            userAgent: device.userAgent,
+        });
+        await connection.query(
+            "UPDATE RefreshTokens SET revoked_at = NOW(), replaced_by = ? WHERE token_id = ?",
+            [tokenId, stored.token_id]
+        );
+
+        await connection.commit();
+        return { token: generateAccessToken(userRows[0]), refreshToken };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * 🚪 Thu hồi family của refresh token (đăng xuất thiết bị hiện tại)
+ * @returns {Promise<boolean>} false nếu token không tồn tại
+ */
+const revokeRefreshToken = async (rawToken) => {
+    const [rows] = await pool.query("SELECT family_id FROM RefreshTokens WHERE token_hash = ?", [hashToken(rawToken)]);
+    if (rows.length === 0) return false;
+
+    await pool.query(
+        "UPDATE RefreshTokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+        [rows[0].family_id]
+    );
+    return true;
+};
+
+/**
+ * ⛔ Vô hiệu hóa mọi phiên của user: tăng tokens_valid_after và thu hồi toàn bộ refresh token.
+ * Gọi khi đổi mật khẩu, đổi quyền hoặc đăng xuất khỏi mọi thiết bị.
+ * @param {object} db pool hoặc connection (để chạy chung transaction)
+ */
+const revokeUserSessions = async (db, userId) => {
+    await db.query("UPDATE Users SET tokens_valid_after = NOW() WHERE user_id = ?", [userId]);
+    await db.query("UPDATE RefreshTokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL", [userId]);
+};
+
+module.exports = {
+    hashToken,
+    generateAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserSessions,
+};
@@ -0,0 +1,170 @@
+/**
+ * 🎚️ Hồ sơ lên dây đàn tranh: tần số chuẩn của từng dây cho đàn 16/17/19/21 dây.
+ *
+ * Điệu Bắc/Nam/Oán sinh dây tự động: bắt đầu từ dây trầm nhất (base_note) rồi đi lên theo thang âm ngũ cung
+ * của điệu (cùng bảng MODE_SCALES với ký âm Hò Xự Xang). Điệu custom nhận danh sách dây do giáo viên nhập.
+ */
+const { MODE_SCALES, parsePitchName, pitchName } = require("./notationService");
+
+const STRING_COUNTS = [16, 17, 19, 21];
+const TUNING_MODES = {
+    bac: "Điệu Bắc",
+    nam: "Điệu Nam",
+    oan: "Điệu Oán",
+    custom: "Tự chọn",
+};
+const DEFAULT_REFERENCE_HZ = 440;
+const DEFAULT_TOLERANCE_CENTS = 10;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Tần số của nốt MIDI với chuẩn La4 = referenceHz
+ */
+const midiToFrequency = (midi, referenceHz = DEFAULT_REFERENCE_HZ) => referenceHz * 2 ** ((midi - 69) / 12);
+
+/**
+ * Độ lệch (cent) của tần số đo được so với tần số đích; dương là cao hơn
+ */
+const centsBetween = (frequency, target) => 1200 * Math.log2(frequency / target);
+
+/**
+ * Sinh dây theo điệu: dây 1 là base_note, mỗi dây sau lên một bậc của thang âm ngũ cung
+ * @returns {{ string: number, note: string, frequency: number }[]}
+ */
+const buildStrings = (mode, baseMidi, stringCount, referenceHz = DEFAULT_REFERENCE_HZ) => {
+    const scale = MODE_SCALES[mode];
+    return Array.from({ length: stringCount }, (_, i) => {
+        const midi = baseMidi + Math.floor(i / scale.length) * 12 + scale[i % scale.length];
+        return { string: i + 1, note: pitchName(midi), frequency: round(midiToFrequency(midi, referenceHz)) };
+    });
+};
+
+/**
+ * Danh sách dây tự chọn: mỗi phần tử là tên nốt ("D3") hoặc { note } hoặc { frequency }, theo thứ tự từ dây trầm
+ * @returns {{ error: string } | { strings: object[] }}
+ */
+const parseCustomStrings = (value, stringCount, referenceHz) => {
+    if (!Array.isArray(value) || value.length !== stringCount) {
+        return { error: `strings phải là mảng đúng ${stringCount} dây (từ dây trầm nhất)` };
+    }
+    const strings = [];
+    for (const [index, item] of value.entries()) {
+        const note = typeof item === "string" ? item : item?.note;
+        let frequency;
+        if (note) {
+            const midi = parsePitchName(note);
+            if (midi === null) return { error: `Dây ${index + 1}: tên nốt không hợp lệ (vd. D3, F#4)` };
+            frequency = midiToFrequency(midi, referenceHz);
+        } else {
+            frequency = Number(item?.frequency);
+            if (!Number.isFinite(frequency) || frequency < 20 || frequency > 5000) {
+                return { error: `Dây ${index + 1}: cần note hoặc frequency (20–5000 Hz)` };
+            }
+        }
+        const nearestMidi = Math.round(69 + 12 * Math.log2(frequency / referenceHz));
+        strings.push({ string: index + 1, note: note ? pitchName(parsePitchName(note)) : pitchName(nearestMidi), frequency: round(frequency) });
+    }
+    for (let i = 1; i < strings.length; i++) {
+        if (strings[i].frequency <= strings[i - 1].frequency) {
+            return { error: `Dây ${i + 1} phải cao hơn dây ${i}` };
+        }
+    }
+    return { strings };
+};
+
+/**
+ * Đọc hồ sơ lên dây từ request (tạo mới hoặc thay toàn bộ)
+ * Body: { name, description, string_count, mode, base_note, reference_hz, strings (chỉ với mode custom) }
+ * @returns {{ error: string } | { values: object }}
+ */
+const parseTuningProfile = (body) => {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "Thiếu tên hồ sơ (name)" };
+    if (name.length > 100) return { error: "name tối đa 100 ký tự" };
+
+    const stringCount = Number(body.string_count);
+    if (!STRING_COUNTS.includes(stringCount)) return { error: `string_count phải là một trong: ${STRING_COUNTS.join(", ")}` };
+    const mode = body.mode || "bac";
+    if (!TUNING_MODES[mode]) return { error: `mode phải là một trong: ${Object.keys(TUNING_MODES).join(", ")}` };
+
+    const referenceHz = body.reference_hz === undefined ? DEFAULT_REFERENCE_HZ : Number(body.reference_hz);
+    if (!Number.isFinite(referenceHz) || referenceHz < 415 || referenceHz > 466) {
+        return { error: "reference_hz (tần số La4) phải trong khoảng 415–466 Hz" };
+    }
+
+    let strings;
+    let baseNote = null;
+    if (mode === "custom") {
+        const parsed = parseCustomStrings(body.strings, stringCount, referenceHz);
+        if (parsed.error) return parsed;
+        strings = parsed.strings;
+    } else {
+        const baseMidi = parsePitchName(body.base_note || "D3");
+        if (baseMidi === null) return { error: "base_note (nốt của dây trầm nhất) không hợp lệ, vd. D3" };
+        baseNote = pitchName(baseMidi);
+        strings = buildStrings(mode, baseMidi, stringCount, referenceHz);
+    }
+
+    return {
+        values: {
+            name,
+            description: typeof body.description === "string" && body.description.trim() ? body.description.trim() : null,
+            string_count: stringCount,
+            mode,
+            base_note: baseNote,
+            reference_hz: referenceHz,
+            strings,
+        },
+    };
+};
+
+/**
+ * Dây gần nhất với tần số đo được (so theo cent)
+ * @returns {{ string: number, note: string, target_frequency: number, cents: number }}
+ */
+const nearestString = (strings, frequency) => {
+    let best = null;
+    for (const s of strings) {
+        const cents = centsBetween(frequency, s.frequency);
+        if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+            best = { string: s.string, note: s.note, target_frequency: s.frequency, cents };
+        }
+    }
+    return { ...best, cents: round(best.cents, 1) };
+};
+
+/**
+ * Chấm độ chuẩn cao độ của một chuỗi cao độ (vd. các frame của bản thu luyện tập) theo hồ sơ lên dây.
+ * Mỗi frame so với dây gần nhất; lệch trong ngưỡng tolerance được tính là chuẩn.
+ * @param {{ frequency: number|null }[]} track
+ * @returns {{ score: number, voiced_frames: number, in_tune_ratio: number, mean_abs_cents: number } | null}
+ */
+const scoreIntonation = (track, strings, toleranceCents = DEFAULT_TOLERANCE_CENTS) => {
+    const deviations = track.filter((f) => f.frequency).map((f) => Math.abs(nearestString(strings, f.frequency).cents));
+    if (deviations.length === 0) return null;
+
+    const inTune = deviations.filter((c) => c <= toleranceCents).length;
+    const meanAbs = deviations.reduce((sum, c) => sum + c, 0) / deviations.length;
+    // 0 cent → 100 điểm, lệch 50 cent (nửa cung) trở lên → 0 điểm
+    const score = Math.max(0, 100 - (meanAbs / 50) * 100);
+    return {
+        score: round(score),
+        voiced_frames: deviations.length,
+        in_tune_ratio: round(inTune / deviations.length, 3),
+        mean_abs_cents: round(meanAbs, 1),
+    };
+};
+
+module.exports = {
+    STRING_COUNTS,
+    TUNING_MODES,
+    DEFAULT_REFERENCE_HZ,
+    DEFAULT_TOLERANCE_CENTS,
+    midiToFrequency,
+    centsBetween,
+    buildStrings,
+    parseTuningProfile,
+    nearestString,
+    scoreIntonation,
+};
@@ -0,0 +1,65 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { validateMotionData } = require("../services/motionFormat");
+const { encodeMotion, decodeMotion, motionStats, readStoredMotion } = require("../services/motionCodec");
+
+// Bản ghi v1 hai tay, toạ độ 0..1 như MediaPipe; `precise` thêm chữ số lẻ vượt quá độ phân giải lượng tử
+const recording = ({ frames = 90, precise = false } = {}) => {
+    const jitter = precise ? 0.0000123 : 0;
+    const { canonical } = validateMotionData({
+        version: 1,
+        fps: 30,
+        frames: Array.from({ length: frames }, (_, i) => ({
+            t: Math.round(i * 33.333 * 1000) / 1000,
+            hands: ["Left", "Right"].map((handedness, h) => ({
+                handedness,
+                landmarks: Array.from({ length: 21 }, (_, k) => [
+                    Math.round((0.3 + 0.4 * h + 0.01 * k + 0.05 * Math.sin(i / 10)) * 1e4) / 1e4 + jitter,
+                    Math.round((0.5 + 0.015 * k - 0.03 * Math.cos(i / 7)) * 1e4) / 1e4 - jitter,
+                    Math.round(0.02 * k * 1e4) / 1e4,
+                ]),
+            })),
+        })),
+    });
+    return canonical;
+};
+
+describe("motionCodec", () => {
+    it("mã hóa rồi giải mã trả lại đúng bản ghi", () => {
+        const original = recording();
+        assert.deepEqual(decodeMotion(encodeMotion(original)), original);
+    });
+
+    it("sai số lượng tử hóa không quá 0.00005", () => {
+        const original = recording({ precise: true });
+        const decoded = decodeMotion(encodeMotion(original));
+        decoded.frames.forEach((frame, i) => frame.hands.forEach((hand, h) => hand.landmarks.forEach((point, k) => {
+            point.forEach((v, axis) => {
+                assert.ok(Math.abs(v - original.frames[i].hands[h].landmarks[k][axis]) <= 0.00005);
+            });
+        })));
+    });
+
+    it("nhỏ hơn JSON tương đương", () => {
+        const original = recording();
+        const stats = motionStats(original, encodeMotion(original));
+        assert.ok(stats.compression_ratio > 3, `compression_ratio = ${stats.compression_ratio}`);
+    });
+
+    it("từ chối dữ liệu không đúng định dạng", () => {
+        const encoded = encodeMotion(recording({ frames: 3 }));
+        const raw = zlib.gunzipSync(encoded);
+
+        assert.throws(() => decodeMotion(Buffer.from("not gzip")), /gzip/);
+        assert.throws(() => decodeMotion(zlib.gzipSync(Buffer.concat([Buffer.from("XYZ"), raw.subarray(3)]))), /MCM/);
+        assert.throws(() => decodeMotion(zlib.gzipSync(Buffer.concat([raw, Buffer.from([0])]))), /Dư dữ liệu/);
+    });
+
+    it("đọc dòng Hand_Motions từ motion_blob hoặc JSON v1 cũ", () => {
+        const original = recording({ frames: 5 });
+        assert.deepEqual(readStoredMotion({ motion_blob: encodeMotion(original), motion_data: null }), original);
+        assert.deepEqual(readStoredMotion({ motion_blob: null, motion_data: JSON.stringify(original) }), original);
+        assert.equal(readStoredMotion({ motion_blob: null, motion_data: "[1, 2, 3]" }), null);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeFrame, dtw, scoreAttempt } = require("../services/motionScoring");
+
+// Bàn tay tổng hợp 21 điểm theo thứ tự MediaPipe: cổ tay ở gốc, curl ∈ [0, 1] gập dần các đốt ngón
+const FINGER_BASES = [[0.45, 0.3], [0.3, 0.9], [0, 1], [-0.25, 0.95], [-0.5, 0.85]];
+const handPose = (curl, { offset = [0, 0, 0], size = 1 } = {}) => {
+    const points = [[0, 0, 0]];
+    FINGER_BASES.forEach(([bx, by]) => {
+        let [x, y, z] = [bx, by, 0];
+        let angle = 0;
+        points.push([x, y, z]);
+        for (let joint = 0; joint < 3; joint++) {
+            angle += curl * 0.8;
+            y += 0.3 * Math.cos(angle);
+            z -= 0.3 * Math.sin(angle);
+            points.push([x, y, z]);
+        }
+    });
+    return points.map((p) => p.map((v, k) => v * size + offset[k]));
+};
+
+// Nắm rồi mở tay trong `count` frame (30 fps)
+const grip = (count, options) => Array.from({ length: count }, (_, i) => ({
+    t: i * 33,
+    landmarks: handPose(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (count - 1)), options),
+}));
+
+describe("motionScoring", () => {
+    it("chuẩn hóa frame không phụ thuộc vị trí và cỡ tay", () => {
+        const a = normalizeFrame(handPose(0.4));
+        const b = normalizeFrame(handPose(0.4, { offset: [0.3, -0.2, 0.5], size: 2.5 }));
+        a.forEach((p, i) => {
+            assert.ok(Math.abs(p.x - b[i].x) < 1e-9 && Math.abs(p.y - b[i].y) < 1e-9 && Math.abs(p.z - b[i].z) < 1e-9);
+        });
+    });
+
+    it("DTW của hai chuỗi giống nhau đi theo đường chéo", () => {
+        const frames = grip(20).map((f) => normalizeFrame(f.landmarks));
+        const { path } = dtw(frames, frames, 0.25);
+        assert.deepEqual(path, frames.map((_, i) => [i, i]));
+    });
+
+    it("động tác giống hệt mẫu được 100 điểm", () => {
+        const reference = grip(60);
+        const result = scoreAttempt(reference, reference);
+        assert.equal(result.score, 100);
+        assert.equal(result.mean_error, 0);
+        assert.equal(result.aligned_pairs, 60);
+        assert.equal(result.tempo_ratio, 1);
+    });
+
+    it("bỏ qua khác biệt tốc độ và vị trí camera", () => {
+        const reference = grip(60);
+        const result = scoreAttempt(reference, grip(120, { offset: [0.2, 0.1, 0], size: 1.7 }));
+        assert.ok(result.score > 95, `score = ${result.score}`);
+        assert.ok(Math.abs(result.tempo_ratio - 2) < 0.05, `tempo_ratio = ${result.tempo_ratio}`);
+    });
+
+    it("động tác lệch pha vẫn được căn chỉnh, động tác khác bị trừ điểm", () => {
+        const reference = grip(61);
+        // Giữ tay mở 15 frame rồi mới nắm: DTW hấp thụ đoạn chờ
+        const delayed = [...Array.from({ length: 15 }, () => reference[0]), ...reference]
+            .map((f, i) => ({ ...f, t: i * 33 }));
+        const shifted = scoreAttempt(reference, delayed);
+        // Không nắm tay lần nào
+        const open = scoreAttempt(reference, Array.from({ length: 61 }, (_, i) => ({ t: i * 33, landmarks: handPose(0) })));
+
+        assert.ok(shifted.score > 95, `shifted = ${shifted.score}`);
+        assert.ok(open.score < shifted.score - 20, `open = ${open.score}, shifted = ${shifted.score}`);
+        // Lệch nhiều nhất ở lúc nắm chặt tay (giữa động tác)
+        assert.equal(open.worst_frames[0].reference_index, 30);
+    });
+});
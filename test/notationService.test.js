@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    parsePitchName, pitchName, parseNotation, writeNotation, parseConvertOptions, convertNotation,
+} = require("../services/notationService");
+
+const C4 = 60;
+const BAC = { tonic: C4, mode: "bac" };
+
+const convert = (source, body) => {
+    const { options, error } = parseConvertOptions(body);
+    assert.equal(error, undefined);
+    return convertNotation(source, options);
+};
+
+describe("notationService", () => {
+    it("đọc và viết tên nốt khuông nhạc", () => {
+        assert.equal(parsePitchName("Eb4"), 63);
+        assert.equal(parsePitchName("F#5"), 78);
+        assert.equal(parsePitchName("H4"), null);
+        assert.equal(pitchName(63), "Eb4");
+    });
+
+    it("Hò Xự Xang điệu Bắc sang giản phổ và khuông nhạc", () => {
+        const parsed = parseNotation("hò xự xang xê cống | líu:2 -", "ho_xu_xang", BAC);
+        assert.equal(parsed.valid, true);
+
+        assert.equal(writeNotation(parsed.events, "numbered", BAC).text, "1 2 4 5 6 | 1':3");
+        assert.equal(writeNotation(parsed.events, "staff", BAC).text, "C4 D4 F4 G4 A4 | C5:3");
+        // Viết ngược lại về Hò Xự Xang giữ nguyên văn bản (nốt kéo dài gộp vào trường độ)
+        assert.equal(writeNotation(parsed.events, "ho_xu_xang", BAC).text, "hò xự xang xê cống | líu:3");
+    });
+
+    it("chấp nhận tên Hò Xự Xang không dấu", () => {
+        const withMarks = parseNotation("hò xự xang xê cống líu", "ho_xu_xang", BAC);
+        const ascii = parseNotation("ho xu xang xe cong liu", "ho_xu_xang", BAC);
+        assert.deepEqual(ascii.events, withMarks.events);
+    });
+
+    it("nốt ngoài thang âm của điệu được ghi kèm dấu +", () => {
+        const { events } = parseNotation("C4 Eb4 F4", "staff", BAC);
+        assert.deepEqual(writeNotation(events, "ho_xu_xang", BAC), { text: "hò xự+ xang", raised_notes: 1 });
+        // Điệu Nam có sẵn Xự = Eb (cách Hò 3 nửa cung)
+        assert.deepEqual(writeNotation(events, "ho_xu_xang", { tonic: C4, mode: "nam" }), { text: "hò xự xang", raised_notes: 0 });
+    });
+
+    it("dịch giọng theo transpose_to", () => {
+        const result = convert("1 2 3 4 | 5:2 0:2", { from: "numbered", to: "staff", tonic: "C4", transpose_to: "D4" });
+        assert.equal(result.output, "D4 E4 F#4 G4 | A4:2 z:2");
+        assert.equal(result.transposed_by, 2);
+        assert.deepEqual(result.range, { lowest: "D4", highest: "A4" });
+    });
+
+    it("báo lỗi từng token không đọc được", () => {
+        const parsed = parseNotation("1 9 x:3", "numbered", BAC);
+        assert.equal(parsed.valid, false);
+        assert.equal(parsed.error_count, 2);
+        assert.deepEqual(parsed.errors.map((e) => e.token), ["9", "x:3"]);
+    });
+
+    it("ABC tự chia ô nhịp và nối nốt vắt qua vạch nhịp", () => {
+        const { output } = convert("C4:2 D4:2 E4:2", { from: "staff", to: "abc", meter: "3/4" });
+        assert.match(output, /^M:3\/4$/m);
+        assert.match(output, /^C2 D- \| D E2 \|\]$/m);
+    });
+
+    it("MusicXML ghi nốt nối và chữ dưới nốt", () => {
+        const { output } = convert("hò:3 xự", { from: "ho_xu_xang", to: "musicxml", meter: "2/4", lyrics: "ho_xu_xang" });
+        assert.equal((output.match(/<measure /g) || []).length, 2);
+        assert.match(output, /<tie type="start"\/>/);
+        assert.match(output, /<tie type="stop"\/>/);
+        // Nốt nối không lặp lại chữ
+        assert.deepEqual([...output.matchAll(/<text>(.*?)<\/text>/g)].map((m) => m[1]), ["hò", "xự"]);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectPitch, downsample, minSampleRate, analyzeRecording } = require("../services/pitchAnalysis");
+
+const sine = (frequency, sampleRate, seconds = 1) =>
+    Float32Array.from({ length: Math.floor(sampleRate * seconds) }, (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+
+const pcm16 = (samples) => {
+    const buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach((value, i) => buffer.writeInt16LE(Math.round(value * 32767), i * 2));
+    return buffer;
+};
+
+// WAV PCM 16-bit mono tối giản (chunk fmt + data)
+const wav = (samples, sampleRate) => {
+    const data = pcm16(samples);
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+};
+
+const cents = (actual, expected) => 1200 * Math.log2(actual / expected);
+
+describe("pitchAnalysis", () => {
+    // Dây trầm đàn tranh (C2), dây giữa, A4 và gần maxFrequency
+    const tones = [65.41, 146.83, 440, 1900];
+
+    for (const sampleRate of [16000, 22050, 44100, 48000, 96000]) {
+        it(`YIN dò đúng sóng sin ở ${sampleRate} Hz`, () => {
+            for (const frequency of tones) {
+                const result = analyzeRecording(pcm16(sine(frequency, sampleRate)), "audio/pcm", { sampleRate });
+                assert.equal(result.error, undefined);
+                assert.ok(Math.abs(cents(result.frequency, frequency)) < 3, `${frequency} Hz đọc thành ${result.frequency} Hz`);
+                assert.ok(result.confidence > 0.9);
+            }
+        });
+    }
+
+    it("đọc bản thu WAV", () => {
+        const result = analyzeRecording(wav(sine(293.66, 44100), 44100), "audio/wav");
+        assert.equal(result.sample_rate, 44100);
+        assert.equal(result.duration, 1);
+        assert.ok(Math.abs(cents(result.frequency, 293.66)) < 1);
+    });
+
+    it("từ chối tần số lấy mẫu quá thấp so với maxFrequency", () => {
+        // 1900 Hz lấy mẫu 8 kHz: chu kỳ chỉ dài hơn 4 mẫu, trước đây đọc thành ~1964 Hz
+        const result = analyzeRecording(pcm16(sine(1900, 8000)), "audio/pcm", { sampleRate: 8000 });
+        assert.match(result.error, /quá thấp/);
+        assert.equal(minSampleRate(), 16000);
+    });
+
+    it("detectPitch không dò chu kỳ ngắn hơn giới hạn", () => {
+        // maxFrequency bị hạ về 1000 Hz ở 8 kHz: tông 1900 Hz không bị đọc thành một cao độ gần 1900 Hz
+        const { track } = detectPitch(sine(1900, 8000), 8000);
+        assert.ok(track.every((frame) => frame.frequency === null || frame.frequency <= 1000));
+    });
+
+    it("bỏ qua bản thu lặng", () => {
+        const result = detectPitch(new Float32Array(44100), 44100);
+        assert.equal(result.frequency, null);
+        assert.equal(result.confidence, 0);
+    });
+
+    it("hạ tần số lấy mẫu theo hệ số nguyên, không xuống dưới analysisRate", () => {
+        assert.equal(downsample(new Float32Array(96000), 96000).sampleRate, 24000);
+        assert.equal(downsample(new Float32Array(44100), 44100).sampleRate, 44100);
+        assert.equal(downsample(new Float32Array(25000), 25000).sampleRate, 25000);
+    });
+});